@@ -1,20 +1,51 @@
 #!/usr/bin/env node
 
 /**
- * @fileoverview 企业微信机器人 MCP 服务器主入口
+ * @fileoverview 企业微信机器人 MCP 服务器命令行入口
  * @description 基于 Model Context Protocol (MCP) 标准实现的企业微信机器人服务
  * 
+ * 本文件只负责从环境变量和命令行参数读取配置并启动服务；以编程方式嵌入时请使用
+ * 库入口 src/index.js（createServer、ServerContext、WeComClient 等），导入它不会产生副作用
+ * 
  * 功能特性：
- * - send_message: 发送 Markdown V2 格式消息
+ * - list_bots: 列出已配置的机器人别名
+ * - send_message: 发送 Markdown 格式消息（markdown_v2 或旧版 markdown）
+ * - validate_message: 检查 Markdown 语法和长度，不发送消息
+ * - send_text: 发送文本消息（支持 @ 提醒）
+ * - send_news: 发送图文消息
+ * - send_text_card: 发送文本通知模板卡片
+ * - send_news_card: 发送图文展示模板卡片
  * - send_file: 发送文件
+ * - send_voice: 发送语音（AMR 格式）
  * - send_image: 发送图片
+ * - broadcast: 将同一条消息广播到多个机器人
+ * - schedule_message: 定时或按 cron 周期发送消息
+ * - list_scheduled_messages: 列出定时任务
+ * - cancel_scheduled_message: 取消定时任务
+ * - query_history: 查询发送历史（审计日志）
+ * - clear_media_cache: 清除已上传文件的 media_id 缓存
+ * 
+ * 资源（resources）：Markdown 语法参考、消息限制和机器人列表，机器人配置文件变更时通知客户端
  * 
- * 通信方式：stdio（标准输入输出）+ JSON-RPC 2.0 协议
+ * 提示模板（prompts）：发布通知、故障通报、站会纪要、周报，可通过 WECOM_PROMPTS_DIR 添加自定义模板
+ * 
+ * 通信方式：JSON-RPC 2.0 协议，支持两种传输
+ * - stdio（默认）：标准输入输出
+ * - http：MCP Streamable HTTP，并兼容旧版 HTTP + SSE 传输
  * 
  * @example
  * // 直接运行
  * node index.js
  * 
+ * // 以 HTTP 传输运行
+ * node index.js --transport http --port 3000
+ * 
+ * // 启动本地模拟企业微信服务，用于端到端测试
+ * node index.js mock-server --port 8080 --key test-key
+ * 
+ * // 不经过 MCP 客户端直接发送消息（shell 脚本、cron 任务）
+ * node index.js send markdown --bot ops < report.md
+ * 
  * // Claude Desktop 配置
  * {
  *   "mcpServers": {
@@ -28,529 +59,275 @@
  * @module index
  */
 
-import { createInterface } from 'readline';
-import { tools, ToolHandler } from './src/tools.js';
-
-/**
- * MCP 协议版本号
- * @constant {string}
- */
-const MCP_VERSION = '2024-11-05';
-
-/**
- * 从环境变量读取企业微信机器人配置
- * @constant {string|null}
- */
-const WECOM_WEBHOOK_KEY = process.env.WECOM_WEBHOOK_KEY || null;
-
-/**
- * 服务器元信息
- * @constant {Object}
- * @property {string} name - 服务器名称
- * @property {string} version - 版本号
- * @property {string} description - 描述信息
- */
-const SERVER_INFO = {
-  name: 'wecom-robot-mcp',
-  version: '1.0.0',
-  description: '企业微信机器人 MCP 服务，支持发送消息、文件和图片'
-};
+import { MCPServer } from './src/mcp-server.js';
+import { ServerContext } from './src/context.js';
+import { BotRegistry } from './src/bot-registry.js';
+import { HttpTransport, parseClientTokens } from './src/http-transport.js';
+import { MockWeComServer } from './src/mock-server.js';
+import { runSendCommand } from './src/send-command.js';
+import { DEFAULT_RATE_LIMIT } from './src/rate-limiter.js';
+import { readFileSync, watchFile } from 'fs';
+import { parseArgs } from 'util';
 
 /**
- * JSON-RPC 错误码定义
- * @enum {number}
+ * 本机回环地址，未配置 HTTP Token 时仅允许监听这些地址
+ * @constant {string[]}
  */
-const JSONRPC_ERROR = {
-  PARSE_ERROR: -32700,
-  INVALID_REQUEST: -32600,
-  METHOD_NOT_FOUND: -32601,
-  INVALID_PARAMS: -32602,
-  INTERNAL_ERROR: -32603
-};
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
 
 /**
- * @typedef {Object} JsonRpcRequest
- * @property {string} jsonrpc - JSON-RPC 版本（固定为 "2.0"）
- * @property {string|number|null} id - 请求 ID
- * @property {string} method - 方法名
- * @property {Object} [params] - 方法参数
+ * 记录日志到标准错误
+ * 
+ * 使用 stderr 避免干扰 stdout 的 JSON-RPC 通信
+ * 
+ * @param {string} message - 日志消息
  */
+function log(message) {
+  const timestamp = new Date().toISOString();
+  process.stderr.write(`[${timestamp}] ${message}\n`);
+}
 
 /**
- * @typedef {Object} JsonRpcResponse
- * @property {string} jsonrpc - JSON-RPC 版本（固定为 "2.0"）
- * @property {string|number|null} id - 请求 ID
- * @property {Object} [result] - 响应结果
- * @property {Object} [error] - 错误信息
+ * 监听机器人配置文件，变更时重新加载注册表并通知所有会话
+ * 
+ * 新配置无效时保留原有配置
+ * 
+ * @param {ServerContext} context - 服务上下文
+ * @param {string} file - 机器人配置文件路径
  */
+function watchBotsFile(context, file) {
+  watchFile(file, { interval: 2000 }, (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) {
+      return;
+    }
 
-/**
- * @typedef {Object} JsonRpcError
- * @property {number} code - 错误码
- * @property {string} message - 错误消息
- * @property {*} [data] - 额外错误数据
- */
+    try {
+      context.replaceBots(BotRegistry.fromEnv());
+      log(`机器人配置已重新加载：${context.registry.names().join(', ') || '（无）'}`);
+    } catch (error) {
+      log(`警告：机器人配置重新加载失败，继续使用原有配置：${error.message}`);
+    }
+  }).unref();
+}
 
 /**
- * 获取有效的 webhook key
+ * 读取 HTTP 传输的客户端 Token 配置
  * 
- * 优先级：调用时提供的 key > 环境变量配置的 key
+ * 优先读取 MCP_HTTP_TOKENS 环境变量，其次读取 MCP_HTTP_TOKENS_FILE 指定的文件
  * 
- * @param {string} [providedKey] - 调用时提供的 webhook key
- * @returns {string|null} webhook key，如果都未提供则返回 null
+ * @returns {Map<string, import('./src/http-transport.js').HttpClient>} Token 哈希到客户端的映射
  */
-function getWebhookKey(providedKey) {
-  return providedKey || WECOM_WEBHOOK_KEY;
+function loadClientTokens() {
+  if (process.env.MCP_HTTP_TOKENS) {
+    return parseClientTokens(process.env.MCP_HTTP_TOKENS);
+  }
+  if (process.env.MCP_HTTP_TOKENS_FILE) {
+    return parseClientTokens(readFileSync(process.env.MCP_HTTP_TOKENS_FILE, 'utf8'));
+  }
+  return new Map();
 }
 
 /**
- * MCP 服务器类
+ * 以 HTTP 传输启动服务
  * 
- * 实现 JSON-RPC 2.0 协议处理，通过 stdio 与客户端通信
- * 支持 MCP 协议定义的所有标准方法
+ * 每个会话创建独立的 MCPServer 实例；未配置 Token 时仅允许监听本机回环地址
  * 
- * @example
- * const server = new MCPServer();
- * server.start();
+ * @param {Object} options - 传输选项
+ * @param {ServerContext} options.context - 所有会话共享的服务上下文
+ * @param {string} options.host - 监听地址
+ * @param {number} options.port - 监听端口
  */
-class MCPServer {
-  /**
-   * 创建 MCP 服务器实例
-   */
-  constructor() {
-    /**
-     * @private
-     * @type {ToolHandler}
-     */
-    this.toolHandler = new ToolHandler();
-
-    /**
-     * @private
-     * @type {import('readline').Interface|null}
-     */
-    this.rl = null;
-
-    /**
-     * @private
-     * @type {boolean}
-     */
-    this.isInitialized = false;
-
-    // 绑定方法上下文
-    this.handleLine = this.handleLine.bind(this);
-    this.sendResponse = this.sendResponse.bind(this);
-    this.sendNotification = this.sendNotification.bind(this);
-    this.log = this.log.bind(this);
-  }
-
-  /**
-   * 启动 MCP 服务器
-   * 
-   * 设置标准输入监听，开始处理 JSON-RPC 请求
-   * 注册进程信号处理器以优雅关闭
-   */
-  start() {
-    // 创建 readline 接口读取标准输入
-    this.rl = createInterface({
-      input: process.stdin,
-      output: process.stdout,
-      terminal: false
-    });
-
-    // 监听输入行
-    this.rl.on('line', this.handleLine);
-
-    // 处理进程退出信号
-    process.on('SIGINT', () => this.shutdown());
-    process.on('SIGTERM', () => this.shutdown());
-
-    // 监听标准输入关闭事件
-    process.stdin.on('end', () => this.shutdown());
-
-    // 记录启动日志
-    this.log('MCP 服务器已启动，等待请求...');
-  }
+async function startHttpTransport({ context, host, port }) {
+  const clients = loadClientTokens();
 
-  /**
-   * 处理输入行（JSON-RPC 请求）
-   * 
-   * 解析 JSON，验证协议版本，路由到相应处理器
-   * 
-   * @param {string} line - 输入的 JSON 字符串
-   * @private
-   */
-  async handleLine(line) {
-    // 跳过空行
-    if (!line.trim()) {
-      return;
+  if (clients.size === 0) {
+    if (!LOOPBACK_HOSTS.includes(host)) {
+      log(`错误：未配置 MCP_HTTP_TOKENS，拒绝在非回环地址 ${host} 上启动 HTTP 传输`);
+      process.exit(1);
     }
+    log('警告：未配置 MCP_HTTP_TOKENS，HTTP 传输不进行认证，仅限本机访问');
+  } else {
+    log(`已配置 ${clients.size} 个 HTTP 客户端 Token`);
+  }
 
-    this.log(`收到请求：${this._truncateString(line, 100)}...`);
-
-    /** @type {JsonRpcRequest} */
-    let request;
+  const transport = new HttpTransport({
+    host,
+    port,
+    clients,
+    allowedOrigins: (process.env.MCP_HTTP_ALLOWED_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean),
+    allowedHosts: (process.env.MCP_HTTP_ALLOWED_HOSTS || '').split(',').map(s => s.trim()).filter(Boolean),
+    log,
+    createSession: ({ client, defaultBot, output }) => new MCPServer({ context, defaultBot, output, principal: client.name })
+  });
+
+  const shutdown = async () => {
+    log('正在关闭服务器...');
+    await transport.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
 
-    // 解析 JSON
-    try {
-      request = JSON.parse(line);
-    } catch (error) {
-      this.log(`JSON 解析失败：${error.message}`);
-      this.sendError(null, JSONRPC_ERROR.PARSE_ERROR, 'Parse error', error.message);
-      return;
-    }
+  await transport.start();
+}
 
-    // 验证 JSON-RPC 版本
-    if (request.jsonrpc !== '2.0') {
-      this.log(`不支持的 JSON-RPC 版本：${request.jsonrpc}`);
-      this.sendError(
-        request.id,
-        JSONRPC_ERROR.INVALID_REQUEST,
-        'Invalid Request',
-        '不支持的 JSON-RPC 版本，仅支持 2.0'
-      );
-      return;
+/**
+ * 启动本地模拟企业微信服务（mock-server 子命令）
+ * 
+ * 命令行参数：
+ * - --port: 监听端口，默认 8080
+ * - --host: 监听地址，默认 127.0.0.1
+ * - --key: 有效的 webhook key，可重复指定；未指定时接受任意 key
+ * - --rate-limit: 每个 key 每分钟允许的请求数，默认 20，0 表示不限制
+ * 
+ * @param {string[]} argv - 子命令之后的命令行参数
+ */
+async function startMockServer(argv) {
+  const { values: args } = parseArgs({
+    args: argv,
+    options: {
+      port: { type: 'string', default: '8080' },
+      host: { type: 'string', default: '127.0.0.1' },
+      key: { type: 'string', multiple: true, default: [] },
+      'rate-limit': { type: 'string', default: String(DEFAULT_RATE_LIMIT.capacity) }
     }
+  });
 
-    // 路由请求到处理器
-    try {
-      await this.routeRequest(request);
-    } catch (error) {
-      this.log(`请求处理失败：${error.message}`);
-      this.sendError(
-        request.id,
-        JSONRPC_ERROR.INTERNAL_ERROR,
-        'Internal error',
-        error.message
-      );
-    }
+  const perMinute = Number(args['rate-limit']);
+  if (!Number.isInteger(perMinute) || perMinute < 0) {
+    log(`错误：--rate-limit 必须是非负整数：${args['rate-limit']}`);
+    process.exit(1);
   }
 
-  /**
-   * 路由 JSON-RPC 请求到相应处理器
-   * 
-   * 支持的方法：
-   * - initialize: 初始化连接
-   * - initialized: 客户端初始化完成通知
-   * - ping: 健康检查
-   * - tools/list: 获取工具列表
-   * - tools/call: 调用工具
-   * - resources/list: 资源列表（返回空）
-   * - resources/read: 资源读取（不支持）
-   * - prompts/list: 提示列表（返回空）
-   * - prompts/get: 获取提示（不支持）
-   * 
-   * @param {JsonRpcRequest} request - JSON-RPC 请求对象
-   * @private
-   */
-  async routeRequest(request) {
-    const { method, params, id } = request;
-
-    this.log(`路由请求：method=${method}`);
-
-    switch (method) {
-      // MCP 协议方法
-      case 'initialize':
-        await this.handleInitialize(request);
-        break;
-
-      case 'initialized':
-        // 客户端通知服务器初始化完成，无需响应
-        this.isInitialized = true;
-        this.log('客户端已初始化');
-        break;
-
-      case 'ping':
-        this.sendResponse(id, {});
-        break;
-
-      // 工具相关方法
-      case 'tools/list':
-        this.handleToolsList(request);
-        break;
-
-      case 'tools/call':
-        await this.handleToolsCall(request);
-        break;
-
-      // 资源相关方法（本服务不提供资源）
-      case 'resources/list':
-        this.sendResponse(id, { resources: [] });
-        break;
-
-      case 'resources/read':
-        this.sendError(
-          id,
-          JSONRPC_ERROR.METHOD_NOT_FOUND,
-          'Method not found',
-          '本服务不支持资源读取'
-        );
-        break;
-
-      // 提示相关方法（本服务不提供提示）
-      case 'prompts/list':
-        this.sendResponse(id, { prompts: [] });
-        break;
-
-      case 'prompts/get':
-        this.sendError(
-          id,
-          JSONRPC_ERROR.METHOD_NOT_FOUND,
-          'Method not found',
-          '本服务不支持提示功能'
-        );
-        break;
-
-      default:
-        this.log(`未知方法：${method}`);
-        this.sendError(
-          id,
-          JSONRPC_ERROR.METHOD_NOT_FOUND,
-          'Method not found',
-          `未知方法：${method}`
-        );
-    }
-  }
+  const mock = new MockWeComServer({
+    host: args.host,
+    port: Number(args.port),
+    keys: args.key,
+    rateLimit: perMinute === 0 ? false : { capacity: perMinute, intervalMs: 60 * 1000 },
+    log
+  });
+
+  const shutdown = async () => {
+    log('正在关闭模拟服务...');
+    await mock.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
 
-  /**
-   * 处理 initialize 请求
-   * 
-   * 响应服务器信息和能力声明
-   * 
-   * @param {JsonRpcRequest} request - JSON-RPC 请求
-   * @private
-   */
-  async handleInitialize(request) {
-    const { params } = request;
-
-    this.log(`客户端初始化：${JSON.stringify(params?.clientInfo || {})}`);
-
-    const response = {
-      protocolVersion: MCP_VERSION,
-      capabilities: {
-        tools: {},
-        resources: {},
-        prompts: {}
-      },
-      serverInfo: SERVER_INFO
-    };
-
-    this.sendResponse(request.id, response);
+  const { baseURL } = await mock.start();
+  log(`有效 key：${args.key.length > 0 ? args.key.join(', ') : '任意'}；频率限制：${perMinute === 0 ? '不限制' : `${perMinute} 条/分钟`}`);
+  log(`将 WECOM_API_BASE_URL 设置为 ${baseURL} 即可向模拟服务发送消息，通过 GET /messages 查看收到的消息`);
+}
+
+/**
+ * 主入口函数
+ * 
+ * 检查环境变量配置，按命令行参数或环境变量选择传输方式并启动 MCP 服务器；
+ * 第一个参数为 mock-server 时改为启动本地模拟企业微信服务，为 send 时直接发送一条消息后退出
+ * 
+ * 命令行参数优先于环境变量：
+ * - --transport / MCP_TRANSPORT: stdio（默认）或 http
+ * - --port / MCP_HTTP_PORT: HTTP 监听端口，默认 3000
+ * - --host / MCP_HTTP_HOST: HTTP 监听地址，默认 127.0.0.1
+ */
+async function main() {
+  if (process.argv[2] === 'mock-server') {
+    await startMockServer(process.argv.slice(3));
+    return;
   }
 
-  /**
-   * 处理 tools/list 请求
-   * 
-   * 返回所有可用工具的列表及其 schema
-   * 
-   * @param {JsonRpcRequest} request - JSON-RPC 请求
-   * @private
-   */
-  handleToolsList(request) {
-    const toolsInfo = tools.map(tool => ({
-      name: tool.name,
-      description: tool.description,
-      inputSchema: tool.inputSchema
-    }));
-
-    this.sendResponse(request.id, {
-      tools: toolsInfo
+  if (process.argv[2] === 'send') {
+    process.exitCode = await runSendCommand(process.argv.slice(3), {
+      createContext: () => ServerContext.fromEnv(process.env, { log })
     });
+    return;
   }
 
-  /**
-   * 处理 tools/call 请求
-   * 
-   * 调用指定的工具并返回执行结果
-   * 
-   * @param {JsonRpcRequest} request - JSON-RPC 请求
-   * @private
-   */
-  async handleToolsCall(request) {
-    const { params } = request;
-    const { name, arguments: args } = params || {};
-
-    if (!name) {
-      this.sendError(
-        request.id,
-        JSONRPC_ERROR.INVALID_PARAMS,
-        'Invalid params',
-        '缺少工具名称'
-      );
-      return;
-    }
-
-    this.log(`调用工具：${name}, 参数：${this._truncateString(JSON.stringify(args), 200)}`);
-
-    try {
-      const result = await this.toolHandler.handle(name, args || {});
-      this.sendResponse(request.id, result);
-    } catch (error) {
-      this.log(`工具执行失败：${error.message}`);
-      this.sendError(
-        request.id,
-        JSONRPC_ERROR.INTERNAL_ERROR,
-        'Tool execution failed',
-        error.message
-      );
-    }
-  }
+  // 从环境变量创建服务上下文（机器人注册表、审计日志、缓存等）
+  const context = ServerContext.fromEnv(process.env, { log });
 
-  /**
-   * 发送 JSON-RPC 响应
-   * 
-   * @param {string|number|null} id - 请求 ID
-   * @param {*} result - 响应结果
-   * @private
-   */
-  sendResponse(id, result) {
-    /** @type {JsonRpcResponse} */
-    const response = {
-      jsonrpc: '2.0',
-      id: id,
-      result: result
-    };
-
-    this._sendJSON(response);
+  // 启动时检查机器人注册表配置
+  const { registry, webhookKey } = context;
+  if (registry.size > 0) {
+    const defaultBot = registry.getDefaultBot();
+    log(`已配置 ${registry.size} 个机器人：${registry.names().join(', ')}${defaultBot ? `（默认：${defaultBot}）` : ''}`);
   }
 
-  /**
-   * 发送 JSON-RPC 错误响应
-   * 
-   * @param {string|number|null} id - 请求 ID
-   * @param {number} code - 错误码
-   * @param {string} message - 错误消息
-   * @param {*} [data] - 额外错误数据
-   * @private
-   */
-  sendError(id, code, message, data = null) {
-    /** @type {JsonRpcResponse} */
-    const error = {
-      jsonrpc: '2.0',
-      id: id,
-      error: {
-        code: code,
-        message: message
-      }
-    };
-
-    if (data !== null) {
-      error.error.data = data;
+  // 启动时检查环境变量
+  if (!webhookKey) {
+    if (!registry.getDefaultBot()) {
+      log('警告：未设置 WECOM_WEBHOOK_KEY 环境变量且未配置默认机器人，调用工具时必须提供 bot 或 webhook_key 参数');
     }
-
-    this._sendJSON(error);
+  } else {
+    // 脱敏显示 webhook key（仅显示首尾各 8 位）
+    const keyLength = webhookKey.length;
+    const maskedKey = keyLength > 16
+      ? `${webhookKey.substring(0, 8)}...${webhookKey.substring(keyLength - 8)}`
+      : '***';
+    log(`已配置 WECOM_WEBHOOK_KEY: ${maskedKey}`);
   }
 
-  /**
-   * 发送 JSON-RPC 通知
-   * 
-   * 通知是没有 ID 的请求，不需要响应
-   * 
-   * @param {string} method - 通知方法
-   * @param {Object} [params] - 通知参数
-   * @private
-   */
-  sendNotification(method, params = {}) {
-    /** @type {JsonRpcRequest} */
-    const notification = {
-      jsonrpc: '2.0',
-      method: method,
-      params: params
-    };
-
-    this._sendJSON(notification);
+  if (context.baseURL) {
+    log(`接口基础 URL：${context.baseURL}`);
   }
 
-  /**
-   * 发送 JSON 对象到标准输出
-   * 
-   * @param {Object} obj - 要发送的对象
-   * @private
-   */
-  _sendJSON(obj) {
-    const json = JSON.stringify(obj);
-    process.stdout.write(json + '\n');
-    this.log(`发送响应：${this._truncateString(json, 100)}...`);
+  if (context.dryRun) {
+    log('试运行模式已开启（WECOM_DRY_RUN），消息不会发送到企业微信，只写入本地发件箱');
   }
 
-  /**
-   * 记录日志到标准错误
-   * 
-   * 使用 stderr 避免干扰 stdout 的 JSON-RPC 通信
-   * 
-   * @param {string} message - 日志消息
-   */
-  log(message) {
-    const timestamp = new Date().toISOString();
-    process.stderr.write(`[${timestamp}] ${message}\n`);
+  // 机器人配置文件变更时重新加载，并通知客户端
+  if (process.env.WECOM_BOTS_FILE && !process.env.WECOM_BOTS) {
+    watchBotsFile(context, process.env.WECOM_BOTS_FILE);
   }
 
-  /**
-   * 截断长字符串用于日志显示
-   * 
-   * @param {string} str - 要截断的字符串
-   * @param {number} maxLength - 最大长度
-   * @returns {string} 截断后的字符串
-   * @private
-   */
-  _truncateString(str, maxLength) {
-    if (str.length <= maxLength) {
-      return str;
-    }
-    return str.substring(0, maxLength);
+  // 启动定时任务调度器，恢复已持久化的任务
+  try {
+    context.getScheduler();
+  } catch (error) {
+    log(`警告：定时任务调度器启动失败：${error.message}`);
   }
 
-  /**
-   * 关闭服务器
-   * 
-   * 优雅关闭：关闭 readline 接口，发送关闭通知，退出进程
-   */
-  shutdown() {
-    this.log('正在关闭服务器...');
-
-    if (this.rl) {
-      this.rl.close();
+  const { values: args } = parseArgs({
+    options: {
+      transport: { type: 'string' },
+      port: { type: 'string' },
+      host: { type: 'string' }
     }
+  });
 
-    // 发送关闭通知
-    this.sendNotification('notifications/closed');
+  const transport = args.transport || process.env.MCP_TRANSPORT || 'stdio';
 
-    process.exit(0);
+  if (transport === 'http') {
+    await startHttpTransport({
+      context,
+      host: args.host || process.env.MCP_HTTP_HOST || '127.0.0.1',
+      port: Number(args.port || process.env.MCP_HTTP_PORT || 3000)
+    });
+    return;
   }
-}
 
-/**
- * 记录日志到标准错误
- * 
- * 使用 stderr 避免干扰 stdout 的 JSON-RPC 通信
- * 
- * @param {string} message - 日志消息
- */
-function log(message) {
-  const timestamp = new Date().toISOString();
-  process.stderr.write(`[${timestamp}] ${message}\n`);
-}
-
-/**
- * 主入口函数
- * 
- * 检查环境变量配置，启动 MCP 服务器
- */
-function main() {
-  // 启动时检查环境变量
-  if (!WECOM_WEBHOOK_KEY) {
-    log('警告：未设置 WECOM_WEBHOOK_KEY 环境变量，调用工具时必须提供 webhook_key 参数');
-  } else {
-    // 脱敏显示 webhook key（仅显示首尾各 8 位）
-    const keyLength = WECOM_WEBHOOK_KEY.length;
-    const maskedKey = keyLength > 16
-      ? `${WECOM_WEBHOOK_KEY.substring(0, 8)}...${WECOM_WEBHOOK_KEY.substring(keyLength - 8)}`
-      : '***';
-    log(`已配置 WECOM_WEBHOOK_KEY: ${maskedKey}`);
+  if (transport !== 'stdio') {
+    log(`错误：未知的传输方式：${transport}，可选值：stdio、http`);
+    process.exit(1);
   }
 
-  const server = new MCPServer();
+  const server = new MCPServer({ context });
+
+  // 收到退出信号或标准输入结束（客户端断开）时关闭服务器并退出进程
+  const shutdown = () => {
+    server.shutdown();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+  process.stdin.on('end', shutdown);
+
   server.start();
 }
 
 // 运行主入口
-main();
+main().catch(error => {
+  log(`启动失败：${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview AMR 音频解析工具
+ * @description 通过文件头魔数识别 AMR 格式，并逐帧解析计算语音时长
+ * 
+ * 参考：RFC 4867 第 5 节（AMR / AMR-WB 存储格式）
+ * 
+ * @module amr
+ */
+
+/**
+ * AMR-NB 文件头魔数
+ * @constant {Buffer}
+ */
+const AMR_NB_MAGIC = Buffer.from('#!AMR\n', 'ascii');
+
+/**
+ * AMR-WB 文件头魔数
+ * @constant {Buffer}
+ */
+const AMR_WB_MAGIC = Buffer.from('#!AMR-WB\n', 'ascii');
+
+/**
+ * AMR-NB 各帧类型（FT 0~15）的帧长度（字节，含 1 字节帧头）
+ * @constant {number[]}
+ */
+const AMR_NB_FRAME_SIZES = [13, 14, 16, 18, 20, 21, 27, 32, 6, 7, 6, 6, 1, 1, 1, 1];
+
+/**
+ * AMR-WB 各帧类型（FT 0~15）的帧长度（字节，含 1 字节帧头）
+ * @constant {number[]}
+ */
+const AMR_WB_FRAME_SIZES = [18, 24, 33, 37, 41, 47, 51, 59, 61, 6, 1, 1, 1, 1, 1, 1];
+
+/**
+ * 每帧的时长（毫秒）
+ * @constant {number}
+ */
+const FRAME_DURATION_MS = 20;
+
+/**
+ * @typedef {Object} AmrInfo
+ * @property {string} format - AMR 格式：'AMR-NB' 或 'AMR-WB'
+ * @property {number} frames - 语音帧数量
+ * @property {number} duration - 语音时长（秒）
+ */
+
+/**
+ * 根据文件头魔数判断是否为 AMR 文件
+ * 
+ * @param {Buffer} buffer - 文件内容
+ * @returns {boolean} 是否为单声道 AMR-NB 或 AMR-WB 文件
+ * 
+ * @example
+ * isAmr(Buffer.from('#!AMR\n...')); // true
+ */
+export function isAmr(buffer) {
+  return startsWith(buffer, AMR_NB_MAGIC) || startsWith(buffer, AMR_WB_MAGIC);
+}
+
+/**
+ * 解析 AMR 文件，计算帧数量和时长
+ * 
+ * 逐帧读取帧头中的帧类型（FT）以确定帧长度，每帧固定 20 毫秒
+ * 
+ * @param {Buffer} buffer - 文件内容
+ * @returns {AmrInfo} 解析结果
+ * @throws {Error} 当文件不是 AMR 格式或帧数据不完整时
+ * 
+ * @example
+ * const { format, duration } = parseAmr(await readFile('/path/to/voice.amr'));
+ */
+export function parseAmr(buffer) {
+  let format;
+  let frameSizes;
+  let offset;
+
+  if (startsWith(buffer, AMR_WB_MAGIC)) {
+    format = 'AMR-WB';
+    frameSizes = AMR_WB_FRAME_SIZES;
+    offset = AMR_WB_MAGIC.length;
+  } else if (startsWith(buffer, AMR_NB_MAGIC)) {
+    format = 'AMR-NB';
+    frameSizes = AMR_NB_FRAME_SIZES;
+    offset = AMR_NB_MAGIC.length;
+  } else {
+    throw new Error('文件头不是有效的 AMR 魔数（#!AMR 或 #!AMR-WB）');
+  }
+
+  let frames = 0;
+
+  while (offset < buffer.length) {
+    const frameType = (buffer[offset] >> 3) & 0x0f;
+    const frameSize = frameSizes[frameType];
+
+    if (offset + frameSize > buffer.length) {
+      throw new Error(`第 ${frames + 1} 帧数据不完整，文件可能已损坏`);
+    }
+
+    offset += frameSize;
+    frames++;
+  }
+
+  return {
+    format,
+    frames,
+    duration: (frames * FRAME_DURATION_MS) / 1000
+  };
+}
+
+/**
+ * 判断 Buffer 是否以指定前缀开头
+ * 
+ * @param {Buffer} buffer - 待检查的 Buffer
+ * @param {Buffer} prefix - 前缀
+ * @returns {boolean} 是否匹配
+ */
+function startsWith(buffer, prefix) {
+  return buffer.length >= prefix.length && buffer.subarray(0, prefix.length).equals(prefix);
+}
+
+export default { isAmr, parseAmr };
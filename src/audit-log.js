@@ -0,0 +1,242 @@
+/**
+ * @fileoverview 发送审计日志
+ * @description 以 JSONL 格式追加记录每条发出的消息，超过大小上限时轮转，并支持按条件查询
+ * 
+ * 轮转规则：当前文件写满后依次重命名为 audit.jsonl.1、audit.jsonl.2 ...，
+ * 编号越大越旧，超过保留数量的最旧文件会被删除
+ * 
+ * @module audit-log
+ */
+
+import { appendFileSync, statSync, renameSync, unlinkSync, mkdirSync, createReadStream } from 'fs';
+import { createInterface } from 'readline';
+import { dirname } from 'path';
+
+/**
+ * 默认轮转配置
+ * @constant {Object}
+ */
+export const DEFAULT_AUDIT_ROTATION = {
+  maxBytes: 10 * 1024 * 1024,
+  maxFiles: 5
+};
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} timestamp - 记录时间（ISO 8601）
+ * @property {string|null} bot - 机器人别名，直接使用 webhook key 时为 null
+ * @property {string} webhook_key - 脱敏后的 webhook key
+ * @property {string} msgtype - 消息类型
+ * @property {string} content_sha256 - 消息内容的 SHA-256
+ * @property {string} preview - 内容预览
+ * @property {import('./wecom-client.js').SendFileInfo} [file] - 文件信息
+ * @property {boolean} success - 是否发送成功
+ * @property {number} errcode - 错误码
+ * @property {string} [errmsg] - 错误消息
+ * @property {Object} [client] - 发起请求的 MCP 客户端信息
+ */
+
+/**
+ * @typedef {Object} AuditQuery
+ * @property {string} [bot] - 机器人别名
+ * @property {string} [msgtype] - 消息类型
+ * @property {string} [status] - success 或 failed
+ * @property {number} [since] - 起始时间戳（毫秒，含）
+ * @property {number} [until] - 结束时间戳（毫秒，含）
+ * @property {number} [limit=50] - 最多返回条数
+ * @property {string|null} [principal] - 调用方身份，提供时只返回该调用方（client.principal）发送的记录；
+ *   null 匹配未记录调用方身份的记录（例如 stdio 模式）
+ */
+
+/**
+ * 审计日志类
+ * 
+ * @example
+ * const audit = new AuditLog({ file: '/var/log/wecom/audit.jsonl' });
+ * audit.append({ timestamp: new Date().toISOString(), bot: 'ops', msgtype: 'text', ... });
+ * const { entries } = await audit.query({ bot: 'ops', status: 'failed' });
+ */
+export class AuditLog {
+  /**
+   * 创建审计日志实例
+   * 
+   * @param {Object} options - 日志选项
+   * @param {string} options.file - 日志文件路径
+   * @param {number} [options.maxBytes=10485760] - 单个文件的最大字节数，超过后轮转
+   * @param {number} [options.maxFiles=5] - 保留的历史文件数量（不含当前文件）
+   * @param {function(Error): void} [options.onError] - 写入失败时的回调，默认忽略
+   */
+  constructor({
+    file,
+    maxBytes = DEFAULT_AUDIT_ROTATION.maxBytes,
+    maxFiles = DEFAULT_AUDIT_ROTATION.maxFiles,
+    onError = () => {}
+  }) {
+    /**
+     * @private
+     * @type {string}
+     */
+    this.file = file;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.maxBytes = maxBytes;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.maxFiles = maxFiles;
+
+    /**
+     * @private
+     * @type {function(Error): void}
+     */
+    this.onError = onError;
+  }
+
+  /**
+   * 追加一条记录
+   * 
+   * 同步写入，保证记录顺序且进程退出前不会丢失；写入失败时调用 onError 而不抛出
+   * 
+   * @param {AuditEntry} entry - 审计记录
+   */
+  append(entry) {
+    const line = JSON.stringify(entry) + '\n';
+
+    try {
+      mkdirSync(dirname(this.file), { recursive: true });
+      this._rotateIfNeeded(Buffer.byteLength(line));
+      appendFileSync(this.file, line, { mode: 0o600 });
+    } catch (error) {
+      this.onError(error);
+    }
+  }
+
+  /**
+   * 查询记录，按时间从新到旧返回
+   * 
+   * @param {AuditQuery} [query] - 查询条件
+   * @returns {Promise<{entries: AuditEntry[], truncated: boolean}>} 匹配的记录；truncated 表示还有更多记录未返回
+   */
+  async query({ bot, msgtype, status, since, until, limit = 50, principal } = {}) {
+    const matches = entry => {
+      const time = Date.parse(entry.timestamp);
+      return (principal === undefined || (entry.client?.principal ?? null) === principal)
+        && (bot === undefined || entry.bot === bot)
+        && (msgtype === undefined || entry.msgtype === msgtype)
+        && (status === undefined || entry.success === (status === 'success'))
+        && (since === undefined || time >= since)
+        && (until === undefined || time <= until);
+    };
+
+    const entries = [];
+
+    // 从当前文件开始，依次读取更旧的轮转文件
+    for (const file of this._files()) {
+      const fileEntries = [];
+      for await (const entry of readEntries(file)) {
+        if (matches(entry)) {
+          fileEntries.push(entry);
+        }
+      }
+
+      entries.push(...fileEntries.reverse());
+      if (entries.length > limit) {
+        break;
+      }
+    }
+
+    return {
+      entries: entries.slice(0, limit),
+      truncated: entries.length > limit
+    };
+  }
+
+  /**
+   * 当前文件和所有轮转文件的路径，从新到旧
+   * 
+   * @returns {string[]} 文件路径
+   * @private
+   */
+  _files() {
+    return [this.file, ...Array.from({ length: this.maxFiles }, (_, i) => `${this.file}.${i + 1}`)];
+  }
+
+  /**
+   * 写入前检查文件大小，超过上限时轮转
+   * 
+   * @param {number} incomingBytes - 即将写入的字节数
+   * @private
+   */
+  _rotateIfNeeded(incomingBytes) {
+    let size;
+    try {
+      size = statSync(this.file).size;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    if (size === 0 || size + incomingBytes <= this.maxBytes) {
+      return;
+    }
+
+    const files = this._files();
+    for (let i = files.length - 1; i > 0; i--) {
+      try {
+        if (i === files.length - 1) {
+          unlinkSync(files[i]);
+        } else {
+          renameSync(files[i], files[i + 1]);
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+
+    if (this.maxFiles > 0) {
+      renameSync(this.file, files[1]);
+    } else {
+      unlinkSync(this.file);
+    }
+  }
+}
+
+/**
+ * 逐行读取 JSONL 文件，跳过无法解析的行；文件不存在时不产生任何记录
+ * 
+ * @param {string} file - 文件路径
+ * @returns {AsyncGenerator<AuditEntry>} 记录
+ */
+async function* readEntries(file) {
+  const stream = createReadStream(file, { encoding: 'utf8' });
+  const opened = await new Promise(resolve => {
+    stream.once('open', () => resolve(true));
+    stream.once('error', () => resolve(false));
+  });
+
+  if (!opened) {
+    return;
+  }
+
+  for await (const line of createInterface({ input: stream, crlfDelay: Infinity })) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      yield JSON.parse(line);
+    } catch {
+      // 跳过写入中断等原因产生的损坏行
+    }
+  }
+}
+
+export default AuditLog;
@@ -0,0 +1,262 @@
+/**
+ * @fileoverview 机器人注册表
+ * @description 维护机器人别名到 webhook key 的映射，使工具调用只需提供别名而无需接触原始 key
+ * 
+ * 配置来源（按优先级）：
+ * - WECOM_BOTS 环境变量：JSON 字符串
+ * - WECOM_BOTS_FILE 环境变量：JSON 配置文件路径
+ * 
+ * 配置格式：
+ * ```json
+ * {
+ *   "default": "ops",
+ *   "bots": {
+ *     "ops": { "key": "xxx", "description": "运维值班群" },
+ *     "releases": { "key": "yyy", "description": "版本发布通知群" }
+ *   }
+ * }
+ * ```
+ * 
+ * 也可以省略外层结构，直接提供 bots 对象；机器人配置可简写为 key 字符串
+ * 
+ * @module bot-registry
+ */
+
+import { readFileSync } from 'fs';
+import { WeComError } from './wecom-client.js';
+
+/**
+ * 机器人别名的合法格式
+ * @constant {RegExp}
+ */
+const BOT_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * @typedef {Object} BotConfig
+ * @property {string} key - 机器人 webhook key
+ * @property {string} [description] - 机器人描述（例如所在群聊和用途）
+ */
+
+/**
+ * @typedef {Object} BotInfo
+ * @property {string} name - 机器人别名
+ * @property {string} description - 机器人描述
+ * @property {boolean} default - 是否为默认机器人
+ */
+
+/**
+ * 机器人注册表类
+ * 
+ * @example
+ * const registry = new BotRegistry({
+ *   ops: { key: 'xxx', description: '运维值班群' }
+ * }, { defaultBot: 'ops' });
+ * 
+ * registry.resolve('ops'); // 'xxx'
+ * registry.list(); // [{ name: 'ops', description: '运维值班群', default: true }]
+ */
+export class BotRegistry {
+  /**
+   * 创建注册表实例
+   * 
+   * @param {Object.<string, BotConfig|string>} [bots={}] - 别名到机器人配置的映射
+   * @param {Object} [options] - 选项
+   * @param {string} [options.defaultBot] - 默认机器人别名
+   * @throws {WeComError} 当配置格式错误或默认机器人不存在时
+   */
+  constructor(bots = {}, { defaultBot } = {}) {
+    if (!bots || typeof bots !== 'object' || Array.isArray(bots)) {
+      throw new WeComError(-1, '机器人配置必须是以别名为键的对象');
+    }
+
+    /**
+     * @private
+     * @type {Map<string, BotConfig>}
+     */
+    this.bots = new Map();
+
+    for (const [name, config] of Object.entries(bots)) {
+      this.bots.set(name, normalizeBotConfig(name, config));
+    }
+
+    if (defaultBot && !this.bots.has(defaultBot)) {
+      throw new WeComError(-1, `默认机器人 "${defaultBot}" 未在配置中定义`);
+    }
+
+    /**
+     * @private
+     * @type {string|null}
+     */
+    this.defaultBot = defaultBot || null;
+  }
+
+  /**
+   * 从环境变量加载注册表
+   * 
+   * @param {Object.<string, string>} [env=process.env] - 环境变量
+   * @returns {BotRegistry} 注册表实例，未配置时为空注册表
+   * @throws {WeComError} 当配置文件无法读取或 JSON 格式错误时
+   * 
+   * @example
+   * const registry = BotRegistry.fromEnv();
+   */
+  static fromEnv(env = process.env) {
+    let source = null;
+    let raw = null;
+
+    if (env.WECOM_BOTS) {
+      source = 'WECOM_BOTS';
+      raw = env.WECOM_BOTS;
+    } else if (env.WECOM_BOTS_FILE) {
+      source = env.WECOM_BOTS_FILE;
+      try {
+        raw = readFileSync(env.WECOM_BOTS_FILE, 'utf8');
+      } catch (error) {
+        throw new WeComError(-1, `无法读取机器人配置文件 ${source}：${error.message}`);
+      }
+    }
+
+    if (raw === null) {
+      return new BotRegistry();
+    }
+
+    let config;
+    try {
+      config = JSON.parse(raw);
+    } catch (error) {
+      throw new WeComError(-1, `机器人配置 ${source} 不是有效的 JSON：${error.message}`);
+    }
+
+    return BotRegistry.fromConfig(config);
+  }
+
+  /**
+   * 从配置对象创建注册表
+   * 
+   * @param {Object} config - 完整配置（包含 bots 和 default）或仅包含 bots 的对象
+   * @returns {BotRegistry} 注册表实例
+   * @throws {WeComError} 当配置格式错误时
+   */
+  static fromConfig(config) {
+    if (config && typeof config === 'object' && 'bots' in config) {
+      return new BotRegistry(config.bots, { defaultBot: config.default });
+    }
+    return new BotRegistry(config);
+  }
+
+  /**
+   * 注册表中的机器人数量
+   * 
+   * @type {number}
+   */
+  get size() {
+    return this.bots.size;
+  }
+
+  /**
+   * 默认机器人别名
+   * 
+   * @returns {string|null} 默认机器人别名，未配置时返回 null
+   */
+  getDefaultBot() {
+    return this.defaultBot;
+  }
+
+  /**
+   * 获取所有机器人别名
+   * 
+   * @returns {string[]} 别名列表
+   */
+  names() {
+    return [...this.bots.keys()];
+  }
+
+  /**
+   * 判断别名是否存在
+   * 
+   * @param {string} name - 机器人别名
+   * @returns {boolean} 是否存在
+   */
+  has(name) {
+    return this.bots.has(name);
+  }
+
+  /**
+   * 根据别名获取 webhook key
+   * 
+   * @param {string} name - 机器人别名
+   * @returns {string} webhook key
+   * @throws {WeComError} 当别名不存在时
+   */
+  resolve(name) {
+    const bot = this.bots.get(name);
+
+    if (!bot) {
+      const available = this.names();
+      throw new WeComError(
+        -1,
+        available.length > 0
+          ? `未知机器人：${name}。可用机器人：${available.join(', ')}`
+          : `未知机器人：${name}。未配置任何机器人（WECOM_BOTS 或 WECOM_BOTS_FILE）`
+      );
+    }
+
+    return bot.key;
+  }
+
+  /**
+   * 用另一个注册表的内容替换当前配置
+   * 
+   * 用于配置文件变更后重新加载，使持有该实例的模块无需更换引用
+   * 
+   * @param {BotRegistry} other - 新的注册表
+   */
+  replaceWith(other) {
+    this.bots = other.bots;
+    this.defaultBot = other.defaultBot;
+  }
+
+  /**
+   * 列出所有机器人（不包含 webhook key）
+   * 
+   * @returns {BotInfo[]} 机器人列表
+   */
+  list() {
+    return [...this.bots.entries()].map(([name, bot]) => ({
+      name,
+      description: bot.description,
+      default: name === this.defaultBot
+    }));
+  }
+}
+
+/**
+ * 校验并规范化单个机器人配置
+ * 
+ * @param {string} name - 机器人别名
+ * @param {BotConfig|string} config - 机器人配置或 webhook key 字符串
+ * @returns {BotConfig} 规范化后的配置
+ * @throws {WeComError} 当别名或配置格式错误时
+ */
+function normalizeBotConfig(name, config) {
+  if (!BOT_NAME_PATTERN.test(name)) {
+    throw new WeComError(-1, `机器人别名 "${name}" 无效，仅支持字母、数字、下划线和连字符`);
+  }
+
+  const bot = typeof config === 'string' ? { key: config } : config;
+
+  if (!bot || typeof bot.key !== 'string' || !bot.key) {
+    throw new WeComError(-1, `机器人 "${name}" 缺少 key 配置`);
+  }
+
+  if (bot.description !== undefined && typeof bot.description !== 'string') {
+    throw new WeComError(-1, `机器人 "${name}" 的 description 必须是字符串`);
+  }
+
+  return {
+    key: bot.key,
+    description: bot.description || ''
+  };
+}
+
+export default BotRegistry;
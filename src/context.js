@@ -0,0 +1,329 @@
+/**
+ * @fileoverview 服务上下文
+ * @description 汇总一个 MCP 服务实例的全部配置和共享状态：机器人注册表、重试策略、审计日志、
+ * 媒体文件缓存、试运行发件箱、定时任务调度器、提示模板和资源目录
+ * 
+ * 嵌入使用时通过构造参数以编程方式提供配置；命令行通过 ServerContext.fromEnv() 从环境变量读取。
+ * 模块加载时不读取环境变量，也不访问文件系统
+ * 
+ * @module context
+ */
+
+import { homedir } from 'os';
+import { join, delimiter } from 'path';
+import { BotRegistry } from './bot-registry.js';
+import { DEFAULT_RETRY_POLICY } from './retry.js';
+import { AuditLog } from './audit-log.js';
+import { MediaCache } from './media-cache.js';
+import { Outbox } from './outbox.js';
+import { FileSandbox } from './file-sandbox.js';
+import { UrlPolicy } from './url-policy.js';
+import { Scheduler } from './scheduler.js';
+import { PromptCatalog } from './prompts.js';
+import { ResourceCatalog } from './resources.js';
+import { ToolHandler, buildTools } from './tools.js';
+
+/**
+ * 默认数据目录，审计日志、媒体缓存、定时任务和发件箱默认保存在该目录下
+ * @constant {string}
+ */
+export const DEFAULT_DATA_DIR = join(homedir(), '.wecom-robot-mcp');
+
+/**
+ * @typedef {Object} ServerOptions
+ * @property {string|null} [webhookKey] - 默认 webhook key（未指定机器人时使用）
+ * @property {BotRegistry|Object} [bots] - 机器人注册表，或与 WECOM_BOTS 格式相同的配置对象
+ * @property {boolean} [forbidRawWebhookKey=false] - 是否禁止工具调用直接传入 webhook_key
+ * @property {import('./retry.js').RetryPolicy|false} [retry] - 重试策略，未提供的项使用默认值，false 表示不重试
+ * @property {AuditLog|{file?: string, maxBytes?: number, maxFiles?: number}|false} [auditLog] - 审计日志或其配置，false 表示关闭
+ * @property {MediaCache|{file?: string}|false} [mediaCache] - 媒体文件缓存或其配置，false 表示关闭
+ * @property {{file?: string, timezone?: string}} [schedule] - 定时任务文件和默认时区
+ * @property {string} [baseURL] - 接口基础 URL，默认为企业微信官方地址
+ * @property {boolean} [dryRun=false] - 强制试运行，所有请求只写入发件箱
+ * @property {string} [outboxDir] - 试运行发件箱目录
+ * @property {boolean} [markdownStrict=false] - send_message 默认使用严格模式
+ * @property {boolean} [imageConvert=true] - send_image 默认自动转换图片
+ * @property {string} [promptsDir] - 自定义提示模板目录
+ * @property {FileSandbox|{roots?: string[], deny?: string[], baseDir?: string, protectedFiles?: string[], protectedDirs?: string[]}|false} [fileAccess] - 本地文件访问策略或其配置，默认禁止读取 .env、私钥、/proc 等敏感文件和服务自身的数据文件；false 表示不限制
+ * @property {UrlPolicy|{protocols?: string[], allowHosts?: string[], allowPrivateNetwork?: boolean, maxRedirects?: number}|false} [urlAccess] - 网络图片下载策略或其配置，默认禁止访问本机和内网地址；false 表示不限制
+ * @property {function(string): void} [log] - 日志函数（定时任务执行情况、审计日志写入失败、媒体缓存读写失败、MCP 请求处理过程等），默认不输出
+ */
+
+/**
+ * 服务上下文类
+ * 
+ * 同一上下文可供多个 MCPServer 会话共享（例如 HTTP 传输下的多个客户端）
+ * 
+ * @example
+ * const context = new ServerContext({
+ *   bots: { default: 'ops', bots: { ops: { key: 'xxx', description: '运维值班群' } } },
+ *   auditLog: false
+ * });
+ * const handler = new ToolHandler({ context });
+ */
+export class ServerContext {
+  /**
+   * 创建服务上下文
+   * 
+   * @param {ServerOptions} [options] - 服务配置
+   * @throws {WeComError} 当机器人配置或提示模板无效时
+   */
+  constructor({
+    webhookKey = null,
+    bots,
+    forbidRawWebhookKey = false,
+    retry = DEFAULT_RETRY_POLICY,
+    auditLog = {},
+    mediaCache = {},
+    schedule = {},
+    baseURL,
+    dryRun = false,
+    outboxDir,
+    markdownStrict = false,
+    imageConvert = true,
+    promptsDir,
+    fileAccess = {},
+    urlAccess = {},
+    log = () => {}
+  } = {}) {
+    /**
+     * 默认 webhook key
+     * @type {string|null}
+     */
+    this.webhookKey = webhookKey;
+
+    /**
+     * 机器人注册表
+     * @type {BotRegistry}
+     */
+    this.registry = bots instanceof BotRegistry ? bots : BotRegistry.fromConfig(bots || {});
+
+    /**
+     * @type {boolean}
+     */
+    this.forbidRawWebhookKey = forbidRawWebhookKey;
+
+    /**
+     * @type {import('./retry.js').RetryPolicy|false}
+     */
+    this.retry = retry === false ? false : { ...DEFAULT_RETRY_POLICY, ...retry };
+
+    /**
+     * 审计日志，关闭时为 null
+     * @type {AuditLog|null}
+     */
+    this.auditLog = auditLog === false ? null : auditLog instanceof AuditLog ? auditLog : new AuditLog({
+      file: auditLog.file || join(DEFAULT_DATA_DIR, 'audit.jsonl'),
+      maxBytes: auditLog.maxBytes,
+      maxFiles: auditLog.maxFiles,
+      onError: error => log(`[audit] 写入审计日志失败：${error.message}`)
+    });
+
+    /**
+     * 媒体文件缓存，关闭时为 null
+     * @type {MediaCache|null}
+     */
+    this.mediaCache = mediaCache === false ? null : mediaCache instanceof MediaCache ? mediaCache : new MediaCache({
+      file: mediaCache.file || join(DEFAULT_DATA_DIR, 'media-cache.json'),
+      log: message => log(`[media-cache] ${message}`)
+    });
+
+    /**
+     * 定时任务持久化文件
+     * @type {string}
+     */
+    this.scheduleFile = schedule.file || join(DEFAULT_DATA_DIR, 'schedules.json');
+
+    /**
+     * 定时任务默认时区
+     * @type {string}
+     */
+    this.scheduleTimezone = schedule.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    /**
+     * 接口基础 URL，未配置时使用客户端默认值
+     * @type {string|undefined}
+     */
+    this.baseURL = baseURL;
+
+    /**
+     * 是否强制试运行
+     * @type {boolean}
+     */
+    this.dryRun = dryRun;
+
+    /**
+     * 试运行发件箱
+     * @type {Outbox}
+     */
+    this.outbox = new Outbox({ dir: outboxDir || join(DEFAULT_DATA_DIR, 'outbox') });
+
+    /**
+     * @type {boolean}
+     */
+    this.markdownStrict = markdownStrict;
+
+    /**
+     * @type {boolean}
+     */
+    this.imageConvert = imageConvert;
+
+    /**
+     * 本地文件访问策略，关闭时为 null
+     * @type {FileSandbox|null}
+     */
+    this.fileSandbox = fileAccess === false ? null : fileAccess instanceof FileSandbox ? fileAccess : new FileSandbox(fileAccess);
+
+    // 定时任务文件中保存了任务参数，审计日志、媒体缓存和发件箱中有消息内容和上传的文件，均不允许作为文件发送
+    this.fileSandbox?.protect({
+      files: [this.scheduleFile, this.auditLog?.file, this.mediaCache?.file],
+      dirs: [this.outbox.dir]
+    });
+
+    /**
+     * 网络图片下载策略，关闭时为 null
+     * @type {UrlPolicy|null}
+     */
+    this.urlPolicy = urlAccess === false ? null : urlAccess instanceof UrlPolicy ? urlAccess : new UrlPolicy(urlAccess);
+
+    /**
+     * 提示模板目录
+     * @type {PromptCatalog}
+     */
+    this.prompts = PromptCatalog.fromDirectory(promptsDir);
+
+    /**
+     * 资源目录
+     * @type {ResourceCatalog}
+     */
+    this.resources = new ResourceCatalog({ registry: this.registry });
+
+    /**
+     * 日志函数，同一上下文的 MCPServer 默认也使用它
+     * @type {function(string): void}
+     */
+    this.log = log;
+
+    /**
+     * 定时任务调度器，首次使用时创建
+     * @private
+     * @type {Scheduler|null}
+     */
+    this.scheduler = null;
+  }
+
+  /**
+   * 从环境变量创建上下文（命令行使用）
+   * 
+   * @param {Object.<string, string>} [env=process.env] - 环境变量
+   * @param {Object} [options] - 其他选项
+   * @param {function(string): void} [options.log] - 日志函数
+   * @returns {ServerContext} 服务上下文
+   * @throws {WeComError} 当机器人配置或提示模板无法读取、解析时
+   */
+  static fromEnv(env = process.env, { log } = {}) {
+    const maxFiles = parseInt(env.WECOM_AUDIT_LOG_MAX_FILES, 10);
+    const maxRedirects = parseInt(env.WECOM_URL_MAX_REDIRECTS, 10);
+    const splitList = (value, separator) => value.split(separator).map(item => item.trim()).filter(Boolean);
+
+    return new ServerContext({
+      webhookKey: env.WECOM_WEBHOOK_KEY || null,
+      bots: BotRegistry.fromEnv(env),
+      forbidRawWebhookKey: env.WECOM_FORBID_RAW_WEBHOOK_KEY === 'true',
+      retry: {
+        maxAttempts: Number(env.WECOM_RETRY_MAX_ATTEMPTS) || DEFAULT_RETRY_POLICY.maxAttempts,
+        baseDelayMs: Number(env.WECOM_RETRY_BASE_DELAY_MS) || DEFAULT_RETRY_POLICY.baseDelayMs,
+        maxDelayMs: Number(env.WECOM_RETRY_MAX_DELAY_MS) || DEFAULT_RETRY_POLICY.maxDelayMs,
+        deadlineMs: Number(env.WECOM_RETRY_DEADLINE_MS) || DEFAULT_RETRY_POLICY.deadlineMs
+      },
+      auditLog: env.WECOM_AUDIT_LOG === 'false' ? false : {
+        file: env.WECOM_AUDIT_LOG_FILE,
+        maxBytes: parseInt(env.WECOM_AUDIT_LOG_MAX_BYTES, 10) || undefined,
+        maxFiles: maxFiles >= 0 ? maxFiles : undefined
+      },
+      mediaCache: env.WECOM_MEDIA_CACHE === 'false' ? false : { file: env.WECOM_MEDIA_CACHE_FILE },
+      schedule: { file: env.WECOM_SCHEDULE_FILE, timezone: env.WECOM_SCHEDULE_TIMEZONE },
+      baseURL: env.WECOM_API_BASE_URL || undefined,
+      dryRun: env.WECOM_DRY_RUN === 'true',
+      outboxDir: env.WECOM_DRY_RUN_OUTBOX,
+      markdownStrict: env.WECOM_MARKDOWN_STRICT === 'true',
+      imageConvert: env.WECOM_IMAGE_CONVERT !== 'false',
+      promptsDir: env.WECOM_PROMPTS_DIR,
+      fileAccess: {
+        roots: splitList(env.WECOM_FILE_ROOTS || '', delimiter),
+        ...(env.WECOM_FILE_DENY !== undefined && { deny: splitList(env.WECOM_FILE_DENY, ',') }),
+        baseDir: env.WECOM_FILE_BASE_DIR || process.cwd(),
+        // 机器人和客户端 Token 配置文件包含 webhook key 等凭据，不允许作为文件发送
+        protectedFiles: [env.WECOM_BOTS_FILE, env.MCP_HTTP_TOKENS_FILE].filter(Boolean)
+      },
+      urlAccess: {
+        ...(env.WECOM_URL_PROTOCOLS && { protocols: splitList(env.WECOM_URL_PROTOCOLS, ',') }),
+        allowHosts: splitList(env.WECOM_URL_ALLOW_HOSTS || '', ','),
+        allowPrivateNetwork: env.WECOM_URL_ALLOW_PRIVATE_NETWORK === 'true',
+        maxRedirects: maxRedirects >= 0 ? maxRedirects : undefined
+      },
+      log
+    });
+  }
+
+  /**
+   * 获取当前配置下的工具列表（机器人别名枚举、是否允许 webhook_key 等随配置变化）
+   * 
+   * @returns {Object[]} 工具定义列表
+   */
+  listTools() {
+    return buildTools({
+      botNames: this.registry.names(),
+      forbidRawWebhookKey: this.forbidRawWebhookKey,
+      dryRun: this.dryRun,
+      markdownStrict: this.markdownStrict,
+      imageConvert: this.imageConvert,
+      scheduleTimezone: this.scheduleTimezone
+    });
+  }
+
+  /**
+   * 获取定时任务调度器，首次调用时创建并启动
+   * 
+   * 到期任务使用新的 ToolHandler 执行，与直接调用工具的效果相同；
+   * 以创建任务的调用方身份执行，发送记录出现在该调用方的发送历史中，客户端名称记为 scheduler
+   * 
+   * @returns {Scheduler} 调度器
+   * @throws {WeComError} 当任务文件无法解析时
+   */
+  getScheduler() {
+    if (!this.scheduler) {
+      this.scheduler = new Scheduler({
+        file: this.scheduleFile,
+        execute: (tool, args, job) => {
+          const handler = new ToolHandler({ context: this, principal: job.principal });
+          handler.setClientInfo({ name: 'scheduler' });
+          return handler.handle(tool, args);
+        },
+        log: this.log
+      });
+      this.scheduler.start();
+    }
+    return this.scheduler;
+  }
+
+  /**
+   * 替换机器人配置（例如配置文件变更后重新加载），并通知所有会话资源和工具列表已变化
+   * 
+   * @param {BotRegistry} registry - 新的注册表
+   */
+  replaceBots(registry) {
+    this.registry.replaceWith(registry);
+    this.resources.notifyChanged();
+  }
+
+  /**
+   * 停止定时任务调度器
+   */
+  close() {
+    this.scheduler?.stop();
+    this.scheduler = null;
+  }
+}
+
+export default ServerContext;
@@ -0,0 +1,367 @@
+/**
+ * @fileoverview Cron 表达式解析与时区计算
+ * @description 解析标准 5 段 cron 表达式，并在指定 IANA 时区下计算下一次触发时间
+ * 
+ * 表达式格式：`分 时 日 月 周`
+ * - 分：0-59
+ * - 时：0-23
+ * - 日：1-31
+ * - 月：1-12 或 JAN-DEC
+ * - 周：0-7（0 和 7 均表示周日）或 SUN-SAT
+ * 
+ * 每段支持 `*`、单值、范围 `a-b`、带步长 `/n` 的通配或范围（如 `a-b/n`、`a/n`）以及逗号分隔的列表；
+ * 另支持 @yearly、@monthly、@weekly、@daily、@hourly 简写。
+ * 与传统 cron 一致，日和周同时受限时，满足任一即触发
+ * 
+ * 夏令时：按本地时间匹配。切换时跳过的本地时间（例如 02:00-02:59）不会触发；
+ * 时字段受限的任务在重复出现的本地时间（例如 01:00-01:59 出现两次）只在第一次出现时触发，
+ * 时字段为 * 的任务按实际经过的时间照常触发
+ * 
+ * @module cron
+ */
+
+import { WeComError } from './wecom-client.js';
+
+/**
+ * cron 简写
+ * @constant {Object.<string, string>}
+ */
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+/**
+ * 月份与星期的英文缩写
+ * @constant {Object}
+ */
+const NAMES = {
+  month: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'],
+  weekday: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT']
+};
+
+/**
+ * 各字段的取值范围
+ * @constant {Array<Object>}
+ */
+const FIELDS = [
+  { name: 'minute', label: '分', min: 0, max: 59 },
+  { name: 'hour', label: '时', min: 0, max: 23 },
+  { name: 'day', label: '日', min: 1, max: 31 },
+  { name: 'month', label: '月', min: 1, max: 12, names: NAMES.month, offset: 1 },
+  { name: 'weekday', label: '周', min: 0, max: 7, names: NAMES.weekday, offset: 0 }
+];
+
+/**
+ * 查找下一次触发时间的最大跨度（8 年，覆盖 2 月 29 日等稀有日期）
+ * @constant {number}
+ */
+const MAX_SEARCH_MS = 8 * 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * 一分钟的毫秒数
+ * @constant {number}
+ */
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * 判断本地时间是否重复出现时检查的时区偏移变化量（毫秒），覆盖 30 分钟、1 小时和 2 小时的夏令时调整
+ * @constant {number[]}
+ */
+const DST_SHIFTS_MS = [30, 60, 120].map(minutes => minutes * MINUTE_MS);
+
+/**
+ * @typedef {Object} CronSchedule
+ * @property {string} expression - 原始表达式
+ * @property {Set<number>} minute - 匹配的分钟
+ * @property {Set<number>} hour - 匹配的小时
+ * @property {Set<number>} day - 匹配的日期
+ * @property {Set<number>} month - 匹配的月份
+ * @property {Set<number>} weekday - 匹配的星期（0 表示周日）
+ * @property {boolean} hourRestricted - 时字段是否受限（非 *）
+ * @property {boolean} dayRestricted - 日字段是否受限（非 *）
+ * @property {boolean} weekdayRestricted - 周字段是否受限（非 *）
+ */
+
+/**
+ * 解析 cron 表达式
+ * 
+ * @param {string} expression - cron 表达式
+ * @returns {CronSchedule} 解析结果
+ * @throws {WeComError} 当表达式格式错误时
+ * 
+ * @example
+ * parseCron('0 17 * * FRI'); // 每周五 17:00
+ * parseCron('30 9 * * 1-5'); // 工作日 9:30
+ */
+export function parseCron(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new WeComError(-1, 'cron 表达式必须是非空字符串');
+  }
+
+  const normalized = CRON_MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new WeComError(-1, `cron 表达式必须包含 5 段（分 时 日 月 周），实际为 ${parts.length} 段：${expression}`);
+  }
+
+  const schedule = { expression };
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field, expression);
+  });
+
+  // 周字段中 7 与 0 均表示周日
+  if (schedule.weekday.delete(7)) {
+    schedule.weekday.add(0);
+  }
+
+  schedule.hourRestricted = parts[1] !== '*';
+  schedule.dayRestricted = parts[2] !== '*';
+  schedule.weekdayRestricted = parts[4] !== '*';
+
+  return schedule;
+}
+
+/**
+ * 解析 cron 表达式的单个字段
+ * 
+ * @param {string} text - 字段文本
+ * @param {Object} field - 字段定义
+ * @param {string} expression - 完整表达式（用于错误消息）
+ * @returns {Set<number>} 匹配的取值
+ * @throws {WeComError} 当字段格式错误或超出范围时
+ */
+function parseField(text, field, expression) {
+  const values = new Set();
+
+  const fail = () => {
+    throw new WeComError(-1, `cron 表达式「${expression}」的${field.label}字段无效：${text}（取值范围 ${field.min}-${field.max}）`);
+  };
+
+  const parseValue = value => {
+    const index = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+    const number = index >= 0 ? index + field.offset : /^\d+$/.test(value) ? Number(value) : NaN;
+    if (!Number.isInteger(number) || number < field.min || number > field.max) {
+      fail();
+    }
+    return number;
+  };
+
+  for (const item of text.split(',')) {
+    const match = /^([^/]+)(?:\/(\d+))?$/.exec(item);
+    if (!match) {
+      fail();
+    }
+
+    const [, range, stepText] = match;
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (step < 1) {
+      fail();
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from);
+      end = parseValue(to);
+      if (start > end) {
+        fail();
+      }
+    } else {
+      start = parseValue(range);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * 校验 IANA 时区名称是否有效
+ * 
+ * @param {string} timeZone - 时区名称，例如 Asia/Shanghai
+ * @returns {boolean} 是否有效
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 各时区的日期格式化器缓存
+ * @type {Map<string, Intl.DateTimeFormat>}
+ */
+const formatters = new Map();
+
+/**
+ * 获取指定时区的日期格式化器
+ * 
+ * @param {string} timeZone - 时区名称
+ * @returns {Intl.DateTimeFormat} 格式化器
+ * @throws {RangeError} 当时区无效时
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * 获取时间点在指定时区的本地时间各部分
+ * 
+ * @param {number} time - 时间戳（毫秒）
+ * @param {string} timeZone - 时区名称
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}} 本地时间
+ */
+function getZonedParts(time, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(time))) {
+    parts[type] = value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: NAMES.weekday.indexOf(parts.weekday.toUpperCase())
+  };
+}
+
+/**
+ * 将指定时区的本地时间转换为时间戳
+ * 
+ * 夏令时切换导致本地时间不存在时，返回切换后的对应时间
+ * 
+ * @param {{year: number, month: number, day: number, hour?: number, minute?: number, second?: number}} local - 本地时间（月份从 1 开始）
+ * @param {string} timeZone - 时区名称
+ * @returns {number} 时间戳（毫秒）
+ * 
+ * @example
+ * zonedTimeToUtc({ year: 2024, month: 6, day: 1, hour: 9, minute: 30 }, 'Asia/Shanghai');
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // 以本地时间作为 UTC 初值，两次修正时区偏移
+  let time = wallClock;
+  for (let i = 0; i < 2; i++) {
+    const parts = getZonedParts(time, timeZone);
+    const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - time;
+    time = wallClock - offset;
+  }
+
+  return time;
+}
+
+/**
+ * 计算 cron 表达式在指定时区下晚于给定时间的下一次触发时间
+ * 
+ * @param {CronSchedule|string} schedule - 已解析的 cron 表达式或表达式字符串
+ * @param {number} after - 起始时间戳（毫秒），结果严格晚于该时间
+ * @param {string} timeZone - 时区名称
+ * @returns {number} 下一次触发时间戳（毫秒）
+ * @throws {WeComError} 当表达式在可搜索范围内永远不会触发时（例如 2 月 30 日）
+ * 
+ * @example
+ * nextCronTime('0 17 * * FRI', Date.now(), 'Asia/Shanghai');
+ */
+export function nextCronTime(schedule, after, timeZone) {
+  const cron = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  const limit = after + MAX_SEARCH_MS;
+
+  // 从下一个整分钟开始逐级跳过不匹配的月、日、时、分
+  let time = Math.floor(after / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+
+  while (time <= limit) {
+    const local = getZonedParts(time, timeZone);
+    const minutesToNextDay = (23 - local.hour) * 60 + (60 - local.minute);
+
+    if (!cron.month.has(local.month) || !matchesDay(cron, local)) {
+      time += minutesToNextDay * MINUTE_MS;
+      continue;
+    }
+
+    if (!cron.hour.has(local.hour)) {
+      time += (60 - local.minute) * MINUTE_MS;
+      continue;
+    }
+
+    if (!cron.minute.has(local.minute) || (cron.hourRestricted && isRepeatedLocalTime(time, local, timeZone))) {
+      time += MINUTE_MS;
+      continue;
+    }
+
+    return time;
+  }
+
+  throw new WeComError(-1, `cron 表达式「${cron.expression}」在未来 8 年内不会触发`);
+}
+
+/**
+ * 判断本地时间是否已在更早的时间点出现过（夏令时结束时回拨的时段）
+ * 
+ * @param {number} time - 时间戳（毫秒）
+ * @param {{year: number, month: number, day: number, hour: number, minute: number}} local - 该时间点的本地时间
+ * @param {string} timeZone - 时区名称
+ * @returns {boolean} 是否为重复出现的本地时间
+ */
+function isRepeatedLocalTime(time, local, timeZone) {
+  return DST_SHIFTS_MS.some(shift => {
+    const earlier = getZonedParts(time - shift, timeZone);
+    return earlier.year === local.year && earlier.month === local.month && earlier.day === local.day
+      && earlier.hour === local.hour && earlier.minute === local.minute;
+  });
+}
+
+/**
+ * 判断本地日期是否匹配 cron 的日和周字段
+ * 
+ * @param {CronSchedule} cron - 已解析的 cron 表达式
+ * @param {{day: number, weekday: number}} local - 本地时间
+ * @returns {boolean} 是否匹配
+ */
+function matchesDay(cron, local) {
+  const dayMatch = cron.day.has(local.day);
+  const weekdayMatch = cron.weekday.has(local.weekday);
+
+  if (cron.dayRestricted && cron.weekdayRestricted) {
+    return dayMatch || weekdayMatch;
+  }
+  return dayMatch && weekdayMatch;
+}
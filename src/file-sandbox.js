@@ -0,0 +1,261 @@
+/**
+ * @fileoverview 本地文件访问策略
+ * @description 限制 send_file、send_voice、send_image 等工具可以读取的本地文件，
+ * 防止被提示词注入的模型把 ~/.ssh/id_rsa、/etc/passwd、.env 等文件发送到群聊
+ * 
+ * 检查顺序（均基于解析符号链接和 .. 之后的真实路径）：
+ * 1. 服务自身的配置和数据文件（WECOM_BOTS_FILE、定时任务文件、审计日志、媒体缓存、试运行发件箱等）始终拒绝
+ * 2. 匹配禁止模式（deny）的路径拒绝，默认包含 .env、私钥、证书、常见凭据目录，
+ *    以及 /proc、/sys（/proc/self/environ 中包含服务进程的全部环境变量）
+ * 3. 配置了允许目录（roots）时，只允许读取这些目录内的文件
+ * 
+ * 相对路径相对于基础目录（baseDir）解析，而不是服务进程的当前目录
+ * 
+ * @module file-sandbox
+ */
+
+import { realpath } from 'fs/promises';
+import { resolve, sep } from 'path';
+import { WeComError } from './wecom-client.js';
+
+/**
+ * 默认禁止读取的路径模式
+ * @constant {string[]}
+ */
+export const DEFAULT_DENY_PATTERNS = [
+  '**/.env',
+  '**/.env.*',
+  '**/*.pem',
+  '**/*.key',
+  '**/*.p12',
+  '**/*.pfx',
+  '**/id_rsa*',
+  '**/id_dsa*',
+  '**/id_ecdsa*',
+  '**/id_ed25519*',
+  '**/.ssh/**',
+  '**/.gnupg/**',
+  '**/.aws/**',
+  '**/.kube/**',
+  '**/.docker/config.json',
+  '**/.netrc',
+  '**/.npmrc',
+  '**/.git-credentials',
+  '/etc/passwd',
+  '/etc/shadow',
+  '/proc/**',
+  '/sys/**'
+];
+
+/**
+ * 拒绝原因
+ * @enum {string}
+ */
+export const FILE_POLICY = {
+  PROTECTED: 'protected',
+  DENY: 'deny',
+  ROOTS: 'roots'
+};
+
+/**
+ * Windows 和 macOS 的默认文件系统不区分大小写，.ENV、ID_RSA 与 .env、id_rsa 是同一个文件
+ * @constant {boolean}
+ */
+const CASE_INSENSITIVE_FS = process.platform === 'win32' || process.platform === 'darwin';
+
+/**
+ * 将 glob 模式转换为正则表达式
+ * 
+ * - `**` 匹配任意层级目录（`**\/` 可匹配零层）
+ * - `*` 匹配除 / 以外的任意字符
+ * - `?` 匹配除 / 以外的单个字符
+ * - 不含 / 的模式匹配任意目录下的文件名，等同于 `**\/模式`
+ * - Windows 和 macOS 上不区分大小写
+ * 
+ * @param {string} pattern - glob 模式
+ * @returns {RegExp} 匹配以 / 分隔的绝对路径的正则表达式
+ */
+export function globToRegExp(pattern) {
+  const glob = pattern.includes('/') ? pattern : `**/${pattern}`;
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`, CASE_INSENSITIVE_FS ? 'i' : '');
+}
+
+/**
+ * 统一使用 / 作为分隔符，便于匹配 glob 模式
+ * 
+ * @param {string} path - 绝对路径
+ * @returns {string} 以 / 分隔的路径
+ */
+function toSlashPath(path) {
+  return sep === '/' ? path : path.split(sep).join('/');
+}
+
+/**
+ * 判断路径是否为目录本身或位于目录内
+ * 
+ * @param {string} path - 绝对路径
+ * @param {string} dir - 目录的绝对路径
+ * @returns {boolean} 是否位于目录内
+ */
+function isInside(path, dir) {
+  return path === dir || path.startsWith(dir.endsWith(sep) ? dir : dir + sep);
+}
+
+/**
+ * 解析真实路径，路径不存在时退回到词法解析的结果
+ * 
+ * @param {string} path - 绝对路径
+ * @returns {Promise<string>} 真实路径
+ */
+async function realpathOrSelf(path) {
+  try {
+    return await realpath(path);
+  } catch {
+    return path;
+  }
+}
+
+/**
+ * 本地文件访问策略类
+ * 
+ * @example
+ * const sandbox = new FileSandbox({ roots: ['/srv/reports'], baseDir: '/srv/reports' });
+ * await sandbox.resolve('weekly.pdf'); // '/srv/reports/weekly.pdf'
+ * await sandbox.resolve('../../etc/passwd'); // 抛出 WeComError
+ */
+export class FileSandbox {
+  /**
+   * 创建文件访问策略
+   * 
+   * @param {Object} [options] - 策略选项
+   * @param {string[]} [options.roots=[]] - 允许读取的根目录，为空时不限制目录
+   * @param {string[]} [options.deny] - 禁止读取的 glob 模式，默认为 DEFAULT_DENY_PATTERNS
+   * @param {string} [options.baseDir=process.cwd()] - 相对路径的基础目录
+   * @param {string[]} [options.protectedFiles=[]] - 始终禁止读取的服务配置和数据文件（同时禁止轮转、临时文件等以「文件名.」开头的同目录文件）
+   * @param {string[]} [options.protectedDirs=[]] - 始终禁止读取的服务数据目录（包括其中的所有文件）
+   */
+  constructor({ roots = [], deny = DEFAULT_DENY_PATTERNS, baseDir = process.cwd(), protectedFiles = [], protectedDirs = [] } = {}) {
+    /**
+     * @type {string}
+     */
+    this.baseDir = resolve(baseDir);
+
+    /**
+     * @type {string[]}
+     */
+    this.roots = roots.map(root => resolve(this.baseDir, root));
+
+    /**
+     * @type {string[]}
+     */
+    this.deny = [...deny];
+
+    /**
+     * @private
+     * @type {Array<{pattern: string, regexp: RegExp}>}
+     */
+    this.denyMatchers = this.deny.map(pattern => ({ pattern, regexp: globToRegExp(pattern) }));
+
+    /**
+     * @private
+     * @type {string[]}
+     */
+    this.protectedFiles = [];
+
+    /**
+     * @private
+     * @type {string[]}
+     */
+    this.protectedDirs = [];
+
+    this.protect({ files: protectedFiles, dirs: protectedDirs });
+  }
+
+  /**
+   * 添加始终禁止读取的服务配置和数据文件
+   * 
+   * @param {Object} paths - 禁止读取的路径
+   * @param {string[]} [paths.files=[]] - 文件（同时禁止以「文件名.」开头的轮转、临时文件）
+   * @param {string[]} [paths.dirs=[]] - 目录（包括其中的所有文件）
+   */
+  protect({ files = [], dirs = [] }) {
+    this.protectedFiles.push(...files.filter(Boolean).map(file => resolve(this.baseDir, file)));
+    this.protectedDirs.push(...dirs.filter(Boolean).map(dir => resolve(this.baseDir, dir)));
+  }
+
+  /**
+   * 解析并检查文件路径
+   * 
+   * @param {string} filePath - 调用方提供的路径（绝对路径，或相对于 baseDir 的路径）
+   * @returns {Promise<string>} 允许读取的真实路径，应使用该路径读取文件
+   * @throws {Error} 当文件不存在时抛出原始的 ENOENT 错误
+   * @throws {WeComError} 当路径被策略拒绝时，data 中包含原路径、真实路径和拒绝原因
+   */
+  async resolve(filePath) {
+    const requested = resolve(this.baseDir, filePath);
+    const real = await realpath(requested);
+
+    const reject = (policy, reason, detail) => {
+      throw new WeComError(
+        -1,
+        `拒绝读取文件 ${filePath}（实际路径 ${real}）：${reason}`,
+        { path: filePath, resolved: real, policy, ...detail }
+      );
+    };
+
+    for (const file of this.protectedFiles) {
+      const protectedFile = await realpathOrSelf(file);
+      if (real === protectedFile || real.startsWith(`${protectedFile}.`)) {
+        reject(FILE_POLICY.PROTECTED, '该文件是服务配置或数据文件，可能包含 webhook key');
+      }
+    }
+
+    for (const dir of this.protectedDirs) {
+      if (isInside(real, await realpathOrSelf(dir))) {
+        reject(FILE_POLICY.PROTECTED, '该文件位于服务数据目录内');
+      }
+    }
+
+    // 同时检查请求的路径和真实路径，指向敏感文件的符号链接与敏感文件名本身都会被拒绝
+    for (const { pattern, regexp } of this.denyMatchers) {
+      if (regexp.test(toSlashPath(real)) || regexp.test(toSlashPath(requested))) {
+        reject(FILE_POLICY.DENY, `匹配禁止读取的路径模式 ${pattern}`, { pattern });
+      }
+    }
+
+    if (this.roots.length > 0) {
+      const roots = await Promise.all(this.roots.map(realpathOrSelf));
+      const allowed = roots.some(root => isInside(real, root));
+
+      if (!allowed) {
+        reject(FILE_POLICY.ROOTS, `不在允许读取的目录内（${this.roots.join(', ')}）`, { roots: this.roots });
+      }
+    }
+
+    return real;
+  }
+}
+
+export default FileSandbox;
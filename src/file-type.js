@@ -0,0 +1,392 @@
+/**
+ * @fileoverview 文件类型识别工具
+ * @description 按文件头魔数识别文件的真实类型，不依赖扩展名：
+ * 图片、PDF、Office 文档（OOXML 与旧版 OLE2 格式）、压缩包、AMR 语音、常见音视频，
+ * 以及无法匹配任何魔数时的 UTF-8 文本
+ * 
+ * 上传文件时使用识别出的 MIME 类型，并在扩展名与内容不符（例如内容为 JPEG 的 .png 文件，
+ * 或没有扩展名的 PDF）时在结果中给出提示
+ * 
+ * @module file-type
+ */
+
+import { extname } from 'path';
+import { detectImageFormat, IMAGE_FORMAT } from './image-convert.js';
+import { isAmr } from './amr.js';
+
+/**
+ * 文件类别
+ * @enum {string}
+ */
+export const FILE_CATEGORY = {
+  IMAGE: 'image',
+  DOCUMENT: 'document',
+  ARCHIVE: 'archive',
+  AUDIO: 'audio',
+  VIDEO: 'video',
+  TEXT: 'text'
+};
+
+/**
+ * 扩展名对应的 MIME 类型
+ * @constant {Object.<string, string>}
+ */
+export const MIME_TYPES = {
+  // 文档
+  'pdf': 'application/pdf',
+  'doc': 'application/msword',
+  'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'xls': 'application/vnd.ms-excel',
+  'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'ppt': 'application/vnd.ms-powerpoint',
+  'pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  // 文本
+  'txt': 'text/plain',
+  'csv': 'text/csv',
+  'md': 'text/markdown',
+  'log': 'text/plain',
+  'json': 'application/json',
+  'xml': 'application/xml',
+  'html': 'text/html',
+  'htm': 'text/html',
+  'svg': 'image/svg+xml',
+  // 压缩文件
+  'zip': 'application/zip',
+  'rar': 'application/x-rar-compressed',
+  '7z': 'application/x-7z-compressed',
+  'gz': 'application/gzip',
+  'tgz': 'application/gzip',
+  'tar': 'application/x-tar',
+  'bz2': 'application/x-bzip2',
+  'xz': 'application/x-xz',
+  // 图片
+  'jpg': 'image/jpeg',
+  'jpeg': 'image/jpeg',
+  'png': 'image/png',
+  'gif': 'image/gif',
+  'bmp': 'image/bmp',
+  'webp': 'image/webp',
+  // 音频
+  'mp3': 'audio/mpeg',
+  'wav': 'audio/wav',
+  'amr': 'audio/amr',
+  'awb': 'audio/amr-wb',
+  'm4a': 'audio/mp4',
+  'aac': 'audio/aac',
+  'ogg': 'audio/ogg',
+  'flac': 'audio/flac',
+  // 视频
+  'mp4': 'video/mp4',
+  'avi': 'video/x-msvideo',
+  'mov': 'video/quicktime',
+  'mkv': 'video/x-matroska',
+  'webm': 'video/webm'
+};
+
+/**
+ * 内容为文本时不视为不符的扩展名
+ * @constant {string[]}
+ */
+const TEXT_EXTENSIONS = Object.keys(MIME_TYPES).filter(ext => {
+  const mime = MIME_TYPES[ext];
+  return mime.startsWith('text/') || mime.endsWith('/json') || mime.endsWith('xml');
+});
+
+/**
+ * 识别结果
+ * 
+ * - ext: 识别出的类型（通常为该类型的标准扩展名）
+ * - extensions: 与该内容相符的扩展名
+ * 
+ * @typedef {Object} DetectedFileType
+ * @property {string} ext - 识别出的类型
+ * @property {string} mime - MIME 类型
+ * @property {string} category - 文件类别，参见 FILE_CATEGORY
+ * @property {string[]} extensions - 与内容相符的扩展名
+ */
+
+/**
+ * 创建识别结果
+ * 
+ * @param {string} ext - 识别出的类型
+ * @param {string} category - 文件类别
+ * @param {string[]} [extensions=[ext]] - 与内容相符的扩展名
+ * @param {string} [mime] - MIME 类型，默认按 ext 查表
+ * @returns {DetectedFileType} 识别结果
+ */
+function fileType(ext, category, extensions = [ext], mime = MIME_TYPES[ext]) {
+  return { ext, mime, category, extensions };
+}
+
+/**
+ * 图片格式对应的识别结果
+ * 
+ * @param {string} format - 图片格式，参见 IMAGE_FORMAT
+ * @returns {DetectedFileType} 识别结果
+ */
+function imageFileType(format) {
+  return format === IMAGE_FORMAT.JPEG
+    ? fileType('jpeg', FILE_CATEGORY.IMAGE, ['jpg', 'jpeg'])
+    : fileType(format, FILE_CATEGORY.IMAGE);
+}
+
+/**
+ * 判断 Buffer 在指定位置是否为给定的字节序列
+ * 
+ * @param {Buffer} buffer - 文件内容
+ * @param {number[]|string} signature - 字节序列，字符串按 latin1 编码
+ * @param {number} [offset=0] - 起始位置
+ * @returns {boolean} 是否匹配
+ */
+function hasSignature(buffer, signature, offset = 0) {
+  const bytes = typeof signature === 'string' ? Buffer.from(signature, 'latin1') : Buffer.from(signature);
+  return buffer.length >= offset + bytes.length && buffer.subarray(offset, offset + bytes.length).equals(bytes);
+}
+
+/**
+ * 识别 ZIP 容器中的 Office Open XML 文档
+ * 
+ * OOXML 文件中必定包含 [Content_Types].xml，主文档位于 word/、xl/ 或 ppt/ 目录下；
+ * 文件名以明文保存在本地文件头和中央目录中，直接查找即可
+ * 
+ * @param {Buffer} buffer - ZIP 文件内容
+ * @returns {DetectedFileType} 识别结果，不是 OOXML 时为普通 ZIP
+ */
+function detectZip(buffer) {
+  if (buffer.includes('[Content_Types].xml', 0, 'latin1')) {
+    if (buffer.includes('word/', 0, 'latin1')) {
+      return fileType('docx', FILE_CATEGORY.DOCUMENT);
+    }
+    if (buffer.includes('xl/', 0, 'latin1')) {
+      return fileType('xlsx', FILE_CATEGORY.DOCUMENT);
+    }
+    if (buffer.includes('ppt/', 0, 'latin1')) {
+      return fileType('pptx', FILE_CATEGORY.DOCUMENT);
+    }
+  }
+  return fileType('zip', FILE_CATEGORY.ARCHIVE);
+}
+
+/**
+ * 识别 OLE2 复合文档（旧版 doc、xls、ppt，以及 WPS 的 wps、et、dps）
+ * 
+ * 根据目录中的流名称（UTF-16LE 编码）区分文档类型
+ * 
+ * @param {Buffer} buffer - 复合文档内容
+ * @returns {DetectedFileType} 识别结果
+ */
+function detectOle2(buffer) {
+  const hasStream = name => buffer.includes(Buffer.from(name, 'utf16le'));
+
+  if (hasStream('WordDocument')) {
+    return fileType('doc', FILE_CATEGORY.DOCUMENT, ['doc', 'dot', 'wps']);
+  }
+  if (hasStream('Workbook') || hasStream('Book')) {
+    return fileType('xls', FILE_CATEGORY.DOCUMENT, ['xls', 'xlt', 'et']);
+  }
+  if (hasStream('PowerPoint Document')) {
+    return fileType('ppt', FILE_CATEGORY.DOCUMENT, ['ppt', 'pps', 'pot', 'dps']);
+  }
+  return fileType('doc', FILE_CATEGORY.DOCUMENT, ['doc', 'xls', 'ppt', 'msg', 'wps', 'et', 'dps'], 'application/x-ole-storage');
+}
+
+/**
+ * 识别 ISO 基础媒体文件（MP4、M4A、MOV 等，第 4 字节起为 ftyp 盒）
+ * 
+ * @param {Buffer} buffer - 文件内容
+ * @returns {DetectedFileType} 识别结果
+ */
+function detectFtyp(buffer) {
+  const brand = buffer.toString('latin1', 8, 12);
+
+  if (brand === 'M4A ' || brand === 'M4B ') {
+    return fileType('m4a', FILE_CATEGORY.AUDIO);
+  }
+  if (brand === 'qt  ') {
+    return fileType('mov', FILE_CATEGORY.VIDEO);
+  }
+  return fileType('mp4', FILE_CATEGORY.VIDEO, ['mp4', 'm4v']);
+}
+
+/**
+ * 判断内容是否为文本（UTF-8 或带 BOM 的 UTF-16）
+ * 
+ * 只检查开头 8KB：不含 NUL 字节且是有效的 UTF-8（末尾被截断的多字节字符不算错误）
+ * 
+ * @param {Buffer} buffer - 文件内容
+ * @returns {boolean} 是否为文本
+ */
+function isText(buffer) {
+  if (hasSignature(buffer, [0xff, 0xfe]) || hasSignature(buffer, [0xfe, 0xff])) {
+    return true;
+  }
+
+  const head = buffer.subarray(0, 8192);
+  if (head.includes(0)) {
+    return false;
+  }
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 根据文件头魔数识别文件类型
+ * 
+ * @param {Buffer} buffer - 文件内容
+ * @returns {DetectedFileType|null} 识别结果，无法识别时为 null
+ * 
+ * @example
+ * detectFileType(await readFile('/path/to/report')); // { ext: 'pdf', mime: 'application/pdf', ... }
+ */
+export function detectFileType(buffer) {
+  const imageFormat = detectImageFormat(buffer);
+  if (imageFormat) {
+    return imageFileType(imageFormat);
+  }
+
+  if (hasSignature(buffer, '%PDF-')) {
+    return fileType('pdf', FILE_CATEGORY.DOCUMENT);
+  }
+  if (hasSignature(buffer, [0x50, 0x4b, 0x03, 0x04]) || hasSignature(buffer, [0x50, 0x4b, 0x05, 0x06])) {
+    return detectZip(buffer);
+  }
+  if (hasSignature(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) {
+    return detectOle2(buffer);
+  }
+  if (hasSignature(buffer, 'Rar!\x1a\x07')) {
+    return fileType('rar', FILE_CATEGORY.ARCHIVE);
+  }
+  if (hasSignature(buffer, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])) {
+    return fileType('7z', FILE_CATEGORY.ARCHIVE);
+  }
+  if (hasSignature(buffer, [0x1f, 0x8b])) {
+    return fileType('gz', FILE_CATEGORY.ARCHIVE, ['gz', 'tgz']);
+  }
+  if (hasSignature(buffer, 'BZh')) {
+    return fileType('bz2', FILE_CATEGORY.ARCHIVE, ['bz2', 'tbz2']);
+  }
+  if (hasSignature(buffer, [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00])) {
+    return fileType('xz', FILE_CATEGORY.ARCHIVE, ['xz', 'txz']);
+  }
+  if (hasSignature(buffer, 'ustar', 257)) {
+    return fileType('tar', FILE_CATEGORY.ARCHIVE);
+  }
+
+  if (isAmr(buffer)) {
+    return hasSignature(buffer, '#!AMR-WB\n')
+      ? fileType('awb', FILE_CATEGORY.AUDIO, ['awb', 'amr'])
+      : fileType('amr', FILE_CATEGORY.AUDIO);
+  }
+  if (hasSignature(buffer, 'RIFF') && hasSignature(buffer, 'WAVE', 8)) {
+    return fileType('wav', FILE_CATEGORY.AUDIO);
+  }
+  if (hasSignature(buffer, 'RIFF') && hasSignature(buffer, 'AVI ', 8)) {
+    return fileType('avi', FILE_CATEGORY.VIDEO);
+  }
+  if (hasSignature(buffer, 'ftyp', 4)) {
+    return detectFtyp(buffer);
+  }
+  if (hasSignature(buffer, 'OggS')) {
+    return fileType('ogg', FILE_CATEGORY.AUDIO, ['ogg', 'oga', 'opus']);
+  }
+  if (hasSignature(buffer, 'fLaC')) {
+    return fileType('flac', FILE_CATEGORY.AUDIO);
+  }
+  if (hasSignature(buffer, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return buffer.subarray(0, 64).includes('webm', 0, 'latin1')
+      ? fileType('webm', FILE_CATEGORY.VIDEO)
+      : fileType('mkv', FILE_CATEGORY.VIDEO, ['mkv', 'mka']);
+  }
+  // MP3 以 ID3 标签或 MPEG 音频帧同步字开头；layer 位为 00 的同步字是 AAC（ADTS）。
+  // FF FE 同时也是 UTF-16LE 的 BOM，按文本处理
+  const frameSync = buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0 && buffer[1] !== 0xfe;
+  if (hasSignature(buffer, 'ID3') || frameSync) {
+    return buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0x06) === 0
+      ? fileType('aac', FILE_CATEGORY.AUDIO)
+      : fileType('mp3', FILE_CATEGORY.AUDIO);
+  }
+
+  if (isText(buffer)) {
+    return fileType('txt', FILE_CATEGORY.TEXT, TEXT_EXTENSIONS);
+  }
+
+  return null;
+}
+
+/**
+ * 根据扩展名获取 MIME 类型
+ * 
+ * @param {string} filename - 文件名或路径
+ * @returns {string|null} MIME 类型，扩展名未知时为 null
+ */
+export function getMimeTypeByExtension(filename) {
+  const ext = extname(filename).slice(1).toLowerCase();
+  return Object.hasOwn(MIME_TYPES, ext) ? MIME_TYPES[ext] : null;
+}
+
+/**
+ * @typedef {Object} FileTypeInfo
+ * @property {string|null} extension - 文件名中的扩展名（小写，不含点），没有扩展名时为 null
+ * @property {string|null} detected - 按内容识别出的类型，无法识别时为 null
+ * @property {string|null} category - 按内容识别出的文件类别
+ * @property {string} mime - 上传时使用的 MIME 类型：优先按内容识别，其次按扩展名
+ * @property {boolean} mismatch - 扩展名是否与内容不符
+ * @property {string} [warning] - 不符时的说明
+ */
+
+/**
+ * 识别文件类型并与扩展名比较
+ * 
+ * 以下情况视为不符：扩展名是已知类型但与内容不同，或者没有扩展名而内容是二进制格式。
+ * 未知的扩展名（例如 .dat）和无法识别的内容不做判断
+ * 
+ * @param {Buffer} buffer - 文件内容
+ * @param {string} filename - 文件名
+ * @returns {FileTypeInfo} 类型信息
+ * 
+ * @example
+ * inspectFileType(jpegBuffer, 'photo.png');
+ * // { extension: 'png', detected: 'jpeg', category: 'image', mime: 'image/jpeg', mismatch: true, warning: '...' }
+ */
+export function inspectFileType(buffer, filename) {
+  const extension = extname(filename).slice(1).toLowerCase() || null;
+  const detected = detectFileType(buffer);
+
+  const info = {
+    extension,
+    detected: detected?.ext ?? null,
+    category: detected?.category ?? null,
+    mime: detected?.mime || getMimeTypeByExtension(filename) || 'application/octet-stream',
+    mismatch: false
+  };
+
+  if (!detected) {
+    return info;
+  }
+
+  if (extension === null) {
+    info.mismatch = detected.category !== FILE_CATEGORY.TEXT;
+  } else {
+    info.mismatch = Object.hasOwn(MIME_TYPES, extension) && !detected.extensions.includes(extension);
+  }
+
+  // 文本内容无法进一步区分，扩展名相符时使用扩展名对应的类型（例如 text/markdown、text/csv）
+  if (detected.category === FILE_CATEGORY.TEXT && !info.mismatch && Object.hasOwn(MIME_TYPES, extension)) {
+    info.mime = MIME_TYPES[extension];
+  }
+
+  if (info.mismatch) {
+    info.warning = extension === null
+      ? `文件没有扩展名，内容为 ${detected.ext} 格式，接收方可能无法直接打开`
+      : `扩展名 .${extension} 与文件内容（${detected.ext} 格式）不符，接收方可能无法直接打开`;
+  }
+
+  return info;
+}
+
+export default { detectFileType, inspectFileType, getMimeTypeByExtension };
@@ -0,0 +1,772 @@
+/**
+ * @fileoverview MCP HTTP 传输层
+ * @description 实现 MCP Streamable HTTP 传输（2025-03-26），并兼容旧版 HTTP + SSE 传输（2024-11-05），
+ * 使多个客户端可以共享同一个服务部署
+ * 
+ * 端点：
+ * - POST /mcp: Streamable HTTP，提交 JSON-RPC 消息（支持批量），响应以 JSON 返回
+ * - GET /mcp: Streamable HTTP，打开 SSE 流接收服务器主动推送的通知
+ * - DELETE /mcp: Streamable HTTP，结束会话
+ * - GET /sse: 旧版 SSE 传输，打开 SSE 流并通过 endpoint 事件告知消息提交地址
+ * - POST /messages?sessionId=xxx: 旧版 SSE 传输，提交 JSON-RPC 消息，响应通过 SSE 流返回
+ * - GET /health: 健康检查（无需认证）
+ * 
+ * 认证：每个客户端使用独立的 Bearer Token，会话与创建它的客户端绑定
+ * 
+ * 防 DNS 重绑定：校验 Host 请求头是否为监听地址（或允许的主机名），以及浏览器 Origin 是否在允许列表中
+ * 
+ * @module http-transport
+ */
+
+import { createServer } from 'http';
+import { randomUUID, createHash } from 'crypto';
+
+/**
+ * 会话 ID 请求/响应头名称
+ * @constant {string}
+ */
+const SESSION_HEADER = 'mcp-session-id';
+
+/**
+ * 会话默认机器人请求头名称
+ * @constant {string}
+ */
+const DEFAULT_BOT_HEADER = 'x-wecom-default-bot';
+
+/**
+ * 请求体最大字节数
+ * @constant {number}
+ */
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+/**
+ * 会话空闲超时时间（毫秒）
+ * @constant {number}
+ */
+const SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+/**
+ * SSE 心跳间隔（毫秒），避免代理因空闲断开连接
+ * @constant {number}
+ */
+const SSE_KEEPALIVE_MS = 25 * 1000;
+
+/**
+ * 本机回环地址，监听这些地址时 Host 可以是其中任意一个
+ * @constant {string[]}
+ */
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+
+/**
+ * 监听所有网卡的通配地址，此时不限制 Host（除非配置了允许的主机名）
+ * @constant {string[]}
+ */
+const WILDCARD_HOSTS = ['0.0.0.0', '::'];
+
+/**
+ * 未配置 Token 时使用的匿名客户端
+ * @constant {{name: string}}
+ */
+const ANONYMOUS_CLIENT = { name: 'anonymous' };
+
+/**
+ * @typedef {Object} HttpClient
+ * @property {string} name - 客户端名称（用于日志和会话归属）
+ * @property {string} [default_bot] - 该客户端会话的默认机器人别名
+ */
+
+/**
+ * @typedef {Object} SessionHandler
+ * @property {function(Object): Promise<void>} handleMessage - 处理单条 JSON-RPC 消息
+ * @property {function(): void} [close] - 会话结束时释放资源
+ */
+
+/**
+ * @typedef {Object} SessionOptions
+ * @property {string} sessionId - 会话 ID
+ * @property {HttpClient} client - 创建会话的客户端
+ * @property {string|null} defaultBot - 会话默认机器人别名
+ * @property {function(string): void} output - 输出 JSON-RPC 消息的函数
+ */
+
+/**
+ * 解析客户端 Token 配置
+ * 
+ * 配置格式：以 Token 为键的对象，值为客户端名称字符串或 HttpClient 对象
+ * 
+ * @param {string} json - JSON 字符串
+ * @returns {Map<string, HttpClient>} Token 哈希到客户端的映射
+ * @throws {Error} 当 JSON 格式错误或配置不合法时
+ * 
+ * @example
+ * parseClientTokens('{"token-a": "alice", "token-b": {"name": "bob", "default_bot": "ops"}}');
+ */
+export function parseClientTokens(json) {
+  let config;
+  try {
+    config = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`客户端 Token 配置不是有效的 JSON：${error.message}`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('客户端 Token 配置必须是以 Token 为键的对象');
+  }
+
+  const clients = new Map();
+  for (const [token, value] of Object.entries(config)) {
+    const client = typeof value === 'string' ? { name: value } : value;
+    if (!client || typeof client.name !== 'string' || !client.name) {
+      throw new Error('客户端 Token 配置中每个 Token 都必须指定客户端名称');
+    }
+    clients.set(hashToken(token), client);
+  }
+
+  return clients;
+}
+
+/**
+ * 计算 Token 的哈希值，避免在内存中以明文作为查找键
+ * 
+ * @param {string} token - Bearer Token
+ * @returns {string} SHA-256 十六进制哈希
+ */
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * 计算允许的 Host 主机名
+ * 
+ * 监听回环地址时允许所有回环主机名；监听具体地址时只允许该地址；
+ * 监听通配地址时只允许配置的主机名，未配置时不校验
+ * 
+ * @param {string} host - 监听地址
+ * @param {string[]} allowedHosts - 额外允许的主机名
+ * @returns {string[]|null} 允许的主机名（小写，IPv6 地址不带方括号）；不校验时为 null
+ */
+function allowedHostnames(host, allowedHosts) {
+  const normalize = name => name.trim().replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  const bound = normalize(host);
+  const extra = allowedHosts.map(normalize);
+
+  if (WILDCARD_HOSTS.includes(bound)) {
+    return extra.length > 0 ? extra : null;
+  }
+  return [...new Set([...(LOOPBACK_HOSTS.includes(bound) ? LOOPBACK_HOSTS : [bound]), ...extra])];
+}
+
+/**
+ * HTTP 请求处理错误
+ * 
+ * 携带 HTTP 状态码，由传输层统一转换为错误响应
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP 状态码
+   * @param {string} message - 错误消息
+   * @param {Object.<string, string>} [headers] - 额外响应头
+   */
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+/**
+ * MCP HTTP 传输类
+ * 
+ * 每个会话使用独立的会话处理器（通常是独立的 MCPServer 实例），
+ * 与 stdio 传输复用同一套 JSON-RPC 路由逻辑
+ * 
+ * @example
+ * const transport = new HttpTransport({
+ *   port: 3000,
+ *   clients: parseClientTokens(process.env.MCP_HTTP_TOKENS),
+ *   createSession: ({ defaultBot, output }) => new MCPServer({ defaultBot, output })
+ * });
+ * await transport.start();
+ */
+export class HttpTransport {
+  /**
+   * 创建 HTTP 传输实例
+   * 
+   * @param {Object} options - 传输选项
+   * @param {function(SessionOptions): SessionHandler} options.createSession - 会话处理器工厂
+   * @param {number} [options.port=3000] - 监听端口
+   * @param {string} [options.host='127.0.0.1'] - 监听地址
+   * @param {Map<string, HttpClient>} [options.clients] - Token 哈希到客户端的映射，为空时不校验 Token
+   * @param {string[]} [options.allowedOrigins=[]] - 允许的浏览器 Origin，请求带有其他 Origin 时拒绝
+   * @param {string[]} [options.allowedHosts=[]] - 除监听地址外允许的 Host 主机名（例如反向代理使用的域名）；
+   *   监听通配地址（0.0.0.0、::）且未配置时不校验 Host
+   * @param {function(string): void} [options.log] - 日志函数
+   */
+  constructor({ createSession, port = 3000, host = '127.0.0.1', clients = new Map(), allowedOrigins = [], allowedHosts = [], log = () => {} }) {
+    /**
+     * @private
+     * @type {function(SessionOptions): SessionHandler}
+     */
+    this.createSession = createSession;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.port = port;
+
+    /**
+     * @private
+     * @type {string}
+     */
+    this.host = host;
+
+    /**
+     * @private
+     * @type {Map<string, HttpClient>}
+     */
+    this.clients = clients;
+
+    /**
+     * @private
+     * @type {string[]}
+     */
+    this.allowedOrigins = allowedOrigins;
+
+    /**
+     * 允许的 Host 主机名（小写，IPv6 地址不带方括号），为 null 时不校验
+     * @private
+     * @type {string[]|null}
+     */
+    this.allowedHosts = allowedHostnames(host, allowedHosts);
+
+    /**
+     * @private
+     * @type {function(string): void}
+     */
+    this.log = log;
+
+    /**
+     * 活跃会话
+     * @private
+     * @type {Map<string, Object>}
+     */
+    this.sessions = new Map();
+
+    /**
+     * @private
+     * @type {import('http').Server|null}
+     */
+    this.server = null;
+
+    /**
+     * @private
+     * @type {NodeJS.Timeout|null}
+     */
+    this.sweepTimer = null;
+  }
+
+  /**
+   * 启动 HTTP 服务
+   * 
+   * @returns {Promise<{host: string, port: number}>} 实际监听的地址和端口
+   */
+  start() {
+    this.server = createServer((req, res) => {
+      this._handleRequest(req, res).catch(error => this._sendHttpError(res, error));
+    });
+
+    // 定期清理空闲会话
+    this.sweepTimer = setInterval(() => this._sweepSessions(), 60 * 1000);
+    this.sweepTimer.unref();
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        const { address, port } = this.server.address();
+        this.log(`HTTP 传输已启动：http://${address}:${port}/mcp（旧版 SSE：/sse）`);
+        resolve({ host: address, port });
+      });
+    });
+  }
+
+  /**
+   * 关闭 HTTP 服务和所有会话
+   * 
+   * @returns {Promise<void>}
+   */
+  close() {
+    clearInterval(this.sweepTimer);
+
+    for (const sessionId of [...this.sessions.keys()]) {
+      this._closeSession(sessionId);
+    }
+
+    return new Promise(resolve => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+      this.server.close(() => resolve());
+      this.server.closeAllConnections?.();
+    });
+  }
+
+  /**
+   * 分发 HTTP 请求
+   * 
+   * @param {import('http').IncomingMessage} req - HTTP 请求
+   * @param {import('http').ServerResponse} res - HTTP 响应
+   * @private
+   */
+  async _handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+      this._sendJSON(res, 200, { status: 'ok', sessions: this.sessions.size });
+      return;
+    }
+
+    this._checkHost(req);
+    this._checkOrigin(req);
+    const client = this._authenticate(req);
+
+    if (url.pathname === '/mcp') {
+      switch (req.method) {
+        case 'POST':
+          return this._handleStreamablePost(req, res, client);
+        case 'GET':
+          return this._handleStreamableGet(req, res, client);
+        case 'DELETE':
+          this._closeSession(this._getSession(req.headers[SESSION_HEADER], client).id);
+          res.writeHead(204).end();
+          return;
+        default:
+          throw new HttpError(405, `不支持的请求方法：${req.method}`, { Allow: 'GET, POST, DELETE' });
+      }
+    }
+
+    if (url.pathname === '/sse' && req.method === 'GET') {
+      return this._handleSseConnect(req, res, client);
+    }
+
+    if (url.pathname === '/messages' && req.method === 'POST') {
+      return this._handleSsePost(req, res, client, url.searchParams.get('sessionId'));
+    }
+
+    throw new HttpError(404, `未知路径：${req.method} ${url.pathname}`);
+  }
+
+  /**
+   * 处理 Streamable HTTP 的 POST 请求
+   * 
+   * 包含请求时，等待所有请求处理完成后以 JSON 返回响应；仅包含通知或响应时返回 202
+   * 
+   * @param {import('http').IncomingMessage} req - HTTP 请求
+   * @param {import('http').ServerResponse} res - HTTP 响应
+   * @param {HttpClient} client - 已认证的客户端
+   * @private
+   */
+  async _handleStreamablePost(req, res, client) {
+    const body = await this._readJsonBody(req, res);
+    if (body === undefined) {
+      return;
+    }
+
+    const isBatch = Array.isArray(body);
+    const messages = isBatch ? body : [body];
+    const isInitialize = messages.some(message => message?.method === 'initialize');
+
+    let session;
+    if (isInitialize) {
+      if (req.headers[SESSION_HEADER]) {
+        throw new HttpError(400, 'initialize 请求不能携带会话 ID');
+      }
+      session = this._openSession(req, client, 'streamable');
+    } else {
+      session = this._getSession(req.headers[SESSION_HEADER], client);
+    }
+
+    const requestIds = messages
+      .filter(message => message && message.method && message.id !== undefined && message.id !== null)
+      .map(message => message.id);
+
+    // 响应按请求 ID 投递，同一会话中进行中的请求 ID 不能重复，否则响应会被投递给另一个 HTTP 请求
+    const duplicateId = requestIds.find((id, index) => session.pending.has(id) || requestIds.indexOf(id) !== index);
+    if (duplicateId !== undefined) {
+      throw new HttpError(409, `请求 ID ${JSON.stringify(duplicateId)} 与该会话中进行中的请求重复`);
+    }
+
+    // 登记等待响应的请求 ID，会话输出的对应响应会被收集到本次 HTTP 响应中
+    const responses = [];
+    for (const id of requestIds) {
+      session.pending.set(id, response => responses.push(response));
+    }
+
+    try {
+      for (const message of messages) {
+        await session.handler.handleMessage(message);
+      }
+    } finally {
+      for (const id of requestIds) {
+        session.pending.delete(id);
+      }
+    }
+
+    res.setHeader('Mcp-Session-Id', session.id);
+
+    if (requestIds.length === 0) {
+      res.writeHead(202).end();
+      return;
+    }
+
+    this._sendJSON(res, 200, isBatch ? responses : responses[0]);
+  }
+
+  /**
+   * 处理 Streamable HTTP 的 GET 请求，打开服务器推送 SSE 流
+   * 
+   * @param {import('http').IncomingMessage} req - HTTP 请求
+   * @param {import('http').ServerResponse} res - HTTP 响应
+   * @param {HttpClient} client - 已认证的客户端
+   * @private
+   */
+  _handleStreamableGet(req, res, client) {
+    if (!String(req.headers.accept || '').includes('text/event-stream')) {
+      throw new HttpError(406, 'GET 请求必须接受 text/event-stream');
+    }
+
+    const session = this._getSession(req.headers[SESSION_HEADER], client);
+    if (session.stream) {
+      throw new HttpError(409, '该会话已存在 SSE 流');
+    }
+
+    this._openEventStream(res, { 'Mcp-Session-Id': session.id });
+    session.stream = res;
+    res.on('close', () => {
+      if (session.stream === res) {
+        session.stream = null;
+      }
+    });
+  }
+
+  /**
+   * 处理旧版 SSE 传输的连接请求
+   * 
+   * 创建会话并通过 endpoint 事件告知客户端消息提交地址；连接关闭时会话随之结束
+   * 
+   * @param {import('http').IncomingMessage} req - HTTP 请求
+   * @param {import('http').ServerResponse} res - HTTP 响应
+   * @param {HttpClient} client - 已认证的客户端
+   * @private
+   */
+  _handleSseConnect(req, res, client) {
+    const session = this._openSession(req, client, 'sse');
+
+    this._openEventStream(res);
+    session.stream = res;
+    res.write(`event: endpoint\ndata: /messages?sessionId=${session.id}\n\n`);
+    res.on('close', () => this._closeSession(session.id));
+  }
+
+  /**
+   * 处理旧版 SSE 传输的消息提交请求
+   * 
+   * 立即返回 202，处理结果通过 SSE 流返回
+   * 
+   * @param {import('http').IncomingMessage} req - HTTP 请求
+   * @param {import('http').ServerResponse} res - HTTP 响应
+   * @param {HttpClient} client - 已认证的客户端
+   * @param {string|null} sessionId - 会话 ID
+   * @private
+   */
+  async _handleSsePost(req, res, client, sessionId) {
+    const session = this._getSession(sessionId, client);
+    const body = await this._readJsonBody(req, res);
+    if (body === undefined) {
+      return;
+    }
+
+    res.writeHead(202).end('Accepted');
+
+    for (const message of Array.isArray(body) ? body : [body]) {
+      await session.handler.handleMessage(message);
+    }
+  }
+
+  /**
+   * 创建会话
+   * 
+   * 默认机器人优先使用请求头 X-WeCom-Default-Bot，其次使用客户端配置的 default_bot
+   * 
+   * @param {import('http').IncomingMessage} req - HTTP 请求
+   * @param {HttpClient} client - 已认证的客户端
+   * @param {string} type - 会话类型：streamable 或 sse
+   * @returns {Object} 会话
+   * @private
+   */
+  _openSession(req, client, type) {
+    const id = randomUUID();
+    const defaultBot = req.headers[DEFAULT_BOT_HEADER] || client.default_bot || null;
+
+    const session = {
+      id,
+      type,
+      client,
+      stream: null,
+      pending: new Map(),
+      lastActive: Date.now(),
+      handler: null
+    };
+
+    try {
+      session.handler = this.createSession({
+        sessionId: id,
+        client,
+        defaultBot,
+        output: json => this._deliver(session, json)
+      });
+    } catch (error) {
+      throw new HttpError(400, `创建会话失败：${error.message}`);
+    }
+
+    this.sessions.set(id, session);
+    this.log(`会话已创建：${id}（客户端：${client.name}，类型：${type}${defaultBot ? `，默认机器人：${defaultBot}` : ''}）`);
+    return session;
+  }
+
+  /**
+   * 获取属于指定客户端的会话
+   * 
+   * @param {string|undefined|null} sessionId - 会话 ID
+   * @param {HttpClient} client - 已认证的客户端
+   * @returns {Object} 会话
+   * @throws {HttpError} 当缺少会话 ID（400）或会话不存在、不属于该客户端（404）时
+   * @private
+   */
+  _getSession(sessionId, client) {
+    if (!sessionId) {
+      throw new HttpError(400, '缺少会话 ID，请先发送 initialize 请求');
+    }
+
+    const session = this.sessions.get(sessionId);
+    if (!session || session.client !== client) {
+      throw new HttpError(404, `会话不存在或已过期：${sessionId}`);
+    }
+
+    session.lastActive = Date.now();
+    return session;
+  }
+
+  /**
+   * 结束会话并关闭其 SSE 流
+   * 
+   * @param {string} sessionId - 会话 ID
+   * @private
+   */
+  _closeSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+
+    this.sessions.delete(sessionId);
+    session.handler.close?.();
+    if (session.stream && !session.stream.writableEnded) {
+      session.stream.end();
+    }
+    this.log(`会话已结束：${sessionId}`);
+  }
+
+  /**
+   * 清理空闲超时的会话
+   * 
+   * @private
+   */
+  _sweepSessions() {
+    const now = Date.now();
+    for (const session of this.sessions.values()) {
+      if (!session.stream && now - session.lastActive > SESSION_IDLE_TIMEOUT_MS) {
+        this._closeSession(session.id);
+      }
+    }
+  }
+
+  /**
+   * 投递会话输出的 JSON-RPC 消息
+   * 
+   * 等待中的请求响应投递给对应的 HTTP 请求；其余消息（如通知）通过 SSE 流推送
+   * 
+   * @param {Object} session - 会话
+   * @param {string} json - JSON-RPC 消息
+   * @private
+   */
+  _deliver(session, json) {
+    const message = JSON.parse(json);
+    const collector = message.id !== undefined && session.type === 'streamable'
+      ? session.pending.get(message.id)
+      : null;
+
+    if (collector) {
+      collector(message);
+      return;
+    }
+
+    if (session.stream && !session.stream.writableEnded) {
+      session.stream.write(`event: message\ndata: ${json}\n\n`);
+    }
+  }
+
+  /**
+   * 校验 Host 请求头，防止 DNS 重绑定攻击（不带 Origin 的请求同样有效）
+   * 
+   * @param {import('http').IncomingMessage} req - HTTP 请求
+   * @throws {HttpError} 当 Host 缺失或不是监听地址、允许的主机名时
+   * @private
+   */
+  _checkHost(req) {
+    if (!this.allowedHosts) {
+      return;
+    }
+
+    let hostname = null;
+    try {
+      hostname = new URL(`http://${req.headers.host}`).hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+    } catch {
+      // Host 格式无效时按不允许处理
+    }
+
+    if (!req.headers.host || !this.allowedHosts.includes(hostname)) {
+      throw new HttpError(403, `不允许的 Host：${req.headers.host ?? '（缺失）'}`);
+    }
+  }
+
+  /**
+   * 校验浏览器 Origin，防止 DNS 重绑定攻击
+   * 
+   * @param {import('http').IncomingMessage} req - HTTP 请求
+   * @throws {HttpError} 当 Origin 不在允许列表中时
+   * @private
+   */
+  _checkOrigin(req) {
+    const origin = req.headers.origin;
+    if (origin && !this.allowedOrigins.includes(origin)) {
+      throw new HttpError(403, `不允许的 Origin：${origin}`);
+    }
+  }
+
+  /**
+   * 校验 Bearer Token
+   * 
+   * @param {import('http').IncomingMessage} req - HTTP 请求
+   * @returns {HttpClient} 已认证的客户端；未配置 Token 时返回匿名客户端
+   * @throws {HttpError} 当 Token 缺失或无效时
+   * @private
+   */
+  _authenticate(req) {
+    if (this.clients.size === 0) {
+      return ANONYMOUS_CLIENT;
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    const client = match && this.clients.get(hashToken(match[1].trim()));
+
+    if (!client) {
+      throw new HttpError(401, '缺少或无效的 Bearer Token', { 'WWW-Authenticate': 'Bearer' });
+    }
+
+    return client;
+  }
+
+  /**
+   * 读取并解析 JSON 请求体
+   * 
+   * 解析失败时直接返回 JSON-RPC Parse error 响应
+   * 
+   * @param {import('http').IncomingMessage} req - HTTP 请求
+   * @param {import('http').ServerResponse} res - HTTP 响应
+   * @returns {Promise<*>} 解析后的请求体；解析失败时返回 undefined
+   * @private
+   */
+  async _readJsonBody(req, res) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        throw new HttpError(413, `请求体超出限制：最大 ${MAX_BODY_BYTES / 1024 / 1024}MB`);
+      }
+      chunks.push(chunk);
+    }
+
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      this._sendJSON(res, 400, {
+        jsonrpc: '2.0',
+        id: null,
+        error: { code: -32700, message: 'Parse error', data: error.message }
+      });
+      return undefined;
+    }
+  }
+
+  /**
+   * 打开 SSE 响应流
+   * 
+   * @param {import('http').ServerResponse} res - HTTP 响应
+   * @param {Object.<string, string>} [headers] - 额外响应头
+   * @private
+   */
+  _openEventStream(res, headers = {}) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      ...headers
+    });
+
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), SSE_KEEPALIVE_MS);
+    res.on('close', () => clearInterval(keepalive));
+  }
+
+  /**
+   * 发送 JSON 响应
+   * 
+   * @param {import('http').ServerResponse} res - HTTP 响应
+   * @param {number} status - HTTP 状态码
+   * @param {*} body - 响应体
+   * @private
+   */
+  _sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * 发送 HTTP 错误响应
+   * 
+   * @param {import('http').ServerResponse} res - HTTP 响应
+   * @param {Error} error - 错误对象
+   * @private
+   */
+  _sendHttpError(res, error) {
+    const status = error instanceof HttpError ? error.status : 500;
+
+    if (status === 500) {
+      this.log(`HTTP 请求处理失败：${error.message}`);
+    }
+
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+
+    res.writeHead(status, { 'Content-Type': 'application/json', ...error.headers });
+    res.end(JSON.stringify({ error: error.message }));
+  }
+}
+
+export default HttpTransport;
@@ -0,0 +1,447 @@
+/**
+ * @fileoverview 图片格式转换与压缩
+ * @description 将企业微信不支持或超出大小限制的图片转换为 PNG / JPEG，并逐步缩小尺寸、降低质量直至满足大小限制
+ * 
+ * 支持的输入格式（按文件头魔数识别）：
+ * - PNG、JPEG、GIF（仅取第一帧）、BMP（未压缩的 24 / 32 位）
+ * 
+ * WebP 没有可用的纯 JavaScript 解码器，暂不支持转换，遇到时给出明确的错误提示。
+ * 
+ * 编解码依赖 jpeg-js、pngjs、omggif（均为纯 JavaScript 的可选依赖），仅在需要转换时加载
+ * 
+ * @module image-convert
+ */
+
+import { WeComError } from './wecom-client.js';
+
+/**
+ * 图片格式
+ * @enum {string}
+ */
+export const IMAGE_FORMAT = {
+  PNG: 'png',
+  JPEG: 'jpeg',
+  GIF: 'gif',
+  BMP: 'bmp',
+  WEBP: 'webp'
+};
+
+/**
+ * 允许转换的输入图片最大字节数
+ * @constant {number}
+ */
+export const CONVERT_MAX_INPUT_BYTES = 20 * 1024 * 1024;
+
+/**
+ * 允许解码的最大像素数（避免超大图片占满内存）
+ * @constant {number}
+ */
+const MAX_PIXELS = 50 * 1000 * 1000;
+
+/**
+ * 每个尺寸下依次尝试的 JPEG 质量
+ * @constant {number[]}
+ */
+const JPEG_QUALITIES = [85, 70];
+
+/**
+ * 最多缩小尺寸的次数
+ * @constant {number}
+ */
+const MAX_DOWNSCALE_STEPS = 8;
+
+/**
+ * 缩小后的最短边下限（像素）
+ * @constant {number}
+ */
+const MIN_DIMENSION = 16;
+
+/**
+ * @typedef {Object} ImageInfo
+ * @property {string} format - 图片格式
+ * @property {number} width - 宽度（像素）
+ * @property {number} height - 高度（像素）
+ * @property {number} size - 文件大小（字节）
+ */
+
+/**
+ * @typedef {Object} FitImageResult
+ * @property {Buffer} buffer - 满足限制的图片内容
+ * @property {boolean} converted - 是否经过转换（为 false 时 buffer 即原图）
+ * @property {ImageInfo} original - 原图信息
+ * @property {ImageInfo} final - 最终图片信息
+ * @property {number} [quality] - JPEG 编码质量（仅输出 JPEG 时）
+ * @property {boolean} [first_frame_only] - 原图为多帧 GIF，仅保留第一帧
+ */
+
+/**
+ * @typedef {Object} RawImage
+ * @property {number} width - 宽度
+ * @property {number} height - 高度
+ * @property {Uint8Array} data - RGBA 像素数据
+ */
+
+/**
+ * 根据文件头魔数识别图片格式
+ * 
+ * @param {Buffer} buffer - 文件内容
+ * @returns {string|null} 图片格式，无法识别时为 null
+ * 
+ * @example
+ * detectImageFormat(await readFile('/path/to/screenshot.png')); // 'png'
+ */
+export function detectImageFormat(buffer) {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) {
+    return IMAGE_FORMAT.PNG;
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return IMAGE_FORMAT.JPEG;
+  }
+  if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))) {
+    return IMAGE_FORMAT.GIF;
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return IMAGE_FORMAT.WEBP;
+  }
+  if (buffer.length >= 26 && buffer.toString('latin1', 0, 2) === 'BM') {
+    return IMAGE_FORMAT.BMP;
+  }
+  return null;
+}
+
+/**
+ * 从文件头读取图片尺寸，无需解码像素
+ * 
+ * @param {Buffer} buffer - 文件内容
+ * @param {string} format - 图片格式
+ * @returns {{width: number, height: number}|null} 图片尺寸，无法读取时为 null
+ */
+export function readImageSize(buffer, format) {
+  try {
+    switch (format) {
+      case IMAGE_FORMAT.PNG:
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+      case IMAGE_FORMAT.GIF:
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+      case IMAGE_FORMAT.BMP:
+        return { width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) };
+      case IMAGE_FORMAT.JPEG:
+        return readJpegSize(buffer);
+      default:
+        return null;
+    }
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 从 JPEG 的 SOF 段读取尺寸
+ * 
+ * @param {Buffer} buffer - 文件内容
+ * @returns {{width: number, height: number}|null} 图片尺寸
+ */
+function readJpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+
+    const marker = buffer[offset + 1];
+    // SOF0 ~ SOF15，排除 DHT（C4）、JPG（C8）和 DAC（CC）
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+/**
+ * 将图片转换为企业微信支持的格式，并压缩到指定大小以内
+ * 
+ * 原图已是 PNG / JPEG 且不超过大小限制时原样返回；否则解码后依次尝试：
+ * 1. 原尺寸无损 PNG（原图不是 JPEG 或带透明通道时）
+ * 2. 原尺寸 JPEG（质量 85、70，透明区域以白色填充）
+ * 3. 按比例缩小尺寸后重复上述尝试，直至满足限制
+ * 
+ * 带透明通道的图片优先保持 PNG，缩小到一定程度仍无法满足时才转为 JPEG
+ * 
+ * @param {Buffer} buffer - 原图内容
+ * @param {Object} options - 转换选项
+ * @param {number} options.maxBytes - 最大字节数
+ * @returns {Promise<FitImageResult>} 转换结果
+ * @throws {WeComError} 当格式无法识别或不支持、缺少编解码依赖、或无法压缩到限制以内时
+ * 
+ * @example
+ * const { buffer, original, final } = await fitImage(screenshot, { maxBytes: 2 * 1024 * 1024 });
+ */
+export async function fitImage(buffer, { maxBytes }) {
+  const format = detectImageFormat(buffer);
+
+  if (!format) {
+    throw new WeComError(-1, '无法识别的图片格式，支持转换的格式：PNG、JPEG、GIF、BMP');
+  }
+
+  if (format === IMAGE_FORMAT.WEBP) {
+    throw new WeComError(-1, '暂不支持转换 WebP 图片（没有可用的纯 JavaScript 解码器），请先转换为 PNG 或 JPEG');
+  }
+
+  if (buffer.length > CONVERT_MAX_INPUT_BYTES) {
+    throw new WeComError(-1, `待转换的图片过大：最大 ${CONVERT_MAX_INPUT_BYTES / 1024 / 1024}MB`);
+  }
+
+  const size = readImageSize(buffer, format);
+  const original = { format, width: size?.width ?? null, height: size?.height ?? null, size: buffer.length };
+
+  if ((format === IMAGE_FORMAT.PNG || format === IMAGE_FORMAT.JPEG) && buffer.length <= maxBytes) {
+    return { buffer, converted: false, original, final: original };
+  }
+
+  if (size && size.width * size.height > MAX_PIXELS) {
+    throw new WeComError(-1, `图片尺寸过大：${size.width}x${size.height}，最多 ${MAX_PIXELS / 1000 / 1000} 百万像素`);
+  }
+
+  const codecs = await loadCodecs();
+  const { image, frames } = decodeImage(buffer, format, codecs);
+  const hasAlpha = hasTransparency(image);
+
+  original.width = image.width;
+  original.height = image.height;
+
+  let current = image;
+
+  for (let step = 0; step <= MAX_DOWNSCALE_STEPS; step++) {
+    let smallest = Infinity;
+    const candidates = [];
+    if (hasAlpha || (step === 0 && format !== IMAGE_FORMAT.JPEG)) {
+      candidates.push({ format: IMAGE_FORMAT.PNG });
+    }
+    // 带透明通道的图片缩小一半以上仍无法满足时才转为 JPEG
+    if (!hasAlpha || current.width * 2 <= image.width) {
+      candidates.push(...JPEG_QUALITIES.map(quality => ({ format: IMAGE_FORMAT.JPEG, quality })));
+    }
+
+    for (const candidate of candidates) {
+      const output = encodeImage(current, candidate, codecs);
+      smallest = Math.min(smallest, output.length);
+
+      if (output.length <= maxBytes) {
+        return {
+          buffer: output,
+          converted: true,
+          original,
+          final: { format: candidate.format, width: current.width, height: current.height, size: output.length },
+          ...(candidate.quality && { quality: candidate.quality }),
+          ...(frames > 1 && { first_frame_only: true })
+        };
+      }
+    }
+
+    // 按当前最小输出估算缩放比例（文件大小约与像素数成正比），每次至少缩小 10%；始终从原图缩小，避免多次重采样变模糊
+    const scale = Math.min(0.9, Math.max(0.5, Math.sqrt(maxBytes / smallest) * 0.95));
+    const width = Math.round(current.width * scale);
+    const height = Math.round(current.height * scale);
+
+    if (Math.min(width, height) < MIN_DIMENSION) {
+      break;
+    }
+    current = resizeImage(image, width, height);
+  }
+
+  throw new WeComError(
+    -1,
+    `图片压缩后仍超出大小限制：最大 ${maxBytes / 1024 / 1024}MB`,
+    { original }
+  );
+}
+
+/**
+ * 加载纯 JavaScript 编解码依赖
+ * 
+ * @returns {Promise<{jpeg: Object, PNG: Function, GifReader: Function}>} 编解码器
+ * @throws {WeComError} 当可选依赖未安装时
+ */
+async function loadCodecs() {
+  try {
+    const [jpeg, png, gif] = await Promise.all([import('jpeg-js'), import('pngjs'), import('omggif')]);
+    return { jpeg: jpeg.default, PNG: png.default.PNG, GifReader: gif.default.GifReader };
+  } catch (error) {
+    throw new WeComError(
+      -1,
+      `图片转换需要安装可选依赖 jpeg-js、pngjs、omggif（npm install jpeg-js pngjs omggif）：${error.message}`
+    );
+  }
+}
+
+/**
+ * 解码图片为 RGBA 像素
+ * 
+ * @param {Buffer} buffer - 图片内容
+ * @param {string} format - 图片格式
+ * @param {Object} codecs - 编解码器
+ * @returns {{image: RawImage, frames: number}} 像素数据和帧数
+ * @throws {WeComError} 当图片数据损坏或为不支持的编码方式时
+ */
+function decodeImage(buffer, format, codecs) {
+  try {
+    switch (format) {
+      case IMAGE_FORMAT.PNG: {
+        const { width, height, data } = codecs.PNG.sync.read(buffer);
+        return { image: { width, height, data }, frames: 1 };
+      }
+      case IMAGE_FORMAT.JPEG: {
+        const { width, height, data } = codecs.jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+        return { image: { width, height, data }, frames: 1 };
+      }
+      case IMAGE_FORMAT.GIF: {
+        const reader = new codecs.GifReader(buffer);
+        const data = new Uint8Array(reader.width * reader.height * 4);
+        reader.decodeAndBlitFrameRGBA(0, data);
+        return { image: { width: reader.width, height: reader.height, data }, frames: reader.numFrames() };
+      }
+      default:
+        return { image: decodeBmp(buffer), frames: 1 };
+    }
+  } catch (error) {
+    if (error instanceof WeComError) {
+      throw error;
+    }
+    throw new WeComError(-1, `图片解码失败（${format}）：${error.message}`);
+  }
+}
+
+/**
+ * 解码未压缩的 24 / 32 位 BMP
+ * 
+ * @param {Buffer} buffer - 文件内容
+ * @returns {RawImage} 像素数据
+ * @throws {WeComError} 当 BMP 使用调色板或压缩编码时
+ */
+function decodeBmp(buffer) {
+  const dataOffset = buffer.readUInt32LE(10);
+  const width = buffer.readInt32LE(18);
+  const rawHeight = buffer.readInt32LE(22);
+  const bitsPerPixel = buffer.readUInt16LE(28);
+  const compression = buffer.readUInt32LE(30);
+
+  // 0 为 BI_RGB；32 位图片常用 BI_BITFIELDS（3），按标准 BGRA 顺序读取
+  if ((bitsPerPixel !== 24 && bitsPerPixel !== 32) || (compression !== 0 && compression !== 3)) {
+    throw new WeComError(-1, `仅支持未压缩的 24 / 32 位 BMP，当前为 ${bitsPerPixel} 位、压缩方式 ${compression}`);
+  }
+
+  const height = Math.abs(rawHeight);
+  const bytesPerPixel = bitsPerPixel / 8;
+  const rowSize = Math.ceil((width * bytesPerPixel) / 4) * 4;
+  const data = new Uint8Array(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    // 高度为正时按从下到上的顺序存储
+    const row = dataOffset + (rawHeight > 0 ? height - 1 - y : y) * rowSize;
+    for (let x = 0; x < width; x++) {
+      const src = row + x * bytesPerPixel;
+      const dst = (y * width + x) * 4;
+      data[dst] = buffer[src + 2];
+      data[dst + 1] = buffer[src + 1];
+      data[dst + 2] = buffer[src];
+      data[dst + 3] = bytesPerPixel === 4 && compression === 3 ? buffer[src + 3] : 255;
+    }
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * 判断图片是否包含透明像素
+ * 
+ * @param {RawImage} image - 像素数据
+ * @returns {boolean} 是否包含透明像素
+ */
+function hasTransparency(image) {
+  for (let i = 3; i < image.data.length; i += 4) {
+    if (image.data[i] !== 255) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * 编码图片
+ * 
+ * @param {RawImage} image - 像素数据
+ * @param {{format: string, quality?: number}} target - 输出格式和 JPEG 质量
+ * @param {Object} codecs - 编解码器
+ * @returns {Buffer} 编码结果
+ */
+function encodeImage(image, target, codecs) {
+  if (target.format === IMAGE_FORMAT.PNG) {
+    const png = new codecs.PNG({ width: image.width, height: image.height });
+    png.data = Buffer.from(image.data.buffer, image.data.byteOffset, image.data.length);
+    return codecs.PNG.sync.write(png, { deflateLevel: 9 });
+  }
+
+  // JPEG 不支持透明通道，透明区域以白色填充
+  const data = Buffer.alloc(image.data.length);
+  for (let i = 0; i < data.length; i += 4) {
+    const alpha = image.data[i + 3];
+    for (let c = 0; c < 3; c++) {
+      data[i + c] = Math.round((image.data[i + c] * alpha + 255 * (255 - alpha)) / 255);
+    }
+    data[i + 3] = 255;
+  }
+
+  return codecs.jpeg.encode({ width: image.width, height: image.height, data }, target.quality).data;
+}
+
+/**
+ * 按区域平均缩小图片
+ * 
+ * @param {RawImage} image - 像素数据
+ * @param {number} width - 目标宽度
+ * @param {number} height - 目标高度
+ * @returns {RawImage} 缩小后的像素数据
+ */
+function resizeImage(image, width, height) {
+  const data = new Uint8Array(width * height * 4);
+  const scaleX = image.width / width;
+  const scaleY = image.height / height;
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * scaleY);
+    const y1 = Math.max(y0 + 1, Math.min(image.height, Math.floor((y + 1) * scaleY)));
+
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * scaleX);
+      const x1 = Math.max(x0 + 1, Math.min(image.width, Math.floor((x + 1) * scaleX)));
+      const sum = [0, 0, 0, 0];
+
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const src = (sy * image.width + sx) * 4;
+          // 颜色按透明度加权，避免透明像素的颜色渗入边缘
+          const alpha = image.data[src + 3];
+          sum[0] += image.data[src] * alpha;
+          sum[1] += image.data[src + 1] * alpha;
+          sum[2] += image.data[src + 2] * alpha;
+          sum[3] += alpha;
+        }
+      }
+
+      const dst = (y * width + x) * 4;
+      const count = (y1 - y0) * (x1 - x0);
+      if (sum[3] > 0) {
+        data[dst] = Math.round(sum[0] / sum[3]);
+        data[dst + 1] = Math.round(sum[1] / sum[3]);
+        data[dst + 2] = Math.round(sum[2] / sum[3]);
+      }
+      data[dst + 3] = Math.round(sum[3] / count);
+    }
+  }
+
+  return { width, height, data };
+}
+
+export default { detectImageFormat, readImageSize, fitImage };
@@ -0,0 +1,631 @@
+/**
+ * @fileoverview 库入口的类型声明
+ * @description 对应 src/index.js 导出的公共 API
+ */
+
+/// <reference types="node" />
+
+import type { EventEmitter } from 'events';
+
+// ---------------------------------------------------------------------------
+// 企业微信客户端
+// ---------------------------------------------------------------------------
+
+/**
+ * 接口基础 URL 默认值（企业微信官方地址）
+ */
+export const DEFAULT_BASE_URL: string;
+
+/**
+ * Markdown 格式
+ */
+export const MARKDOWN_FORMAT: {
+  readonly V2: 'markdown_v2';
+  readonly V1: 'markdown';
+};
+
+export type MarkdownFormat = typeof MARKDOWN_FORMAT[keyof typeof MARKDOWN_FORMAT];
+
+/**
+ * 模板卡片类型
+ */
+export const TEMPLATE_CARD_TYPE: {
+  readonly TEXT_NOTICE: 'text_notice';
+  readonly NEWS_NOTICE: 'news_notice';
+};
+
+/**
+ * 企业微信 API 错误（code 为企业微信错误码，参数校验等本地错误为 -1）
+ */
+export class WeComError extends Error {
+  constructor(code: number, message: string, data?: Record<string, any>);
+  name: 'WeComError';
+  code: number;
+  data: Record<string, any>;
+}
+
+export interface RetryPolicy {
+  /** 最大尝试次数（含首次请求），1 表示不重试 */
+  maxAttempts?: number;
+  /** 首次重试的基础等待时间（毫秒） */
+  baseDelayMs?: number;
+  /** 单次重试的最大等待时间（毫秒） */
+  maxDelayMs?: number;
+  /** 所有尝试的总时长上限（毫秒） */
+  deadlineMs?: number;
+}
+
+export interface RetryAttempt {
+  attempt: number;
+  at: string;
+  code: number | string;
+  message: string;
+  retryable: boolean;
+  reason: string;
+  delay_ms?: number;
+}
+
+export interface RateLimitStatus {
+  queue_depth: number;
+  available_tokens: number;
+  estimated_wait_ms: number;
+}
+
+export interface OutboxReceipt {
+  id: string;
+  file: string;
+}
+
+export interface SendFileInfo {
+  name?: string;
+  size: number;
+  md5: string;
+}
+
+/**
+ * 每条消息发送结束后传给 onSend 的记录
+ */
+export interface SendRecord {
+  msgtype: string;
+  content_sha256: string;
+  preview: string;
+  file?: SendFileInfo;
+  success: boolean;
+  errcode: number;
+  errmsg?: string;
+  attempts: number;
+}
+
+export interface WeComApiResponse {
+  errcode: number;
+  errmsg: string;
+  [key: string]: any;
+}
+
+export interface SendMessageResult {
+  success: boolean;
+  message: string;
+  data: WeComApiResponse;
+  rate_limit?: { waited_ms: number };
+  attempts?: RetryAttempt[];
+  dry_run?: boolean;
+  payload?: Record<string, any>;
+  outbox?: OutboxReceipt;
+}
+
+export interface ImageInfo {
+  format: string;
+  width: number;
+  height: number;
+  size: number;
+}
+
+export interface FileTypeInfo {
+  /** 文件名中的扩展名（小写，不含点） */
+  extension: string | null;
+  /** 按内容识别出的类型，无法识别时为 null */
+  detected: string | null;
+  /** 按内容识别出的文件类别 */
+  category: 'image' | 'document' | 'archive' | 'audio' | 'video' | 'text' | null;
+  /** 上传时使用的 MIME 类型 */
+  mime: string;
+  /** 扩展名是否与内容不符 */
+  mismatch: boolean;
+  /** 不符时的说明 */
+  warning?: string;
+}
+
+export interface SendImageResult extends SendMessageResult {
+  file_type: FileTypeInfo;
+  image?: {
+    converted: boolean;
+    original: ImageInfo;
+    final: ImageInfo;
+    quality?: number;
+    first_frame_only?: boolean;
+  };
+}
+
+export interface UploadMediaResult {
+  success: boolean;
+  message: string;
+  media_id: string;
+  type: string;
+  created_at: number;
+  duration?: number;
+  file_type: FileTypeInfo;
+  cached?: boolean;
+  expires_at?: string;
+  attempts?: RetryAttempt[];
+  dry_run?: boolean;
+  payload?: Record<string, any>;
+  outbox?: OutboxReceipt;
+}
+
+export interface NewsArticle {
+  /** 标题（最大 128 字节） */
+  title: string;
+  /** 描述（最大 512 字节） */
+  description?: string;
+  /** 点击后跳转的链接 */
+  url: string;
+  /** 图片链接，支持 JPG、PNG */
+  picurl?: string;
+}
+
+export interface WeComClientOptions {
+  /** 超出发送频率限制时是否排队等待，为 false 时立即抛出 45009 错误 */
+  waitForRateLimit?: boolean;
+  /** 限流配置（仅在该 webhook key 首次创建限流器时生效） */
+  rateLimit?: { capacity?: number; intervalMs?: number };
+  /** 重试策略，false 表示不重试 */
+  retry?: RetryPolicy | false;
+  /** 每条消息发送结束（成功或失败）后调用 */
+  onSend?: (record: SendRecord) => void;
+  /** 媒体文件缓存 */
+  mediaCache?: object | null;
+  /** 严格模式：Markdown 存在显示异常的语法时也拒绝发送 */
+  strictMarkdown?: boolean;
+  /** 接口基础 URL，默认为企业微信官方地址 */
+  baseURL?: string;
+  /** 试运行发件箱：提供时只将请求写入发件箱 */
+  outbox?: object | null;
+  /** 本地文件访问策略：提供时读取本地文件前先检查路径 */
+  fileSandbox?: FileSandbox | null;
+  /** 网络地址访问策略：sendImageFromUrl 只下载策略允许的 URL，默认禁止本机和内网地址，null 表示不限制 */
+  urlPolicy?: UrlPolicy | null;
+}
+
+/**
+ * 企业微信群机器人客户端
+ */
+export class WeComClient {
+  constructor(webhookKey: string, options?: WeComClientOptions);
+  readonly baseURL: string;
+  getRateLimitStatus(): RateLimitStatus;
+  isDryRun(): boolean;
+  sendMessage(msgType: string, content: Record<string, any>, options?: { file?: SendFileInfo }): Promise<SendMessageResult>;
+  sendMarkdownV2(content: string, options?: { strict?: boolean }): Promise<SendMessageResult>;
+  sendMarkdown(content: string, options?: { strict?: boolean }): Promise<SendMessageResult>;
+  sendText(content: string, options?: { mentionedList?: string[]; mentionedMobileList?: string[] }): Promise<SendMessageResult>;
+  sendNews(articles: NewsArticle[]): Promise<SendMessageResult>;
+  sendTemplateCard(card: Record<string, any>): Promise<SendMessageResult>;
+  uploadMedia(filePath: string, type?: 'file' | 'voice', options?: { cache?: boolean }): Promise<UploadMediaResult>;
+  uploadMediaBuffer(fileBuffer: Buffer, filename: string, type?: 'file' | 'voice', options?: { cache?: boolean }): Promise<UploadMediaResult>;
+  sendFile(mediaId: string): Promise<SendMessageResult>;
+  sendVoice(mediaId: string): Promise<SendMessageResult>;
+  sendMediaFile(filePath: string, type?: 'file' | 'voice', options?: { cache?: boolean }): Promise<{ upload: UploadMediaResult; send: SendMessageResult }>;
+  sendImage(imagePath: string, options?: { convert?: boolean }): Promise<SendImageResult>;
+  sendImageFromUrl(imageUrl: string, options?: { convert?: boolean }): Promise<SendImageResult>;
+}
+
+// ---------------------------------------------------------------------------
+// 机器人注册表
+// ---------------------------------------------------------------------------
+
+export interface BotConfig {
+  key: string;
+  description?: string;
+}
+
+/**
+ * 机器人配置，与 WECOM_BOTS 环境变量格式相同
+ */
+export interface BotsConfig {
+  bots: Record<string, string | BotConfig>;
+  default?: string;
+}
+
+export interface BotInfo {
+  name: string;
+  description: string;
+  default: boolean;
+}
+
+export class BotRegistry {
+  constructor(bots?: Record<string, string | BotConfig>, options?: { defaultBot?: string });
+  static fromEnv(env?: Record<string, string | undefined>): BotRegistry;
+  static fromConfig(config: BotsConfig | Record<string, string | BotConfig>): BotRegistry;
+  readonly size: number;
+  getDefaultBot(): string | null;
+  names(): string[];
+  has(name: string): boolean;
+  resolve(name: string): string;
+  replaceWith(other: BotRegistry): void;
+  list(): BotInfo[];
+}
+
+// ---------------------------------------------------------------------------
+// 工具
+// ---------------------------------------------------------------------------
+
+export interface ToolDefinition {
+  name: string;
+  description: string;
+  inputSchema: Record<string, any>;
+}
+
+export interface ToolResult {
+  content: Array<{ type: string; text: string }>;
+  isError?: boolean;
+}
+
+export interface BuildToolsOptions {
+  botNames?: string[];
+  forbidRawWebhookKey?: boolean;
+  dryRun?: boolean;
+  markdownStrict?: boolean;
+  imageConvert?: boolean;
+  scheduleTimezone?: string;
+}
+
+/**
+ * 按配置生成工具定义列表
+ */
+export function buildTools(options?: BuildToolsOptions): ToolDefinition[];
+
+/**
+ * 默认配置下的工具定义列表，实际提供给客户端的列表以 ServerContext.listTools() 为准
+ */
+export const tools: ToolDefinition[];
+
+export interface ToolHandlerOptions {
+  /** 服务上下文；未提供时使用按当前进程环境变量创建的进程内共享上下文，读写 ~/.wecom-robot-mcp 下的数据文件 */
+  context?: ServerContext;
+  /** 会话级默认机器人别名 */
+  defaultBot?: string | null;
+  /** 调用方身份，记录到审计日志 */
+  principal?: string | null;
+}
+
+export class ToolHandler {
+  constructor(options?: ToolHandlerOptions);
+  readonly context: ServerContext;
+  readonly defaultBot: string | null;
+  setClientInfo(clientInfo?: { name?: string; version?: string }): void;
+  handle(name: string, args?: Record<string, any>): Promise<ToolResult>;
+}
+
+// ---------------------------------------------------------------------------
+// 服务上下文
+// ---------------------------------------------------------------------------
+
+/**
+ * 默认数据目录（~/.wecom-robot-mcp）
+ */
+// ---------------------------------------------------------------------------
+// 本地文件访问策略
+// ---------------------------------------------------------------------------
+
+export const DEFAULT_DENY_PATTERNS: string[];
+
+export const FILE_POLICY: {
+  readonly PROTECTED: 'protected';
+  readonly DENY: 'deny';
+  readonly ROOTS: 'roots';
+};
+
+export interface FileSandboxOptions {
+  /** 允许读取的根目录，为空时不限制目录 */
+  roots?: string[];
+  /** 禁止读取的 glob 模式，默认为 DEFAULT_DENY_PATTERNS */
+  deny?: string[];
+  /** 相对路径的基础目录，默认为当前目录 */
+  baseDir?: string;
+  /** 始终禁止读取的服务配置文件 */
+  protectedFiles?: string[];
+  /** 始终禁止读取的服务数据目录 */
+  protectedDirs?: string[];
+}
+
+/**
+ * 本地文件访问策略，基于解析符号链接和 .. 之后的真实路径检查
+ */
+export class FileSandbox {
+  constructor(options?: FileSandboxOptions);
+  readonly baseDir: string;
+  readonly roots: string[];
+  readonly deny: string[];
+  /** 添加始终禁止读取的服务配置和数据文件、目录 */
+  protect(paths: { files?: string[]; dirs?: string[] }): void;
+  /** 返回允许读取的真实路径，路径被拒绝时抛出 WeComError */
+  resolve(filePath: string): Promise<string>;
+}
+
+export function globToRegExp(pattern: string): RegExp;
+
+// ---------------------------------------------------------------------------
+// 网络地址访问策略
+// ---------------------------------------------------------------------------
+
+export const DEFAULT_ALLOWED_PROTOCOLS: string[];
+
+export const DEFAULT_MAX_REDIRECTS: number;
+
+export const URL_POLICY: {
+  readonly PROTOCOL: 'protocol';
+  readonly HOST: 'host';
+  readonly ADDRESS: 'address';
+  readonly REDIRECT: 'redirect';
+};
+
+export interface UrlPolicyOptions {
+  /** 允许的协议，默认为 http: 和 https: */
+  protocols?: string[];
+  /** 允许的主机名，支持 *.example.com，为空时不限制主机 */
+  allowHosts?: string[];
+  /** 是否允许访问本机和私有网络地址 */
+  allowPrivateNetwork?: boolean;
+  /** 最多跟随的重定向次数 */
+  maxRedirects?: number;
+}
+
+/**
+ * 网络地址访问策略，解析域名后检查实际连接的 IP 地址
+ */
+export class UrlPolicy {
+  constructor(options?: UrlPolicyOptions);
+  readonly protocols: string[];
+  readonly allowHosts: string[];
+  readonly allowPrivateNetwork: boolean;
+  readonly maxRedirects: number;
+  /** 返回解析后的 URL 和应连接的 IP 地址，URL 被拒绝时抛出 WeComError */
+  resolve(url: string | URL): Promise<{ url: URL; address: string; family: number }>;
+  checkRedirect(count: number, location: string): void;
+}
+
+export function isPrivateAddress(address: string): boolean;
+
+// ---------------------------------------------------------------------------
+// 文件类型识别
+// ---------------------------------------------------------------------------
+
+export const FILE_CATEGORY: {
+  readonly IMAGE: 'image';
+  readonly DOCUMENT: 'document';
+  readonly ARCHIVE: 'archive';
+  readonly AUDIO: 'audio';
+  readonly VIDEO: 'video';
+  readonly TEXT: 'text';
+};
+
+export const MIME_TYPES: Record<string, string>;
+
+export interface DetectedFileType {
+  ext: string;
+  mime: string;
+  category: string;
+  /** 与内容相符的扩展名 */
+  extensions: string[];
+}
+
+/** 按文件头魔数识别文件类型，无法识别时返回 null */
+export function detectFileType(buffer: Buffer): DetectedFileType | null;
+
+/** 识别文件类型并与文件名的扩展名比较 */
+export function inspectFileType(buffer: Buffer, filename: string): FileTypeInfo;
+
+export function getMimeTypeByExtension(filename: string): string | null;
+
+export const DEFAULT_DATA_DIR: string;
+
+export interface ServerOptions {
+  /** 默认 webhook key（未指定机器人时使用） */
+  webhookKey?: string | null;
+  /** 机器人注册表，或与 WECOM_BOTS 格式相同的配置对象 */
+  bots?: BotRegistry | BotsConfig;
+  /** 是否禁止工具调用直接传入 webhook_key */
+  forbidRawWebhookKey?: boolean;
+  /** 重试策略，未提供的项使用默认值，false 表示不重试 */
+  retry?: RetryPolicy | false;
+  /** 审计日志或其配置，false 表示关闭 */
+  auditLog?: object | { file?: string; maxBytes?: number; maxFiles?: number } | false;
+  /** 媒体文件缓存或其配置，false 表示关闭 */
+  mediaCache?: object | { file?: string } | false;
+  /** 定时任务文件和默认时区 */
+  schedule?: { file?: string; timezone?: string };
+  /** 接口基础 URL */
+  baseURL?: string;
+  /** 强制试运行，所有请求只写入发件箱 */
+  dryRun?: boolean;
+  /** 试运行发件箱目录 */
+  outboxDir?: string;
+  /** send_message 默认使用严格模式 */
+  markdownStrict?: boolean;
+  /** send_image 默认自动转换图片 */
+  imageConvert?: boolean;
+  /** 本地文件访问策略或其配置，false 表示不限制 */
+  fileAccess?: FileSandbox | FileSandboxOptions | false;
+  /** 网络图片下载策略或其配置，false 表示不限制 */
+  urlAccess?: UrlPolicy | UrlPolicyOptions | false;
+  /** 自定义提示模板目录 */
+  promptsDir?: string;
+  /** 日志函数（定时任务、审计日志写入失败、媒体缓存、MCP 请求处理等），默认不输出 */
+  log?: (message: string) => void;
+}
+
+export interface PromptCatalog {
+  list(): Array<{ name: string; description?: string; arguments?: Array<{ name: string; description?: string; required?: boolean }> }>;
+  get(name: string, args?: Record<string, string>): { description?: string; messages: Array<{ role: string; content: { type: string; text: string } }> };
+}
+
+export interface ResourceCatalog extends EventEmitter {
+  list(): Array<{ uri: string; name: string; description: string; mimeType: string }>;
+  listTemplates(): Array<{ uriTemplate: string; name: string; description: string; mimeType: string }>;
+  read(uri: string): { contents: Array<{ uri: string; mimeType: string; text: string }> };
+  notifyChanged(): void;
+}
+
+export interface ScheduledJob {
+  id: string;
+  tool: string;
+  arguments: Record<string, any>;
+  principal: string | null;
+  [key: string]: any;
+}
+
+export interface Scheduler {
+  start(): void;
+  stop(): void;
+  add(job: Record<string, any>): ScheduledJob;
+  cancel(id: string, options?: { principal?: string | null }): ScheduledJob;
+  list(options?: { includeFinished?: boolean; principal?: string | null }): ScheduledJob[];
+}
+
+/**
+ * 服务上下文：一个 MCP 服务实例的全部配置和共享状态
+ */
+export class ServerContext {
+  constructor(options?: ServerOptions);
+  static fromEnv(env?: Record<string, string | undefined>, options?: { log?: (message: string) => void }): ServerContext;
+  readonly webhookKey: string | null;
+  readonly registry: BotRegistry;
+  readonly forbidRawWebhookKey: boolean;
+  readonly retry: RetryPolicy | false;
+  readonly auditLog: object | null;
+  readonly mediaCache: object | null;
+  readonly scheduleFile: string;
+  readonly scheduleTimezone: string;
+  readonly baseURL: string | undefined;
+  readonly dryRun: boolean;
+  readonly outbox: object;
+  readonly markdownStrict: boolean;
+  readonly imageConvert: boolean;
+  readonly fileSandbox: FileSandbox | null;
+  readonly urlPolicy: UrlPolicy | null;
+  readonly prompts: PromptCatalog;
+  readonly resources: ResourceCatalog;
+  listTools(): ToolDefinition[];
+  getScheduler(): Scheduler;
+  replaceBots(registry: BotRegistry): void;
+  close(): void;
+}
+
+// ---------------------------------------------------------------------------
+// MCP 服务器
+// ---------------------------------------------------------------------------
+
+export const MCP_VERSION: string;
+
+export const SERVER_INFO: {
+  name: string;
+  version: string;
+  description: string;
+};
+
+export const JSONRPC_ERROR: {
+  readonly PARSE_ERROR: -32700;
+  readonly INVALID_REQUEST: -32600;
+  readonly METHOD_NOT_FOUND: -32601;
+  readonly INVALID_PARAMS: -32602;
+  readonly INTERNAL_ERROR: -32603;
+  readonly RESOURCE_NOT_FOUND: -32002;
+};
+
+export interface JsonRpcRequest {
+  jsonrpc: '2.0';
+  id?: string | number | null;
+  method: string;
+  params?: Record<string, any>;
+}
+
+export interface MCPServerOptions {
+  /** 服务上下文；未提供时使用按当前进程环境变量创建的进程内共享上下文，读写 ~/.wecom-robot-mcp 下的数据文件 */
+  context?: ServerContext;
+  /** 输出 JSON-RPC 消息的函数，默认写入标准输出 */
+  output?: (json: string) => void;
+  /** 日志函数，默认使用服务上下文的日志函数 */
+  log?: (message: string) => void;
+  /** 会话默认机器人别名 */
+  defaultBot?: string | null;
+  /** 调用方身份，记录到审计日志 */
+  principal?: string | null;
+}
+
+export class MCPServer {
+  constructor(options?: MCPServerOptions);
+  readonly context: ServerContext;
+  /** 开始从标准输入读取 JSON-RPC 请求 */
+  start(): void;
+  /** 处理单条已解析的 JSON-RPC 消息，响应通过 output 输出 */
+  handleMessage(request: JsonRpcRequest): Promise<void>;
+  sendNotification(method: string, params?: Record<string, any>): void;
+  log: (message: string) => void;
+  /** 释放会话资源，取消配置变更监听 */
+  close(): void;
+  /** 停止读取标准输入、发送关闭通知并释放会话资源，不退出进程 */
+  shutdown(): void;
+}
+
+export interface CreateServerOptions extends ServerOptions {
+  /** 已有的服务上下文，提供时忽略其余服务配置 */
+  context?: ServerContext;
+  defaultBot?: string | null;
+  principal?: string | null;
+  output?: (json: string) => void;
+}
+
+/**
+ * 创建 MCP 服务器
+ */
+export function createServer(options?: CreateServerOptions): MCPServer;
+
+// ---------------------------------------------------------------------------
+// 本地模拟服务
+// ---------------------------------------------------------------------------
+
+export interface MockMessage {
+  id: string;
+  received_at: string;
+  key: string;
+  msgtype: string;
+  body: Record<string, any>;
+}
+
+export interface MockUpload {
+  media_id: string;
+  received_at: string;
+  key: string;
+  type: string;
+  filename: string;
+  content_type: string | null;
+  size: number;
+  md5: string;
+}
+
+export interface MockWeComServerOptions {
+  host?: string;
+  port?: number;
+  keys?: string[];
+  rateLimit?: { capacity?: number; intervalMs?: number } | false;
+  log?: (message: string) => void;
+}
+
+export class MockWeComServer {
+  constructor(options?: MockWeComServerOptions);
+  readonly messages: MockMessage[];
+  readonly uploads: MockUpload[];
+  start(): Promise<{ host: string; port: number; baseURL: string }>;
+  close(): Promise<void>;
+  reset(): void;
+}
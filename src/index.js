@@ -0,0 +1,70 @@
+/**
+ * @fileoverview 库入口
+ * @description 以编程方式嵌入企业微信机器人 MCP 服务，或直接使用企业微信客户端发送消息
+ * 
+ * 与命令行入口不同，导入本模块不会读取环境变量、访问文件系统或监听标准输入；
+ * 所有配置通过 createServer(options) 或 new ServerContext(options) 传入
+ * 
+ * @example
+ * import { createServer, WeComClient } from 'wecom-robot-mcp';
+ * 
+ * // 嵌入 MCP 服务，通过 stdio 与客户端通信
+ * const server = createServer({
+ *   bots: { default: 'ops', bots: { ops: { key: 'xxx', description: '运维值班群' } } },
+ *   auditLog: false
+ * });
+ * server.start();
+ * 
+ * // 直接发送消息
+ * const client = new WeComClient('xxx');
+ * await client.sendMarkdownV2('# 部署完成');
+ * 
+ * @module wecom-robot-mcp
+ */
+
+import { MCPServer } from './mcp-server.js';
+import { ServerContext } from './context.js';
+
+export { MCPServer, MCP_VERSION, SERVER_INFO, JSONRPC_ERROR } from './mcp-server.js';
+export { ServerContext, DEFAULT_DATA_DIR } from './context.js';
+export { ToolHandler, tools, buildTools } from './tools.js';
+export {
+  WeComClient,
+  WeComError,
+  MARKDOWN_FORMAT,
+  TEMPLATE_CARD_TYPE,
+  DEFAULT_BASE_URL
+} from './wecom-client.js';
+export { BotRegistry } from './bot-registry.js';
+export { FileSandbox, DEFAULT_DENY_PATTERNS, FILE_POLICY, globToRegExp } from './file-sandbox.js';
+export { detectFileType, inspectFileType, getMimeTypeByExtension, FILE_CATEGORY, MIME_TYPES } from './file-type.js';
+export { UrlPolicy, URL_POLICY, DEFAULT_ALLOWED_PROTOCOLS, DEFAULT_MAX_REDIRECTS, isPrivateAddress } from './url-policy.js';
+export { MockWeComServer } from './mock-server.js';
+
+/**
+ * @typedef {import('./context.js').ServerOptions & {
+ *   context?: ServerContext,
+ *   defaultBot?: string|null,
+ *   principal?: string|null,
+ *   output?: function(string): void
+ * }} CreateServerOptions
+ */
+
+/**
+ * 创建 MCP 服务器
+ * 
+ * 未提供 context 时使用其余选项创建新的服务上下文；多个服务器需要共享机器人配置、
+ * 定时任务等状态时（例如自行实现的多会话传输），应创建一个 ServerContext 并传给每个服务器
+ * 
+ * @param {CreateServerOptions} [options] - 服务配置，以及会话选项 context、defaultBot、principal、output
+ * @returns {MCPServer} MCP 服务器，调用 start() 后开始处理标准输入，或通过 handleMessage() 处理消息
+ * @throws {WeComError} 当机器人配置、提示模板或默认机器人别名无效时
+ */
+export function createServer({ context, defaultBot, principal, output, ...options } = {}) {
+  return new MCPServer({
+    context: context || new ServerContext(options),
+    defaultBot,
+    principal,
+    ...(output && { output })
+  });
+}
@@ -0,0 +1,339 @@
+/**
+ * @fileoverview Markdown 长消息拆分工具
+ * @description 将超出字节限制的 Markdown 内容按标题、段落边界拆分为多条消息
+ * 
+ * 拆分规则：
+ * - 优先在标题和空行（段落）处断开，标题始终与其后的内容位于同一条消息
+ * - 不在代码块内部断开；单个代码块过长时按行拆分，并在每部分重新打开代码块
+ * - 不在表格内部断开；单个表格过长时按行拆分，并在每部分重复表头
+ * - 单行过长时按字符拆分，保证不截断 UTF-8 多字节字符
+ * 
+ * @module markdown-splitter
+ */
+
+/**
+ * 代码块起止标记的匹配规则
+ * @constant {RegExp}
+ */
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})(.*)$/;
+
+/**
+ * 表格行的匹配规则
+ * @constant {RegExp}
+ */
+const TABLE_ROW_PATTERN = /^\s*\|.*\|\s*$/;
+
+/**
+ * 标题行的匹配规则
+ * @constant {RegExp}
+ */
+const HEADING_PATTERN = /^\s*#{1,6}\s/;
+
+/**
+ * @typedef {Object} MarkdownBlock
+ * @property {string} type - 块类型：code（代码块）、table（表格）、text（普通文本）
+ * @property {string[]} lines - 块包含的行
+ */
+
+/**
+ * 计算字符串的 UTF-8 字节数
+ * 
+ * @param {string} text - 字符串
+ * @returns {number} 字节数
+ */
+function byteLength(text) {
+  return Buffer.byteLength(text, 'utf8');
+}
+
+/**
+ * 将 Markdown 内容解析为块列表
+ * 
+ * 代码块和连续的表格行各自成为一个块；普通文本在空行和标题处断开
+ * 
+ * @param {string} content - Markdown 内容
+ * @returns {MarkdownBlock[]} 块列表
+ */
+function parseBlocks(content) {
+  /** @type {MarkdownBlock[]} */
+  const blocks = [];
+  const lines = content.split('\n');
+  let current = null;
+
+  const flush = () => {
+    if (current && current.lines.length > 0) {
+      blocks.push(current);
+    }
+    current = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fence = FENCE_PATTERN.exec(line);
+
+    if (fence) {
+      flush();
+      const marker = fence[1];
+      const codeLines = [line];
+      i++;
+      while (i < lines.length) {
+        codeLines.push(lines[i]);
+        if (lines[i].trim().startsWith(marker) && lines[i].trim().replace(/[`~]/g, '') === '') {
+          break;
+        }
+        i++;
+      }
+      blocks.push({ type: 'code', lines: codeLines });
+      continue;
+    }
+
+    if (TABLE_ROW_PATTERN.test(line)) {
+      if (current?.type !== 'table') {
+        flush();
+        current = { type: 'table', lines: [] };
+      }
+      current.lines.push(line);
+      continue;
+    }
+
+    if (line.trim() === '') {
+      flush();
+      continue;
+    }
+
+    if (HEADING_PATTERN.test(line) || current?.type !== 'text') {
+      flush();
+      current = { type: 'text', lines: [] };
+    }
+    current.lines.push(line);
+  }
+
+  flush();
+  return blocks;
+}
+
+/**
+ * 按字节数拆分单行文本，不截断多字节字符
+ * 
+ * @param {string} line - 文本行
+ * @param {number} maxBytes - 每段最大字节数
+ * @returns {string[]} 拆分后的文本段
+ */
+function splitLine(line, maxBytes) {
+  const pieces = [];
+  let piece = '';
+  let pieceBytes = 0;
+
+  for (const char of line) {
+    const charBytes = byteLength(char);
+    if (pieceBytes + charBytes > maxBytes && piece) {
+      pieces.push(piece);
+      piece = '';
+      pieceBytes = 0;
+    }
+    piece += char;
+    pieceBytes += charBytes;
+  }
+
+  if (piece) {
+    pieces.push(piece);
+  }
+
+  return pieces;
+}
+
+/**
+ * 将多行文本按字节数分组，每组带有固定的前缀行和后缀行
+ * 
+ * @param {string[]} lines - 需要分组的行
+ * @param {number} maxBytes - 每组最大字节数（含前缀和后缀）
+ * @param {string[]} [prefix=[]] - 每组开头重复的行（如代码块起始标记、表头）
+ * @param {string[]} [suffix=[]] - 每组结尾重复的行（如代码块结束标记）
+ * @returns {string[]} 分组后的文本
+ */
+function packLines(lines, maxBytes, prefix = [], suffix = []) {
+  const frameBytes = byteLength([...prefix, ...suffix].join('\n')) + 1;
+  const budget = Math.max(maxBytes - frameBytes, 1);
+  const chunks = [];
+  let chunk = [];
+  let chunkBytes = 0;
+
+  const flush = () => {
+    if (chunk.length > 0) {
+      chunks.push([...prefix, ...chunk, ...suffix].join('\n'));
+    }
+    chunk = [];
+    chunkBytes = 0;
+  };
+
+  for (const line of lines) {
+    for (const piece of byteLength(line) > budget ? splitLine(line, budget) : [line]) {
+      const pieceBytes = byteLength(piece) + (chunk.length > 0 ? 1 : 0);
+      if (chunkBytes + pieceBytes > budget) {
+        flush();
+      }
+      chunkBytes += byteLength(piece) + (chunk.length > 0 ? 1 : 0);
+      chunk.push(piece);
+    }
+  }
+
+  flush();
+  return chunks;
+}
+
+/**
+ * 将超出限制的单个块拆分为多个片段
+ * 
+ * @param {MarkdownBlock} block - Markdown 块
+ * @param {number} maxBytes - 每个片段最大字节数
+ * @returns {string[]} 拆分后的片段
+ */
+function splitBlock(block, maxBytes) {
+  if (block.type === 'code') {
+    const [opening, ...rest] = block.lines;
+    const closed = rest.length > 0 && FENCE_PATTERN.test(rest[rest.length - 1]);
+    const body = closed ? rest.slice(0, -1) : rest;
+    const closing = closed ? rest[rest.length - 1].trim() : FENCE_PATTERN.exec(opening)[1];
+    return packLines(body, maxBytes, [opening], [closing]);
+  }
+
+  if (block.type === 'table' && block.lines.length > 2) {
+    const header = block.lines.slice(0, 2);
+    return packLines(block.lines.slice(2), maxBytes, header);
+  }
+
+  return packLines(block.lines, maxBytes);
+}
+
+/**
+ * 将 Markdown 内容拆分为多个不超过字节限制的片段
+ * 
+ * 不添加分片编号；片段之间以段落为边界，可直接依次发送
+ * 
+ * @param {string} content - Markdown 内容
+ * @param {number} maxBytes - 每个片段最大字节数
+ * @returns {string[]} 拆分后的片段
+ * 
+ * @example
+ * const chunks = splitMarkdown(longReport, 4096);
+ */
+export function splitMarkdown(content, maxBytes) {
+  const chunks = [];
+  let current = '';
+  let pendingHeading = '';
+
+  const append = (piece) => {
+    const candidate = current ? `${current}\n\n${piece}` : piece;
+    if (byteLength(candidate) <= maxBytes) {
+      current = candidate;
+    } else {
+      if (current) {
+        chunks.push(current);
+      }
+      current = piece;
+    }
+  };
+
+  for (const block of parseBlocks(content)) {
+    const text = block.lines.join('\n');
+
+    // 标题暂存，与其后的第一个片段合并，避免标题孤立在上一条消息末尾
+    if (block.type === 'text' && block.lines.every(line => HEADING_PATTERN.test(line))) {
+      pendingHeading = pendingHeading ? `${pendingHeading}\n\n${text}` : text;
+      continue;
+    }
+
+    const pieces = byteLength(text) > maxBytes ? splitBlock(block, maxBytes) : [text];
+
+    if (pendingHeading) {
+      const combined = `${pendingHeading}\n\n${pieces[0]}`;
+      if (byteLength(combined) <= maxBytes) {
+        pieces[0] = combined;
+      } else {
+        pieces.unshift(pendingHeading);
+      }
+      pendingHeading = '';
+    }
+
+    pieces.forEach(append);
+  }
+
+  if (pendingHeading) {
+    append(pendingHeading);
+  }
+
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+/**
+ * 生成分片编号
+ * 
+ * @param {number|string} index - 序号（从 1 开始）
+ * @param {number|string} total - 总数
+ * @returns {string} 分片编号，例如 "**[1/12]**\n\n"
+ */
+function partLabel(index, total) {
+  return `**[${index}/${total}]**\n\n`;
+}
+
+/**
+ * 将 Markdown 内容拆分为带编号的多条消息
+ * 
+ * 每条消息开头添加 "**[序号/总数]**" 编号，编号占用的字节已计入限制：
+ * 先按一位数的编号预留字节拆分，拆分条数的位数更多时按新的位数重新拆分，直到编号宽度足够
+ * 
+ * @param {string} content - Markdown 内容
+ * @param {number} maxBytes - 每条消息最大字节数
+ * @returns {string[]} 带编号的消息列表；不需要拆分时返回仅包含原内容的数组
+ * 
+ * @example
+ * const parts = splitMarkdownIntoParts(longReport, 4096);
+ * // ['**[1/2]**\n\n# 周报\n...', '**[2/2]**\n\n## 下周计划\n...']
+ */
+export function splitMarkdownIntoParts(content, maxBytes) {
+  if (byteLength(content) <= maxBytes) {
+    return [content];
+  }
+
+  let digits = 1;
+  let chunks;
+  for (;;) {
+    const widest = '9'.repeat(digits);
+    chunks = splitMarkdown(content, maxBytes - byteLength(partLabel(widest, widest)));
+    const needed = String(chunks.length).length;
+    if (needed <= digits) {
+      break;
+    }
+    digits = needed;
+  }
+
+  return chunks.map((chunk, index) => `${partLabel(index + 1, chunks.length)}${chunk}`);
+}
+
+/**
+ * 截断 Markdown 内容使其不超过字节限制
+ * 
+ * 在段落边界截断，并保证代码块闭合、表格保留表头，末尾追加提示语
+ * 
+ * @param {string} content - Markdown 内容
+ * @param {number} maxBytes - 最大字节数（含提示语）
+ * @param {string} [notice='……（内容过长，已截断）'] - 截断后追加的提示语
+ * @returns {string} 截断后的内容；不需要截断时返回原内容
+ * 
+ * @example
+ * const preview = truncateMarkdown(longReport, 4096);
+ */
+export function truncateMarkdown(content, maxBytes, notice = '……（内容过长，已截断）') {
+  if (byteLength(content) <= maxBytes) {
+    return content;
+  }
+
+  const suffix = `\n\n${notice}`;
+  const [head] = splitMarkdown(content, maxBytes - byteLength(suffix));
+  return `${head}${suffix}`;
+}
+
+export default { splitMarkdown, splitMarkdownIntoParts, truncateMarkdown };
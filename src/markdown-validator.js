@@ -0,0 +1,313 @@
+/**
+ * @fileoverview Markdown 消息校验
+ * @description 在发送前检查 Markdown 内容中企业微信不支持或显示异常的语法，给出行列位置和修改建议，并统计 UTF-8 字节数
+ * 
+ * 问题分为两级：
+ * - error：企业微信无法正确处理的语法（例如 markdown_v2 中的 <font> 字体颜色），发送时总是拒绝
+ * - warning：可以发送但显示效果与预期不符的语法（例如 HTML 标签、嵌套列表、任务列表），严格模式下拒绝
+ * 
+ * @module markdown-validator
+ */
+
+import {
+  MARKDOWN_FORMAT,
+  MARKDOWN_MAX_BYTES,
+  MARKDOWN_V1_MAX_BYTES,
+  MARKDOWN_V1_FONT_COLORS
+} from './wecom-client.js';
+import { splitMarkdownIntoParts } from './markdown-splitter.js';
+
+/**
+ * 问题级别
+ * @enum {string}
+ */
+export const ISSUE_SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+/**
+ * 代码块起止标记的匹配规则
+ * @constant {RegExp}
+ */
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})/;
+
+/**
+ * 列表项的匹配规则（捕获缩进）
+ * @constant {RegExp}
+ */
+const LIST_ITEM_PATTERN = /^(\s*)(?:[-*+]|\d+[.)])\s+/;
+
+/**
+ * HTML 标签的匹配规则（不含 <https://...> 形式的自动链接）
+ * @constant {RegExp}
+ */
+const HTML_TAG_PATTERN = /<!--|<\/?([a-zA-Z][a-zA-Z0-9-]*)(?=[\s/>])[^>]*>/g;
+
+/**
+ * 常见 HTML 标签对应的 Markdown 写法
+ * @constant {Object.<string, string>}
+ */
+const HTML_TAG_SUGGESTIONS = {
+  br: '直接换行，段落之间空一行',
+  p: '删除标签，段落之间空一行',
+  b: '改用 **加粗**',
+  strong: '改用 **加粗**',
+  i: '改用 *斜体*',
+  em: '改用 *斜体*',
+  code: '改用 `行内代码`',
+  pre: '改用 ``` 代码块',
+  a: '改用 [文字](链接)',
+  img: '改用 ![描述](图片链接)',
+  ul: '改用以 - 开头的列表',
+  ol: '改用以 1. 开头的列表',
+  li: '改用以 - 开头的列表项',
+  h1: '改用 # 标题',
+  h2: '改用 ## 标题',
+  h3: '改用 ### 标题',
+  hr: '改用 --- 分割线',
+  table: '改用 | 列 | 列 | 形式的表格'
+};
+
+/**
+ * @typedef {Object} MarkdownSyntaxIssue
+ * @property {string} severity - 问题级别：error 或 warning
+ * @property {string} rule - 规则名称
+ * @property {number} line - 行号（从 1 开始）
+ * @property {number} column - 列号（从 1 开始，按字符计）
+ * @property {string} message - 问题描述
+ * @property {string} [suggestion] - 修改建议
+ */
+
+/**
+ * @typedef {Object} MarkdownValidationReport
+ * @property {boolean} valid - 是否可以直接发送（没有 error 级问题且未超出字节限制）
+ * @property {string} format - Markdown 格式
+ * @property {{length: number, max: number, remaining: number}} bytes - UTF-8 字节数、上限和剩余字节数（超出时为负数）
+ * @property {number} [split_parts] - 超出限制时，使用 overflow: split 拆分后的消息条数
+ * @property {{errors: number, warnings: number}} summary - 各级别问题数量
+ * @property {MarkdownSyntaxIssue[]} issues - 发现的问题
+ */
+
+/**
+ * 校验 Markdown 内容
+ * 
+ * @param {string} content - Markdown 内容
+ * @param {Object} [options] - 校验选项
+ * @param {string} [options.format='markdown_v2'] - Markdown 格式，参见 MARKDOWN_FORMAT
+ * @returns {MarkdownValidationReport} 校验报告
+ * 
+ * @example
+ * const report = validateMarkdown('- [ ] 待办\n<br>');
+ * // report.issues: [{ severity: 'warning', rule: 'task_list', line: 1, column: 3, ... }, ...]
+ */
+export function validateMarkdown(content, { format = MARKDOWN_FORMAT.V2 } = {}) {
+  const issues = collectIssues(content, format);
+  const maxBytes = format === MARKDOWN_FORMAT.V1 ? MARKDOWN_V1_MAX_BYTES : MARKDOWN_MAX_BYTES;
+  const length = Buffer.byteLength(content, 'utf8');
+  const errors = issues.filter(issue => issue.severity === ISSUE_SEVERITY.ERROR).length;
+
+  return {
+    valid: errors === 0 && length <= maxBytes,
+    format,
+    bytes: { length, max: maxBytes, remaining: maxBytes - length },
+    ...(length > maxBytes && { split_parts: splitMarkdownIntoParts(content, maxBytes).length }),
+    summary: { errors, warnings: issues.length - errors },
+    issues
+  };
+}
+
+/**
+ * 检查 Markdown 内容中目标格式不支持的语法
+ * 
+ * 默认只返回 error 级问题（发送时总是拒绝）；strict 为 true 时同时返回 warning 级问题
+ * 
+ * - markdown：字体颜色仅支持 info / comment / warning，<font> 标签必须闭合，不支持代码块、表格和图片
+ * - markdown_v2：不支持 <font> 字体颜色和 <@userid> 提醒（代码块内的内容除外）
+ * 
+ * @param {string} content - Markdown 内容
+ * @param {string} format - Markdown 格式，参见 MARKDOWN_FORMAT
+ * @param {Object} [options] - 检查选项
+ * @param {boolean} [options.strict=false] - 是否包含 warning 级问题
+ * @returns {MarkdownSyntaxIssue[]} 发现的问题列表，为空表示通过
+ * 
+ * @example
+ * findMarkdownSyntaxIssues('<font color="red">告警</font>', 'markdown');
+ * // 返回：[{ severity: 'error', rule: 'font_color', line: 1, column: 1, message: '不支持的字体颜色 "red"，仅支持 info, comment, warning', ... }]
+ */
+export function findMarkdownSyntaxIssues(content, format, { strict = false } = {}) {
+  const issues = collectIssues(content, format);
+  return strict ? issues : issues.filter(issue => issue.severity === ISSUE_SEVERITY.ERROR);
+}
+
+/**
+ * 错误消息中最多列出的问题数量，完整列表见错误的 data.issues
+ * @constant {number}
+ */
+const MAX_ISSUES_IN_MESSAGE = 5;
+
+/**
+ * 将问题列表格式化为一段错误消息
+ * 
+ * @param {MarkdownSyntaxIssue[]} issues - 问题列表
+ * @returns {string} 错误消息
+ */
+export function formatSyntaxIssues(issues) {
+  const message = issues
+    .slice(0, MAX_ISSUES_IN_MESSAGE)
+    .map(issue => `第 ${issue.line} 行第 ${issue.column} 列 ${issue.message}${issue.suggestion ? `（${issue.suggestion}）` : ''}`)
+    .join('；');
+
+  return issues.length > MAX_ISSUES_IN_MESSAGE
+    ? `${message}；另有 ${issues.length - MAX_ISSUES_IN_MESSAGE} 处问题`
+    : message;
+}
+
+/**
+ * 逐行检查 Markdown 内容
+ * 
+ * @param {string} content - Markdown 内容
+ * @param {string} format - Markdown 格式
+ * @returns {MarkdownSyntaxIssue[]} 按位置排序的问题列表
+ */
+function collectIssues(content, format) {
+  /** @type {MarkdownSyntaxIssue[]} */
+  const issues = [];
+  const lines = content.split('\n');
+  const isV2 = format === MARKDOWN_FORMAT.V2;
+  let fenceLine = 0;
+  let openFonts = 0;
+  let previousListIndent = null;
+
+  const report = (severity, rule, line, column, message, suggestion) => {
+    issues.push({ severity, rule, line, column, message, ...(suggestion && { suggestion }) });
+  };
+
+  lines.forEach((rawText, index) => {
+    const line = index + 1;
+
+    if (FENCE_PATTERN.test(rawText)) {
+      const column = rawText.search(/\S/) + 1;
+      if (!isV2) {
+        report(ISSUE_SEVERITY.ERROR, 'code_block', line, column, 'markdown 不支持代码块，仅支持单行 `行内代码`', '改用 markdown_v2 格式');
+      } else {
+        fenceLine = fenceLine ? 0 : line;
+        previousListIndent = null;
+        return;
+      }
+    }
+
+    // markdown_v2 代码块内的内容原样显示，不做检查
+    if (isV2 && fenceLine) {
+      return;
+    }
+
+    // 行内代码中的内容原样显示，替换为等长空白后再检查，保持列号不变
+    const text = rawText.replace(/`[^`]*`/g, match => ' '.repeat(match.length));
+
+    if (isV2) {
+      for (const match of text.matchAll(/<font\b/gi)) {
+        report(ISSUE_SEVERITY.ERROR, 'font_tag', line, match.index + 1, 'markdown_v2 不支持 <font> 字体颜色，请改用 markdown 格式', '需要强调时改用 **加粗**');
+      }
+
+      for (const match of text.matchAll(/<@[^>\s]+>/g)) {
+        report(ISSUE_SEVERITY.ERROR, 'mention', line, match.index + 1, 'markdown_v2 不支持 <@userid> 提醒，请改用 markdown 格式或 send_text 工具', '使用 send_text 工具的 mentioned_list 参数提醒成员');
+      }
+    } else {
+      if (/^\s*\|.*\|\s*$/.test(text)) {
+        report(ISSUE_SEVERITY.ERROR, 'table', line, text.indexOf('|') + 1, 'markdown 不支持表格，请改用 markdown_v2 格式');
+      }
+
+      for (const match of text.matchAll(/!\[[^\]]*\]\([^)]*\)/g)) {
+        report(ISSUE_SEVERITY.ERROR, 'image', line, match.index + 1, 'markdown 不支持图片，请改用 markdown_v2 格式或 send_image 工具');
+      }
+
+      for (const match of text.matchAll(/<(\/?)font\b([^>]*)>/gi)) {
+        const [, closing, attributes] = match;
+        if (closing) {
+          if (openFonts === 0) {
+            report(ISSUE_SEVERITY.ERROR, 'font_unbalanced', line, match.index + 1, '多余的 </font> 闭合标签', '删除该闭合标签');
+          } else {
+            openFonts--;
+          }
+          continue;
+        }
+
+        openFonts++;
+        const color = /color\s*=\s*["']?([^"'\s>]*)/i.exec(attributes)?.[1];
+        if (!MARKDOWN_V1_FONT_COLORS.includes(color)) {
+          report(
+            ISSUE_SEVERITY.ERROR,
+            'font_color',
+            line,
+            match.index + 1,
+            `不支持的字体颜色 "${color ?? ''}"，仅支持 ${MARKDOWN_V1_FONT_COLORS.join(', ')}`,
+            'info 为绿色，comment 为灰色，warning 为橙红色'
+          );
+        }
+      }
+    }
+
+    for (const match of text.matchAll(HTML_TAG_PATTERN)) {
+      const tag = match[1]?.toLowerCase();
+      if (tag === 'font') {
+        continue;
+      }
+
+      report(
+        ISSUE_SEVERITY.WARNING,
+        'html_tag',
+        line,
+        match.index + 1,
+        tag ? `不支持 HTML 标签 <${tag}>，将按原文显示` : '不支持 HTML 注释，将按原文显示',
+        (tag && HTML_TAG_SUGGESTIONS[tag]) || '删除该标签'
+      );
+    }
+
+    if (/^\s*#{1,6}[^\s#]/.test(text)) {
+      report(ISSUE_SEVERITY.WARNING, 'heading_space', line, text.search(/#/) + 1, '# 后缺少空格，不会显示为标题', '在 # 与标题文字之间添加一个空格');
+    }
+
+    const listItem = LIST_ITEM_PATTERN.exec(text);
+    if (!listItem) {
+      if (text.trim()) {
+        previousListIndent = null;
+      }
+      return;
+    }
+
+    const indent = listItem[1].replace(/\t/g, '    ').length;
+    const column = listItem[1].length + 1;
+
+    if (!isV2) {
+      report(ISSUE_SEVERITY.WARNING, 'list', line, column, 'markdown 格式不渲染列表，将按原文显示', '改用 markdown_v2 格式');
+    } else if (previousListIndent !== null && indent >= 2 && indent > previousListIndent) {
+      report(ISSUE_SEVERITY.WARNING, 'nested_list', line, column, '不支持嵌套列表，子项会显示为同一级或原文', '改为单层列表，或将子项内容合并到上一项中');
+    }
+    previousListIndent = indent;
+
+    const task = /^\[( |x|X)\]\s/.exec(text.slice(listItem[0].length));
+    if (task) {
+      report(
+        ISSUE_SEVERITY.WARNING,
+        'task_list',
+        line,
+        listItem[0].length + 1,
+        '不支持任务列表复选框，将按原文显示',
+        task[1] === ' ' ? '改用 ⬜ 表示未完成' : '改用 ✅ 表示已完成'
+      );
+    }
+  });
+
+  if (fenceLine) {
+    report(ISSUE_SEVERITY.WARNING, 'unclosed_code_block', fenceLine, 1, '代码块未闭合，之后的内容都会显示为代码', '在代码块末尾添加 ``` 闭合');
+  }
+
+  if (openFonts > 0) {
+    report(ISSUE_SEVERITY.ERROR, 'font_unbalanced', lines.length, lines[lines.length - 1].length + 1, `有 ${openFonts} 个 <font> 标签未闭合`, '在需要着色的文字后添加 </font>');
+  }
+
+  return issues.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+export default { validateMarkdown, findMarkdownSyntaxIssues, formatSyntaxIssues };
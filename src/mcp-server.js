@@ -0,0 +1,588 @@
+/**
+ * @fileoverview MCP 服务器
+ * @description 实现 MCP 协议的 JSON-RPC 2.0 消息处理：初始化、工具、资源和提示模板，
+ * 默认通过 stdio 与客户端通信，HTTP 传输为每个会话创建独立实例
+ * 
+ * @module mcp-server
+ */
+
+import { createInterface } from 'readline';
+import { createRequire } from 'module';
+import { ToolHandler, getDefaultContext } from './tools.js';
+
+const { version } = createRequire(import.meta.url)('../package.json');
+
+/**
+ * MCP 协议版本号
+ * @constant {string}
+ */
+export const MCP_VERSION = '2024-11-05';
+
+/**
+ * 服务器元信息
+ * @constant {Object}
+ * @property {string} name - 服务器名称
+ * @property {string} version - 版本号（取自 package.json）
+ * @property {string} description - 描述信息
+ */
+export const SERVER_INFO = {
+  name: 'wecom-robot-mcp',
+  version,
+  description: '企业微信机器人 MCP 服务，支持发送消息、文件和图片'
+};
+
+/**
+ * JSON-RPC 错误码定义
+ * @enum {number}
+ */
+export const JSONRPC_ERROR = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  RESOURCE_NOT_FOUND: -32002
+};
+
+/**
+ * @typedef {Object} JsonRpcRequest
+ * @property {string} jsonrpc - JSON-RPC 版本（固定为 "2.0"）
+ * @property {string|number|null} id - 请求 ID
+ * @property {string} method - 方法名
+ * @property {Object} [params] - 方法参数
+ */
+
+/**
+ * @typedef {Object} JsonRpcResponse
+ * @property {string} jsonrpc - JSON-RPC 版本（固定为 "2.0"）
+ * @property {string|number|null} id - 请求 ID
+ * @property {Object} [result] - 响应结果
+ * @property {Object} [error] - 错误信息
+ */
+
+/**
+ * @typedef {Object} JsonRpcError
+ * @property {number} code - 错误码
+ * @property {string} message - 错误消息
+ * @property {*} [data] - 额外错误数据
+ */
+
+/**
+ * MCP 服务器类
+ * 
+ * 实现 JSON-RPC 2.0 协议处理，默认通过 stdio 与客户端通信
+ * 支持 MCP 协议定义的所有标准方法
+ * 
+ * HTTP 传输为每个会话创建独立实例，通过 output 选项接管消息输出
+ * 
+ * 同一服务上下文可供多个实例共享，机器人配置变更时所有实例都会通知各自的客户端
+ * 
+ * @example
+ * const server = new MCPServer({ context: new ServerContext({ webhookKey: 'xxx' }) });
+ * server.start();
+ */
+export class MCPServer {
+  /**
+   * 创建 MCP 服务器实例
+   * 
+   * @param {Object} [options] - 服务器选项
+   * @param {import('./context.js').ServerContext} [options.context] - 服务上下文；未提供时使用按当前进程环境变量创建的进程内共享上下文（见 getDefaultContext）
+   * @param {function(string): void} [options.output] - 输出 JSON-RPC 消息的函数，默认写入标准输出
+   * @param {function(string): void} [options.log] - 日志函数，默认使用服务上下文的日志函数
+   * @param {string|null} [options.defaultBot] - 会话默认机器人别名（优先于注册表默认机器人）
+   * @param {string|null} [options.principal] - 调用方身份（HTTP 访问令牌对应的客户端名称），记录到审计日志
+   * @throws {WeComError} 当默认机器人别名不存在时
+   */
+  constructor({ context = getDefaultContext(), output = json => process.stdout.write(json + '\n'), log = context.log, defaultBot = null, principal = null } = {}) {
+    /**
+     * 服务上下文
+     * @type {import('./context.js').ServerContext}
+     */
+    this.context = context;
+
+    /**
+     * @private
+     * @type {ToolHandler}
+     */
+    this.toolHandler = new ToolHandler({ context, defaultBot, principal });
+
+    /**
+     * @private
+     * @type {function(string): void}
+     */
+    this.output = output;
+
+    /**
+     * 日志函数
+     * @type {function(string): void}
+     */
+    this.log = log;
+
+    /**
+     * @private
+     * @type {import('readline').Interface|null}
+     */
+    this.rl = null;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.isInitialized = false;
+
+    // 绑定方法上下文
+    this.handleLine = this.handleLine.bind(this);
+    this.handleMessage = this.handleMessage.bind(this);
+    this.sendResponse = this.sendResponse.bind(this);
+    this.sendNotification = this.sendNotification.bind(this);
+    this._onListChanged = this._onListChanged.bind(this);
+
+    // 配置变更时通知客户端重新获取资源和工具列表
+    this.context.resources.on('list_changed', this._onListChanged);
+  }
+
+  /**
+   * 启动 MCP 服务器
+   * 
+   * 设置标准输入监听，开始处理 JSON-RPC 请求
+   * 
+   * 不注册进程信号处理器，也不会退出进程；由调用方（例如命令行入口）在收到信号或标准输入结束时
+   * 调用 shutdown() 并决定是否退出
+   */
+  start() {
+    // 创建 readline 接口读取标准输入
+    this.rl = createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      terminal: false
+    });
+
+    // 监听输入行
+    this.rl.on('line', this.handleLine);
+
+    // 记录启动日志
+    this.log('MCP 服务器已启动，等待请求...');
+  }
+
+  /**
+   * 处理输入行（JSON-RPC 请求）
+   * 
+   * 解析 JSON 后交给 handleMessage 处理
+   * 
+   * @param {string} line - 输入的 JSON 字符串
+   * @private
+   */
+  async handleLine(line) {
+    // 跳过空行
+    if (!line.trim()) {
+      return;
+    }
+
+    this.log(`收到请求：${this._truncateString(line, 100)}...`);
+
+    /** @type {JsonRpcRequest} */
+    let request;
+
+    // 解析 JSON
+    try {
+      request = JSON.parse(line);
+    } catch (error) {
+      this.log(`JSON 解析失败：${error.message}`);
+      this.sendError(null, JSONRPC_ERROR.PARSE_ERROR, 'Parse error', error.message);
+      return;
+    }
+
+    await this.handleMessage(request);
+  }
+
+  /**
+   * 处理单条 JSON-RPC 消息
+   * 
+   * 验证协议版本，路由到相应处理器；stdio 与 HTTP 传输共用
+   * 
+   * @param {JsonRpcRequest} request - 已解析的 JSON-RPC 消息
+   */
+  async handleMessage(request) {
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+      this.sendError(null, JSONRPC_ERROR.INVALID_REQUEST, 'Invalid Request', '消息必须是 JSON 对象');
+      return;
+    }
+
+    // 验证 JSON-RPC 版本
+    if (request.jsonrpc !== '2.0') {
+      this.log(`不支持的 JSON-RPC 版本：${request.jsonrpc}`);
+      this.sendError(
+        request.id,
+        JSONRPC_ERROR.INVALID_REQUEST,
+        'Invalid Request',
+        '不支持的 JSON-RPC 版本，仅支持 2.0'
+      );
+      return;
+    }
+
+    // 路由请求到处理器
+    try {
+      await this.routeRequest(request);
+    } catch (error) {
+      this.log(`请求处理失败：${error.message}`);
+      this.sendError(
+        request.id,
+        JSONRPC_ERROR.INTERNAL_ERROR,
+        'Internal error',
+        error.message
+      );
+    }
+  }
+
+  /**
+   * 路由 JSON-RPC 请求到相应处理器
+   * 
+   * 支持的方法：
+   * - initialize: 初始化连接
+   * - initialized: 客户端初始化完成通知
+   * - ping: 健康检查
+   * - tools/list: 获取工具列表
+   * - tools/call: 调用工具
+   * - resources/list: 获取资源列表
+   * - resources/templates/list: 获取资源模板列表
+   * - resources/read: 读取资源
+   * - prompts/list: 获取提示模板列表
+   * - prompts/get: 渲染提示模板
+   * 
+   * @param {JsonRpcRequest} request - JSON-RPC 请求对象
+   * @private
+   */
+  async routeRequest(request) {
+    const { method, params, id } = request;
+
+    this.log(`路由请求：method=${method}`);
+
+    switch (method) {
+      // MCP 协议方法
+      case 'initialize':
+        await this.handleInitialize(request);
+        break;
+
+      case 'initialized':
+      case 'notifications/initialized':
+        // 客户端通知服务器初始化完成，无需响应
+        this.isInitialized = true;
+        this.log('客户端已初始化');
+        break;
+
+      case 'ping':
+        this.sendResponse(id, {});
+        break;
+
+      // 工具相关方法
+      case 'tools/list':
+        this.handleToolsList(request);
+        break;
+
+      case 'tools/call':
+        await this.handleToolsCall(request);
+        break;
+
+      // 资源相关方法
+      case 'resources/list':
+        this.sendResponse(id, { resources: this.context.resources.list() });
+        break;
+
+      case 'resources/templates/list':
+        this.sendResponse(id, { resourceTemplates: this.context.resources.listTemplates() });
+        break;
+
+      case 'resources/read':
+        this.handleResourcesRead(request);
+        break;
+
+      // 提示相关方法
+      case 'prompts/list':
+        this.sendResponse(id, { prompts: this.context.prompts.list() });
+        break;
+
+      case 'prompts/get':
+        this.handlePromptsGet(request);
+        break;
+
+      default:
+        this.log(`未知方法：${method}`);
+        // 通知无需响应，即使方法未知
+        if (id === undefined) {
+          break;
+        }
+        this.sendError(
+          id,
+          JSONRPC_ERROR.METHOD_NOT_FOUND,
+          'Method not found',
+          `未知方法：${method}`
+        );
+    }
+  }
+
+  /**
+   * 处理 initialize 请求
+   * 
+   * 响应服务器信息和能力声明
+   * 
+   * @param {JsonRpcRequest} request - JSON-RPC 请求
+   * @private
+   */
+  async handleInitialize(request) {
+    const { params } = request;
+
+    this.log(`客户端初始化：${JSON.stringify(params?.clientInfo || {})}`);
+    this.toolHandler.setClientInfo(params?.clientInfo);
+
+    const response = {
+      protocolVersion: MCP_VERSION,
+      capabilities: {
+        tools: { listChanged: true },
+        resources: { listChanged: true },
+        prompts: {}
+      },
+      serverInfo: SERVER_INFO
+    };
+
+    this.sendResponse(request.id, response);
+  }
+
+  /**
+   * 处理 tools/list 请求
+   * 
+   * 返回所有可用工具的列表及其 schema
+   * 
+   * @param {JsonRpcRequest} request - JSON-RPC 请求
+   * @private
+   */
+  handleToolsList(request) {
+    const toolsInfo = this.context.listTools().map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: tool.inputSchema
+    }));
+
+    this.sendResponse(request.id, {
+      tools: toolsInfo
+    });
+  }
+
+  /**
+   * 处理 tools/call 请求
+   * 
+   * 调用指定的工具并返回执行结果
+   * 
+   * @param {JsonRpcRequest} request - JSON-RPC 请求
+   * @private
+   */
+  async handleToolsCall(request) {
+    const { params } = request;
+    const { name, arguments: args = {} } = params || {};
+
+    if (!name) {
+      this.sendError(
+        request.id,
+        JSONRPC_ERROR.INVALID_PARAMS,
+        'Invalid params',
+        '缺少工具名称'
+      );
+      return;
+    }
+
+    this.log(`调用工具：${name}, 参数：${this._truncateString(JSON.stringify(args), 200)}`);
+
+    try {
+      const result = await this.toolHandler.handle(name, args || {});
+      this.sendResponse(request.id, result);
+    } catch (error) {
+      this.log(`工具执行失败：${error.message}`);
+      this.sendError(
+        request.id,
+        JSONRPC_ERROR.INTERNAL_ERROR,
+        'Tool execution failed',
+        error.message
+      );
+    }
+  }
+
+  /**
+   * 处理 resources/read 请求
+   * 
+   * @param {JsonRpcRequest} request - JSON-RPC 请求
+   * @private
+   */
+  handleResourcesRead(request) {
+    const { uri } = request.params || {};
+
+    try {
+      this.sendResponse(request.id, this.context.resources.read(uri));
+    } catch (error) {
+      this.sendError(
+        request.id,
+        JSONRPC_ERROR.RESOURCE_NOT_FOUND,
+        'Resource not found',
+        error.message
+      );
+    }
+  }
+
+  /**
+   * 配置变更时通知客户端资源和工具列表已变化
+   * 
+   * 机器人列表同时影响 wecom://bots 资源和工具参数中的机器人别名枚举
+   * 
+   * @private
+   */
+  _onListChanged() {
+    if (!this.isInitialized) {
+      return;
+    }
+
+    this.sendNotification('notifications/resources/list_changed');
+    this.sendNotification('notifications/tools/list_changed');
+  }
+
+  /**
+   * 处理 prompts/get 请求
+   * 
+   * 使用参数渲染提示模板，模板不存在或缺少必填参数时返回 Invalid params 错误
+   * 
+   * @param {JsonRpcRequest} request - JSON-RPC 请求
+   * @private
+   */
+  handlePromptsGet(request) {
+    const { name, arguments: args } = request.params || {};
+
+    try {
+      this.sendResponse(request.id, this.context.prompts.get(name, args || {}));
+    } catch (error) {
+      this.sendError(
+        request.id,
+        JSONRPC_ERROR.INVALID_PARAMS,
+        'Invalid params',
+        error.message
+      );
+    }
+  }
+
+  /**
+   * 发送 JSON-RPC 响应
+   * 
+   * @param {string|number|null} id - 请求 ID
+   * @param {*} result - 响应结果
+   * @private
+   */
+  sendResponse(id, result) {
+    /** @type {JsonRpcResponse} */
+    const response = {
+      jsonrpc: '2.0',
+      id: id,
+      result: result
+    };
+
+    this._sendJSON(response);
+  }
+
+  /**
+   * 发送 JSON-RPC 错误响应
+   * 
+   * @param {string|number|null} id - 请求 ID
+   * @param {number} code - 错误码
+   * @param {string} message - 错误消息
+   * @param {*} [data] - 额外错误数据
+   * @private
+   */
+  sendError(id, code, message, data = null) {
+    /** @type {JsonRpcResponse} */
+    const error = {
+      jsonrpc: '2.0',
+      id: id,
+      error: {
+        code: code,
+        message: message
+      }
+    };
+
+    if (data !== null) {
+      error.error.data = data;
+    }
+
+    this._sendJSON(error);
+  }
+
+  /**
+   * 发送 JSON-RPC 通知
+   * 
+   * 通知是没有 ID 的请求，不需要响应
+   * 
+   * @param {string} method - 通知方法
+   * @param {Object} [params] - 通知参数
+   * @private
+   */
+  sendNotification(method, params = {}) {
+    /** @type {JsonRpcRequest} */
+    const notification = {
+      jsonrpc: '2.0',
+      method: method,
+      params: params
+    };
+
+    this._sendJSON(notification);
+  }
+
+  /**
+   * 发送 JSON 对象到输出（默认为标准输出）
+   * 
+   * @param {Object} obj - 要发送的对象
+   * @private
+   */
+  _sendJSON(obj) {
+    const json = JSON.stringify(obj);
+    this.output(json);
+    this.log(`发送响应：${this._truncateString(json, 100)}...`);
+  }
+
+  /**
+   * 截断长字符串用于日志显示
+   * 
+   * @param {string} str - 要截断的字符串
+   * @param {number} maxLength - 最大长度
+   * @returns {string} 截断后的字符串
+   * @private
+   */
+  _truncateString(str, maxLength) {
+    if (str.length <= maxLength) {
+      return str;
+    }
+    return str.substring(0, maxLength);
+  }
+
+  /**
+   * 释放会话资源（HTTP 传输在会话结束时调用）
+   * 
+   * 取消配置变更监听，之后不再向该会话发送通知
+   */
+  close() {
+    this.context.resources.off('list_changed', this._onListChanged);
+  }
+
+  /**
+   * 关闭服务器
+   * 
+   * 优雅关闭：关闭 readline 接口，发送关闭通知，释放会话资源；不退出进程
+   */
+  shutdown() {
+    this.log('正在关闭服务器...');
+
+    if (this.rl) {
+      this.rl.close();
+    }
+
+    // 发送关闭通知
+    this.sendNotification('notifications/closed');
+
+    this.close();
+  }
+}
+
+export default MCPServer;
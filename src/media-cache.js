@@ -0,0 +1,250 @@
+/**
+ * @fileoverview 媒体文件缓存
+ * @description 缓存已上传文件的 media_id，同一机器人重复发送相同内容的文件时无需重新上传
+ * 
+ * 企业微信的 media_id 自上传起 3 天内有效，缓存按 (webhook key, 文件 MD5, 文件类型) 索引，
+ * 过期时间由上传结果中的 created_at 计算，并预留一定余量避免发送时恰好过期。
+ * 缓存持久化到本地 JSON 文件，文件中只保存 webhook key 的 SHA-256 摘要
+ * 
+ * @module media-cache
+ */
+
+import { readFileSync, writeFileSync, renameSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { createHash } from 'crypto';
+
+/**
+ * media_id 有效期（毫秒）
+ * @constant {number}
+ */
+export const MEDIA_ID_TTL_MS = 3 * 24 * 60 * 60 * 1000;
+
+/**
+ * 过期余量（毫秒），距过期不足该时间的缓存视为已过期
+ * @constant {number}
+ */
+const EXPIRY_MARGIN_MS = 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} CachedMedia
+ * @property {string} media_id - 企业微信返回的 media_id
+ * @property {string} type - 文件类型（file 或 voice）
+ * @property {string} md5 - 文件内容 MD5
+ * @property {string} name - 上传时的文件名
+ * @property {number} size - 文件大小（字节）
+ * @property {number} created_at - 上传时间（毫秒时间戳）
+ * @property {number} expires_at - 过期时间（毫秒时间戳）
+ */
+
+/**
+ * 计算 webhook key 的摘要，避免缓存文件中出现明文 key
+ * 
+ * @param {string} webhookKey - webhook key
+ * @returns {string} SHA-256 摘要
+ */
+function hashWebhookKey(webhookKey) {
+  return createHash('sha256').update(webhookKey).digest('hex');
+}
+
+/**
+ * 媒体文件缓存类
+ * 
+ * @example
+ * const cache = new MediaCache({ file: '/tmp/media-cache.json' });
+ * const hit = cache.get(key, md5, 'file');
+ * if (!hit) {
+ *   const result = await client.uploadMediaBuffer(buffer, 'report.pdf');
+ *   cache.set(key, { media_id: result.media_id, created_at: result.created_at, type: 'file', md5, name, size });
+ * }
+ */
+export class MediaCache {
+  /**
+   * 创建媒体文件缓存
+   * 
+   * @param {Object} options - 缓存选项
+   * @param {string} options.file - 缓存文件路径
+   * @param {function(string): void} [options.log] - 日志函数，缓存文件无法读写时记录原因
+   */
+  constructor({ file, log = () => {} }) {
+    /**
+     * @private
+     * @type {string}
+     */
+    this.file = file;
+
+    /**
+     * @private
+     * @type {function(string): void}
+     */
+    this.log = log;
+
+    /**
+     * 缓存条目，键为 `${key 摘要}:${类型}:${MD5}`
+     * @private
+     * @type {Map<string, CachedMedia & {key_sha256: string}>|null}
+     */
+    this.entries = null;
+  }
+
+  /**
+   * 查找未过期的缓存
+   * 
+   * @param {string} webhookKey - webhook key
+   * @param {string} md5 - 文件内容 MD5
+   * @param {string} type - 文件类型
+   * @returns {CachedMedia|null} 缓存的上传结果，不存在或已过期时为 null
+   */
+  get(webhookKey, md5, type) {
+    const entry = this._entries().get(this._key(hashWebhookKey(webhookKey), type, md5));
+    if (!entry || entry.expires_at - EXPIRY_MARGIN_MS <= Date.now()) {
+      return null;
+    }
+
+    const { key_sha256, ...media } = entry;
+    return media;
+  }
+
+  /**
+   * 写入上传结果
+   * 
+   * @param {string} webhookKey - webhook key
+   * @param {Object} media - 上传结果
+   * @param {string} media.media_id - media_id
+   * @param {string|number} [media.created_at] - 企业微信返回的上传时间（秒级时间戳），缺省时使用当前时间
+   * @param {string} media.type - 文件类型
+   * @param {string} media.md5 - 文件内容 MD5
+   * @param {string} media.name - 文件名
+   * @param {number} media.size - 文件大小
+   * @returns {CachedMedia} 缓存条目
+   */
+  set(webhookKey, { media_id, created_at, type, md5, name, size }) {
+    const createdAt = Number(created_at) > 0 ? Number(created_at) * 1000 : Date.now();
+    const keyHash = hashWebhookKey(webhookKey);
+    const media = { media_id, type, md5, name, size, created_at: createdAt, expires_at: createdAt + MEDIA_ID_TTL_MS };
+
+    this._entries().set(this._key(keyHash, type, md5), { key_sha256: keyHash, ...media });
+    this._save();
+
+    return media;
+  }
+
+  /**
+   * 删除指定 media_id 的缓存（例如企业微信提示 media_id 无效时）
+   * 
+   * @param {string} webhookKey - webhook key
+   * @param {string} mediaId - media_id
+   * @returns {boolean} 是否删除了缓存
+   */
+  invalidate(webhookKey, mediaId) {
+    const keyHash = hashWebhookKey(webhookKey);
+    const entries = this._entries();
+
+    for (const [id, entry] of entries) {
+      if (entry.key_sha256 === keyHash && entry.media_id === mediaId) {
+        entries.delete(id);
+        this._save();
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 清空缓存
+   * 
+   * @param {string} [webhookKey] - 只清除该 webhook key 的缓存，缺省时清除全部
+   * @returns {number} 清除的条目数
+   */
+  clear(webhookKey) {
+    const entries = this._entries();
+    const keyHash = webhookKey ? hashWebhookKey(webhookKey) : null;
+    let removed = 0;
+
+    for (const [id, entry] of entries) {
+      if (!keyHash || entry.key_sha256 === keyHash) {
+        entries.delete(id);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this._save();
+    }
+    return removed;
+  }
+
+  /**
+   * 生成缓存键
+   * 
+   * @param {string} keyHash - webhook key 摘要
+   * @param {string} type - 文件类型
+   * @param {string} md5 - 文件内容 MD5
+   * @returns {string} 缓存键
+   * @private
+   */
+  _key(keyHash, type, md5) {
+    return `${keyHash}:${type}:${md5}`;
+  }
+
+  /**
+   * 获取缓存条目，首次调用时从文件加载
+   * 
+   * 缓存文件损坏时记录日志并从空缓存开始，不影响文件发送
+   * 
+   * @returns {Map<string, CachedMedia & {key_sha256: string}>} 缓存条目
+   * @private
+   */
+  _entries() {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    this.entries = new Map();
+
+    let data;
+    try {
+      data = JSON.parse(readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.log(`媒体缓存文件 ${this.file} 无法读取，已忽略：${error.message}`);
+      }
+      return this.entries;
+    }
+
+    const now = Date.now();
+    for (const entry of Array.isArray(data?.entries) ? data.entries : []) {
+      if (entry?.media_id && entry.expires_at > now) {
+        this.entries.set(this._key(entry.key_sha256, entry.type, entry.md5), entry);
+      }
+    }
+
+    return this.entries;
+  }
+
+  /**
+   * 将缓存写入文件（先写临时文件再重命名），同时清理已过期的条目
+   * 
+   * 写入失败只记录日志，缓存仍在内存中生效
+   * 
+   * @private
+   */
+  _save() {
+    const now = Date.now();
+    for (const [id, entry] of this.entries) {
+      if (entry.expires_at <= now) {
+        this.entries.delete(id);
+      }
+    }
+
+    try {
+      mkdirSync(dirname(this.file), { recursive: true });
+      const tempFile = `${this.file}.${process.pid}.tmp`;
+      writeFileSync(tempFile, JSON.stringify({ entries: [...this.entries.values()] }, null, 2), { mode: 0o600 });
+      renameSync(tempFile, this.file);
+    } catch (error) {
+      this.log(`媒体缓存文件 ${this.file} 写入失败：${error.message}`);
+    }
+  }
+}
+
+export default MediaCache;
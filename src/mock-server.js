@@ -0,0 +1,648 @@
+/**
+ * @fileoverview 本地模拟企业微信 webhook 服务
+ * @description 实现 /send 和 /upload_media 接口，按企业微信的规则校验请求并返回相同的错误码，
+ * 用于本地端到端测试（将 WECOM_API_BASE_URL 指向该服务）
+ * 
+ * 端点（前缀 /cgi-bin/webhook，与企业微信一致）：
+ * - POST /cgi-bin/webhook/send?key=xxx: 发送消息
+ * - POST /cgi-bin/webhook/upload_media?key=xxx&type=file: 上传文件（multipart/form-data，字段名 media）
+ * 
+ * 查看接收到的内容：
+ * - GET /messages[?key=xxx]: 已接受的消息
+ * - GET /uploads[?key=xxx]: 已上传的文件信息
+ * - DELETE /messages: 清空消息和上传记录
+ * - GET /health: 健康检查
+ * 
+ * @module mock-server
+ */
+
+import { createServer } from 'http';
+import { randomUUID, createHash } from 'crypto';
+import { RateLimiter, DEFAULT_RATE_LIMIT } from './rate-limiter.js';
+import { detectImageFormat, IMAGE_FORMAT } from './image-convert.js';
+import {
+  FILE_SIZE_LIMITS,
+  MARKDOWN_FORMAT,
+  MARKDOWN_MAX_BYTES,
+  MARKDOWN_V1_MAX_BYTES,
+  TEXT_MAX_BYTES,
+  NEWS_LIMITS,
+  TEMPLATE_CARD_TYPE
+} from './wecom-client.js';
+
+/**
+ * 接口路径前缀
+ * @constant {string}
+ */
+export const MOCK_BASE_PATH = '/cgi-bin/webhook';
+
+/**
+ * 模拟服务返回的错误码（与企业微信一致）
+ * @enum {number}
+ */
+export const MOCK_ERRCODE = {
+  INVALID_KEY: 93000,
+  FREQUENCY_LIMIT: 45009,
+  INVALID_FILE_SIZE: 40006,
+  INVALID_MEDIA_ID: 40007,
+  INVALID_MESSAGE_TYPE: 40008,
+  INVALID_IMAGE: 40009,
+  INVALID_PARAMETER: 40035,
+  CONTENT_TOO_LONG: 40058,
+  EMPTY_CONTENT: 44004
+};
+
+/**
+ * 请求体最大字节数（超出后不再保存，只计数）
+ * @constant {number}
+ */
+const MAX_BODY_BYTES = FILE_SIZE_LIMITS.FILE + 1024 * 1024;
+
+/**
+ * 上传类型对应的大小限制
+ * @constant {Object.<string, number>}
+ */
+const UPLOAD_SIZE_LIMITS = {
+  file: FILE_SIZE_LIMITS.FILE,
+  voice: FILE_SIZE_LIMITS.VOICE
+};
+
+/**
+ * @typedef {Object} MockMessage
+ * @property {string} id - 记录 ID
+ * @property {string} received_at - 接收时间（ISO 8601）
+ * @property {string} key - 请求中的 webhook key
+ * @property {string} msgtype - 消息类型
+ * @property {Object} body - 完整的请求体
+ */
+
+/**
+ * @typedef {Object} MockUpload
+ * @property {string} media_id - 分配的 media_id
+ * @property {string} received_at - 接收时间（ISO 8601）
+ * @property {string} key - 请求中的 webhook key
+ * @property {string} type - 文件类型（file 或 voice）
+ * @property {string} filename - 文件名
+ * @property {string|null} content_type - 文件的 Content-Type
+ * @property {number} size - 文件大小（字节）
+ * @property {string} md5 - 文件内容 MD5
+ */
+
+/**
+ * 校验失败，转换为企业微信格式的错误响应
+ */
+class MockApiError extends Error {
+  /**
+   * @param {number} errcode - 错误码
+   * @param {string} errmsg - 错误消息
+   */
+  constructor(errcode, errmsg) {
+    super(errmsg);
+    this.name = 'MockApiError';
+    this.errcode = errcode;
+  }
+}
+
+/**
+ * 模拟企业微信 webhook 服务
+ * 
+ * @example
+ * const mock = new MockWeComServer({ keys: ['test-key'] });
+ * const { baseURL } = await mock.start();
+ * const client = new WeComClient('test-key', { baseURL });
+ * await client.sendText('hello');
+ * console.log(mock.messages[0].body); // { msgtype: 'text', text: { content: 'hello' } }
+ * await mock.close();
+ */
+export class MockWeComServer {
+  /**
+   * 创建模拟服务
+   * 
+   * @param {Object} [options] - 服务选项
+   * @param {string} [options.host='127.0.0.1'] - 监听地址
+   * @param {number} [options.port=0] - 监听端口，0 表示随机分配
+   * @param {string[]} [options.keys=[]] - 有效的 webhook key，为空时接受任意非空 key
+   * @param {{capacity?: number, intervalMs?: number}|false} [options.rateLimit] - 每个 key 的频率限制，默认 20 条/分钟，false 表示不限制
+   * @param {function(string): void} [options.log] - 日志函数
+   */
+  constructor({ host = '127.0.0.1', port = 0, keys = [], rateLimit = DEFAULT_RATE_LIMIT, log = () => {} } = {}) {
+    /**
+     * @private
+     * @type {string}
+     */
+    this.host = host;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.port = port;
+
+    /**
+     * @private
+     * @type {Set<string>}
+     */
+    this.keys = new Set(keys);
+
+    /**
+     * @private
+     * @type {{capacity?: number, intervalMs?: number}|false}
+     */
+    this.rateLimit = rateLimit;
+
+    /**
+     * @private
+     * @type {function(string): void}
+     */
+    this.log = log;
+
+    /**
+     * 每个 key 的限流器（/send 和 /upload_media 共用）
+     * @private
+     * @type {Map<string, RateLimiter>}
+     */
+    this.rateLimiters = new Map();
+
+    /**
+     * 已上传文件，键为 media_id
+     * @private
+     * @type {Map<string, MockUpload>}
+     */
+    this.media = new Map();
+
+    /**
+     * 已接受的消息，按接收顺序排列
+     * @type {MockMessage[]}
+     */
+    this.messages = [];
+
+    /**
+     * @private
+     * @type {import('http').Server|null}
+     */
+    this.server = null;
+
+    /**
+     * 接口基础 URL，启动后可用
+     * @type {string|null}
+     */
+    this.baseURL = null;
+  }
+
+  /**
+   * 已上传文件信息，按上传顺序排列
+   * 
+   * @returns {MockUpload[]} 上传记录
+   */
+  get uploads() {
+    return [...this.media.values()];
+  }
+
+  /**
+   * 启动服务
+   * 
+   * @returns {Promise<{host: string, port: number, baseURL: string}>} 实际监听的地址、端口和接口基础 URL
+   */
+  start() {
+    this.server = createServer((req, res) => {
+      this._handleRequest(req, res).catch(error => {
+        this.log(`请求处理失败：${error.message}`);
+        if (!res.headersSent) {
+          this._sendJSON(res, 500, { errcode: -1, errmsg: error.message });
+        }
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        const { address, port } = this.server.address();
+        const host = address.includes(':') ? `[${address}]` : address;
+        this.baseURL = `http://${host}:${port}${MOCK_BASE_PATH}`;
+        this.log(`模拟企业微信服务已启动：${this.baseURL}`);
+        resolve({ host: address, port, baseURL: this.baseURL });
+      });
+    });
+  }
+
+  /**
+   * 关闭服务
+   * 
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise(resolve => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+      this.server.close(() => resolve());
+      this.server.closeAllConnections?.();
+    });
+  }
+
+  /**
+   * 清空已接受的消息、上传记录和限流状态
+   */
+  reset() {
+    this.messages = [];
+    this.media.clear();
+    this.rateLimiters.clear();
+  }
+
+  /**
+   * 分发 HTTP 请求
+   * 
+   * @param {import('http').IncomingMessage} req - HTTP 请求
+   * @param {import('http').ServerResponse} res - HTTP 响应
+   * @private
+   */
+  async _handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const key = url.searchParams.get('key');
+
+    if (req.method === 'POST' && url.pathname === `${MOCK_BASE_PATH}/send`) {
+      const body = await this._readBody(req);
+      this._sendJSON(res, 200, this._respond(() => this._handleSend(key, body)));
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === `${MOCK_BASE_PATH}/upload_media`) {
+      const body = await this._readBody(req);
+      const type = url.searchParams.get('type');
+      this._sendJSON(res, 200, this._respond(() => this._handleUpload(key, type, req.headers['content-type'], body)));
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/messages') {
+      this._sendJSON(res, 200, { messages: this.messages.filter(message => !key || message.key === key) });
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/uploads') {
+      this._sendJSON(res, 200, { uploads: this.uploads.filter(upload => !key || upload.key === key) });
+      return;
+    }
+
+    if (req.method === 'DELETE' && url.pathname === '/messages') {
+      this.reset();
+      res.writeHead(204).end();
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+      this._sendJSON(res, 200, { status: 'ok', messages: this.messages.length, uploads: this.media.size });
+      return;
+    }
+
+    this._sendJSON(res, 404, { errcode: 404, errmsg: `unknown path: ${req.method} ${url.pathname}` });
+  }
+
+  /**
+   * 执行接口处理函数，将校验错误转换为企业微信格式的响应
+   * 
+   * @param {function(): Object} handler - 接口处理函数，返回成功响应的附加字段
+   * @returns {Object} 响应体
+   * @private
+   */
+  _respond(handler) {
+    try {
+      return { errcode: 0, errmsg: 'ok', ...handler() };
+    } catch (error) {
+      if (error instanceof MockApiError) {
+        this.log(`请求被拒绝：${error.errcode} ${error.message}`);
+        return { errcode: error.errcode, errmsg: error.message };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 校验 webhook key 并扣减频率配额
+   * 
+   * @param {string|null} key - webhook key
+   * @throws {MockApiError} 当 key 无效或超出频率限制时
+   * @private
+   */
+  _checkKey(key) {
+    if (!key || (this.keys.size > 0 && !this.keys.has(key))) {
+      throw new MockApiError(MOCK_ERRCODE.INVALID_KEY, 'invalid webhook url, please check');
+    }
+
+    if (this.rateLimit === false) {
+      return;
+    }
+
+    if (!this.rateLimiters.has(key)) {
+      this.rateLimiters.set(key, new RateLimiter(this.rateLimit));
+    }
+    if (!this.rateLimiters.get(key).tryAcquire()) {
+      throw new MockApiError(MOCK_ERRCODE.FREQUENCY_LIMIT, 'api freq out of limit');
+    }
+  }
+
+  /**
+   * 处理发送消息请求
+   * 
+   * @param {string|null} key - webhook key
+   * @param {Buffer} raw - 请求体
+   * @returns {Object} 成功响应的附加字段
+   * @throws {MockApiError} 当请求无效时
+   * @private
+   */
+  _handleSend(key, raw) {
+    this._checkKey(key);
+
+    if (raw === null) {
+      throw new MockApiError(MOCK_ERRCODE.INVALID_PARAMETER, 'request body too large');
+    }
+
+    let body;
+    try {
+      body = JSON.parse(raw.toString('utf8'));
+    } catch {
+      throw new MockApiError(MOCK_ERRCODE.INVALID_PARAMETER, 'request body is not valid json');
+    }
+
+    const msgtype = body?.msgtype;
+    const validate = messageValidators[msgtype];
+    if (!validate) {
+      throw new MockApiError(MOCK_ERRCODE.INVALID_MESSAGE_TYPE, `invalid message type: ${msgtype}`);
+    }
+
+    const content = body[msgtype];
+    if (!content || typeof content !== 'object') {
+      throw new MockApiError(MOCK_ERRCODE.INVALID_PARAMETER, `missing ${msgtype} field`);
+    }
+
+    validate(content, msgtype, mediaId => this._getMedia(key, mediaId));
+
+    this.messages.push({
+      id: randomUUID(),
+      received_at: new Date().toISOString(),
+      key,
+      msgtype,
+      body
+    });
+    this.log(`收到消息：${msgtype}（共 ${this.messages.length} 条）`);
+
+    return {};
+  }
+
+  /**
+   * 处理上传文件请求
+   * 
+   * @param {string|null} key - webhook key
+   * @param {string|null} type - 文件类型
+   * @param {string|undefined} contentType - 请求的 Content-Type
+   * @param {Buffer|null} raw - 请求体，超出大小上限时为 null
+   * @returns {Object} 成功响应的附加字段（type、media_id、created_at）
+   * @throws {MockApiError} 当请求无效时
+   * @private
+   */
+  _handleUpload(key, type, contentType, raw) {
+    this._checkKey(key);
+
+    if (!UPLOAD_SIZE_LIMITS[type]) {
+      throw new MockApiError(MOCK_ERRCODE.INVALID_PARAMETER, `invalid media type: ${type}`);
+    }
+
+    if (raw === null) {
+      throw new MockApiError(MOCK_ERRCODE.INVALID_FILE_SIZE, 'invalid file size');
+    }
+
+    const file = parseMultipart(raw, contentType)?.find(part => part.name === 'media' && part.filename !== undefined);
+    if (!file) {
+      throw new MockApiError(MOCK_ERRCODE.INVALID_PARAMETER, 'missing media field in multipart body');
+    }
+
+    if (file.data.length <= 5 || file.data.length > UPLOAD_SIZE_LIMITS[type]) {
+      throw new MockApiError(MOCK_ERRCODE.INVALID_FILE_SIZE, 'invalid file size');
+    }
+
+    if (type === 'voice' && !file.data.subarray(0, 6).equals(Buffer.from('#!AMR\n'))) {
+      throw new MockApiError(MOCK_ERRCODE.INVALID_FILE_SIZE, 'invalid voice file, only amr is supported');
+    }
+
+    /** @type {MockUpload} */
+    const upload = {
+      media_id: `mock-${randomUUID().replace(/-/g, '')}`,
+      received_at: new Date().toISOString(),
+      key,
+      type,
+      filename: file.filename,
+      content_type: file.contentType || null,
+      size: file.data.length,
+      md5: createHash('md5').update(file.data).digest('hex')
+    };
+    this.media.set(upload.media_id, upload);
+    this.log(`收到文件：${upload.filename}（${upload.size} 字节）`);
+
+    return {
+      type,
+      media_id: upload.media_id,
+      created_at: String(Math.floor(Date.now() / 1000))
+    };
+  }
+
+  /**
+   * 查找该 key 上传过的文件
+   * 
+   * @param {string} key - webhook key
+   * @param {*} mediaId - media_id
+   * @returns {MockUpload} 上传记录
+   * @throws {MockApiError} 当 media_id 不存在或不属于该 key 时
+   * @private
+   */
+  _getMedia(key, mediaId) {
+    const upload = this.media.get(mediaId);
+    if (!upload || upload.key !== key) {
+      throw new MockApiError(MOCK_ERRCODE.INVALID_MEDIA_ID, 'invalid media_id');
+    }
+    return upload;
+  }
+
+  /**
+   * 读取请求体
+   * 
+   * 超出大小上限时继续读取但丢弃内容，以便正常返回错误响应
+   * 
+   * @param {import('http').IncomingMessage} req - HTTP 请求
+   * @returns {Promise<Buffer|null>} 请求体，超出上限时为 null
+   * @private
+   */
+  async _readBody(req) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) {
+        chunks.push(chunk);
+      }
+    }
+
+    return size <= MAX_BODY_BYTES ? Buffer.concat(chunks) : null;
+  }
+
+  /**
+   * 发送 JSON 响应
+   * 
+   * @param {import('http').ServerResponse} res - HTTP 响应
+   * @param {number} status - HTTP 状态码
+   * @param {Object} data - 响应数据
+   * @private
+   */
+  _sendJSON(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data));
+  }
+}
+
+/**
+ * 校验必填的字符串字段
+ * 
+ * @param {*} value - 字段值
+ * @param {string} field - 字段路径
+ * @param {number} [maxBytes] - 最大字节数
+ * @throws {MockApiError} 当字段为空或超出长度时
+ */
+function requireString(value, field, maxBytes) {
+  if (typeof value !== 'string' || value.length === 0) {
+    throw new MockApiError(MOCK_ERRCODE.EMPTY_CONTENT, `empty ${field}`);
+  }
+  if (maxBytes && Buffer.byteLength(value, 'utf8') > maxBytes) {
+    throw new MockApiError(MOCK_ERRCODE.CONTENT_TOO_LONG, `${field} exceed max length ${maxBytes}`);
+  }
+}
+
+/**
+ * 各消息类型的内容校验
+ * 
+ * 每个校验函数接收消息内容、消息类型和 media_id 查找函数，内容无效时抛出 MockApiError
+ * 
+ * @constant {Object.<string, function(Object, string, function(*): MockUpload): void>}
+ */
+const messageValidators = {
+  text(content) {
+    requireString(content.content, 'text.content', TEXT_MAX_BYTES);
+    for (const field of ['mentioned_list', 'mentioned_mobile_list']) {
+      if (content[field] !== undefined && !Array.isArray(content[field])) {
+        throw new MockApiError(MOCK_ERRCODE.INVALID_PARAMETER, `text.${field} must be an array`);
+      }
+    }
+  },
+
+  [MARKDOWN_FORMAT.V1](content) {
+    requireString(content.content, 'markdown.content', MARKDOWN_V1_MAX_BYTES);
+  },
+
+  [MARKDOWN_FORMAT.V2](content) {
+    requireString(content.content, 'markdown_v2.content', MARKDOWN_MAX_BYTES);
+  },
+
+  image(content) {
+    if (typeof content.base64 !== 'string' || typeof content.md5 !== 'string') {
+      throw new MockApiError(MOCK_ERRCODE.INVALID_PARAMETER, 'image.base64 and image.md5 are required');
+    }
+
+    const data = Buffer.from(content.base64, 'base64');
+    if (data.length === 0 || data.length > FILE_SIZE_LIMITS.IMAGE) {
+      throw new MockApiError(MOCK_ERRCODE.INVALID_IMAGE, 'invalid image size');
+    }
+
+    const format = detectImageFormat(data);
+    if (format !== IMAGE_FORMAT.JPEG && format !== IMAGE_FORMAT.PNG) {
+      throw new MockApiError(MOCK_ERRCODE.INVALID_IMAGE, 'invalid image, only jpg and png are supported');
+    }
+
+    if (createHash('md5').update(data).digest('hex') !== content.md5.toLowerCase()) {
+      throw new MockApiError(MOCK_ERRCODE.INVALID_PARAMETER, 'image md5 not match');
+    }
+  },
+
+  news(content) {
+    const { articles } = content;
+    if (!Array.isArray(articles) || articles.length === 0 || articles.length > NEWS_LIMITS.MAX_ARTICLES) {
+      throw new MockApiError(MOCK_ERRCODE.INVALID_PARAMETER, `news.articles must contain 1 to ${NEWS_LIMITS.MAX_ARTICLES} items`);
+    }
+
+    articles.forEach((article, index) => {
+      requireString(article?.title, `news.articles[${index}].title`, NEWS_LIMITS.TITLE_MAX_BYTES);
+      requireString(article?.url, `news.articles[${index}].url`);
+      if (article.description !== undefined) {
+        requireString(article.description, `news.articles[${index}].description`, NEWS_LIMITS.DESCRIPTION_MAX_BYTES);
+      }
+    });
+  },
+
+  file(content, msgtype, getMedia) {
+    getMedia(content.media_id);
+  },
+
+  voice(content, msgtype, getMedia) {
+    if (getMedia(content.media_id).type !== 'voice') {
+      throw new MockApiError(MOCK_ERRCODE.INVALID_MEDIA_ID, 'invalid media_id, voice message requires a voice media');
+    }
+  },
+
+  template_card(content) {
+    if (!Object.values(TEMPLATE_CARD_TYPE).includes(content.card_type)) {
+      throw new MockApiError(MOCK_ERRCODE.INVALID_PARAMETER, `invalid template_card.card_type: ${content.card_type}`);
+    }
+    if (!content.card_action || typeof content.card_action !== 'object') {
+      throw new MockApiError(MOCK_ERRCODE.INVALID_PARAMETER, 'template_card.card_action is required');
+    }
+  }
+};
+
+/**
+ * 解析 multipart/form-data 请求体
+ * 
+ * @param {Buffer} body - 请求体
+ * @param {string|undefined} contentType - 请求的 Content-Type
+ * @returns {Array<{name: string|undefined, filename: string|undefined, contentType: string|undefined, data: Buffer}>|null}
+ *   各字段内容，Content-Type 不是 multipart 时为 null
+ */
+function parseMultipart(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  if (!match) {
+    return null;
+  }
+
+  const delimiter = Buffer.from(`--${match[1] || match[2].trim()}`);
+  const separator = Buffer.concat([Buffer.from('\r\n'), delimiter]);
+  const parts = [];
+
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const headerStart = start + delimiter.length;
+
+    // 结束分隔符为 --boundary--
+    if (body.subarray(headerStart, headerStart + 2).toString() === '--') {
+      break;
+    }
+
+    const headerEnd = body.indexOf('\r\n\r\n', headerStart);
+    const next = headerEnd === -1 ? -1 : body.indexOf(separator, headerEnd + 4);
+    if (next === -1) {
+      break;
+    }
+
+    const headers = body.subarray(headerStart, headerEnd).toString('utf8');
+    const disposition = /content-disposition:[^\r\n]*/i.exec(headers)?.[0] || '';
+
+    parts.push({
+      name: /\bname="([^"]*)"/i.exec(disposition)?.[1],
+      filename: /\bfilename="([^"]*)"/i.exec(disposition)?.[1],
+      contentType: /content-type:\s*([^\r\n]+)/i.exec(headers)?.[1].trim(),
+      data: body.subarray(headerEnd + 4, next)
+    });
+
+    start = next + 2;
+  }
+
+  return parts;
+}
+
+export default MockWeComServer;
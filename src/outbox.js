@@ -0,0 +1,110 @@
+/**
+ * @fileoverview 试运行发件箱
+ * @description 试运行模式下，客户端不向企业微信发送请求，而是将请求内容写入本地发件箱
+ * 
+ * 发件箱目录结构：
+ * - outbox.jsonl：每个请求一行 JSON，包含请求地址、参数和请求体
+ * - media/：上传的文件内容，以 `${MD5}-${文件名}` 命名
+ * 
+ * @module outbox
+ */
+
+import { appendFileSync, writeFileSync, mkdirSync } from 'fs';
+import { join, basename } from 'path';
+import { randomUUID } from 'crypto';
+
+/**
+ * @typedef {Object} OutboxRequest
+ * @property {string} method - HTTP 方法
+ * @property {string} url - 请求地址（不含查询参数）
+ * @property {Object} params - 查询参数，webhook key 已脱敏
+ * @property {Object} [body] - JSON 请求体（/send）
+ * @property {Object} [multipart] - multipart 表单内容（/upload_media），文件内容保存在 media 目录
+ */
+
+/**
+ * @typedef {Object} OutboxEntry
+ * @property {string} id - 记录 ID
+ * @property {string} timestamp - 记录时间（ISO 8601）
+ * @property {string} endpoint - 接口名称：send 或 upload_media
+ * @property {OutboxRequest} request - 原本要发出的请求
+ */
+
+/**
+ * @typedef {Object} OutboxReceipt
+ * @property {string} id - 记录 ID
+ * @property {string} file - 写入的发件箱文件路径
+ */
+
+/**
+ * 试运行发件箱类
+ * 
+ * @example
+ * const outbox = new Outbox({ dir: '/tmp/wecom-outbox' });
+ * outbox.record('send', { method: 'POST', url, params, body });
+ */
+export class Outbox {
+  /**
+   * 创建发件箱
+   * 
+   * @param {Object} options - 发件箱选项
+   * @param {string} options.dir - 发件箱目录
+   */
+  constructor({ dir }) {
+    /**
+     * @type {string}
+     */
+    this.dir = dir;
+
+    /**
+     * @type {string}
+     */
+    this.file = join(dir, 'outbox.jsonl');
+  }
+
+  /**
+   * 追加一条请求记录
+   * 
+   * 与审计日志不同，写入失败时直接抛出：试运行的结果就是发件箱中的记录，写入失败不能报告成功
+   * 
+   * @param {string} endpoint - 接口名称
+   * @param {OutboxRequest} request - 请求内容
+   * @returns {OutboxReceipt} 记录 ID 和文件路径
+   * @throws {Error} 当发件箱目录或文件无法写入时
+   */
+  record(endpoint, request) {
+    /** @type {OutboxEntry} */
+    const entry = {
+      id: randomUUID(),
+      timestamp: new Date().toISOString(),
+      endpoint,
+      request
+    };
+
+    mkdirSync(this.dir, { recursive: true });
+    appendFileSync(this.file, JSON.stringify(entry) + '\n', { mode: 0o600 });
+
+    return { id: entry.id, file: this.file };
+  }
+
+  /**
+   * 保存上传的文件内容
+   * 
+   * @param {Buffer} buffer - 文件内容
+   * @param {string} filename - 文件名
+   * @param {string} md5 - 文件内容 MD5
+   * @returns {string} 保存的文件路径
+   * @throws {Error} 当文件无法写入时
+   */
+  saveMedia(buffer, filename, md5) {
+    const mediaDir = join(this.dir, 'media');
+    const file = join(mediaDir, `${md5}-${basename(filename)}`);
+
+    mkdirSync(mediaDir, { recursive: true });
+    writeFileSync(file, buffer, { mode: 0o600 });
+
+    return file;
+  }
+}
+
+export default Outbox;
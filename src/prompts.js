@@ -0,0 +1,393 @@
+/**
+ * @fileoverview MCP 提示模板目录
+ * @description 提供常用群消息（发布通知、故障通报、站会纪要、周报）的提示模板，
+ * MCP 客户端可将其作为斜杠命令使用：模板引导模型生成符合企业微信 Markdown V2 规范的消息，再调用 send_message 发送
+ * 
+ * 除内置模板外，还可从 WECOM_PROMPTS_DIR 指定的目录加载自定义模板（*.json），
+ * 与内置模板同名时覆盖内置模板
+ * 
+ * 模板文件格式：
+ * ```json
+ * {
+ *   "name": "release_note",
+ *   "description": "版本发布说明",
+ *   "arguments": [
+ *     { "name": "version", "description": "版本号", "required": true }
+ *   ],
+ *   "template": "请为版本 {{version}} 撰写发布说明。{{#bot}}发送到机器人 {{bot}}。{{/bot}}"
+ * }
+ * ```
+ * 
+ * 模板语法：`{{name}}` 替换为参数值；`{{#name}}...{{/name}}` 仅在提供该参数时保留；
+ * template 也可以是字符串数组（按行拼接）。一个文件可以包含单个模板或模板数组
+ * 
+ * @module prompts
+ */
+
+import { readFileSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { WeComError, MARKDOWN_MAX_BYTES } from './wecom-client.js';
+
+/**
+ * 提示模板名称的合法格式
+ * @constant {RegExp}
+ */
+const PROMPT_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * @typedef {Object} PromptArgument
+ * @property {string} name - 参数名称
+ * @property {string} [description] - 参数描述
+ * @property {boolean} [required] - 是否必填
+ */
+
+/**
+ * @typedef {Object} PromptDefinition
+ * @property {string} name - 模板名称
+ * @property {string} [description] - 模板描述
+ * @property {PromptArgument[]} [arguments] - 模板参数
+ * @property {string} template - 模板内容
+ */
+
+/**
+ * @typedef {Object} PromptMessage
+ * @property {string} role - 消息角色（user 或 assistant）
+ * @property {{type: string, text: string}} content - 消息内容
+ */
+
+/**
+ * 所有内置模板共用的 bot 参数
+ * @constant {PromptArgument}
+ */
+const BOT_ARGUMENT = {
+  name: 'bot',
+  description: '目标机器人别名（可选，未提供时使用默认机器人）',
+  required: false
+};
+
+/**
+ * 内置模板共用的 Markdown V2 格式要求和发送说明
+ * @constant {string}
+ */
+const SEND_INSTRUCTIONS = `
+格式要求（企业微信 Markdown V2）：
+- 可使用 # 标题、**加粗**、*斜体*、- 列表、> 引用、[链接](url)、\`行内代码\`、\`\`\`代码块\`\`\` 和 | 表格 |
+- 不要使用 <font> 字体颜色和 <@userid> 提醒，这两种语法在 Markdown V2 中不生效
+- 消息总长度不超过 ${MARKDOWN_MAX_BYTES} 字节（约 1300 个汉字），信息要精炼，避免空话套话
+- 不要编造未提供的信息，缺少的内容写"待补充"
+
+完成后调用 send_message 工具发送，format 使用 markdown_v2{{#bot}}，bot 参数为 "{{bot}}"{{/bot}}。`;
+
+/**
+ * 内置提示模板
+ * @constant {PromptDefinition[]}
+ */
+const BUILTIN_PROMPTS = [
+  {
+    name: 'deployment_notice',
+    description: '发布通知：根据服务、版本和变更内容生成上线公告并发送到群聊',
+    arguments: [
+      { name: 'service', description: '发布的服务或应用名称', required: true },
+      { name: 'version', description: '版本号', required: true },
+      { name: 'environment', description: '发布环境，例如 生产、预发', required: false },
+      { name: 'changes', description: '变更内容（可直接粘贴提交记录或变更列表）', required: true },
+      { name: 'window', description: '发布时间窗口，例如 今晚 22:00-23:00', required: false },
+      { name: 'rollback_plan', description: '回滚方案', required: false },
+      BOT_ARGUMENT
+    ],
+    template: `请撰写一条服务发布通知。
+
+- 服务：{{service}}
+- 版本：{{version}}
+{{#environment}}- 环境：{{environment}}
+{{/environment}}{{#window}}- 发布窗口：{{window}}
+{{/window}}- 变更内容：
+{{changes}}
+{{#rollback_plan}}- 回滚方案：{{rollback_plan}}
+{{/rollback_plan}}
+结构：标题包含服务名和版本；用列表概括主要变更（按新功能、修复、其他分组，合并琐碎提交）；注明影响范围和需要相关同事注意的事项。
+${SEND_INSTRUCTIONS}`
+  },
+  {
+    name: 'incident_report',
+    description: '故障通报：根据故障现象、影响和处理进展生成故障通报并发送到群聊',
+    arguments: [
+      { name: 'title', description: '故障简述', required: true },
+      { name: 'severity', description: '故障等级，例如 P0、P1、P2', required: false },
+      { name: 'status', description: '当前状态，例如 处理中、已恢复', required: true },
+      { name: 'impact', description: '影响范围（用户、功能、时长）', required: true },
+      { name: 'timeline', description: '时间线（发现、定位、恢复等关键时间点）', required: false },
+      { name: 'root_cause', description: '原因分析（如已明确）', required: false },
+      { name: 'next_steps', description: '后续措施', required: false },
+      BOT_ARGUMENT
+    ],
+    template: `请撰写一条故障通报。
+
+- 故障：{{title}}
+{{#severity}}- 等级：{{severity}}
+{{/severity}}- 状态：{{status}}
+- 影响：{{impact}}
+{{#timeline}}- 时间线：
+{{timeline}}
+{{/timeline}}{{#root_cause}}- 原因：{{root_cause}}
+{{/root_cause}}{{#next_steps}}- 后续措施：{{next_steps}}
+{{/next_steps}}
+结构：标题包含故障等级和当前状态；第一段用一两句话说明影响；时间线使用表格（时间 | 事件）；原因未明确时写"排查中"，不要推测。
+${SEND_INSTRUCTIONS}`
+  },
+  {
+    name: 'daily_standup',
+    description: '站会纪要：将零散的站会记录整理为每日站会纪要并发送到群聊',
+    arguments: [
+      { name: 'notes', description: '站会原始记录（每人的昨日进展、今日计划、阻塞问题）', required: true },
+      { name: 'team', description: '团队名称', required: false },
+      { name: 'date', description: '日期，默认今天', required: false },
+      BOT_ARGUMENT
+    ],
+    template: `请将以下站会记录整理为每日站会纪要。
+
+{{#team}}- 团队：{{team}}
+{{/team}}{{#date}}- 日期：{{date}}
+{{/date}}- 原始记录：
+{{notes}}
+
+结构：标题包含团队和日期；按成员分组，每人列出昨日进展和今日计划；将所有阻塞问题汇总到末尾的"需要协助"部分并标明负责人，没有阻塞问题时省略该部分。
+${SEND_INSTRUCTIONS}`
+  },
+  {
+    name: 'weekly_report',
+    description: '周报：根据本周工作内容生成团队周报并发送到群聊',
+    arguments: [
+      { name: 'highlights', description: '本周完成的工作和进展', required: true },
+      { name: 'team', description: '团队名称', required: false },
+      { name: 'period', description: '周期，例如 6月3日-6月7日', required: false },
+      { name: 'metrics', description: '关键指标数据', required: false },
+      { name: 'risks', description: '风险和问题', required: false },
+      { name: 'next_week', description: '下周计划', required: false },
+      BOT_ARGUMENT
+    ],
+    template: `请撰写一份团队周报。
+
+{{#team}}- 团队：{{team}}
+{{/team}}{{#period}}- 周期：{{period}}
+{{/period}}- 本周工作：
+{{highlights}}
+{{#metrics}}- 关键指标：
+{{metrics}}
+{{/metrics}}{{#risks}}- 风险和问题：
+{{risks}}
+{{/risks}}{{#next_week}}- 下周计划：
+{{next_week}}
+{{/next_week}}
+结构：标题包含团队和周期；依次为"本周进展""关键指标"（使用表格）"风险和问题""下周计划"，未提供内容的部分省略。
+${SEND_INSTRUCTIONS}`
+  }
+];
+
+/**
+ * 渲染模板
+ * 
+ * @param {string} template - 模板内容
+ * @param {Object.<string, string>} values - 参数值
+ * @returns {string} 渲染结果
+ * 
+ * @example
+ * renderTemplate('{{#bot}}发送到 {{bot}}{{/bot}}', { bot: 'ops' }); // '发送到 ops'
+ */
+export function renderTemplate(template, values) {
+  const hasValue = name => values[name] !== undefined && values[name] !== null && String(values[name]).trim() !== '';
+
+  return template
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, body) => (hasValue(name) ? body : ''))
+    .replace(/\{\{(\w+)\}\}/g, (match, name) => (hasValue(name) ? String(values[name]) : ''));
+}
+
+/**
+ * 提示模板目录类
+ * 
+ * @example
+ * const catalog = PromptCatalog.fromEnv();
+ * catalog.list(); // [{ name: 'deployment_notice', description: '...', arguments: [...] }, ...]
+ * catalog.get('daily_standup', { notes: '...' }); // { description, messages }
+ */
+export class PromptCatalog {
+  /**
+   * 创建提示模板目录
+   * 
+   * @param {PromptDefinition[]} [prompts] - 模板列表，后出现的同名模板覆盖先出现的
+   * @throws {WeComError} 当模板定义无效时
+   */
+  constructor(prompts = BUILTIN_PROMPTS) {
+    /**
+     * @private
+     * @type {Map<string, PromptDefinition>}
+     */
+    this.prompts = new Map();
+
+    for (const prompt of prompts) {
+      this.prompts.set(prompt.name, normalizePrompt(prompt));
+    }
+  }
+
+  /**
+   * 从环境变量创建目录
+   * 
+   * 包含内置模板，以及 WECOM_PROMPTS_DIR 目录下的自定义模板
+   * 
+   * @param {Object} [env=process.env] - 环境变量
+   * @returns {PromptCatalog} 模板目录
+   * @throws {WeComError} 当目录或模板文件无法读取、解析时
+   */
+  static fromEnv(env = process.env) {
+    return PromptCatalog.fromDirectory(env.WECOM_PROMPTS_DIR);
+  }
+
+  /**
+   * 创建包含内置模板和自定义模板目录的目录
+   * 
+   * @param {string} [dir] - 自定义模板目录，未提供时只包含内置模板
+   * @returns {PromptCatalog} 模板目录
+   * @throws {WeComError} 当目录或模板文件无法读取、解析时
+   */
+  static fromDirectory(dir) {
+    if (!dir) {
+      return new PromptCatalog();
+    }
+
+    return new PromptCatalog([...BUILTIN_PROMPTS, ...PromptCatalog.loadDirectory(dir)]);
+  }
+
+  /**
+   * 读取目录下的自定义模板文件（*.json，按文件名排序）
+   * 
+   * @param {string} dir - 模板目录
+   * @returns {PromptDefinition[]} 模板列表
+   * @throws {WeComError} 当目录或模板文件无法读取、解析时
+   */
+  static loadDirectory(dir) {
+    let files;
+    try {
+      files = readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      throw new WeComError(-1, `无法读取提示模板目录 ${dir}：${error.message}`);
+    }
+
+    return files.flatMap(file => {
+      const path = join(dir, file);
+      let config;
+      try {
+        config = JSON.parse(readFileSync(path, 'utf8'));
+      } catch (error) {
+        throw new WeComError(-1, `无法解析提示模板文件 ${path}：${error.message}`);
+      }
+
+      const prompts = Array.isArray(config) ? config : [config];
+      for (const prompt of prompts) {
+        // 提前校验，使错误信息包含文件路径
+        try {
+          normalizePrompt(prompt);
+        } catch (error) {
+          throw new WeComError(-1, `提示模板文件 ${path} 无效：${error.message}`);
+        }
+      }
+      return prompts;
+    });
+  }
+
+  /**
+   * 模板数量
+   * @type {number}
+   */
+  get size() {
+    return this.prompts.size;
+  }
+
+  /**
+   * 列出所有模板（用于 prompts/list）
+   * 
+   * @returns {Array<{name: string, description: string, arguments: PromptArgument[]}>} 模板信息
+   */
+  list() {
+    return [...this.prompts.values()].map(({ name, description, arguments: args }) => ({
+      name,
+      description,
+      arguments: args
+    }));
+  }
+
+  /**
+   * 渲染模板（用于 prompts/get）
+   * 
+   * @param {string} name - 模板名称
+   * @param {Object.<string, string>} [args] - 模板参数
+   * @returns {{description: string, messages: PromptMessage[]}} 渲染结果
+   * @throws {WeComError} 当模板不存在或缺少必填参数时
+   */
+  get(name, args = {}) {
+    const prompt = this.prompts.get(name);
+    if (!prompt) {
+      throw new WeComError(-1, `未知提示模板：${name}。可用模板：${[...this.prompts.keys()].join(', ')}`);
+    }
+
+    const missing = prompt.arguments
+      .filter(arg => arg.required && (args[arg.name] === undefined || String(args[arg.name]).trim() === ''))
+      .map(arg => arg.name);
+    if (missing.length > 0) {
+      throw new WeComError(-1, `提示模板 ${name} 缺少必填参数：${missing.join(', ')}`, { missing });
+    }
+
+    return {
+      description: prompt.description,
+      messages: [
+        {
+          role: 'user',
+          content: {
+            type: 'text',
+            text: renderTemplate(prompt.template, args).trim()
+          }
+        }
+      ]
+    };
+  }
+}
+
+/**
+ * 校验并规范化模板定义
+ * 
+ * @param {Object} prompt - 模板定义
+ * @returns {PromptDefinition} 规范化后的模板
+ * @throws {WeComError} 当模板定义无效时
+ */
+function normalizePrompt(prompt) {
+  if (!prompt || typeof prompt !== 'object') {
+    throw new WeComError(-1, '提示模板必须是对象');
+  }
+
+  const { name, description = '', arguments: args = [], template } = prompt;
+
+  if (typeof name !== 'string' || !PROMPT_NAME_PATTERN.test(name)) {
+    throw new WeComError(-1, `提示模板名称 "${name}" 无效，只能包含字母、数字、下划线和连字符`);
+  }
+
+  const text = Array.isArray(template) ? template.join('\n') : template;
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new WeComError(-1, `提示模板 ${name} 的 template 必须是非空字符串或字符串数组`);
+  }
+
+  if (!Array.isArray(args) || args.some(arg => !arg || typeof arg.name !== 'string' || !arg.name)) {
+    throw new WeComError(-1, `提示模板 ${name} 的 arguments 必须是包含 name 的对象数组`);
+  }
+
+  return {
+    name,
+    description: String(description),
+    arguments: args.map(arg => ({
+      name: arg.name,
+      description: arg.description || '',
+      required: arg.required === true
+    })),
+    template: text
+  };
+}
+
+export default PromptCatalog;
@@ -0,0 +1,238 @@
+/**
+ * @fileoverview 消息发送频率限制器
+ * @description 基于令牌桶算法的客户端限流，避免触发企业微信 45009 频率限制错误
+ * 
+ * 企业微信群机器人限制：每个机器人发送的消息不能超过 20 条/分钟
+ * 
+ * 同一个 webhook key 的所有 WeComClient 实例共享同一个限流器，
+ * 因此即使每次工具调用都创建新的客户端，限流依然生效；
+ * 超过 LIMITER_EVICT_MS 未被获取、且令牌桶已满没有排队请求的限流器与新建的限流器状态相同，会被清理，
+ * 避免 webhook key 越来越多时占用内存持续增长
+ * 
+ * @module rate-limiter
+ */
+
+/**
+ * 默认限流配置：每分钟 20 条消息
+ * @constant {Object}
+ */
+export const DEFAULT_RATE_LIMIT = {
+  capacity: 20,
+  intervalMs: 60 * 1000
+};
+
+/**
+ * @typedef {Object} RateLimitStatus
+ * @property {number} queue_depth - 正在排队等待发送的消息数量
+ * @property {number} available_tokens - 当前可立即发送的消息数量
+ * @property {number} estimated_wait_ms - 新消息预计需要等待的毫秒数
+ */
+
+/**
+ * 令牌桶限流器
+ * 
+ * 桶容量为 capacity，每 intervalMs 毫秒匀速补充 capacity 个令牌；
+ * 令牌不足时请求按先进先出顺序排队等待，而不是直接失败
+ * 
+ * @example
+ * const limiter = new RateLimiter({ capacity: 20, intervalMs: 60000 });
+ * await limiter.acquire(); // 令牌不足时会等待
+ */
+export class RateLimiter {
+  /**
+   * 创建限流器实例
+   * 
+   * @param {Object} [options] - 限流配置
+   * @param {number} [options.capacity=20] - 令牌桶容量（时间窗口内允许的消息数）
+   * @param {number} [options.intervalMs=60000] - 补满令牌桶所需的毫秒数
+   */
+  constructor({ capacity = DEFAULT_RATE_LIMIT.capacity, intervalMs = DEFAULT_RATE_LIMIT.intervalMs } = {}) {
+    /**
+     * @private
+     * @type {number}
+     */
+    this.capacity = capacity;
+
+    /**
+     * 每毫秒补充的令牌数
+     * @private
+     * @type {number}
+     */
+    this.refillRate = capacity / intervalMs;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.tokens = capacity;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.lastRefill = Date.now();
+
+    /**
+     * 等待令牌的请求队列
+     * @private
+     * @type {Array<function(): void>}
+     */
+    this.queue = [];
+
+    /**
+     * @private
+     * @type {NodeJS.Timeout|null}
+     */
+    this.timer = null;
+  }
+
+  /**
+   * 正在排队等待的请求数量
+   * 
+   * @type {number}
+   */
+  get queueDepth() {
+    return this.queue.length;
+  }
+
+  /**
+   * 获取限流器当前状态
+   * 
+   * @returns {RateLimitStatus} 限流状态
+   */
+  getStatus() {
+    this._refill();
+    return {
+      queue_depth: this.queue.length,
+      available_tokens: Math.floor(this.tokens),
+      estimated_wait_ms: this.estimateWaitMs()
+    };
+  }
+
+  /**
+   * 估算新请求需要等待的时间
+   * 
+   * 考虑当前排队的请求，新请求需要等待前面所有请求都拿到令牌后才能执行
+   * 
+   * @returns {number} 预计等待毫秒数，0 表示可立即发送
+   */
+  estimateWaitMs() {
+    this._refill();
+    const deficit = this.queue.length + 1 - this.tokens;
+    return deficit <= 0 ? 0 : Math.ceil(deficit / this.refillRate);
+  }
+
+  /**
+   * 获取一个令牌，令牌不足时排队等待
+   * 
+   * @returns {Promise<number>} 实际等待的毫秒数
+   */
+  acquire() {
+    const start = Date.now();
+    return new Promise(resolve => {
+      this.queue.push(() => resolve(Date.now() - start));
+      this._drain();
+    });
+  }
+
+  /**
+   * 尝试立即获取一个令牌，不排队
+   * 
+   * @returns {boolean} 是否获取成功
+   */
+  tryAcquire() {
+    this._refill();
+    if (this.queue.length === 0 && this.tokens >= 1) {
+      this.tokens -= 1;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 是否空闲：令牌桶已满且没有排队的请求
+   * 
+   * @returns {boolean} 是否空闲
+   */
+  isIdle() {
+    this._refill();
+    return this.queue.length === 0 && this.tokens >= this.capacity;
+  }
+
+  /**
+   * 按经过的时间补充令牌
+   * 
+   * @private
+   */
+  _refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillRate);
+    this.lastRefill = now;
+  }
+
+  /**
+   * 为排队的请求分配令牌，令牌不足时在下一个令牌可用时再次尝试
+   * 
+   * @private
+   */
+  _drain() {
+    this._refill();
+
+    while (this.queue.length > 0 && this.tokens >= 1) {
+      this.tokens -= 1;
+      this.queue.shift()();
+    }
+
+    if (this.queue.length > 0 && !this.timer) {
+      const waitMs = Math.ceil((1 - this.tokens) / this.refillRate);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this._drain();
+      }, waitMs);
+    }
+  }
+}
+
+/**
+ * 限流器最近一次被获取后至少保留的时间（毫秒），避免清理仍被客户端持有、尚未开始发送的限流器
+ * @constant {number}
+ */
+const LIMITER_EVICT_MS = DEFAULT_RATE_LIMIT.intervalMs;
+
+/**
+ * 按 webhook key 共享的限流器及其最近一次被获取的时间
+ * @type {Map<string, {limiter: RateLimiter, accessedAt: number}>}
+ */
+const limiters = new Map();
+
+/**
+ * 获取指定 webhook key 共享的限流器，不存在时创建
+ * 
+ * 同时清理其他 webhook key 长时间未使用的空闲限流器
+ * 
+ * @param {string} webhookKey - 机器人 webhook key
+ * @param {Object} [options] - 首次创建时使用的限流配置，参见 RateLimiter
+ * @returns {RateLimiter} 限流器实例
+ * 
+ * @example
+ * const limiter = getRateLimiter('your-webhook-key');
+ * console.log(limiter.queueDepth);
+ */
+export function getRateLimiter(webhookKey, options) {
+  const now = Date.now();
+  for (const [key, entry] of limiters) {
+    if (now - entry.accessedAt > LIMITER_EVICT_MS && entry.limiter.isIdle()) {
+      limiters.delete(key);
+    }
+  }
+
+  let entry = limiters.get(webhookKey);
+  if (!entry) {
+    entry = { limiter: new RateLimiter(options), accessedAt: now };
+    limiters.set(webhookKey, entry);
+  }
+  entry.accessedAt = now;
+  return entry.limiter;
+}
+
+export default { RateLimiter, getRateLimiter, DEFAULT_RATE_LIMIT };
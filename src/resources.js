@@ -0,0 +1,307 @@
+/**
+ * @fileoverview MCP 资源目录
+ * @description 以只读资源的形式提供 Markdown 语法参考、消息限制和机器人列表，
+ * 使模型无需猜测企业微信支持的语法和大小限制
+ * 
+ * 资源：
+ * - wecom://syntax/markdown_v2: Markdown V2 语法参考
+ * - wecom://syntax/markdown: 旧版 Markdown 语法参考
+ * - wecom://limits: 各消息类型的大小、数量限制和支持的格式
+ * - wecom://bots: 已配置的机器人别名（不包含 webhook key）
+ * 
+ * 资源模板：
+ * - wecom://syntax/{format}: 指定格式的语法参考
+ * - wecom://bots/{name}: 单个机器人的信息
+ * 
+ * 配置变更时触发 list_changed 事件，由服务器转换为 notifications/resources/list_changed 通知
+ * 
+ * @module resources
+ */
+
+import { EventEmitter } from 'events';
+import {
+  WeComError,
+  MARKDOWN_FORMAT,
+  MARKDOWN_MAX_BYTES,
+  MARKDOWN_V1_MAX_BYTES,
+  MARKDOWN_V1_FONT_COLORS,
+  TEXT_MAX_BYTES,
+  NEWS_LIMITS,
+  TEMPLATE_CARD_LIMITS,
+  FILE_SIZE_LIMITS,
+  VOICE_MAX_DURATION,
+  SUPPORTED_IMAGE_FORMATS
+} from './wecom-client.js';
+import { DEFAULT_RATE_LIMIT } from './rate-limiter.js';
+
+/**
+ * 资源 URI 前缀
+ * @constant {string}
+ */
+const URI_SCHEME = 'wecom://';
+
+/**
+ * 各格式的语法参考文档
+ * @constant {Object.<string, string>}
+ */
+const SYNTAX_REFERENCE = {
+  [MARKDOWN_FORMAT.V2]: `# 企业微信 Markdown V2 语法参考
+
+消息类型 markdown_v2，内容最大 ${MARKDOWN_MAX_BYTES} 字节（UTF-8）。
+
+## 支持的语法
+
+| 语法 | 写法 |
+| --- | --- |
+| 标题 | \`# 一级标题\` ~ \`###### 六级标题\` |
+| 加粗 | \`**加粗**\` |
+| 斜体 | \`*斜体*\` |
+| 无序列表 | \`- 列表项\` |
+| 有序列表 | \`1. 列表项\` |
+| 引用 | \`> 引用内容\` |
+| 链接 | \`[文字](https://example.com)\` |
+| 图片 | \`![描述](https://example.com/a.png)\` |
+| 行内代码 | 用一个反引号包裹文字 |
+| 代码块 | 以三个反引号开始和结束的多行代码，可在开头注明语言 |
+| 表格 | 每行用竖线分隔单元格，表头下方一行为 --- 分隔行 |
+| 分割线 | \`---\` |
+
+## 不支持的语法
+
+- \`<font color="...">\` 字体颜色：需要时使用 markdown 格式
+- \`<@userid>\` 提醒群成员：需要时使用 markdown 格式，或使用 send_text 工具的 mentioned_list 参数
+
+## 建议
+
+- 发送前可使用 validate_message 工具检查语法和长度
+- 超出长度时可使用 send_message 的 overflow 参数拆分、截断或转为附件发送
+- 表格列数不宜过多，手机端显示宽度有限
+`,
+  [MARKDOWN_FORMAT.V1]: `# 企业微信 Markdown（旧版）语法参考
+
+消息类型 markdown，内容最大 ${MARKDOWN_V1_MAX_BYTES} 字节（UTF-8）。
+
+## 支持的语法
+
+| 语法 | 写法 |
+| --- | --- |
+| 标题 | \`# 一级标题\` ~ \`###### 六级标题\` |
+| 加粗 | \`**加粗**\` |
+| 链接 | \`[文字](https://example.com)\` |
+| 行内代码 | 用一个反引号包裹文字（仅支持单行） |
+| 引用 | \`> 引用内容\` |
+| 字体颜色 | \`<font color="info">绿色</font>\`，可选颜色：${MARKDOWN_V1_FONT_COLORS.join('、')}（info 绿色、comment 灰色、warning 橙红色） |
+| 提醒群成员 | \`<@userid>\` |
+
+## 不支持的语法
+
+- 表格、图片、代码块：需要时使用 markdown_v2 格式
+- 斜体、列表等语法不会被渲染
+- 发送前可使用 validate_message 工具（format 设为 markdown）检查语法
+`
+};
+
+/**
+ * @typedef {Object} Resource
+ * @property {string} uri - 资源 URI
+ * @property {string} name - 资源名称
+ * @property {string} description - 资源描述
+ * @property {string} mimeType - 资源 MIME 类型
+ */
+
+/**
+ * @typedef {Object} ResourceContent
+ * @property {string} uri - 资源 URI
+ * @property {string} mimeType - 资源 MIME 类型
+ * @property {string} text - 资源内容
+ */
+
+/**
+ * 生成消息限制说明
+ * 
+ * @returns {Object} 各消息类型的限制
+ */
+function buildLimits() {
+  return {
+    markdown_v2: { max_bytes: MARKDOWN_MAX_BYTES },
+    markdown: { max_bytes: MARKDOWN_V1_MAX_BYTES, font_colors: MARKDOWN_V1_FONT_COLORS },
+    text: { max_bytes: TEXT_MAX_BYTES },
+    news: {
+      max_articles: NEWS_LIMITS.MAX_ARTICLES,
+      title_max_bytes: NEWS_LIMITS.TITLE_MAX_BYTES,
+      description_max_bytes: NEWS_LIMITS.DESCRIPTION_MAX_BYTES
+    },
+    template_card: {
+      horizontal_content_max: TEMPLATE_CARD_LIMITS.HORIZONTAL_CONTENT_MAX,
+      vertical_content_max: TEMPLATE_CARD_LIMITS.VERTICAL_CONTENT_MAX,
+      jump_list_max: TEMPLATE_CARD_LIMITS.JUMP_LIST_MAX
+    },
+    file: { max_bytes: FILE_SIZE_LIMITS.FILE },
+    voice: { max_bytes: FILE_SIZE_LIMITS.VOICE, max_duration_seconds: VOICE_MAX_DURATION, formats: ['amr'] },
+    image: { max_bytes: FILE_SIZE_LIMITS.IMAGE, formats: SUPPORTED_IMAGE_FORMATS },
+    rate_limit: {
+      messages: DEFAULT_RATE_LIMIT.capacity,
+      interval_seconds: DEFAULT_RATE_LIMIT.intervalMs / 1000,
+      scope: 'per_bot'
+    }
+  };
+}
+
+/**
+ * 资源目录类
+ * 
+ * 配置变更后调用 notifyChanged()，所有监听 list_changed 事件的会话都会收到通知
+ * 
+ * @example
+ * const catalog = new ResourceCatalog({ registry });
+ * catalog.list(); // [{ uri: 'wecom://syntax/markdown_v2', ... }, ...]
+ * catalog.read('wecom://limits'); // { contents: [{ uri, mimeType, text }] }
+ */
+export class ResourceCatalog extends EventEmitter {
+  /**
+   * 创建资源目录
+   * 
+   * @param {Object} options - 选项
+   * @param {import('./bot-registry.js').BotRegistry} options.registry - 机器人注册表
+   */
+  constructor({ registry }) {
+    super();
+
+    // 每个会话（MCPServer 实例）都会监听变更事件，HTTP 传输下会话数量不固定
+    this.setMaxListeners(0);
+
+    /**
+     * @private
+     * @type {import('./bot-registry.js').BotRegistry}
+     */
+    this.registry = registry;
+  }
+
+  /**
+   * 列出资源（用于 resources/list）
+   * 
+   * @returns {Resource[]} 资源列表
+   */
+  list() {
+    return [
+      {
+        uri: `${URI_SCHEME}syntax/${MARKDOWN_FORMAT.V2}`,
+        name: 'Markdown V2 语法参考',
+        description: '企业微信 markdown_v2 消息支持和不支持的语法',
+        mimeType: 'text/markdown'
+      },
+      {
+        uri: `${URI_SCHEME}syntax/${MARKDOWN_FORMAT.V1}`,
+        name: 'Markdown 语法参考（旧版）',
+        description: '企业微信 markdown 消息支持的语法，包括字体颜色和 <@userid> 提醒',
+        mimeType: 'text/markdown'
+      },
+      {
+        uri: `${URI_SCHEME}limits`,
+        name: '消息限制',
+        description: '各消息类型的大小、数量限制，支持的图片和语音格式，以及发送频率限制',
+        mimeType: 'application/json'
+      },
+      {
+        uri: `${URI_SCHEME}bots`,
+        name: '机器人列表',
+        description: '已配置的机器人别名及描述（不包含 webhook key）',
+        mimeType: 'application/json'
+      }
+    ];
+  }
+
+  /**
+   * 列出资源模板（用于 resources/templates/list）
+   * 
+   * @returns {Array<{uriTemplate: string, name: string, description: string, mimeType: string}>} 资源模板列表
+   */
+  listTemplates() {
+    return [
+      {
+        uriTemplate: `${URI_SCHEME}syntax/{format}`,
+        name: '语法参考',
+        description: `指定消息格式的语法参考，format 可选：${Object.keys(SYNTAX_REFERENCE).join('、')}`,
+        mimeType: 'text/markdown'
+      },
+      {
+        uriTemplate: `${URI_SCHEME}bots/{name}`,
+        name: '机器人信息',
+        description: '指定别名的机器人描述及是否为默认机器人（不包含 webhook key）',
+        mimeType: 'application/json'
+      }
+    ];
+  }
+
+  /**
+   * 读取资源（用于 resources/read）
+   * 
+   * @param {string} uri - 资源 URI
+   * @returns {{contents: ResourceContent[]}} 资源内容
+   * @throws {WeComError} 当资源不存在时
+   */
+  read(uri) {
+    const path = typeof uri === 'string' && uri.startsWith(URI_SCHEME) ? uri.slice(URI_SCHEME.length) : null;
+    const [kind, name, ...rest] = path ? path.split('/') : [];
+
+    if (rest.length === 0) {
+      if (kind === 'syntax' && Object.hasOwn(SYNTAX_REFERENCE, name)) {
+        return this._content(uri, 'text/markdown', SYNTAX_REFERENCE[name]);
+      }
+
+      if (kind === 'limits' && name === undefined) {
+        return this._json(uri, buildLimits());
+      }
+
+      if (kind === 'bots' && name === undefined) {
+        return this._json(uri, {
+          bots: this.registry.list(),
+          default_bot: this.registry.getDefaultBot()
+        });
+      }
+
+      if (kind === 'bots' && name) {
+        const bot = this.registry.list().find(info => info.name === decodeURIComponent(name));
+        if (bot) {
+          return this._json(uri, bot);
+        }
+      }
+    }
+
+    throw new WeComError(-1, `资源不存在：${uri}`, { uri });
+  }
+
+  /**
+   * 通知所有监听者资源列表已变化
+   */
+  notifyChanged() {
+    this.emit('list_changed');
+  }
+
+  /**
+   * 生成 JSON 资源内容
+   * 
+   * @param {string} uri - 资源 URI
+   * @param {Object} data - 资源数据
+   * @returns {{contents: ResourceContent[]}} 资源内容
+   * @private
+   */
+  _json(uri, data) {
+    return this._content(uri, 'application/json', JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * 生成资源内容
+   * 
+   * @param {string} uri - 资源 URI
+   * @param {string} mimeType - MIME 类型
+   * @param {string} text - 内容
+   * @returns {{contents: ResourceContent[]}} 资源内容
+   * @private
+   */
+  _content(uri, mimeType, text) {
+    return { contents: [{ uri, mimeType, text }] };
+  }
+}
+
+export default ResourceCatalog;
@@ -0,0 +1,266 @@
+/**
+ * @fileoverview 请求重试策略
+ * @description 基于指数退避（带随机抖动）的重试机制，并根据错误类型区分可重试与不可重试的失败
+ * 
+ * 可重试：
+ * - 网络错误（连接被拒绝、域名解析失败、连接重置、超时等）
+ * - HTTP 5xx 和 429
+ * - 企业微信系统繁忙（-1）和接口调用太频繁类错误码（45011、45033）
+ * 
+ * 不可重试：
+ * - 无效的 webhook key（93000）、消息格式或参数错误等永久性错误
+ * - 每分钟发送次数超出限制（45009）：需等待企业微信的限额窗口重置，秒级退避后重试仍会失败
+ * - 客户端本地校验错误和客户端限流（fail_fast）错误
+ * - 非幂等请求（发送消息）在请求可能已发出后出现的网络错误和 HTTP 5xx：企业微信（或其前面的代理）可能已经
+ *   收到并投递了消息，重试会导致重复发送；这类错误的 data.delivery_unknown 为 true，由调用方决定是否重新发送
+ * 
+ * @module retry
+ */
+
+/**
+ * 默认重试策略
+ * @constant {RetryPolicy}
+ */
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  deadlineMs: 30000
+};
+
+/**
+ * 可重试的企业微信错误码
+ * 
+ * - -1: 系统繁忙
+ * - 45011: API 调用太频繁
+ * - 45033: 接口并发调用超过限制
+ * 
+ * @constant {number[]}
+ */
+export const RETRYABLE_ERRCODES = [-1, 45011, 45033];
+
+/**
+ * 超出发送限额的企业微信错误码（45009：每个机器人每分钟最多 20 条）
+ * 
+ * 限额按分钟窗口计算，退避几秒后重试仍会失败，因此不重试，由客户端限流器避免触发
+ * 
+ * @constant {number}
+ */
+export const QUOTA_ERRCODE = 45009;
+
+/**
+ * 明确不可重试的企业微信错误码（仅用于生成更清晰的分类原因，未列出的错误码同样不重试）
+ * 
+ * - 93000: 无效的 webhook key
+ * - 40008: 无效的消息类型
+ * - 40058: 参数错误
+ * - 44004: 消息内容为空
+ * - 45002: 消息内容过长
+ * 
+ * @constant {number[]}
+ */
+export const PERMANENT_ERRCODES = [93000, 40008, 40058, 44004, 45002];
+
+/**
+ * 只会在建立连接前出现的网络错误码，请求一定没有发出，任何请求都可以重试
+ * @constant {string[]}
+ */
+const CONNECT_NETWORK_CODES = [
+  'ECONNREFUSED',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH'
+];
+
+/**
+ * 可能在请求发出后出现的网络错误码
+ * 
+ * 发生在建立连接阶段（data.syscall 为 connect 或 getaddrinfo）时与 CONNECT_NETWORK_CODES 相同；
+ * 否则服务端可能已经处理了请求，只有幂等请求可以重试
+ * 
+ * @constant {string[]}
+ */
+const AMBIGUOUS_NETWORK_CODES = [
+  'ECONNRESET',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE'
+];
+
+/**
+ * 表示错误发生在建立连接阶段的系统调用
+ * @constant {string[]}
+ */
+const CONNECT_SYSCALLS = ['connect', 'getaddrinfo'];
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} [maxAttempts=3] - 最大尝试次数（含首次请求），1 表示不重试
+ * @property {number} [baseDelayMs=500] - 首次重试的基础等待时间（毫秒）
+ * @property {number} [maxDelayMs=8000] - 单次重试的最大等待时间（毫秒）
+ * @property {number} [deadlineMs=30000] - 所有尝试的总时长上限（毫秒），超过后不再重试
+ */
+
+/**
+ * @typedef {Object} RetryOptions
+ * @property {boolean} [idempotent=true] - 请求是否幂等；非幂等请求在可能已发出后出错时不重试
+ */
+
+/**
+ * @typedef {Object} RetryAttempt
+ * @property {number} attempt - 第几次尝试（从 1 开始）
+ * @property {string} at - 尝试开始时间（ISO 8601）
+ * @property {number|string} code - 错误码（企业微信错误码、HTTP 状态码或网络错误码）
+ * @property {string} message - 错误消息
+ * @property {boolean} retryable - 该错误是否可重试
+ * @property {string} reason - 分类原因
+ * @property {number} [delay_ms] - 重试前的等待时间（毫秒）
+ */
+
+/**
+ * 判断错误是否可重试
+ * 
+ * 根据 WeComError.data 中的信息分类：
+ * - data.errcode: 企业微信接口返回的错误码
+ * - data.status: HTTP 状态码
+ * - data.networkCode: 网络错误码
+ * - data.syscall: 网络错误发生时的系统调用，用于判断请求是否可能已经发出
+ * 
+ * @param {import('./wecom-client.js').WeComError} error - 错误对象
+ * @param {RetryOptions} [options] - 请求属性
+ * @returns {{retryable: boolean, reason: string, deliveryUnknown?: boolean}} 分类结果；
+ *   deliveryUnknown 表示非幂等请求可能已被服务端处理
+ * 
+ * @example
+ * classifyError(new WeComError(93000, 'invalid webhook url', { errcode: 93000 }));
+ * // 返回：{ retryable: false, reason: '企业微信错误码 93000 为永久性错误' }
+ */
+export function classifyError(error, { idempotent = true } = {}) {
+  const data = error?.data || {};
+
+  if (typeof data.errcode === 'number') {
+    if (data.errcode === QUOTA_ERRCODE) {
+      return { retryable: false, reason: `企业微信错误码 ${data.errcode} 表示每分钟发送次数超出限制，需等待限额窗口重置，短时间内重试无效` };
+    }
+    if (RETRYABLE_ERRCODES.includes(data.errcode)) {
+      return { retryable: true, reason: `企业微信错误码 ${data.errcode} 为临时性错误` };
+    }
+    if (PERMANENT_ERRCODES.includes(data.errcode)) {
+      return { retryable: false, reason: `企业微信错误码 ${data.errcode} 为永久性错误` };
+    }
+    return { retryable: false, reason: `企业微信错误码 ${data.errcode} 不在可重试列表中` };
+  }
+
+  if (typeof data.status === 'number') {
+    if (data.status >= 500 && !idempotent) {
+      return {
+        retryable: false,
+        reason: `HTTP ${data.status} 可能在请求被处理后返回（例如代理超时），为避免重复发送不重试`,
+        deliveryUnknown: true
+      };
+    }
+    // 429 表示请求被拒绝、未被处理，非幂等请求也可以重试
+    if (data.status >= 500 || data.status === 429) {
+      return { retryable: true, reason: `HTTP ${data.status} 为临时性错误` };
+    }
+    return { retryable: false, reason: `HTTP ${data.status} 为客户端错误` };
+  }
+
+  if (data.networkCode) {
+    const beforeRequest = CONNECT_NETWORK_CODES.includes(data.networkCode)
+      || (AMBIGUOUS_NETWORK_CODES.includes(data.networkCode) && CONNECT_SYSCALLS.includes(data.syscall));
+    if (beforeRequest) {
+      return { retryable: true, reason: `网络错误 ${data.networkCode} 发生在建立连接阶段，为临时性错误` };
+    }
+    if (AMBIGUOUS_NETWORK_CODES.includes(data.networkCode)) {
+      if (idempotent) {
+        return { retryable: true, reason: `网络错误 ${data.networkCode} 为临时性错误` };
+      }
+      return {
+        retryable: false,
+        reason: `网络错误 ${data.networkCode} 可能发生在请求发出之后，为避免重复发送不重试`,
+        deliveryUnknown: true
+      };
+    }
+    return { retryable: false, reason: `网络错误 ${data.networkCode} 不在可重试列表中` };
+  }
+
+  return { retryable: false, reason: '非接口错误（本地校验或客户端限流），重试无效' };
+}
+
+/**
+ * 计算第 n 次重试前的等待时间（指数退避 + 随机抖动）
+ * 
+ * 等待时间在 [cap/2, cap] 之间随机取值，其中 cap = min(maxDelayMs, baseDelayMs * 2^(n-1))
+ * 
+ * @param {number} retry - 第几次重试（从 1 开始）
+ * @param {RetryPolicy} policy - 重试策略
+ * @returns {number} 等待毫秒数
+ */
+export function computeBackoff(retry, policy) {
+  const cap = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (retry - 1));
+  return Math.round(cap / 2 + Math.random() * (cap / 2));
+}
+
+/**
+ * 按重试策略执行异步操作
+ * 
+ * 仅在错误可重试、未达到最大尝试次数且不会超过总时长上限时重试；
+ * 最终失败时，尝试历史会记录在抛出错误的 data.attempts 中。
+ * 非幂等请求无法确定是否已被处理时，错误的 data.delivery_unknown 为 true，消息中也会说明
+ * 
+ * @template T
+ * @param {function(number): Promise<T>} operation - 要执行的操作，参数为第几次尝试
+ * @param {RetryPolicy|false} [policy] - 重试策略，false 表示不重试
+ * @param {RetryOptions} [options] - 请求属性
+ * @returns {Promise<{result: T, attempts: RetryAttempt[]}>} 操作结果及失败尝试的历史
+ * @throws {import('./wecom-client.js').WeComError} 最后一次尝试的错误，data.attempts 为尝试历史
+ * 
+ * @example
+ * const { result, attempts } = await withRetry(() => client.post('/send', payload), { maxAttempts: 5 }, { idempotent: false });
+ */
+export async function withRetry(operation, policy = DEFAULT_RETRY_POLICY, options = {}) {
+  const resolved = policy === false
+    ? { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 }
+    : { ...DEFAULT_RETRY_POLICY, ...policy };
+  const startedAt = Date.now();
+
+  /** @type {RetryAttempt[]} */
+  const attempts = [];
+
+  for (let attempt = 1; ; attempt++) {
+    const at = new Date().toISOString();
+
+    try {
+      const result = await operation(attempt);
+      return { result, attempts };
+    } catch (error) {
+      const { retryable, reason, deliveryUnknown } = classifyError(error, options);
+      const record = {
+        attempt,
+        at,
+        code: error.data?.networkCode || error.code,
+        message: error.message,
+        retryable,
+        reason
+      };
+      attempts.push(record);
+
+      const delayMs = computeBackoff(attempt, resolved);
+      const withinDeadline = Date.now() - startedAt + delayMs <= resolved.deadlineMs;
+
+      if (!retryable || attempt >= resolved.maxAttempts || !withinDeadline) {
+        error.data = { ...error.data, attempts, ...(deliveryUnknown && { delivery_unknown: true }) };
+        if (deliveryUnknown) {
+          error.message = `${error.message}（请求可能已被企业微信处理，消息可能已送达，为避免重复发送未自动重试）`;
+        }
+        throw error;
+      }
+
+      record.delay_ms = delayMs;
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+export default { withRetry, classifyError, computeBackoff, DEFAULT_RETRY_POLICY };
@@ -0,0 +1,739 @@
+/**
+ * @fileoverview 定时消息调度器
+ * @description 进程内调度器，支持一次性定时和 cron 周期任务，任务持久化到本地 JSON 文件，重启后继续执行
+ * 
+ * 错过执行时间（例如服务停止期间或机器休眠）的任务按任务级策略处理：
+ * - catch_up: 恢复后立即补发一次（周期任务只补发一次，不会补发每个错过的周期）
+ * - skip: 跳过错过的执行，周期任务等待下一个周期，一次性任务标记为 missed
+ * 
+ * 多个服务进程（例如每个 MCP 客户端各自启动的 stdio 服务）可以共用同一个任务文件：
+ * - 每次修改任务都在锁文件（任务文件名加 .lock）保护下重新读取文件、修改并写回，不会覆盖其他进程的修改
+ * - 到期任务由最先领取的进程执行：领取时先推进下一次执行时间（一次性任务标记为 running）并写回文件，
+ *   其他进程重新读取后不会再次执行；执行期间进程退出的一次性任务保持 running 状态，不会重复发送
+ * 
+ * @module scheduler
+ */
+
+import { readFileSync, writeFileSync, renameSync, mkdirSync, openSync, closeSync, rmSync, statSync } from 'fs';
+import { dirname } from 'path';
+import { randomUUID } from 'crypto';
+import { WeComError } from './wecom-client.js';
+import { parseCron, nextCronTime, isValidTimeZone, zonedTimeToUtc } from './cron.js';
+
+/**
+ * 错过执行的处理策略
+ * @enum {string}
+ */
+export const MISSED_RUN_POLICY = {
+  CATCH_UP: 'catch_up',
+  SKIP: 'skip'
+};
+
+/**
+ * 任务状态
+ * @enum {string}
+ */
+export const JOB_STATUS = {
+  ACTIVE: 'active',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  MISSED: 'missed'
+};
+
+/**
+ * 超过计划时间多久视为错过（毫秒），小于该值的延迟视为正常触发
+ * @constant {number}
+ */
+const MISSED_GRACE_MS = 60 * 1000;
+
+/**
+ * 单次定时器的最长等待时间（毫秒），避免超出 setTimeout 上限并定期校正时钟漂移
+ * @constant {number}
+ */
+const MAX_TIMER_DELAY_MS = 60 * 60 * 1000;
+
+/**
+ * 已结束任务的保留时间（毫秒）
+ * @constant {number}
+ */
+const FINISHED_JOB_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * 任务文件锁的等待上限（毫秒）
+ * @constant {number}
+ */
+const LOCK_TIMEOUT_MS = 5 * 1000;
+
+/**
+ * 获取任务文件锁失败后的重试间隔（毫秒）
+ * @constant {number}
+ */
+const LOCK_RETRY_MS = 20;
+
+/**
+ * 锁文件超过该时间未释放视为持有进程已退出（毫秒）；加锁期间只做同步的文件读写，正常情况下远小于该值
+ * @constant {number}
+ */
+const LOCK_STALE_MS = 30 * 1000;
+
+/**
+ * @typedef {Object} JobRunRecord
+ * @property {string} scheduled_at - 计划执行时间（ISO 8601）
+ * @property {string} ran_at - 实际执行时间（ISO 8601）
+ * @property {boolean} success - 是否成功
+ * @property {boolean} [caught_up] - 是否为错过后补发
+ * @property {Object} [error] - 失败时的错误信息
+ */
+
+/**
+ * @typedef {Object} ScheduledJob
+ * @property {string} id - 任务 ID
+ * @property {string} tool - 执行的工具名称
+ * @property {Object} arguments - 工具参数
+ * @property {string} [description] - 任务描述
+ * @property {string|null} principal - 创建任务的调用方身份，只有同一调用方可以查看和取消任务
+ * @property {string} [at] - 一次性任务的执行时间（ISO 8601）
+ * @property {string} [cron] - 周期任务的 cron 表达式
+ * @property {string} timezone - cron 表达式使用的 IANA 时区
+ * @property {string} missed_run_policy - 错过执行的处理策略
+ * @property {string} status - 任务状态
+ * @property {string|null} next_run_at - 下一次执行时间（ISO 8601）
+ * @property {string} created_at - 创建时间（ISO 8601）
+ * @property {number} run_count - 已执行次数
+ * @property {JobRunRecord|null} last_run - 最近一次执行记录
+ */
+
+/**
+ * 调度器类
+ * 
+ * @example
+ * const scheduler = new Scheduler({
+ *   file: '/path/to/schedules.json',
+ *   execute: (tool, args) => handler.handle(tool, args)
+ * });
+ * scheduler.start();
+ * scheduler.add({ tool: 'send_text', arguments: { content: '周报提醒' }, cron: '0 17 * * FRI', timezone: 'Asia/Shanghai' });
+ */
+export class Scheduler {
+  /**
+   * 创建调度器实例
+   * 
+   * @param {Object} options - 调度器选项
+   * @param {string} options.file - 任务持久化文件路径
+   * @param {function(string, Object, ScheduledJob): Promise<Object>} options.execute - 执行任务的函数，接收工具名称、参数和任务本身，返回 ToolResult
+   * @param {function(string): void} [options.log] - 日志函数
+   */
+  constructor({ file, execute, log = () => {} }) {
+    /**
+     * @private
+     * @type {string}
+     */
+    this.file = file;
+
+    /**
+     * @private
+     * @type {function(string, Object): Promise<Object>}
+     */
+    this.execute = execute;
+
+    /**
+     * @private
+     * @type {function(string): void}
+     */
+    this.log = log;
+
+    /**
+     * @private
+     * @type {Map<string, ScheduledJob>}
+     */
+    this.jobs = new Map();
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.started = false;
+
+    /**
+     * @private
+     * @type {NodeJS.Timeout|null}
+     */
+    this.timer = null;
+
+    /**
+     * 是否正在执行到期任务
+     * @private
+     * @type {boolean}
+     */
+    this.running = false;
+
+    /**
+     * 已报告过的无效任务 ID，避免每次读取文件时重复记录日志
+     * @private
+     * @type {Set<string>}
+     */
+    this.rejected = new Set();
+  }
+
+  /**
+   * 启动调度器
+   * 
+   * 从文件加载任务并开始计时；重复调用无副作用
+   * 
+   * @throws {WeComError} 当任务文件无法读取或解析时
+   */
+  start() {
+    if (this.started) {
+      return;
+    }
+
+    this._refresh();
+    this.started = true;
+    this.log(`调度器已启动，共 ${this.list().length} 个待执行任务（任务文件：${this.file}）`);
+    this._arm();
+  }
+
+  /**
+   * 停止调度器计时（不影响已持久化的任务）
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.started = false;
+  }
+
+  /**
+   * 添加定时任务
+   * 
+   * @param {Object} spec - 任务定义
+   * @param {string} spec.tool - 执行的工具名称
+   * @param {Object} spec.arguments - 工具参数
+   * @param {string} [spec.at] - 一次性任务的执行时间（ISO 8601），不含时区偏移时按 timezone 解析
+   * @param {string} [spec.cron] - 周期任务的 cron 表达式，与 at 二选一
+   * @param {string} spec.timezone - IANA 时区
+   * @param {string} [spec.missed_run_policy='catch_up'] - 错过执行的处理策略
+   * @param {string} [spec.description] - 任务描述
+   * @param {string|null} [spec.principal=null] - 创建任务的调用方身份
+   * @returns {ScheduledJob} 创建的任务
+   * @throws {WeComError} 当任务定义无效时
+   */
+  add({ tool, arguments: args, at, cron, timezone, missed_run_policy = MISSED_RUN_POLICY.CATCH_UP, description, principal = null }) {
+    this.start();
+
+    if (!isValidTimeZone(timezone)) {
+      throw new WeComError(-1, `无效的时区：${timezone}，请使用 IANA 时区名称，例如 Asia/Shanghai`);
+    }
+
+    if (!Object.values(MISSED_RUN_POLICY).includes(missed_run_policy)) {
+      throw new WeComError(-1, `missed_run_policy 参数必须是以下之一：${Object.values(MISSED_RUN_POLICY).join(', ')}`);
+    }
+
+    if (Boolean(at) === Boolean(cron)) {
+      throw new WeComError(-1, 'at 和 cron 参数必须提供且只能提供一个');
+    }
+
+    const now = Date.now();
+    let nextRun;
+
+    if (at) {
+      nextRun = parseDateTime(at, timezone);
+      if (nextRun <= now) {
+        throw new WeComError(-1, `执行时间 ${at} 已过去，请指定将来的时间`);
+      }
+    } else {
+      nextRun = nextCronTime(parseCron(cron), now, timezone);
+    }
+
+    /** @type {ScheduledJob} */
+    const job = {
+      id: randomUUID(),
+      tool,
+      arguments: args,
+      ...(description && { description }),
+      principal,
+      ...(at ? { at: new Date(nextRun).toISOString() } : { cron }),
+      timezone,
+      missed_run_policy,
+      status: JOB_STATUS.ACTIVE,
+      next_run_at: new Date(nextRun).toISOString(),
+      created_at: new Date(now).toISOString(),
+      run_count: 0,
+      last_run: null
+    };
+
+    this._update(jobs => jobs.set(job.id, job));
+    this._arm();
+
+    return job;
+  }
+
+  /**
+   * 取消并删除任务
+   * 
+   * @param {string} id - 任务 ID
+   * @param {Object} [options] - 取消选项
+   * @param {string|null} [options.principal] - 调用方身份，提供时只能取消该调用方创建的任务
+   * @returns {ScheduledJob} 被取消的任务
+   * @throws {WeComError} 当任务不存在或不属于该调用方时
+   */
+  cancel(id, { principal } = {}) {
+    this.start();
+
+    const job = this._update(jobs => {
+      const job = jobs.get(id);
+      // 不属于调用方的任务按不存在处理，不透露其他调用方的任务 ID
+      if (!job || !isOwnedBy(job, principal)) {
+        throw new WeComError(-1, `定时任务不存在：${id}`);
+      }
+      jobs.delete(id);
+      return job;
+    });
+    this._arm();
+
+    return job;
+  }
+
+  /**
+   * 列出任务，按下一次执行时间排序
+   * 
+   * 每次都重新读取任务文件，包含其他进程添加的任务
+   * 
+   * @param {Object} [options] - 列表选项
+   * @param {boolean} [options.includeFinished=false] - 是否包含已结束（完成、失败、错过）的一次性任务
+   * @param {string|null} [options.principal] - 调用方身份，提供时只返回该调用方创建的任务
+   * @returns {ScheduledJob[]} 任务列表
+   * @throws {WeComError} 当任务文件无法读取或解析时
+   */
+  list({ includeFinished = false, principal } = {}) {
+    this._refresh();
+    return [...this.jobs.values()]
+      .filter(job => includeFinished || job.status === JOB_STATUS.ACTIVE || job.status === JOB_STATUS.RUNNING)
+      .filter(job => isOwnedBy(job, principal))
+      .sort((a, b) => runTime(a) - runTime(b));
+  }
+
+  /**
+   * 设置下一次计时
+   * 
+   * @private
+   */
+  _arm() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (!this.started || this.running) {
+      return;
+    }
+
+    const nextRuns = this.list().filter(job => job.next_run_at).map(job => Date.parse(job.next_run_at));
+    if (nextRuns.length === 0) {
+      return;
+    }
+
+    const delay = Math.min(Math.max(Math.min(...nextRuns) - Date.now(), 0), MAX_TIMER_DELAY_MS);
+    this.timer = setTimeout(() => {
+      this._runDueJobs().catch(error => this.log(`执行定时任务失败：${error.message}`));
+    }, delay);
+    // 计时器不阻止进程退出，进程生命周期由传输层决定
+    this.timer.unref();
+  }
+
+  /**
+   * 执行所有到期任务
+   * 
+   * @private
+   */
+  async _runDueJobs() {
+    this.running = true;
+
+    try {
+      for (const job of this.list()) {
+        if (job.next_run_at && Date.parse(job.next_run_at) <= Date.now()) {
+          try {
+            await this._runJob(job);
+          } catch (error) {
+            this.log(`定时任务 ${job.id} 执行失败：${error.message}`);
+          }
+        }
+      }
+    } finally {
+      this.running = false;
+      this._arm();
+    }
+  }
+
+  /**
+   * 领取并执行单个到期任务
+   * 
+   * 领取时重新读取任务文件，任务已被取消或已由其他进程领取（下一次执行时间已变化）时不执行
+   * 
+   * @param {ScheduledJob} due - 到期任务
+   * @private
+   */
+  async _runJob(due) {
+    const claim = this._update(jobs => {
+      const job = jobs.get(due.id);
+      if (!job || job.status !== JOB_STATUS.ACTIVE || job.next_run_at !== due.next_run_at) {
+        return null;
+      }
+
+      const now = Date.now();
+      const missed = now - Date.parse(job.next_run_at) > MISSED_GRACE_MS;
+
+      if (missed && job.missed_run_policy === MISSED_RUN_POLICY.SKIP) {
+        this.log(`定时任务 ${job.id} 错过执行时间 ${job.next_run_at}，按策略跳过`);
+        this._advance(job, now, JOB_STATUS.MISSED);
+        return null;
+      }
+
+      /** @type {JobRunRecord} */
+      const record = {
+        scheduled_at: job.next_run_at,
+        ran_at: new Date(now).toISOString(),
+        success: false,
+        ...(missed && { caught_up: true })
+      };
+
+      const snapshot = { ...job };
+      if (job.cron) {
+        this._advance(job, now);
+      } else {
+        job.status = JOB_STATUS.RUNNING;
+        job.next_run_at = null;
+      }
+
+      return { job: snapshot, record };
+    });
+
+    if (!claim) {
+      return;
+    }
+
+    const { job, record } = claim;
+    this.log(`执行定时任务 ${job.id}：${job.tool}${record.caught_up ? '（补发）' : ''}`);
+
+    try {
+      const result = await this.execute(job.tool, job.arguments, job);
+      record.success = !result.isError;
+      if (result.isError) {
+        record.error = JSON.parse(result.content[0].text);
+      }
+    } catch (error) {
+      record.error = { error: error.name || 'Error', message: error.message, code: error.code };
+    }
+
+    if (!record.success) {
+      this.log(`定时任务 ${job.id} 执行失败：${record.error.message}`);
+    }
+
+    this._update(jobs => {
+      const current = jobs.get(job.id);
+      // 执行期间任务已被取消
+      if (!current) {
+        return;
+      }
+
+      current.run_count += 1;
+      current.last_run = record;
+      if (!current.cron) {
+        this._advance(current, Date.now(), record.success ? JOB_STATUS.COMPLETED : JOB_STATUS.FAILED);
+      }
+    });
+  }
+
+  /**
+   * 推进任务到下一次执行时间；一次性任务标记为结束状态
+   * 
+   * @param {ScheduledJob} job - 任务
+   * @param {number} now - 当前时间戳
+   * @param {string} [finishedStatus] - 一次性任务的结束状态
+   * @private
+   */
+  _advance(job, now, finishedStatus) {
+    if (job.cron) {
+      job.next_run_at = new Date(nextCronTime(parseCron(job.cron), now, job.timezone)).toISOString();
+      return;
+    }
+
+    job.status = finishedStatus;
+    job.next_run_at = null;
+    job.finished_at = new Date(now).toISOString();
+  }
+
+  /**
+   * 在任务文件锁内重新读取任务、修改并写回文件
+   * 
+   * @template T
+   * @param {function(Map<string, ScheduledJob>): T} mutate - 修改任务的函数
+   * @returns {T} mutate 的返回值
+   * @throws {WeComError} 当无法获取锁或读写任务文件失败时
+   * @private
+   */
+  _update(mutate) {
+    return this._withLock(() => {
+      this._refresh();
+      const result = mutate(this.jobs);
+      this._save();
+      return result;
+    });
+  }
+
+  /**
+   * 持有任务文件锁执行函数
+   * 
+   * 锁文件以独占方式创建，其他进程持有锁时等待；超过 LOCK_STALE_MS 未释放的锁视为持有进程已退出
+   * 
+   * @template T
+   * @param {function(): T} fn - 持有锁时执行的同步函数
+   * @returns {T} fn 的返回值
+   * @throws {WeComError} 当等待锁超时或无法创建锁文件时
+   * @private
+   */
+  _withLock(fn) {
+    const lockFile = `${this.file}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    mkdirSync(dirname(this.file), { recursive: true });
+
+    for (;;) {
+      try {
+        closeSync(openSync(lockFile, 'wx', 0o600));
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw new WeComError(-1, `无法创建定时任务锁文件 ${lockFile}：${error.message}`);
+        }
+      }
+
+      if (isStaleLock(lockFile)) {
+        this.log(`定时任务锁文件 ${lockFile} 超过 ${LOCK_STALE_MS / 1000} 秒未释放，视为已失效`);
+        rmSync(lockFile, { force: true });
+        continue;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new WeComError(-1, `等待定时任务锁文件 ${lockFile} 超时，可能有其他服务进程正在修改任务`);
+      }
+      sleepSync(LOCK_RETRY_MS);
+    }
+
+    try {
+      return fn();
+    } finally {
+      rmSync(lockFile, { force: true });
+    }
+  }
+
+  /**
+   * 从文件重新读取任务，替换内存中的任务
+   * 
+   * 文件不存在时视为没有任务；格式无效的任务记录日志后忽略，下次写入文件时删除
+   * 
+   * @throws {WeComError} 当文件无法读取或内容无法解析时
+   * @private
+   */
+  _refresh() {
+    let raw;
+    try {
+      raw = readFileSync(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.jobs = new Map();
+        return;
+      }
+      throw new WeComError(-1, `无法读取定时任务文件 ${this.file}：${error.message}`);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      throw new WeComError(-1, `定时任务文件 ${this.file} 不是有效的 JSON：${error.message}`);
+    }
+
+    const jobs = new Map();
+    for (const job of Array.isArray(data?.jobs) ? data.jobs : []) {
+      const problem = validateJob(job);
+      if (problem) {
+        const id = String(job?.id);
+        if (!this.rejected.has(id)) {
+          this.rejected.add(id);
+          this.log(`定时任务文件中的任务 ${id} 无效（${problem}），已忽略`);
+        }
+        continue;
+      }
+      jobs.set(job.id, job);
+    }
+    this.jobs = jobs;
+  }
+
+  /**
+   * 将任务写入文件（先写临时文件再重命名，避免写入中断导致文件损坏，其他进程也不会读到写了一半的文件）
+   * 
+   * 同时清理超过保留期的已结束任务；调用方需持有任务文件锁
+   * 
+   * @private
+   */
+  _save() {
+    const cutoff = Date.now() - FINISHED_JOB_RETENTION_MS;
+    for (const [id, job] of this.jobs) {
+      if (job.finished_at && Date.parse(job.finished_at) < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+    // 任务参数中只有机器人别名，不含 webhook key；但仍可能包含消息内容，仅允许当前用户读写
+    writeFileSync(tempFile, JSON.stringify({ jobs: [...this.jobs.values()] }, null, 2), { mode: 0o600 });
+    renameSync(tempFile, this.file);
+  }
+}
+
+/**
+ * 检查从任务文件读取的任务格式，返回问题描述
+ * 
+ * @param {*} job - 任务
+ * @returns {string|null} 问题描述，格式正确时返回 null
+ */
+function validateJob(job) {
+  if (!isPlainObject(job)) {
+    return '不是对象';
+  }
+  if (typeof job.id !== 'string' || !job.id) {
+    return '缺少 id';
+  }
+  if (typeof job.tool !== 'string' || !job.tool) {
+    return '缺少 tool';
+  }
+  if (!isPlainObject(job.arguments)) {
+    return 'arguments 不是对象';
+  }
+  if (job.principal != null && typeof job.principal !== 'string') {
+    return 'principal 不是字符串';
+  }
+  if (!Object.values(JOB_STATUS).includes(job.status)) {
+    return `未知的状态 ${job.status}`;
+  }
+  if (!Object.values(MISSED_RUN_POLICY).includes(job.missed_run_policy)) {
+    return `未知的 missed_run_policy ${job.missed_run_policy}`;
+  }
+  if (!isValidTimeZone(job.timezone)) {
+    return `无效的时区 ${job.timezone}`;
+  }
+  if (Boolean(job.at) === Boolean(job.cron)) {
+    return 'at 和 cron 必须有且只有一个';
+  }
+  if (job.at && !isTimestamp(job.at)) {
+    return `无效的执行时间 ${job.at}`;
+  }
+  if (job.cron) {
+    try {
+      parseCron(job.cron);
+    } catch (error) {
+      return error.message;
+    }
+  }
+  if (job.status === JOB_STATUS.ACTIVE ? !isTimestamp(job.next_run_at) : job.next_run_at !== null) {
+    return `无效的下一次执行时间 ${job.next_run_at}`;
+  }
+  if (!Number.isInteger(job.run_count) || job.run_count < 0) {
+    return `无效的执行次数 ${job.run_count}`;
+  }
+  return null;
+}
+
+/**
+ * 判断值是否为普通对象（非 null、非数组）
+ * 
+ * @param {*} value - 值
+ * @returns {boolean} 是否为普通对象
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 判断值是否为可解析的时间字符串
+ * 
+ * @param {*} value - 值
+ * @returns {boolean} 是否为可解析的时间字符串
+ */
+function isTimestamp(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * 判断锁文件是否已失效（持有进程异常退出未删除）
+ * 
+ * @param {string} lockFile - 锁文件路径
+ * @returns {boolean} 是否已失效；锁文件已被删除时返回 false，等待后重试
+ */
+function isStaleLock(lockFile) {
+  try {
+    return Date.now() - statSync(lockFile).mtimeMs > LOCK_STALE_MS;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 同步等待指定时间（加锁只保护同步的文件读写，等待时不让出事件循环）
+ * 
+ * @param {number} ms - 等待时间（毫秒）
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * 判断任务是否属于调用方
+ * 
+ * @param {ScheduledJob} job - 任务
+ * @param {string|null|undefined} principal - 调用方身份，undefined 表示不限制
+ * @returns {boolean} 是否属于调用方
+ */
+function isOwnedBy(job, principal) {
+  return principal === undefined || (job.principal ?? null) === principal;
+}
+
+/**
+ * 获取任务下一次执行时间的时间戳，已结束的任务排在最后
+ * 
+ * @param {ScheduledJob} job - 任务
+ * @returns {number} 时间戳（毫秒）
+ */
+function runTime(job) {
+  return job.next_run_at ? Date.parse(job.next_run_at) : Number.MAX_SAFE_INTEGER;
+}
+
+/**
+ * 解析执行时间
+ * 
+ * 带时区偏移（Z 或 ±hh:mm）的时间直接解析；不带偏移的本地时间按指定时区解析
+ * 
+ * @param {string} text - ISO 8601 时间，例如 2024-06-01T09:30:00+08:00 或 2024-06-01 09:30
+ * @param {string} timezone - IANA 时区
+ * @returns {number} 时间戳（毫秒）
+ * @throws {WeComError} 当时间格式无效时
+ */
+function parseDateTime(text, timezone) {
+  const invalid = () => new WeComError(-1, `无效的执行时间：${text}，请使用 ISO 8601 格式，例如 2024-06-01T09:30:00+08:00`);
+
+  if (typeof text !== 'string') {
+    throw invalid();
+  }
+
+  const local = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(text.trim());
+  if (local) {
+    const [year, month, day, hour, minute, second = 0] = local.slice(1).map(value => value === undefined ? undefined : Number(value));
+    return zonedTimeToUtc({ year, month, day, hour, minute, second }, timezone);
+  }
+
+  const time = /(Z|[+-]\d{2}:?\d{2})$/i.test(text.trim()) ? Date.parse(text) : NaN;
+  if (Number.isNaN(time)) {
+    throw invalid();
+  }
+  return time;
+}
+
+export default Scheduler;
@@ -0,0 +1,347 @@
+/**
+ * @fileoverview 命令行发送子命令
+ * @description 不经过 MCP 客户端，直接在 shell 脚本、cron 任务中发送消息：
+ * `wecom-robot-mcp send text|markdown|file|voice|image|news`
+ * 
+ * 命令行参数转换为对应工具的参数后交给 ToolHandler 执行，因此机器人解析、参数校验、
+ * 错误码、试运行、审计日志和文件上传缓存都与 MCP 工具调用一致
+ * 
+ * 退出码：0 发送成功；1 发送失败（参数校验失败或企业微信返回错误）；2 命令行用法错误
+ * 
+ * @module send-command
+ */
+
+import { readFile } from 'fs/promises';
+import { parseArgs } from 'util';
+import { ToolHandler } from './tools.js';
+import { MARKDOWN_FORMAT } from './wecom-client.js';
+
+/**
+ * 退出码
+ * @enum {number}
+ */
+export const EXIT_CODE = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2
+};
+
+/**
+ * 所有消息类型共用的命令行选项
+ * @constant {Object}
+ */
+const COMMON_OPTIONS = {
+  bot: { type: 'string', short: 'b' },
+  key: { type: 'string', short: 'k' },
+  input: { type: 'string', short: 'i' },
+  'dry-run': { type: 'boolean' },
+  'fail-fast': { type: 'boolean' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * 各消息类型的命令行定义
+ * 
+ * - tool: 对应的工具名称
+ * - options: 额外的命令行选项
+ * - usage: 用法说明
+ * - build: 将位置参数、选项和读取到的内容转换为工具参数
+ * 
+ * @constant {Object.<string, {tool: string, options: Object, usage: string, build: function(Object): Promise<Object>}>}
+ */
+const COMMANDS = {
+  text: {
+    tool: 'send_text',
+    options: {
+      mention: { type: 'string', multiple: true },
+      'mention-mobile': { type: 'string', multiple: true }
+    },
+    usage: 'send text [内容|-] [--mention <userid>]... [--mention-mobile <手机号>]...',
+    build: async ({ positionals, values, stdin }) => ({
+      content: await readContent(positionals[0], values.input, stdin),
+      ...(values.mention && { mentioned_list: values.mention }),
+      ...(values['mention-mobile'] && { mentioned_mobile_list: values['mention-mobile'] })
+    })
+  },
+  markdown: {
+    tool: 'send_message',
+    options: {
+      format: { type: 'string', default: MARKDOWN_FORMAT.V2 },
+      overflow: { type: 'string' },
+      strict: { type: 'boolean' }
+    },
+    usage: 'send markdown [内容|-] [--format markdown_v2|markdown] [--overflow error|split|truncate|attach_as_file] [--strict]',
+    build: async ({ positionals, values, stdin }) => ({
+      content: await readContent(positionals[0], values.input, stdin),
+      format: values.format,
+      ...(values.overflow && { overflow: values.overflow }),
+      ...(values.strict && { strict: true })
+    })
+  },
+  file: {
+    tool: 'send_file',
+    options: {
+      'no-cache': { type: 'boolean' }
+    },
+    usage: 'send file <文件路径> [--no-cache]',
+    build: async ({ positionals, values }) => ({
+      file_path: requirePositional(positionals, '文件路径'),
+      ...(values['no-cache'] && { use_cache: false })
+    })
+  },
+  voice: {
+    tool: 'send_voice',
+    options: {
+      'no-cache': { type: 'boolean' }
+    },
+    usage: 'send voice <AMR 文件路径> [--no-cache]',
+    build: async ({ positionals, values }) => ({
+      file_path: requirePositional(positionals, '语音文件路径'),
+      ...(values['no-cache'] && { use_cache: false })
+    })
+  },
+  image: {
+    tool: 'send_image',
+    options: {
+      'no-convert': { type: 'boolean' }
+    },
+    usage: 'send image <图片路径|图片 URL> [--no-convert]',
+    build: async ({ positionals, values }) => {
+      const source = requirePositional(positionals, '图片路径或 URL');
+      return {
+        ...(/^https?:\/\//i.test(source) ? { image_url: source } : { image_path: source }),
+        ...(values['no-convert'] && { convert: false })
+      };
+    }
+  },
+  news: {
+    tool: 'send_news',
+    options: {
+      title: { type: 'string' },
+      url: { type: 'string' },
+      description: { type: 'string' },
+      picurl: { type: 'string' }
+    },
+    usage: 'send news --title <标题> --url <链接> [--description <描述>] [--picurl <图片链接>]\n       send news [文章 JSON|-]',
+    build: async ({ positionals, values, stdin }) => {
+      if (values.title !== undefined || values.url !== undefined) {
+        if (positionals.length > 0 || values.input !== undefined) {
+          throw new UsageError('--title/--url 与文章 JSON 只能提供一种');
+        }
+        return {
+          articles: [{
+            title: values.title,
+            url: values.url,
+            ...(values.description !== undefined && { description: values.description }),
+            ...(values.picurl !== undefined && { picurl: values.picurl })
+          }]
+        };
+      }
+
+      const json = await readContent(positionals[0], values.input, stdin);
+      let parsed;
+      try {
+        parsed = JSON.parse(json);
+      } catch (error) {
+        throw new UsageError(`文章列表不是有效的 JSON：${error.message}`);
+      }
+
+      // 接受文章数组、单篇文章，或与 send_news 工具参数相同的 { articles: [...] }
+      return { articles: Array.isArray(parsed) ? parsed : parsed?.articles ?? [parsed] };
+    }
+  }
+};
+
+/**
+ * 命令行用法错误（退出码 2）
+ */
+class UsageError extends Error {
+  /**
+   * @param {string} message - 错误消息
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * 生成用法说明
+ * 
+ * @param {string} [type] - 消息类型，未提供时列出所有类型
+ * @returns {string} 用法说明
+ */
+function formatUsage(type) {
+  const commands = type ? [COMMANDS[type]] : Object.values(COMMANDS);
+
+  return [
+    '用法：',
+    ...commands.map(command => `  wecom-robot-mcp ${command.usage}`),
+    '',
+    '通用选项：',
+    '  -b, --bot <别名>       目标机器人别名（WECOM_BOTS / WECOM_BOTS_FILE 中配置）',
+    '  -k, --key <key>        目标机器人 webhook key，未指定时使用默认机器人或 WECOM_WEBHOOK_KEY',
+    '  -i, --input <文件|->   从文件（- 表示标准输入）读取 text、markdown、news 的内容',
+    '      --dry-run          试运行：只将请求写入发件箱，不发送到企业微信',
+    '      --fail-fast        超出发送频率限制时立即失败，不排队等待',
+    '      --json             以 JSON 格式输出完整结果（失败时同样输出到标准输出）',
+    '  -h, --help             显示帮助',
+    '',
+    '未提供内容参数且标准输入不是终端时，从标准输入读取内容。',
+    '退出码：0 成功，1 发送失败，2 用法错误。'
+  ].join('\n');
+}
+
+/**
+ * 读取流的全部内容
+ * 
+ * @param {NodeJS.ReadableStream} stream - 输入流
+ * @returns {Promise<string>} UTF-8 文本
+ */
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * 读取消息内容
+ * 
+ * 来源优先级：位置参数 > --input 文件 > 标准输入；位置参数或 --input 为 - 时读取标准输入。
+ * 从文件或标准输入读取时去掉末尾的换行，避免 echo 等命令产生的换行进入消息
+ * 
+ * @param {string} [positional] - 位置参数
+ * @param {string} [input] - --input 选项
+ * @param {NodeJS.ReadStream} stdin - 标准输入
+ * @returns {Promise<string>} 消息内容
+ * @throws {UsageError} 当内容来源冲突或未提供内容时
+ */
+async function readContent(positional, input, stdin) {
+  if (positional !== undefined && input !== undefined) {
+    throw new UsageError('内容参数和 --input 只能提供一个');
+  }
+
+  if (positional !== undefined && positional !== '-') {
+    return positional;
+  }
+
+  if (input !== undefined && input !== '-') {
+    try {
+      return (await readFile(input, 'utf8')).replace(/\r?\n$/, '');
+    } catch (error) {
+      throw new UsageError(`无法读取 ${input}：${error.message}`);
+    }
+  }
+
+  if (positional === '-' || input === '-' || !stdin.isTTY) {
+    return (await readStream(stdin)).replace(/\r?\n$/, '');
+  }
+
+  throw new UsageError('缺少消息内容：请通过参数、--input 文件或标准输入提供');
+}
+
+/**
+ * 获取必填的位置参数
+ * 
+ * @param {string[]} positionals - 位置参数
+ * @param {string} name - 参数名称（用于错误提示）
+ * @returns {string} 参数值
+ * @throws {UsageError} 当未提供时
+ */
+function requirePositional(positionals, name) {
+  if (!positionals[0]) {
+    throw new UsageError(`缺少${name}`);
+  }
+  return positionals[0];
+}
+
+/**
+ * 执行 send 子命令
+ * 
+ * @param {string[]} argv - send 之后的命令行参数，第一个为消息类型
+ * @param {Object} options - 执行选项
+ * @param {function(): import('./context.js').ServerContext} options.createContext - 创建服务上下文（解析完命令行参数后才调用，--help 和用法错误不读取配置）
+ * @param {NodeJS.ReadStream} [options.stdin=process.stdin] - 标准输入
+ * @param {NodeJS.WritableStream} [options.stdout=process.stdout] - 标准输出
+ * @param {NodeJS.WritableStream} [options.stderr=process.stderr] - 标准错误
+ * @returns {Promise<number>} 退出码，参见 EXIT_CODE
+ * 
+ * @example
+ * const code = await runSendCommand(['text', '构建完成', '--bot', 'ops'], {
+ *   createContext: () => ServerContext.fromEnv()
+ * });
+ */
+export async function runSendCommand(argv, {
+  createContext,
+  stdin = process.stdin,
+  stdout = process.stdout,
+  stderr = process.stderr
+}) {
+  const [type, ...rest] = argv;
+
+  if (!type || type === '--help' || type === '-h') {
+    (type ? stdout : stderr).write(formatUsage() + '\n');
+    return type ? EXIT_CODE.SUCCESS : EXIT_CODE.USAGE;
+  }
+
+  const command = Object.hasOwn(COMMANDS, type) ? COMMANDS[type] : null;
+  if (!command) {
+    stderr.write(`未知消息类型：${type}，可选值：${Object.keys(COMMANDS).join('、')}\n\n${formatUsage()}\n`);
+    return EXIT_CODE.USAGE;
+  }
+
+  let args;
+  let values;
+  try {
+    const parsed = parseArgs({
+      args: rest,
+      options: { ...COMMON_OPTIONS, ...command.options },
+      allowPositionals: true
+    });
+    values = parsed.values;
+
+    if (values.help) {
+      stdout.write(formatUsage(type) + '\n');
+      return EXIT_CODE.SUCCESS;
+    }
+
+    if (parsed.positionals.length > 1) {
+      throw new UsageError(`多余的参数：${parsed.positionals.slice(1).join(' ')}（内容包含空格时请加引号）`);
+    }
+
+    args = {
+      ...await command.build({ positionals: parsed.positionals, values, stdin }),
+      ...(values.bot !== undefined && { bot: values.bot }),
+      ...(values.key !== undefined && { webhook_key: values.key }),
+      ...(values['dry-run'] && { dry_run: true }),
+      ...(values['fail-fast'] && { rate_limit: 'fail_fast' })
+    };
+  } catch (error) {
+    // parseArgs 对未知选项、缺少选项值等情况抛出 TypeError（code 为 ERR_PARSE_ARGS_*）
+    if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+      stderr.write(`${error.message}\n\n${formatUsage(type)}\n`);
+      return EXIT_CODE.USAGE;
+    }
+    throw error;
+  }
+
+  const context = createContext();
+  const result = await new ToolHandler({ context, principal: 'cli' }).handle(command.tool, args);
+  const data = JSON.parse(result.content[0].text);
+
+  if (values.json) {
+    stdout.write(JSON.stringify(data, null, 2) + '\n');
+  } else if (result.isError) {
+    stderr.write(`发送失败 [${data.code}]：${data.message}\n`);
+  } else {
+    const message = data.message || data.send?.message || '发送成功';
+    stdout.write(data.dry_run ? `${message}（发件箱：${context.outbox.file}）\n` : `${message}\n`);
+  }
+
+  return result.isError ? EXIT_CODE.FAILURE : EXIT_CODE.SUCCESS;
+}
+
+export default runSendCommand;
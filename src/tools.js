@@ -8,13 +8,129 @@
  * @module tools
  */
 
-import { WeComClient, WeComError } from './wecom-client.js';
+import {
+  WeComClient,
+  WeComError,
+  TEMPLATE_CARD_TYPE,
+  MARKDOWN_FORMAT,
+  MARKDOWN_MAX_BYTES,
+  MARKDOWN_V1_MAX_BYTES,
+  maskWebhookKey
+} from './wecom-client.js';
+import { splitMarkdownIntoParts, truncateMarkdown } from './markdown-splitter.js';
+import { validateMarkdown, findMarkdownSyntaxIssues, formatSyntaxIssues } from './markdown-validator.js';
+import { MISSED_RUN_POLICY } from './scheduler.js';
+import { ServerContext } from './context.js';
 
 /**
- * 从环境变量获取默认的 webhook key
- * @constant {string|null}
+ * Markdown 内容超出字节限制时的处理策略
+ * 
+ * - error: 直接返回错误（默认）
+ * - split: 按标题、段落边界拆分为多条带编号的消息依次发送
+ * - truncate: 在段落边界截断后发送
+ * - attach_as_file: 上传完整内容的 .md 文件后，发送截断后的预览和该文件
+ * 
+ * @enum {string}
+ */
+const OVERFLOW_STRATEGY = {
+  ERROR: 'error',
+  SPLIT: 'split',
+  TRUNCATE: 'truncate',
+  ATTACH_AS_FILE: 'attach_as_file'
+};
+
+/**
+ * split 策略允许拆分的最大消息条数
+ * @constant {number}
+ */
+const MAX_SPLIT_PARTS = 10;
+
+/**
+ * 支持广播的工具名称
+ * @constant {string[]}
+ */
+const BROADCAST_TOOLS = [
+  'send_message',
+  'send_text',
+  'send_news',
+  'send_text_card',
+  'send_news_card',
+  'send_file',
+  'send_voice',
+  'send_image'
+];
+
+/**
+ * 广播并发数限制
+ * @constant {Object}
+ */
+const BROADCAST_CONCURRENCY = {
+  DEFAULT: 3,
+  MAX: 10
+};
+
+/**
+ * 支持定时发送的工具名称
+ * @constant {string[]}
+ */
+const SCHEDULABLE_TOOLS = [...BROADCAST_TOOLS, 'broadcast'];
+
+/**
+ * 发送历史查询的条数限制
+ * @constant {Object}
+ */
+const HISTORY_LIMIT = {
+  DEFAULT: 50,
+  MAX: 500
+};
+
+/**
+ * 未指定上下文时使用的进程内共享上下文，首次使用时从环境变量创建
+ * @type {ServerContext|null}
+ */
+let defaultContext = null;
+
+/**
+ * 获取进程内共享的默认上下文
+ * 
+ * 仅在未显式传入上下文时使用，使模块加载本身不读取环境变量。
+ * 默认上下文由 ServerContext.fromEnv() 按当前进程的环境变量创建，与命令行行为一致：
+ * 使用 WECOM_* 环境变量中的机器人配置，并读写 ~/.wecom-robot-mcp 下的审计日志、媒体缓存和定时任务文件；
+ * 作为库嵌入时应显式传入 ServerContext
+ * 
+ * @returns {ServerContext} 服务上下文
+ * @throws {WeComError} 当环境变量中的机器人配置无效时
+ */
+export function getDefaultContext() {
+  if (!defaultContext) {
+    defaultContext = ServerContext.fromEnv();
+  }
+  return defaultContext;
+}
+
+/**
+ * 以有限并发数依次处理列表中的每一项
+ * 
+ * @template T, R
+ * @param {T[]} items - 待处理的列表
+ * @param {number} concurrency - 最大并发数
+ * @param {function(T, number): Promise<R>} worker - 处理函数
+ * @returns {Promise<R[]>} 与输入顺序一致的处理结果
  */
-const DEFAULT_WEBHOOK_KEY = process.env.WECOM_WEBHOOK_KEY || null;
+async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, run));
+  return results;
+}
 
 /**
  * @typedef {Object} ToolDefinition
@@ -37,119 +153,816 @@ const DEFAULT_WEBHOOK_KEY = process.env.WECOM_WEBHOOK_KEY || null;
 
 /**
  * @typedef {Object} SendMessageArgs
+ * @property {string} [bot] - 机器人别名（可选）
+ * @property {string} [webhook_key] - 企业微信机器人的 webhook key（可选，可从环境变量获取）
+ * @property {string} [rate_limit='wait'] - 超出发送频率限制时的行为：wait 或 fail_fast
+ * @property {boolean} [dry_run] - 试运行：只将请求写入发件箱，不发送到企业微信
+ * @property {string} content - Markdown 格式的消息内容
+ * @property {string} [format='markdown_v2'] - Markdown 格式：markdown_v2 或 markdown（旧版）
+ * @property {string} [overflow='error'] - 超出字节限制时的处理策略，参见 OVERFLOW_STRATEGY
+ * @property {boolean} [strict] - 严格模式：存在显示异常的语法时也拒绝发送
+ */
+
+/**
+ * @typedef {Object} SendTextArgs
+ * @property {string} [bot] - 机器人别名（可选）
+ * @property {string} [webhook_key] - 企业微信机器人的 webhook key（可选，可从环境变量获取）
+ * @property {string} [rate_limit='wait'] - 超出发送频率限制时的行为：wait 或 fail_fast
+ * @property {boolean} [dry_run] - 试运行：只将请求写入发件箱，不发送到企业微信
+ * @property {string} content - 文本消息内容
+ * @property {string[]} [mentioned_list] - 需要提醒的成员 userid 列表
+ * @property {string[]} [mentioned_mobile_list] - 需要提醒的成员手机号列表
+ */
+
+/**
+ * @typedef {Object} SendNewsArgs
+ * @property {string} [bot] - 机器人别名（可选）
+ * @property {string} [webhook_key] - 企业微信机器人的 webhook key（可选，可从环境变量获取）
+ * @property {string} [rate_limit='wait'] - 超出发送频率限制时的行为：wait 或 fail_fast
+ * @property {boolean} [dry_run] - 试运行：只将请求写入发件箱，不发送到企业微信
+ * @property {import('./wecom-client.js').NewsArticle[]} articles - 图文文章列表
+ */
+
+/**
+ * 模板卡片工具参数，除 bot、webhook_key、rate_limit 外的属性均为卡片字段（card_type 由工具决定）
+ * 
+ * @typedef {Object} SendTemplateCardArgs
+ * @property {string} [bot] - 机器人别名（可选）
  * @property {string} [webhook_key] - 企业微信机器人的 webhook key（可选，可从环境变量获取）
- * @property {string} content - Markdown V2 格式的消息内容
+ * @property {string} [rate_limit='wait'] - 超出发送频率限制时的行为：wait 或 fail_fast
+ * @property {boolean} [dry_run] - 试运行：只将请求写入发件箱，不发送到企业微信
+ * @property {Object} card_action - 整体卡片的点击跳转事件
  */
 
 /**
  * @typedef {Object} SendFileArgs
+ * @property {string} [bot] - 机器人别名（可选）
  * @property {string} [webhook_key] - 企业微信机器人的 webhook key（可选，可从环境变量获取）
+ * @property {string} [rate_limit='wait'] - 超出发送频率限制时的行为：wait 或 fail_fast
+ * @property {boolean} [dry_run] - 试运行：只将请求写入发件箱，不发送到企业微信
  * @property {string} file_path - 本地文件的绝对路径或相对路径
+ * @property {boolean} [use_cache=true] - 是否复用 3 天内上传过的相同文件的 media_id
+ */
+
+/**
+ * @typedef {Object} SendVoiceArgs
+ * @property {string} [bot] - 机器人别名（可选）
+ * @property {string} [webhook_key] - 企业微信机器人的 webhook key（可选，可从环境变量获取）
+ * @property {string} [rate_limit='wait'] - 超出发送频率限制时的行为：wait 或 fail_fast
+ * @property {boolean} [dry_run] - 试运行：只将请求写入发件箱，不发送到企业微信
+ * @property {string} file_path - 本地 AMR 语音文件路径
+ * @property {boolean} [use_cache=true] - 是否复用 3 天内上传过的相同文件的 media_id
+ */
+
+/**
+ * @typedef {Object} BroadcastArgs
+ * @property {string[]} [bots] - 目标机器人别名列表
+ * @property {string[]} [webhook_keys] - 目标机器人 webhook key 列表
+ * @property {string} tool - 要广播的发送类工具名称
+ * @property {Object} arguments - 传给该工具的参数（不含 bot、webhook_key）
+ * @property {number} [concurrency=3] - 最大并发数
+ * @property {string} [rate_limit='wait'] - 超出发送频率限制时的行为：wait 或 fail_fast
+ * @property {boolean} [dry_run] - 试运行：只将请求写入发件箱，不发送到企业微信
  */
 
 /**
  * @typedef {Object} SendImageArgs
+ * @property {string} [bot] - 机器人别名（可选）
  * @property {string} [webhook_key] - 企业微信机器人的 webhook key（可选，可从环境变量获取）
+ * @property {string} [rate_limit='wait'] - 超出发送频率限制时的行为：wait 或 fail_fast
+ * @property {boolean} [dry_run] - 试运行：只将请求写入发件箱，不发送到企业微信
  * @property {string} [image_path] - 本地图片文件路径
  * @property {string} [image_url] - 网络图片 URL 地址
+ * @property {boolean} [convert] - 是否自动转换格式和压缩
  */
 
 /**
- * 工具定义列表
+ * 生成所有发送类工具共用的参数定义
  * 
- * 每个工具包含：
- * - name: 工具名称（唯一标识）
- * - description: 工具描述（用于 AI 理解工具用途）
- * - inputSchema: JSON Schema 格式的输入参数定义
+ * - bot: 目标机器人别名（已配置机器人注册表时列出可选值）
+ * - webhook_key: 目标机器人的原始 key（禁止直接传入 key 时不出现在参数中）
+ * - rate_limit: 超出发送频率限制（每个机器人 20 条/分钟）时排队等待还是立即失败
+ * - dry_run: 试运行，只将请求写入本地发件箱
  * 
- * @type {ToolDefinition[]}
+ * @param {Object} options - 生成选项
+ * @param {string[]} options.botNames - 已配置的机器人别名
+ * @param {boolean} options.forbidRawWebhookKey - 是否禁止直接传入 webhook_key
+ * @param {boolean} options.dryRun - 是否强制试运行
+ * @returns {Object.<string, Object>} 参数定义
  */
-export const tools = [
-  {
-    /**
-     * 发送 Markdown 消息工具
-     * 
-     * 用于发送 Markdown V2 格式的消息到企业微信机器人
-     * 支持丰富的文本格式化语法
-     */
-    name: 'send_message',
-    description: '发送 Markdown V2 格式的消息到企业微信机器人。支持标题、加粗、斜体、列表、引用、链接、代码块、表格等语法。内容最大 4096 字节。如果配置了 WECOM_WEBHOOK_KEY 环境变量，webhook_key 参数可选。',
-    inputSchema: {
+function commonProperties({ botNames, forbidRawWebhookKey, dryRun }) {
+  return {
+    bot: {
+      type: 'string',
+      ...(botNames.length > 0 && { enum: botNames }),
+      description: '目标机器人别名，可通过 list_bots 工具查看可用机器人及其用途。未提供时使用默认机器人。'
+    },
+    ...(!forbidRawWebhookKey && {
+      webhook_key: {
+        type: 'string',
+        description: '企业微信机器人的 webhook key（建议优先使用 bot 参数）。如果未配置默认机器人且未设置 WECOM_WEBHOOK_KEY 环境变量，则 bot 与 webhook_key 必须提供其一。'
+      }
+    }),
+    rate_limit: {
+      type: 'string',
+      enum: ['wait', 'fail_fast'],
+      default: 'wait',
+      description: '超出发送频率限制（每个机器人 20 条/分钟）时的行为：wait（默认，排队等待后发送）或 fail_fast（立即返回错误及预计等待时间）'
+    },
+    dry_run: {
+      type: 'boolean',
+      default: dryRun,
+      description: dryRun
+        ? '服务已开启试运行模式（WECOM_DRY_RUN），所有请求都只写入本地发件箱，不会发送到企业微信'
+        : '试运行：构造完整的请求但不发送，写入本地发件箱并返回原本要发送的请求内容，用于调试消息而不打扰真实群聊'
+    }
+  };
+}
+
+/**
+ * 文件、语音工具的 use_cache 参数
+ * @constant {Object}
+ */
+const USE_CACHE_PROPERTY = {
+  type: 'boolean',
+  default: true,
+  description: '是否复用 3 天内上传过的相同文件的 media_id（按机器人和文件 MD5 匹配），默认 true；为 false 时强制重新上传'
+};
+
+/**
+ * 模板卡片公共字段的 JSON Schema 片段
+ * 
+ * 供 send_text_card 与 send_news_card 工具共用
+ * 
+ * @constant {Object.<string, Object>}
+ */
+const CARD_SCHEMAS = {
+  source: {
+    type: 'object',
+    description: '卡片来源样式信息（可选）',
+    properties: {
+      icon_url: { type: 'string', description: '来源图片的 URL' },
+      desc: { type: 'string', description: '来源图片的描述，建议不超过 13 个字' },
+      desc_color: {
+        type: 'integer',
+        enum: [0, 1, 2, 3],
+        description: '来源文字的颜色：0 灰色（默认），1 黑色，2 红色，3 绿色'
+      }
+    },
+    additionalProperties: false
+  },
+  quote_area: {
+    type: 'object',
+    description: '引用文献样式（可选）',
+    properties: {
+      type: { type: 'integer', enum: [0, 1, 2], description: '点击事件类型：0 无，1 跳转 url，2 打开小程序' },
+      url: { type: 'string', description: '跳转链接（type 为 1 时必填）' },
+      appid: { type: 'string', description: '小程序 appid（type 为 2 时必填）' },
+      pagepath: { type: 'string', description: '小程序页面路径' },
+      title: { type: 'string', description: '引用文献样式的标题' },
+      quote_text: { type: 'string', description: '引用文献样式的引用文案' }
+    },
+    additionalProperties: false
+  },
+  horizontal_content_list: {
+    type: 'array',
+    description: '二级标题 + 文本列表，最多 6 项（可选）',
+    maxItems: 6,
+    items: {
       type: 'object',
       properties: {
-        webhook_key: {
-          type: 'string',
-          description: '企业微信机器人的 webhook key。如果未设置 WECOM_WEBHOOK_KEY 环境变量，则此参数必填。'
+        keyname: { type: 'string', description: '二级标题，建议不超过 5 个字' },
+        value: { type: 'string', description: '二级文本，建议不超过 26 个字' },
+        type: {
+          type: 'integer',
+          enum: [0, 1, 2, 3],
+          description: '链接类型：0 普通文本（默认），1 跳转 url，2 下载附件，3 @员工'
         },
-        content: {
-          type: 'string',
-          description: 'Markdown V2 格式的消息内容。支持语法：# 标题、**加粗**、*斜体*、- 列表、> 引用、[链接](url)、`代码`、```代码块```、|表格| 等'
-        }
+        url: { type: 'string', description: '跳转链接（type 为 1 时必填）' },
+        media_id: { type: 'string', description: '附件的 media_id（type 为 2 时必填）' },
+        userid: { type: 'string', description: '被 @ 的成员 userid（type 为 3 时必填）' }
       },
-      required: ['content'],
+      required: ['keyname'],
       additionalProperties: false
     }
   },
-  {
-    /**
-     * 发送文件工具
-     * 
-     * 先上传文件到企业微信服务器，然后发送文件消息
-     * 文件限制：普通文件≤20MB，语音文件≤2MB
-     * 注意：media_id 仅 3 天有效
-     */
-    name: 'send_file',
-    description: '发送文件到企业微信机器人。先上传文件到企业微信服务器，然后发送文件消息。支持 PDF、Word、Excel、PPT、TXT、ZIP 等格式，最大 20MB。如果配置了 WECOM_WEBHOOK_KEY 环境变量，webhook_key 参数可选。',
-    inputSchema: {
+  jump_list: {
+    type: 'array',
+    description: '跳转指引样式列表，最多 3 项（可选）',
+    maxItems: 3,
+    items: {
       type: 'object',
       properties: {
-        webhook_key: {
-          type: 'string',
-          description: '企业微信机器人的 webhook key。如果未设置 WECOM_WEBHOOK_KEY 环境变量，则此参数必填。'
-        },
-        file_path: {
-          type: 'string',
-          description: '本地文件的绝对路径或相对路径（例如：/path/to/document.pdf 或 ./files/report.xlsx）'
-        }
+        type: { type: 'integer', enum: [0, 1, 2], description: '跳转类型：0 无，1 跳转 url，2 打开小程序' },
+        title: { type: 'string', description: '跳转链接样式的文案内容，建议不超过 13 个字' },
+        url: { type: 'string', description: '跳转链接（type 为 1 时必填）' },
+        appid: { type: 'string', description: '小程序 appid（type 为 2 时必填）' },
+        pagepath: { type: 'string', description: '小程序页面路径（type 为 2 时必填）' }
       },
-      required: ['file_path'],
+      required: ['title'],
       additionalProperties: false
     }
   },
-  {
-    /**
-     * 发送图片工具
-     * 
-     * 支持发送本地图片文件或网络图片 URL
-     * 图片限制：JPG/PNG 格式，最大 2MB
-     */
-    name: 'send_image',
-    description: '发送图片到企业微信机器人。支持本地图片文件路径或网络图片 URL。仅支持 JPG 和 PNG 格式，最大 2MB。如果配置了 WECOM_WEBHOOK_KEY 环境变量，webhook_key 参数可选。',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        webhook_key: {
-          type: 'string',
-          description: '企业微信机器人的 webhook key。如果未设置 WECOM_WEBHOOK_KEY 环境变量，则此参数必填。'
+  card_action: {
+    type: 'object',
+    description: '整体卡片的点击跳转事件（必填）',
+    properties: {
+      type: { type: 'integer', enum: [1, 2], description: '跳转类型：1 跳转 url，2 打开小程序' },
+      url: { type: 'string', description: '跳转链接（type 为 1 时必填）' },
+      appid: { type: 'string', description: '小程序 appid（type 为 2 时必填）' },
+      pagepath: { type: 'string', description: '小程序页面路径' }
+    },
+    required: ['type'],
+    additionalProperties: false
+  }
+};
+
+/**
+ * 创建标题类字段的 JSON Schema
+ * 
+ * @param {string} description - 字段描述
+ * @returns {Object} JSON Schema
+ */
+function titleSchema(description) {
+  return {
+    type: 'object',
+    description,
+    properties: {
+      title: { type: 'string', description: '标题' },
+      desc: { type: 'string', description: '辅助信息' }
+    },
+    additionalProperties: false
+  };
+}
+
+/**
+ * 生成工具定义列表
+ * 
+ * 每个工具包含：
+ * - name: 工具名称（唯一标识）
+ * - description: 工具描述（用于 AI 理解工具用途）
+ * - inputSchema: JSON Schema 格式的输入参数定义
+ * 
+ * 机器人别名枚举、是否允许 webhook_key 及各参数默认值随服务配置变化，由 ServerContext.listTools() 传入
+ * 
+ * @param {Object} [options] - 生成选项
+ * @param {string[]} [options.botNames=[]] - 已配置的机器人别名
+ * @param {boolean} [options.forbidRawWebhookKey=false] - 是否禁止直接传入 webhook_key
+ * @param {boolean} [options.dryRun=false] - 是否强制试运行
+ * @param {boolean} [options.markdownStrict=false] - send_message 的 strict 参数默认值
+ * @param {boolean} [options.imageConvert=true] - send_image 的 convert 参数默认值
+ * @param {string} [options.scheduleTimezone] - schedule_message 的默认时区，默认使用系统时区
+ * @returns {ToolDefinition[]} 工具定义列表
+ */
+export function buildTools({
+  botNames = [],
+  forbidRawWebhookKey = false,
+  dryRun = false,
+  markdownStrict = false,
+  imageConvert = true,
+  scheduleTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone
+} = {}) {
+  const common = commonProperties({ botNames, forbidRawWebhookKey, dryRun });
+
+  return [
+    {
+      /**
+       * 列出机器人工具
+       * 
+       * 返回已配置机器人的别名和描述，不包含 webhook key
+       */
+      name: 'list_bots',
+      description: '列出已配置的企业微信机器人别名及其描述（例如所在群聊和用途），用于在发送类工具中通过 bot 参数选择目标机器人。不会返回 webhook key。',
+      inputSchema: {
+        type: 'object',
+        properties: {},
+        additionalProperties: false
+      }
+    },
+    {
+      /**
+       * 发送 Markdown 消息工具
+       * 
+       * 用于发送 Markdown 格式的消息到企业微信机器人
+       * 默认使用 Markdown V2，需要字体颜色或 @ 提醒时可选择旧版 markdown 格式
+       */
+      name: 'send_message',
+      description: '发送 Markdown 格式的消息到企业微信机器人。默认 markdown_v2 格式，支持标题、加粗、斜体、列表、引用、链接、代码块、表格等语法；需要 <font color="info|comment|warning"> 字体颜色或 <@userid> 提醒群成员时，使用 format="markdown"（不支持表格、图片、代码块）。单条消息最大 4096 字节，超出时可通过 overflow 参数选择拆分、截断或转为附件发送。如果配置了 WECOM_WEBHOOK_KEY 环境变量，webhook_key 参数可选。',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ...common,
+          content: {
+            type: 'string',
+            description: 'Markdown 格式的消息内容。markdown_v2 支持：# 标题、**加粗**、*斜体*、- 列表、> 引用、[链接](url)、`代码`、```代码块```、|表格| 等；markdown 支持：# 标题、**加粗**、[链接](url)、`行内代码`、> 引用、<font color="warning">颜色</font>、<@userid>'
+          },
+          format: {
+            type: 'string',
+            enum: [MARKDOWN_FORMAT.V2, MARKDOWN_FORMAT.V1],
+            default: MARKDOWN_FORMAT.V2,
+            description: 'Markdown 格式：markdown_v2（默认）或 markdown（旧版，支持字体颜色和 <@userid> 提醒）'
+          },
+          overflow: {
+            type: 'string',
+            enum: Object.values(OVERFLOW_STRATEGY),
+            default: OVERFLOW_STRATEGY.ERROR,
+            description: '内容超出 4096 字节时的处理策略：error（默认，返回错误）、split（按标题/段落拆分为多条带编号的消息，最多 10 条）、truncate（截断后发送）、attach_as_file（发送截断预览并将完整内容作为 .md 文件发送）'
+          },
+          strict: {
+            type: 'boolean',
+            default: markdownStrict,
+            description: `严格模式：内容中有 HTML 标签、嵌套列表、任务列表等显示异常的语法时也拒绝发送，并返回每处问题的位置和修改建议。默认 ${markdownStrict}`
+          }
         },
-        image_path: {
-          type: 'string',
-          description: '本地图片文件的路径（可选，与 image_url 二选一）'
+        required: ['content'],
+        additionalProperties: false
+      }
+    },
+    {
+      /**
+       * 校验消息工具
+       * 
+       * 只检查不发送，返回语法问题（含行列位置和修改建议）及字节数统计
+       */
+      name: 'validate_message',
+      description: '发送前检查 Markdown 消息：标出企业微信不支持或显示异常的语法（HTML 标签、嵌套列表、任务列表、markdown_v2 中的字体颜色等）所在的行列和修改建议，并统计 UTF-8 字节数与 4096 字节上限的差距。不会发送消息。',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          content: {
+            type: 'string',
+            description: '待检查的 Markdown 内容'
+          },
+          format: {
+            type: 'string',
+            enum: [MARKDOWN_FORMAT.V2, MARKDOWN_FORMAT.V1],
+            default: MARKDOWN_FORMAT.V2,
+            description: 'Markdown 格式：markdown_v2（默认）或 markdown（旧版）'
+          }
         },
-        image_url: {
-          type: 'string',
-          description: '网络图片的 URL 地址（可选，与 image_path 二选一）'
-        }
-      },
-      required: [],
-      oneOf: [
-        { required: ['image_path'] },
-        { required: ['image_url'] }
-      ],
-      additionalProperties: false
+        required: ['content'],
+        additionalProperties: false
+      }
+    },
+    {
+      /**
+       * 发送文本消息工具
+       * 
+       * 用于发送纯文本消息，支持 @ 提醒群成员
+       * Markdown V2 不支持提醒，需要提醒时使用此工具
+       */
+      name: 'send_text',
+      description: '发送纯文本消息到企业微信机器人，支持通过 userid 或手机号 @ 提醒群成员（"@all" 提醒所有人）。内容最大 2048 字节。如果配置了 WECOM_WEBHOOK_KEY 环境变量，webhook_key 参数可选。',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ...common,
+          content: {
+            type: 'string',
+            description: '纯文本消息内容，不支持 Markdown 语法'
+          },
+          mentioned_list: {
+            type: 'array',
+            items: { type: 'string' },
+            description: '需要提醒的成员 userid 列表，使用 "@all" 提醒所有人（例如：["zhangsan", "@all"]）'
+          },
+          mentioned_mobile_list: {
+            type: 'array',
+            items: { type: 'string' },
+            description: '需要提醒的成员手机号列表，使用 "@all" 提醒所有人（例如：["13800001111"]）'
+          }
+        },
+        required: ['content'],
+        additionalProperties: false
+      }
+    },
+    {
+      /**
+       * 发送图文消息工具
+       * 
+       * 用于发送图文卡片（news），适合发布公告、版本说明等
+       * 图文限制：1~8 条，标题≤128 字节，描述≤512 字节
+       */
+      name: 'send_news',
+      description: '发送图文消息（图文卡片）到企业微信机器人，适合发布公告、版本说明等。支持 1~8 条图文，每条包含标题、描述、跳转链接和封面图片。如果配置了 WECOM_WEBHOOK_KEY 环境变量，webhook_key 参数可选。',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ...common,
+          articles: {
+            type: 'array',
+            description: '图文列表，第一条显示为大图卡片，其余显示为列表项',
+            minItems: 1,
+            maxItems: 8,
+            items: {
+              type: 'object',
+              properties: {
+                title: {
+                  type: 'string',
+                  description: '标题，最大 128 字节'
+                },
+                description: {
+                  type: 'string',
+                  description: '描述，最大 512 字节（可选）'
+                },
+                url: {
+                  type: 'string',
+                  description: '点击后跳转的链接，必须以 http:// 或 https:// 开头'
+                },
+                picurl: {
+                  type: 'string',
+                  description: '封面图片链接，支持 JPG、PNG 格式，较好的效果为大图 1068*455、小图 150*150（可选）'
+                }
+              },
+              required: ['title', 'url'],
+              additionalProperties: false
+            }
+          }
+        },
+        required: ['articles'],
+        additionalProperties: false
+      }
+    },
+    {
+      /**
+       * 发送文本通知模板卡片工具
+       * 
+       * 适合告警、审批提醒等需要突出关键数据的通知
+       */
+      name: 'send_text_card',
+      description: '发送文本通知模板卡片（text_notice）到企业微信机器人，适合告警、值班通知等需要突出关键数据的场景。main_title.title 与 sub_title_text 至少填写一项，card_action 必填。如果配置了 WECOM_WEBHOOK_KEY 环境变量，webhook_key 参数可选。',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ...common,
+          source: CARD_SCHEMAS.source,
+          main_title: titleSchema('一级标题及标题辅助信息，标题建议不超过 26 个字'),
+          emphasis_content: titleSchema('关键数据样式，title 为数据内容（建议不超过 10 个字），desc 为数据说明（可选）'),
+          quote_area: CARD_SCHEMAS.quote_area,
+          sub_title_text: {
+            type: 'string',
+            description: '二级普通文本，建议不超过 112 个字'
+          },
+          horizontal_content_list: CARD_SCHEMAS.horizontal_content_list,
+          jump_list: CARD_SCHEMAS.jump_list,
+          card_action: CARD_SCHEMAS.card_action
+        },
+        required: ['card_action'],
+        additionalProperties: false
+      }
+    },
+    {
+      /**
+       * 发送图文展示模板卡片工具
+       * 
+       * 适合带封面图片的通知，如版本发布、活动公告
+       */
+      name: 'send_news_card',
+      description: '发送图文展示模板卡片（news_notice）到企业微信机器人，适合带封面图片的通知。main_title.title 与 card_action 必填，card_image 与 image_text_area 至少填写一项。如果配置了 WECOM_WEBHOOK_KEY 环境变量，webhook_key 参数可选。',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ...common,
+          source: CARD_SCHEMAS.source,
+          main_title: {
+            ...titleSchema('一级标题及标题辅助信息，标题建议不超过 26 个字（必填）'),
+            required: ['title']
+          },
+          card_image: {
+            type: 'object',
+            description: '图片样式（与 image_text_area 至少填写一项）',
+            properties: {
+              url: { type: 'string', description: '图片的 URL' },
+              aspect_ratio: {
+                type: 'number',
+                minimum: 1.3,
+                maximum: 2.25,
+                description: '图片的宽高比，取值 1.3 ~ 2.25，默认 1.3'
+              }
+            },
+            required: ['url'],
+            additionalProperties: false
+          },
+          image_text_area: {
+            type: 'object',
+            description: '左图右文样式（与 card_image 至少填写一项）',
+            properties: {
+              type: { type: 'integer', enum: [0, 1, 2], description: '点击事件类型：0 无，1 跳转 url，2 打开小程序' },
+              url: { type: 'string', description: '跳转链接（type 为 1 时必填）' },
+              appid: { type: 'string', description: '小程序 appid（type 为 2 时必填）' },
+              pagepath: { type: 'string', description: '小程序页面路径' },
+              title: { type: 'string', description: '左图右文样式的标题' },
+              desc: { type: 'string', description: '左图右文样式的描述' },
+              image_url: { type: 'string', description: '左图右文样式的图片 URL' }
+            },
+            required: ['image_url'],
+            additionalProperties: false
+          },
+          quote_area: CARD_SCHEMAS.quote_area,
+          vertical_content_list: {
+            type: 'array',
+            description: '卡片二级垂直内容，最多 4 项（可选）',
+            maxItems: 4,
+            items: {
+              type: 'object',
+              properties: {
+                title: { type: 'string', description: '二级标题，建议不超过 26 个字' },
+                desc: { type: 'string', description: '二级文本，建议不超过 112 个字' }
+              },
+              required: ['title'],
+              additionalProperties: false
+            }
+          },
+          horizontal_content_list: CARD_SCHEMAS.horizontal_content_list,
+          jump_list: CARD_SCHEMAS.jump_list,
+          card_action: CARD_SCHEMAS.card_action
+        },
+        required: ['main_title', 'card_action'],
+        additionalProperties: false
+      }
+    },
+    {
+      /**
+       * 发送文件工具
+       * 
+       * 先上传文件到企业微信服务器，然后发送文件消息
+       * 文件限制：普通文件≤20MB，语音文件≤2MB
+       * 注意：media_id 仅 3 天有效
+       */
+      name: 'send_file',
+      description: '发送文件到企业微信机器人。先上传文件到企业微信服务器，然后发送文件消息。支持 PDF、Word、Excel、PPT、TXT、ZIP 等格式，最大 20MB；文件类型按内容识别，扩展名与内容不符时结果的 file_type 中会给出提示。如果配置了 WECOM_WEBHOOK_KEY 环境变量，webhook_key 参数可选。',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ...common,
+          file_path: {
+            type: 'string',
+            description: '本地文件的绝对路径或相对路径（例如：/path/to/document.pdf 或 ./files/report.xlsx）。相对路径相对于服务配置的基础目录；只能读取服务允许的目录中的文件，.env、私钥等敏感文件会被拒绝'
+          },
+          use_cache: USE_CACHE_PROPERTY
+        },
+        required: ['file_path'],
+        additionalProperties: false
+      }
+    },
+    {
+      /**
+       * 发送语音工具
+       * 
+       * 先以 voice 类型上传 AMR 文件，然后发送语音消息
+       * 语音限制：AMR 格式，最大 2MB，最长 60 秒
+       */
+      name: 'send_voice',
+      description: '发送语音消息到企业微信机器人。先上传语音文件到企业微信服务器，然后发送语音消息。仅支持 AMR 格式，最大 2MB，时长不超过 60 秒。如果配置了 WECOM_WEBHOOK_KEY 环境变量，webhook_key 参数可选。',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ...common,
+          file_path: {
+            type: 'string',
+            description: '本地 AMR 语音文件的绝对路径或相对路径（例如：/path/to/voice.amr），与 send_file 受相同的文件访问限制'
+          },
+          use_cache: USE_CACHE_PROPERTY
+        },
+        required: ['file_path'],
+        additionalProperties: false
+      }
+    },
+    {
+      /**
+       * 发送图片工具
+       * 
+       * 支持发送本地图片文件或网络图片 URL
+       * 图片限制：JPG/PNG 格式，最大 2MB
+       */
+      name: 'send_image',
+      description: '发送图片到企业微信机器人。支持本地图片文件路径或网络图片 URL。企业微信仅支持 JPG 和 PNG 格式（按文件内容识别，与扩展名无关），最大 2MB；开启 convert 时 GIF（第一帧）、BMP 会转换为 PNG / JPEG，超过 2MB 的图片会缩小尺寸、降低质量直至满足限制，结果中返回原图和最终图片的尺寸与大小（不支持 WebP）。如果配置了 WECOM_WEBHOOK_KEY 环境变量，webhook_key 参数可选。',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ...common,
+          image_path: {
+            type: 'string',
+            description: '本地图片文件的路径（可选，与 image_url 二选一），与 send_file 受相同的文件访问限制'
+          },
+          image_url: {
+            type: 'string',
+            description: '网络图片的 URL 地址（可选，与 image_path 二选一），不能指向本机或内网地址，下载的内容必须是图片'
+          },
+          convert: {
+            type: 'boolean',
+            default: imageConvert,
+            description: `格式不支持或超出 2MB 时是否自动转换和压缩，默认 ${imageConvert}；符合要求的图片不会被修改`
+          }
+        },
+        required: [],
+        oneOf: [
+          { required: ['image_path'] },
+          { required: ['image_url'] }
+        ],
+        additionalProperties: false
+      }
+    },
+    {
+      /**
+       * 广播工具
+       * 
+       * 将同一条消息发送到多个机器人，返回每个目标的发送结果
+       * 文件、语音会按目标分别上传（media_id 仅对上传它的机器人有效）
+       */
+      name: 'broadcast',
+      description: `将同一条消息广播到多个企业微信机器人（群聊），适合同时向多个群发布版本说明、公告等。通过 tool 指定消息类型（${BROADCAST_TOOLS.join('、')}），arguments 为该工具的参数（不含 bot 和 webhook_key）。返回每个目标的成功/失败结果，单个目标失败不影响其他目标。`,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          bots: {
+            type: 'array',
+            items: common.bot,
+            description: '目标机器人别名列表，可通过 list_bots 工具查看可用机器人'
+          },
+          ...(!forbidRawWebhookKey && {
+            webhook_keys: {
+              type: 'array',
+              items: { type: 'string' },
+              description: '目标机器人 webhook key 列表（建议优先使用 bots 参数）'
+            }
+          }),
+          tool: {
+            type: 'string',
+            enum: BROADCAST_TOOLS,
+            description: '要广播的消息类型对应的工具名称'
+          },
+          arguments: {
+            type: 'object',
+            description: '传给 tool 的参数，与直接调用该工具时相同，但不含 bot 和 webhook_key（例如 send_message 为 { "content": "# 发布通知" }）'
+          },
+          concurrency: {
+            type: 'integer',
+            minimum: 1,
+            maximum: BROADCAST_CONCURRENCY.MAX,
+            default: BROADCAST_CONCURRENCY.DEFAULT,
+            description: `同时发送的目标数量，默认 ${BROADCAST_CONCURRENCY.DEFAULT}，最大 ${BROADCAST_CONCURRENCY.MAX}`
+          },
+          rate_limit: common.rate_limit,
+          dry_run: common.dry_run
+        },
+        required: ['tool', 'arguments'],
+        additionalProperties: false
+      }
+    },
+    {
+      /**
+       * 定时发送消息工具
+       * 
+       * 支持一次性定时和 cron 周期任务，任务持久化到本地文件
+       */
+      name: 'schedule_message',
+      description: `定时发送消息：在指定时间发送一次（at），或按 cron 表达式周期发送（cron，例如每周五 17:00 为 "0 17 * * 5"）。通过 tool 指定消息类型（${SCHEDULABLE_TOOLS.join('、')}），arguments 为该工具的参数，与直接调用时相同。任务保存在本地，服务重启后继续执行。arguments 中只能用 bot（或 broadcast 的 bots）指定机器人，不支持 webhook_key。send_file、send_image 等引用本地文件的任务会在执行时读取文件。`,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tool: {
+            type: 'string',
+            enum: SCHEDULABLE_TOOLS,
+            description: '到期时调用的工具名称'
+          },
+          arguments: {
+            type: 'object',
+            description: '传给 tool 的参数，与直接调用该工具时相同，但不能包含 webhook_key / webhook_keys（例如 send_text 为 { "content": "周报提醒", "bot": "ops" }）'
+          },
+          at: {
+            type: 'string',
+            description: '一次性发送时间（ISO 8601），例如 "2024-06-01T09:30:00+08:00"；不带时区偏移时按 timezone 解析。与 cron 二选一'
+          },
+          cron: {
+            type: 'string',
+            description: '周期发送的 cron 表达式（分 时 日 月 周），例如 "30 9 * * 1-5" 表示工作日 9:30，也支持 @daily、@weekly 等简写。与 at 二选一'
+          },
+          timezone: {
+            type: 'string',
+            default: scheduleTimezone,
+            description: `IANA 时区名称，例如 Asia/Shanghai，默认 ${scheduleTimezone}`
+          },
+          missed_run_policy: {
+            type: 'string',
+            enum: Object.values(MISSED_RUN_POLICY),
+            default: MISSED_RUN_POLICY.CATCH_UP,
+            description: '服务停止等原因错过执行时间时的处理方式：catch_up（默认，恢复后立即补发一次）或 skip（跳过，周期任务等待下一周期）'
+          },
+          description: {
+            type: 'string',
+            description: '任务描述，便于在任务列表中识别'
+          }
+        },
+        required: ['tool', 'arguments'],
+        additionalProperties: false
+      }
+    },
+    {
+      /**
+       * 列出定时任务工具
+       */
+      name: 'list_scheduled_messages',
+      description: '列出当前客户端创建的定时发送任务及其下一次执行时间和最近一次执行结果。',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          include_finished: {
+            type: 'boolean',
+            default: false,
+            description: '是否包含已结束的一次性任务（已发送、发送失败或被跳过），默认只返回待执行任务'
+          }
+        },
+        additionalProperties: false
+      }
+    },
+    {
+      /**
+       * 取消定时任务工具
+       */
+      name: 'cancel_scheduled_message',
+      description: '取消并删除当前客户端创建的定时发送任务。任务 ID 可通过 list_scheduled_messages 工具获取。',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            description: '定时任务 ID'
+          }
+        },
+        required: ['id'],
+        additionalProperties: false
+      }
+    },
+    {
+      /**
+       * 查询发送历史工具
+       * 
+       * 从审计日志中读取，按时间从新到旧返回
+       */
+      name: 'query_history',
+      description: '查询当前客户端的发送历史（审计日志，包括当前客户端创建的定时任务的发送记录），可按机器人、时间范围、消息类型和发送结果筛选，按时间从新到旧返回。记录包含内容摘要和预览，不包含完整消息内容。',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          bot: {
+            type: 'string',
+            description: '机器人别名，只返回发往该机器人的记录'
+          },
+          since: {
+            type: 'string',
+            description: '起始时间（ISO 8601，含），例如 "2024-06-01T00:00:00+08:00"'
+          },
+          until: {
+            type: 'string',
+            description: '结束时间（ISO 8601，含）'
+          },
+          msgtype: {
+            type: 'string',
+            description: '消息类型，例如 markdown_v2、text、news、template_card、file、voice、image'
+          },
+          status: {
+            type: 'string',
+            enum: ['success', 'failed'],
+            description: '发送结果：success（成功）或 failed（失败）'
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: HISTORY_LIMIT.MAX,
+            default: HISTORY_LIMIT.DEFAULT,
+            description: `最多返回条数，默认 ${HISTORY_LIMIT.DEFAULT}，最大 ${HISTORY_LIMIT.MAX}`
+          }
+        },
+        additionalProperties: false
+      }
+    },
+    {
+      /**
+       * 清除媒体文件缓存工具
+       */
+      name: 'clear_media_cache',
+      description: '清除已上传文件的 media_id 缓存，之后发送文件、语音时会重新上传。提供 bot 或 webhook_key 时只清除该机器人的缓存，否则清除全部。',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          bot: common.bot,
+          ...(common.webhook_key && { webhook_key: common.webhook_key })
+        },
+        additionalProperties: false
+      }
     }
-  }
-];
+  ];
+}
+
+/**
+ * 默认配置下的工具定义列表（无机器人别名枚举，允许直接传入 webhook_key）
+ * 
+ * 实际提供给客户端的列表以 ServerContext.listTools() 为准
+ * 
+ * @type {ToolDefinition[]}
+ */
+export const tools = buildTools();
 
 /**
  * 工具处理器类
@@ -158,89 +971,574 @@ export const tools = [
  * 提供统一的错误处理和响应格式化
  * 
  * @example
- * const handler = new ToolHandler();
+ * const handler = new ToolHandler({ context: new ServerContext({ webhookKey: 'xxx' }) });
  * const result = await handler.handle('send_message', { content: '# Hello' });
  */
 export class ToolHandler {
+  /**
+   * 创建工具处理器实例
+   * 
+   * @param {Object} [options] - 处理器选项
+   * @param {ServerContext} [options.context] - 服务上下文；未提供时使用按当前进程环境变量创建的进程内共享上下文（见 getDefaultContext）
+   * @param {string|null} [options.defaultBot] - 默认机器人别名，优先于注册表配置的默认机器人（例如 HTTP 会话级默认机器人）
+   * @param {string|null} [options.principal] - 调用方身份，记录到审计日志并用于隔离定时任务和发送历史（例如 HTTP 访问令牌对应的客户端名称）
+   * @throws {WeComError} 当默认机器人别名不存在时
+   */
+  constructor({ context = getDefaultContext(), defaultBot = null, principal = null } = {}) {
+    if (defaultBot) {
+      context.registry.resolve(defaultBot);
+    }
+
+    /**
+     * 服务上下文
+     * @type {ServerContext}
+     */
+    this.context = context;
+
+    /**
+     * 会话级默认机器人别名
+     * @private
+     * @type {string|null}
+     */
+    this.sessionDefaultBot = defaultBot;
+
+    /**
+     * 调用方信息，记录到审计日志
+     * @private
+     * @type {Object}
+     */
+    this.clientInfo = principal ? { principal } : {};
+  }
+
+  /**
+   * 设置 MCP 客户端信息（来自 initialize 请求的 clientInfo），之后发送的消息会在审计日志中记录该信息
+   * 
+   * @param {{name?: string, version?: string}} [clientInfo] - 客户端名称和版本
+   */
+  setClientInfo(clientInfo) {
+    const { name, version } = clientInfo && typeof clientInfo === 'object' ? clientInfo : {};
+    this.clientInfo = { ...this.clientInfo, name, version };
+  }
+
+  /**
+   * 调用方身份（例如 HTTP 访问令牌对应的客户端名称），stdio 等未区分调用方时为 null
+   * 
+   * @type {string|null}
+   */
+  get principal() {
+    return this.clientInfo.principal ?? null;
+  }
+
+  /**
+   * 当前生效的默认机器人别名（会话级默认机器人优先于注册表配置）
+   * 
+   * 每次读取注册表，使机器人配置重新加载后立即生效
+   * 
+   * @type {string|null}
+   */
+  get defaultBot() {
+    return this.sessionDefaultBot || this.context.registry.getDefaultBot();
+  }
+
   /**
    * 处理工具调用请求
    * 
    * 根据工具名称路由到相应的处理方法
    * 
    * @param {string} name - 工具名称
-   * @param {Object} args - 工具参数
+   * @param {Object} [args={}] - 工具参数
    * @returns {Promise<ToolResult>} 处理结果
    * @throws {Error} 当工具名称未知或执行失败时
    * 
    * @example
    * const result = await handler.handle('send_message', { content: '# Hello' });
    */
-  async handle(name, args) {
+  async handle(name, args = {}) {
     // 验证工具名称
     if (!name || typeof name !== 'string') {
       throw new WeComError(-1, '工具名称必须是有效的字符串');
     }
 
     switch (name) {
+      case 'list_bots':
+        return this.handleListBots();
       case 'send_message':
         return this.handleSendMessage(args);
+      case 'validate_message':
+        return this.handleValidateMessage(args);
+      case 'send_text':
+        return this.handleSendText(args);
+      case 'send_news':
+        return this.handleSendNews(args);
+      case 'send_text_card':
+        return this.handleSendTemplateCard(TEMPLATE_CARD_TYPE.TEXT_NOTICE, args);
+      case 'send_news_card':
+        return this.handleSendTemplateCard(TEMPLATE_CARD_TYPE.NEWS_NOTICE, args);
       case 'send_file':
         return this.handleSendFile(args);
+      case 'send_voice':
+        return this.handleSendVoice(args);
       case 'send_image':
         return this.handleSendImage(args);
+      case 'broadcast':
+        return this.handleBroadcast(args);
+      case 'schedule_message':
+        return this.handleScheduleMessage(args);
+      case 'list_scheduled_messages':
+        return this.handleListScheduledMessages(args);
+      case 'cancel_scheduled_message':
+        return this.handleCancelScheduledMessage(args);
+      case 'query_history':
+        return this.handleQueryHistory(args);
+      case 'clear_media_cache':
+        return this.handleClearMediaCache(args);
       default:
-        throw new WeComError(-1, `未知工具：${name}。可用工具：send_message, send_file, send_image`);
+        throw new WeComError(-1, `未知工具：${name}。可用工具：list_bots, send_message, validate_message, send_text, send_news, send_text_card, send_news_card, send_file, send_voice, send_image, broadcast, schedule_message, list_scheduled_messages, cancel_scheduled_message, query_history, clear_media_cache`);
     }
   }
 
   /**
    * 获取有效的 webhook key
    * 
-   * 优先级：调用时提供的 key > 环境变量配置的 key
+   * 优先级：调用时指定的 bot 别名 > 调用时提供的 key > 默认机器人 > 环境变量配置的 key
    * 
-   * @param {string} [providedKey] - 调用时提供的 webhook key
+   * @param {Object} target - 目标机器人参数
+   * @param {string} [target.bot] - 机器人别名
+   * @param {string} [target.webhook_key] - 调用时提供的 webhook key
    * @returns {string} webhook key
-   * @throws {WeComError} 当未提供 key 且环境变量也未配置时
+   * @throws {WeComError} 当别名不存在、禁止直接传入 key 或无可用 key 时
    * 
    * @private
    */
-  _getWebhookKey(providedKey) {
-    const key = providedKey || DEFAULT_WEBHOOK_KEY;
+  _getWebhookKey({ bot, webhook_key }) {
+    if (bot && webhook_key) {
+      throw new WeComError(-1, 'bot 和 webhook_key 只能提供一个');
+    }
+
+    if (webhook_key && this.context.forbidRawWebhookKey) {
+      throw new WeComError(-1, '已禁止直接传入 webhook_key，请使用 bot 参数指定机器人别名（可通过 list_bots 工具查看）');
+    }
+
+    if (bot) {
+      return this.context.registry.resolve(bot);
+    }
+
+    const key = webhook_key || (this.defaultBot && this.context.registry.resolve(this.defaultBot)) || this.context.webhookKey;
     
     if (!key) {
       throw new WeComError(
         -1,
-        '未提供 webhook_key 参数，且未设置 WECOM_WEBHOOK_KEY 环境变量'
+        '未提供 bot 或 webhook_key 参数，且未配置默认机器人或 WECOM_WEBHOOK_KEY 环境变量'
       );
     }
     
     return key;
   }
 
+  /**
+   * 处理列出机器人请求
+   * 
+   * 仅返回别名和描述，不包含 webhook key
+   * 
+   * @returns {ToolResult} 处理结果
+   * 
+   * @example
+   * handler.handleListBots();
+   */
+  handleListBots() {
+    return this._formatSuccess({
+      bots: this.context.registry.list().map(info => ({ ...info, default: info.name === this.defaultBot })),
+      default_bot: this.defaultBot,
+      raw_webhook_key_allowed: !this.context.forbidRawWebhookKey
+    });
+  }
+
+  /**
+   * 创建企业微信客户端
+   * 
+   * @param {Object} args - 工具调用的公共参数
+   * @param {string} [args.bot] - 机器人别名（可选）
+   * @param {string} [args.webhook_key] - Webhook key（可选）
+   * @param {string} [args.rate_limit='wait'] - 超出频率限制时的行为：wait 或 fail_fast
+   * @param {boolean} [args.dry_run] - 是否试运行（WECOM_DRY_RUN=true 时始终试运行）
+   * @returns {WeComClient} 客户端实例
+   * @throws {WeComError} 当无法确定目标机器人，或 rate_limit 取值无效时
+   * 
+   * @private
+   */
+  _createClient({ bot, webhook_key, rate_limit = 'wait', dry_run = false }) {
+    const key = this._getWebhookKey({ bot, webhook_key });
+
+    if (rate_limit !== 'wait' && rate_limit !== 'fail_fast') {
+      throw new WeComError(-1, 'rate_limit 参数必须是 "wait" 或 "fail_fast"');
+    }
+
+    // 审计日志中记录的机器人别名：显式指定的别名，或未传入 key 时使用的默认机器人
+    const alias = bot || (webhook_key ? null : this.defaultBot);
+
+    const { retry, mediaCache, baseURL, dryRun, outbox, auditLog, fileSandbox, urlPolicy } = this.context;
+
+    return new WeComClient(key, {
+      waitForRateLimit: rate_limit === 'wait',
+      retry,
+      mediaCache,
+      ...(baseURL && { baseURL }),
+      outbox: dryRun || dry_run === true ? outbox : null,
+      fileSandbox,
+      urlPolicy,
+      onSend: auditLog && (record => auditLog.append({
+        timestamp: new Date().toISOString(),
+        bot: alias,
+        webhook_key: maskWebhookKey(key),
+        ...record,
+        client: this.clientInfo
+      }))
+    });
+  }
+
   /**
    * 处理发送消息请求
    * 
    * @param {SendMessageArgs} args - 参数对象
+   * @param {string} [args.bot] - 机器人别名（可选）
    * @param {string} [args.webhook_key] - Webhook key（可选）
+   * @param {string} [args.rate_limit='wait'] - 超出频率限制时的行为：wait 或 fail_fast
+   * @param {boolean} [args.dry_run] - 是否试运行（WECOM_DRY_RUN=true 时始终试运行）
    * @param {string} args.content - Markdown 内容
+   * @param {string} [args.format='markdown_v2'] - Markdown 格式
+   * @param {string} [args.overflow='error'] - 超出字节限制时的处理策略
+   * @param {boolean} [args.strict] - 严格模式，默认由 WECOM_MARKDOWN_STRICT 决定（关闭）
    * @returns {Promise<ToolResult>} 处理结果
    * 
    * @example
    * await handler.handleSendMessage({ content: '# 标题\\n**加粗**' });
+   * 
+   * // 超长内容拆分为多条消息
+   * await handler.handleSendMessage({ content: longReport, overflow: 'split' });
+   */
+  async handleSendMessage({ bot, webhook_key, rate_limit, dry_run, content, format = MARKDOWN_FORMAT.V2, overflow = OVERFLOW_STRATEGY.ERROR, strict = this.context.markdownStrict } = {}) {
+    try {
+      // 创建客户端
+      const client = this._createClient({ bot, webhook_key, rate_limit, dry_run });
+
+      // 验证内容参数
+      if (!content || typeof content !== 'string') {
+        throw new WeComError(-1, 'content 参数不能为空且必须是字符串');
+      }
+
+      // 验证格式参数
+      if (!Object.values(MARKDOWN_FORMAT).includes(format)) {
+        throw new WeComError(
+          -1,
+          `format 参数必须是 "${MARKDOWN_FORMAT.V2}" 或 "${MARKDOWN_FORMAT.V1}"`
+        );
+      }
+
+      // 验证超长处理策略参数
+      if (!Object.values(OVERFLOW_STRATEGY).includes(overflow)) {
+        throw new WeComError(
+          -1,
+          `overflow 参数必须是以下之一：${Object.values(OVERFLOW_STRATEGY).join(', ')}`
+        );
+      }
+
+      const options = { strict: strict === true };
+      const send = text => (format === MARKDOWN_FORMAT.V1
+        ? client.sendMarkdown(text, options)
+        : client.sendMarkdownV2(text, options));
+
+      // 未超出限制或使用 error 策略时直接发送（超出时由客户端返回错误）
+      const maxBytes = format === MARKDOWN_FORMAT.V1 ? MARKDOWN_V1_MAX_BYTES : MARKDOWN_MAX_BYTES;
+      const byteLength = Buffer.byteLength(content, 'utf8');
+      if (byteLength <= maxBytes || overflow === OVERFLOW_STRATEGY.ERROR) {
+        return this._formatSuccess(await send(content));
+      }
+
+      // 严格模式下先校验完整内容，避免拆分发送时前几条已发出、后面的片段才被拒绝
+      const issues = options.strict ? findMarkdownSyntaxIssues(content, format, { strict: true }) : [];
+      if (issues.length > 0) {
+        throw new WeComError(-1, `${format} 语法校验失败（严格模式）：${formatSyntaxIssues(issues)}`, { format, strict: true, issues });
+      }
+
+      switch (overflow) {
+        case OVERFLOW_STRATEGY.SPLIT:
+          return this._formatSuccess(await this._sendSplitMarkdown(send, content, maxBytes));
+
+        case OVERFLOW_STRATEGY.TRUNCATE: {
+          const truncated = truncateMarkdown(content, maxBytes);
+          const result = await send(truncated);
+          return this._formatSuccess({
+            ...result,
+            overflow,
+            original_bytes: byteLength,
+            sent_bytes: Buffer.byteLength(truncated, 'utf8')
+          });
+        }
+
+        case OVERFLOW_STRATEGY.ATTACH_AS_FILE:
+          return this._formatSuccess(await this._sendMarkdownWithAttachment(client, send, content, maxBytes));
+      }
+    } catch (error) {
+      return this._formatError(error);
+    }
+  }
+
+  /**
+   * 拆分超长 Markdown 内容并按顺序逐条发送
+   * 
+   * 某一条发送失败时停止发送后续内容，避免消息乱序，并在错误数据中返回每条的结果
+   * 
+   * @param {function(string): Promise<Object>} send - 发送单条消息的函数
+   * @param {string} content - Markdown 内容
+   * @param {number} maxBytes - 单条消息最大字节数
+   * @returns {Promise<Object>} 拆分发送结果，包含每条消息的结果
+   * @throws {WeComError} 当拆分条数超出限制或任一条发送失败时
+   * 
+   * @private
+   */
+  async _sendSplitMarkdown(send, content, maxBytes) {
+    const parts = splitMarkdownIntoParts(content, maxBytes);
+
+    if (parts.length > MAX_SPLIT_PARTS) {
+      throw new WeComError(
+        -1,
+        `内容需要拆分为 ${parts.length} 条消息，超出最多 ${MAX_SPLIT_PARTS} 条的限制，请精简内容或使用 attach_as_file 策略`
+      );
+    }
+
+    const results = [];
+    let failure = null;
+
+    for (const [index, part] of parts.entries()) {
+      const partResult = {
+        part: index + 1,
+        bytes: Buffer.byteLength(part, 'utf8')
+      };
+
+      if (failure) {
+        results.push({ ...partResult, success: false, skipped: true });
+        continue;
+      }
+
+      try {
+        const { data, dry_run, payload, outbox } = await send(part);
+        results.push({ ...partResult, success: true, data, ...(dry_run && { dry_run, payload, outbox }) });
+      } catch (error) {
+        failure = error;
+        results.push({
+          ...partResult,
+          success: false,
+          error: { code: error.code, message: error.message }
+        });
+      }
+    }
+
+    if (failure) {
+      const failedPart = results.find(result => result.error).part;
+      throw new WeComError(
+        failure.code,
+        `第 ${failedPart}/${parts.length} 条消息发送失败：${failure.message}`,
+        { overflow: OVERFLOW_STRATEGY.SPLIT, parts: results }
+      );
+    }
+
+    return {
+      success: true,
+      ...(results.some(result => result.dry_run) && { dry_run: true }),
+      message: `内容已拆分为 ${parts.length} 条消息发送`,
+      overflow: OVERFLOW_STRATEGY.SPLIT,
+      parts: results
+    };
+  }
+
+  /**
+   * 发送超长 Markdown 内容的预览，并将完整内容作为附件发送
+   * 
+   * 依次上传附件、发送预览、发送附件：先上传可以避免上传失败时群里只留下一条指向不存在附件的预览。
+   * 某一步失败时停止后续步骤，并在错误数据中返回每一步的结果，与拆分发送相同
+   * 
+   * @param {WeComClient} client - 企业微信客户端
+   * @param {function(string): Promise<Object>} send - 发送单条消息的函数
+   * @param {string} content - Markdown 内容
+   * @param {number} maxBytes - 单条消息最大字节数
+   * @returns {Promise<Object>} 发送结果，包含上传、预览和附件的结果
+   * @throws {WeComError} 当任一步失败时
+   * 
+   * @private
+   */
+  async _sendMarkdownWithAttachment(client, send, content, maxBytes) {
+    const byteLength = Buffer.byteLength(content, 'utf8');
+    const timestamp = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    const filename = `message-${timestamp}.md`;
+    const preview = truncateMarkdown(content, maxBytes, `……（内容过长，完整内容见附件 ${filename}）`);
+
+    let uploadResult = null;
+    const steps = [
+      { step: 'upload', run: async () => (uploadResult = await client.uploadMediaBuffer(Buffer.from(content, 'utf8'), filename)) },
+      { step: 'preview', run: () => send(preview) },
+      { step: 'file', run: () => client.sendFile(uploadResult.media_id) }
+    ];
+
+    const results = {};
+    let failure = null;
+
+    for (const { step, run } of steps) {
+      if (failure) {
+        results[step] = { success: false, skipped: true };
+        continue;
+      }
+
+      try {
+        results[step] = await run();
+      } catch (error) {
+        failure = { step, error };
+        results[step] = { success: false, error: { code: error.code, message: error.message } };
+      }
+    }
+
+    if (failure) {
+      const delivered = failure.step === 'file' ? '预览已发送，附件未发送' : '未发送任何消息';
+      throw new WeComError(
+        failure.error.code,
+        `完整内容附件发送失败（${failure.step} 步骤，${delivered}）：${failure.error.message}`,
+        { overflow: OVERFLOW_STRATEGY.ATTACH_AS_FILE, original_bytes: byteLength, ...results }
+      );
+    }
+
+    return {
+      success: true,
+      ...(client.isDryRun() && { dry_run: true }),
+      message: '内容过长，已发送预览并将完整内容作为附件发送',
+      overflow: OVERFLOW_STRATEGY.ATTACH_AS_FILE,
+      original_bytes: byteLength,
+      upload: results.upload,
+      preview: results.preview,
+      send: results.file
+    };
+  }
+
+  /**
+   * 处理校验消息请求
+   * 
+   * 只做检查，不发送消息；内容存在问题时仍返回成功响应，问题列在报告中
+   * 
+   * @param {Object} args - 参数对象
+   * @param {string} args.content - Markdown 内容
+   * @param {string} [args.format='markdown_v2'] - Markdown 格式
+   * @returns {ToolResult} 处理结果，包含校验报告
+   * 
+   * @example
+   * handler.handleValidateMessage({ content: '- [ ] 待办<br>' });
    */
-  async handleSendMessage({ webhook_key, content }) {
+  handleValidateMessage({ content, format = MARKDOWN_FORMAT.V2 } = {}) {
     try {
-      // 获取 webhook key
-      const key = this._getWebhookKey(webhook_key);
+      if (typeof content !== 'string') {
+        throw new WeComError(-1, 'content 参数必须是字符串');
+      }
+
+      if (!Object.values(MARKDOWN_FORMAT).includes(format)) {
+        throw new WeComError(
+          -1,
+          `format 参数必须是 "${MARKDOWN_FORMAT.V2}" 或 "${MARKDOWN_FORMAT.V1}"`
+        );
+      }
+
+      return this._formatSuccess(validateMarkdown(content, { format }));
+    } catch (error) {
+      return this._formatError(error);
+    }
+  }
+
+  /**
+   * 处理发送文本消息请求
+   * 
+   * @param {SendTextArgs} args - 参数对象
+   * @param {string} [args.bot] - 机器人别名（可选）
+   * @param {string} [args.webhook_key] - Webhook key（可选）
+   * @param {string} [args.rate_limit='wait'] - 超出频率限制时的行为：wait 或 fail_fast
+   * @param {boolean} [args.dry_run] - 是否试运行（WECOM_DRY_RUN=true 时始终试运行）
+   * @param {string} args.content - 文本内容
+   * @param {string[]} [args.mentioned_list] - 需要提醒的成员 userid 列表
+   * @param {string[]} [args.mentioned_mobile_list] - 需要提醒的成员手机号列表
+   * @returns {Promise<ToolResult>} 处理结果
+   * 
+   * @example
+   * await handler.handleSendText({ content: '请尽快处理', mentioned_list: ['@all'] });
+   */
+  async handleSendText({ bot, webhook_key, rate_limit, dry_run, content, mentioned_list, mentioned_mobile_list } = {}) {
+    try {
+      // 创建客户端
+      const client = this._createClient({ bot, webhook_key, rate_limit, dry_run });
 
       // 验证内容参数
       if (!content || typeof content !== 'string') {
         throw new WeComError(-1, 'content 参数不能为空且必须是字符串');
       }
 
-      // 创建客户端并发送消息
-      const client = new WeComClient(key);
-      const result = await client.sendMarkdownV2(content);
+      // 发送消息
+      const result = await client.sendText(content, {
+        mentionedList: mentioned_list,
+        mentionedMobileList: mentioned_mobile_list
+      });
+
+      return this._formatSuccess(result);
+    } catch (error) {
+      return this._formatError(error);
+    }
+  }
+
+  /**
+   * 处理发送图文消息请求
+   * 
+   * @param {SendNewsArgs} args - 参数对象
+   * @param {string} [args.bot] - 机器人别名（可选）
+   * @param {string} [args.webhook_key] - Webhook key（可选）
+   * @param {string} [args.rate_limit='wait'] - 超出频率限制时的行为：wait 或 fail_fast
+   * @param {boolean} [args.dry_run] - 是否试运行（WECOM_DRY_RUN=true 时始终试运行）
+   * @param {Array<Object>} args.articles - 图文文章列表
+   * @returns {Promise<ToolResult>} 处理结果
+   * 
+   * @example
+   * await handler.handleSendNews({
+   *   articles: [{ title: 'v2.0.0 发布', url: 'https://example.com/releases' }]
+   * });
+   */
+  async handleSendNews({ bot, webhook_key, rate_limit, dry_run, articles } = {}) {
+    try {
+      // 创建客户端
+      const client = this._createClient({ bot, webhook_key, rate_limit, dry_run });
+
+      // 发送消息
+      const result = await client.sendNews(articles);
+
+      return this._formatSuccess(result);
+    } catch (error) {
+      return this._formatError(error);
+    }
+  }
+
+  /**
+   * 处理发送模板卡片请求
+   * 
+   * 除 bot、webhook_key、rate_limit 外的参数均作为卡片字段，卡片类型由工具名称决定
+   * 
+   * @param {string} cardType - 卡片类型：text_notice 或 news_notice
+   * @param {SendTemplateCardArgs} args - 参数对象
+   * @returns {Promise<ToolResult>} 处理结果
+   * 
+   * @example
+   * await handler.handleSendTemplateCard('text_notice', {
+   *   main_title: { title: '订单服务告警' },
+   *   card_action: { type: 1, url: 'https://example.com/alerts/1' }
+   * });
+   */
+  async handleSendTemplateCard(cardType, { bot, webhook_key, rate_limit, dry_run, ...card } = {}) {
+    try {
+      // 创建客户端
+      const client = this._createClient({ bot, webhook_key, rate_limit, dry_run });
+
+      // 发送卡片
+      const result = await client.sendTemplateCard({ ...card, card_type: cardType });
 
       return this._formatSuccess(result);
     } catch (error) {
@@ -253,40 +1551,74 @@ export class ToolHandler {
    * 
    * 流程：
    * 1. 验证参数
-   * 2. 上传文件到企业微信服务器
-   * 3. 发送文件消息
+   * 2. 上传文件到企业微信服务器（3 天内上传过相同内容时复用缓存的 media_id）
+   * 3. 发送文件消息（缓存的 media_id 失效时重新上传后再发送）
    * 
    * @param {SendFileArgs} args - 参数对象
+   * @param {string} [args.bot] - 机器人别名（可选）
    * @param {string} [args.webhook_key] - Webhook key（可选）
+   * @param {string} [args.rate_limit='wait'] - 超出频率限制时的行为：wait 或 fail_fast
+   * @param {boolean} [args.dry_run] - 是否试运行（WECOM_DRY_RUN=true 时始终试运行）
+   * @param {boolean} [args.use_cache=true] - 是否复用缓存的 media_id
    * @param {string} args.file_path - 文件路径
    * @returns {Promise<ToolResult>} 处理结果
    * 
    * @example
    * await handler.handleSendFile({ file_path: '/path/to/file.pdf' });
    */
-  async handleSendFile({ webhook_key, file_path }) {
+  async handleSendFile({ bot, webhook_key, rate_limit, dry_run, file_path, use_cache = true } = {}) {
     try {
-      // 获取 webhook key
-      const key = this._getWebhookKey(webhook_key);
+      // 创建客户端
+      const client = this._createClient({ bot, webhook_key, rate_limit, dry_run });
 
       // 验证文件路径参数
       if (!file_path || typeof file_path !== 'string') {
         throw new WeComError(-1, 'file_path 参数不能为空且必须是字符串');
       }
 
+      // 上传文件（内容未变化时复用缓存的 media_id）并发送文件消息
+      const { upload, send } = await client.sendMediaFile(file_path, 'file', { cache: use_cache !== false });
+
+      return this._formatSuccess({ ...(send.dry_run && { dry_run: true }), upload, send });
+    } catch (error) {
+      return this._formatError(error);
+    }
+  }
+
+  /**
+   * 处理发送语音请求
+   * 
+   * 流程：
+   * 1. 验证参数
+   * 2. 以 voice 类型上传 AMR 文件（校验格式和时长，3 天内上传过相同内容时复用缓存的 media_id）
+   * 3. 发送语音消息
+   * 
+   * @param {SendVoiceArgs} args - 参数对象
+   * @param {string} [args.bot] - 机器人别名（可选）
+   * @param {string} [args.webhook_key] - Webhook key（可选）
+   * @param {string} [args.rate_limit='wait'] - 超出频率限制时的行为：wait 或 fail_fast
+   * @param {boolean} [args.dry_run] - 是否试运行（WECOM_DRY_RUN=true 时始终试运行）
+   * @param {boolean} [args.use_cache=true] - 是否复用缓存的 media_id
+   * @param {string} args.file_path - AMR 语音文件路径
+   * @returns {Promise<ToolResult>} 处理结果
+   * 
+   * @example
+   * await handler.handleSendVoice({ file_path: '/path/to/voice.amr' });
+   */
+  async handleSendVoice({ bot, webhook_key, rate_limit, dry_run, file_path, use_cache = true } = {}) {
+    try {
       // 创建客户端
-      const client = new WeComClient(key);
+      const client = this._createClient({ bot, webhook_key, rate_limit, dry_run });
 
-      // 先上传文件
-      const uploadResult = await client.uploadMedia(file_path, 'file');
+      // 验证文件路径参数
+      if (!file_path || typeof file_path !== 'string') {
+        throw new WeComError(-1, 'file_path 参数不能为空且必须是字符串');
+      }
 
-      // 然后发送文件消息
-      const sendResult = await client.sendFile(uploadResult.media_id);
+      // 以 voice 类型上传（内容未变化时复用缓存的 media_id）并发送语音消息
+      const { upload, send } = await client.sendMediaFile(file_path, 'voice', { cache: use_cache !== false });
 
-      return this._formatSuccess({
-        upload: uploadResult,
-        send: sendResult
-      });
+      return this._formatSuccess({ ...(send.dry_run && { dry_run: true }), upload, send });
     } catch (error) {
       return this._formatError(error);
     }
@@ -298,9 +1630,13 @@ export class ToolHandler {
    * 支持本地文件路径和网络图片 URL 两种方式
    * 
    * @param {SendImageArgs} args - 参数对象
+   * @param {string} [args.bot] - 机器人别名（可选）
    * @param {string} [args.webhook_key] - Webhook key（可选）
+   * @param {string} [args.rate_limit='wait'] - 超出频率限制时的行为：wait 或 fail_fast
+   * @param {boolean} [args.dry_run] - 是否试运行（WECOM_DRY_RUN=true 时始终试运行）
    * @param {string} [args.image_path] - 本地图片路径
    * @param {string} [args.image_url] - 网络图片 URL
+   * @param {boolean} [args.convert] - 是否自动转换格式和压缩，默认由 WECOM_IMAGE_CONVERT 决定（开启）
    * @returns {Promise<ToolResult>} 处理结果
    * 
    * @example
@@ -310,10 +1646,10 @@ export class ToolHandler {
    * // 发送网络图片
    * await handler.handleSendImage({ image_url: 'https://example.com/image.png' });
    */
-  async handleSendImage({ webhook_key, image_path, image_url }) {
+  async handleSendImage({ bot, webhook_key, rate_limit, dry_run, image_path, image_url, convert = this.context.imageConvert } = {}) {
     try {
-      // 获取 webhook key
-      const key = this._getWebhookKey(webhook_key);
+      // 创建客户端
+      const client = this._createClient({ bot, webhook_key, rate_limit, dry_run });
 
       // 验证参数：必须提供 image_path 或 image_url 之一
       if (!image_path && !image_url) {
@@ -325,16 +1661,14 @@ export class ToolHandler {
         throw new WeComError(-1, 'image_path 和 image_url 只能提供一个');
       }
 
-      // 创建客户端
-      const client = new WeComClient(key);
       let result;
 
       if (image_path) {
         // 发送本地图片
-        result = await client.sendImage(image_path);
+        result = await client.sendImage(image_path, { convert: convert === true });
       } else if (image_url) {
         // 发送网络图片
-        result = await client.sendImageFromUrl(image_url);
+        result = await client.sendImageFromUrl(image_url, { convert: convert === true });
       }
 
       return this._formatSuccess(result);
@@ -343,6 +1677,336 @@ export class ToolHandler {
     }
   }
 
+  /**
+   * 处理广播请求
+   * 
+   * 对每个目标独立调用指定的发送类工具（文件、语音会按目标分别上传），
+   * 以有限并发执行，单个目标失败不影响其他目标
+   * 
+   * @param {BroadcastArgs} args - 参数对象
+   * @returns {Promise<ToolResult>} 处理结果，包含每个目标的发送结果；全部失败时为错误响应
+   * 
+   * @example
+   * await handler.handleBroadcast({
+   *   bots: ['ops', 'releases'],
+   *   tool: 'send_message',
+   *   arguments: { content: '# v2.1.0 已发布' }
+   * });
+   */
+  async handleBroadcast({ bots = [], webhook_keys = [], tool, arguments: toolArgs, concurrency = BROADCAST_CONCURRENCY.DEFAULT, rate_limit, dry_run } = {}) {
+    try {
+      // 验证工具参数
+      if (!BROADCAST_TOOLS.includes(tool)) {
+        throw new WeComError(-1, `tool 参数必须是以下之一：${BROADCAST_TOOLS.join(', ')}`);
+      }
+
+      if (!toolArgs || typeof toolArgs !== 'object' || Array.isArray(toolArgs)) {
+        throw new WeComError(-1, 'arguments 参数必须是对象');
+      }
+
+      if ('bot' in toolArgs || 'webhook_key' in toolArgs) {
+        throw new WeComError(-1, 'arguments 中不能包含 bot 或 webhook_key，请使用 bots 或 webhook_keys 指定目标');
+      }
+
+      if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > BROADCAST_CONCURRENCY.MAX) {
+        throw new WeComError(-1, `concurrency 参数必须是 1 ~ ${BROADCAST_CONCURRENCY.MAX} 之间的整数`);
+      }
+
+      // 汇总目标（去重），并在发送前校验，避免部分发送后才发现配置错误
+      if (!Array.isArray(bots) || !Array.isArray(webhook_keys)) {
+        throw new WeComError(-1, 'bots 和 webhook_keys 参数必须是数组');
+      }
+
+      const targets = [
+        ...[...new Set(bots)].map(bot => ({ label: `bot:${bot}`, args: { bot } })),
+        ...[...new Set(webhook_keys)].map(key => ({ label: `key:${maskWebhookKey(key)}`, args: { webhook_key: key } }))
+      ];
+
+      if (targets.length === 0) {
+        throw new WeComError(-1, '必须通过 bots 或 webhook_keys 提供至少一个目标');
+      }
+
+      for (const { args } of targets) {
+        this._getWebhookKey(args);
+      }
+
+      // 以有限并发向每个目标发送
+      const results = await mapWithConcurrency(targets, concurrency, async ({ label, args }) => {
+        const result = await this.handle(tool, {
+          ...toolArgs,
+          ...args,
+          ...(rate_limit !== undefined && { rate_limit }),
+          ...(dry_run !== undefined && { dry_run })
+        });
+        return {
+          target: label,
+          success: !result.isError,
+          ...(result.isError
+            ? { error: JSON.parse(result.content[0].text) }
+            : { result: JSON.parse(result.content[0].text) })
+        };
+      });
+
+      const succeeded = results.filter(result => result.success).length;
+      const message = `广播完成：共 ${results.length} 个目标，成功 ${succeeded} 个，失败 ${results.length - succeeded} 个`;
+      const summary = {
+        tool,
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        results
+      };
+
+      if (succeeded === 0) {
+        return this._formatError(new WeComError(-1, message, summary));
+      }
+
+      return this._formatSuccess({
+        success: succeeded === results.length,
+        ...(results.some(result => result.result?.dry_run) && { dry_run: true }),
+        message,
+        ...summary
+      });
+    } catch (error) {
+      return this._formatError(error);
+    }
+  }
+
+  /**
+   * 处理定时发送消息请求
+   * 
+   * 创建任务前校验目标机器人；未指定目标时固定为当前默认机器人，
+   * 使任务在执行时不受会话默认机器人变化的影响
+   * 
+   * 任务参数会保存到任务文件，因此不接受 webhook_key / webhook_keys，只能使用机器人别名；
+   * 任务记录创建它的调用方，只有同一调用方可以查看和取消
+   * 
+   * @param {Object} args - 参数对象
+   * @param {string} args.tool - 到期时调用的工具名称
+   * @param {Object} args.arguments - 工具参数
+   * @param {string} [args.at] - 一次性发送时间
+   * @param {string} [args.cron] - cron 表达式
+   * @param {string} [args.timezone] - IANA 时区
+   * @param {string} [args.missed_run_policy] - 错过执行的处理策略
+   * @param {string} [args.description] - 任务描述
+   * @returns {Promise<ToolResult>} 处理结果
+   * 
+   * @example
+   * await handler.handleScheduleMessage({
+   *   tool: 'send_text',
+   *   arguments: { content: '请提交周报', bot: 'ops' },
+   *   cron: '0 17 * * 5',
+   *   timezone: 'Asia/Shanghai'
+   * });
+   */
+  async handleScheduleMessage({ tool, arguments: toolArgs, at, cron, timezone = this.context.scheduleTimezone, missed_run_policy, description } = {}) {
+    try {
+      if (!SCHEDULABLE_TOOLS.includes(tool)) {
+        throw new WeComError(-1, `tool 参数必须是以下之一：${SCHEDULABLE_TOOLS.join(', ')}`);
+      }
+
+      if (!toolArgs || typeof toolArgs !== 'object' || Array.isArray(toolArgs)) {
+        throw new WeComError(-1, 'arguments 参数必须是对象');
+      }
+
+      if (toolArgs.webhook_key !== undefined || toolArgs.webhook_keys !== undefined) {
+        throw new WeComError(-1, '定时任务不支持 webhook_key / webhook_keys 参数（任务参数会保存到本地文件），请在 WECOM_BOTS 中配置机器人并通过 bot / bots 指定');
+      }
+
+      let args = toolArgs;
+      if (tool === 'broadcast') {
+        for (const bot of toolArgs.bots || []) {
+          this._getWebhookKey({ bot });
+        }
+      } else {
+        this._getWebhookKey(toolArgs);
+        if (!toolArgs.bot && this.defaultBot) {
+          args = { ...toolArgs, bot: this.defaultBot };
+        }
+      }
+
+      const job = this.context.getScheduler().add({
+        tool,
+        arguments: args,
+        at,
+        cron,
+        timezone,
+        missed_run_policy,
+        description,
+        principal: this.principal
+      });
+
+      const info = this._describeScheduledJob(job);
+
+      return this._formatSuccess({
+        success: true,
+        message: `定时任务已创建，下次执行时间：${info.next_run_local}（${job.timezone}）`,
+        job: info
+      });
+    } catch (error) {
+      return this._formatError(error);
+    }
+  }
+
+  /**
+   * 处理列出定时任务请求（只返回当前调用方创建的任务）
+   * 
+   * @param {Object} args - 参数对象
+   * @param {boolean} [args.include_finished=false] - 是否包含已结束的一次性任务
+   * @returns {Promise<ToolResult>} 处理结果
+   */
+  async handleListScheduledMessages({ include_finished = false } = {}) {
+    try {
+      const jobs = this.context.getScheduler().list({ includeFinished: include_finished === true, principal: this.principal });
+
+      return this._formatSuccess({
+        total: jobs.length,
+        jobs: jobs.map(job => this._describeScheduledJob(job))
+      });
+    } catch (error) {
+      return this._formatError(error);
+    }
+  }
+
+  /**
+   * 处理取消定时任务请求（只能取消当前调用方创建的任务）
+   * 
+   * @param {Object} args - 参数对象
+   * @param {string} args.id - 定时任务 ID
+   * @returns {Promise<ToolResult>} 处理结果
+   */
+  async handleCancelScheduledMessage({ id } = {}) {
+    try {
+      if (!id || typeof id !== 'string') {
+        throw new WeComError(-1, 'id 参数必须是非空字符串');
+      }
+
+      const job = this.context.getScheduler().cancel(id, { principal: this.principal });
+
+      return this._formatSuccess({
+        success: true,
+        message: '定时任务已取消',
+        job: this._describeScheduledJob(job)
+      });
+    } catch (error) {
+      return this._formatError(error);
+    }
+  }
+
+  /**
+   * 处理查询发送历史请求
+   * 
+   * 只返回当前调用方发送的记录；需要查看全部记录时直接读取审计日志文件或使用 AuditLog.query
+   * 
+   * @param {Object} args - 参数对象
+   * @param {string} [args.bot] - 机器人别名
+   * @param {string} [args.since] - 起始时间（ISO 8601）
+   * @param {string} [args.until] - 结束时间（ISO 8601）
+   * @param {string} [args.msgtype] - 消息类型
+   * @param {string} [args.status] - success 或 failed
+   * @param {number} [args.limit=50] - 最多返回条数
+   * @returns {Promise<ToolResult>} 处理结果
+   */
+  async handleQueryHistory({ bot, since, until, msgtype, status, limit = HISTORY_LIMIT.DEFAULT } = {}) {
+    try {
+      if (!this.context.auditLog) {
+        throw new WeComError(-1, '审计日志未启用（WECOM_AUDIT_LOG=false），无法查询发送历史');
+      }
+
+      if (status !== undefined && status !== 'success' && status !== 'failed') {
+        throw new WeComError(-1, 'status 参数必须是 "success" 或 "failed"');
+      }
+
+      if (!Number.isInteger(limit) || limit < 1 || limit > HISTORY_LIMIT.MAX) {
+        throw new WeComError(-1, `limit 参数必须是 1 到 ${HISTORY_LIMIT.MAX} 之间的整数`);
+      }
+
+      const parseTime = (value, field) => {
+        if (value === undefined) {
+          return undefined;
+        }
+        const time = Date.parse(value);
+        if (Number.isNaN(time)) {
+          throw new WeComError(-1, `${field} 参数不是有效的 ISO 8601 时间：${value}`);
+        }
+        return time;
+      };
+
+      const { entries, truncated } = await this.context.auditLog.query({
+        bot,
+        msgtype,
+        status,
+        since: parseTime(since, 'since'),
+        until: parseTime(until, 'until'),
+        limit,
+        principal: this.principal
+      });
+
+      return this._formatSuccess({
+        total: entries.length,
+        truncated,
+        entries
+      });
+    } catch (error) {
+      return this._formatError(error);
+    }
+  }
+
+  /**
+   * 处理清除媒体文件缓存请求
+   * 
+   * @param {Object} args - 参数对象
+   * @param {string} [args.bot] - 只清除该机器人的缓存
+   * @param {string} [args.webhook_key] - 只清除该 webhook key 的缓存
+   * @returns {ToolResult} 处理结果
+   */
+  handleClearMediaCache({ bot, webhook_key } = {}) {
+    try {
+      if (!this.context.mediaCache) {
+        throw new WeComError(-1, '媒体文件缓存未启用（WECOM_MEDIA_CACHE=false）');
+      }
+
+      const scoped = Boolean(bot || webhook_key);
+      const removed = this.context.mediaCache.clear(scoped ? this._getWebhookKey({ bot, webhook_key }) : undefined);
+
+      return this._formatSuccess({
+        success: true,
+        message: scoped ? '已清除该机器人的媒体文件缓存' : '已清除全部媒体文件缓存',
+        removed
+      });
+    } catch (error) {
+      return this._formatError(error);
+    }
+  }
+
+  /**
+   * 生成定时任务的展示信息
+   * 
+   * 对参数中的 webhook key 脱敏，并附加按任务时区显示的下次执行时间
+   * 
+   * @param {import('./scheduler.js').ScheduledJob} job - 定时任务
+   * @returns {Object} 展示信息
+   * 
+   * @private
+   */
+  _describeScheduledJob(job) {
+    const args = { ...job.arguments };
+    if (args.webhook_key) {
+      args.webhook_key = maskWebhookKey(args.webhook_key);
+    }
+    if (Array.isArray(args.webhook_keys)) {
+      args.webhook_keys = args.webhook_keys.map(maskWebhookKey);
+    }
+
+    return {
+      ...job,
+      arguments: args,
+      next_run_local: job.next_run_at
+        ? new Date(job.next_run_at).toLocaleString('zh-CN', { timeZone: job.timezone, hour12: false })
+        : null
+    };
+  }
+
   /**
    * 格式化成功响应
    * 
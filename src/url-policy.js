@@ -0,0 +1,302 @@
+/**
+ * @fileoverview 网络地址访问策略
+ * @description 限制 sendImageFromUrl 可以下载的 URL，防止被提示词注入的模型借助服务进程
+ * 访问云服务器元数据接口（169.254.169.254）、内网服务或本机端口（SSRF）
+ * 
+ * 检查内容：
+ * 1. 协议必须在允许列表内（默认 http、https）
+ * 2. 配置了允许的主机（allowHosts）时，主机名必须匹配其中之一
+ * 3. 解析域名后的所有 IP 地址都不能是本机、私有网络、链路本地等保留地址
+ * 
+ * 检查通过后返回解析得到的 IP 地址，下载时直接连接该地址，避免再次解析时被
+ * DNS 重绑定到内网地址；每次重定向的目标都重新检查
+ * 
+ * @module url-policy
+ */
+
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+import { WeComError } from './wecom-client.js';
+
+/**
+ * 默认允许的协议
+ * @constant {string[]}
+ */
+export const DEFAULT_ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+/**
+ * 默认最多跟随的重定向次数
+ * @constant {number}
+ */
+export const DEFAULT_MAX_REDIRECTS = 3;
+
+/**
+ * 拒绝原因
+ * @enum {string}
+ */
+export const URL_POLICY = {
+  PROTOCOL: 'protocol',
+  HOST: 'host',
+  ADDRESS: 'address',
+  REDIRECT: 'redirect'
+};
+
+/**
+ * 禁止访问的地址段：本机、私有网络、运营商级 NAT、链路本地、组播、文档示例和其他保留地址
+ * 
+ * 内嵌 IPv4 地址的 IPv6 地址（IPv4 映射、IPv4 兼容、NAT64、6to4、Teredo）由 embeddedIPv4Addresses
+ * 取出其中的 IPv4 地址后按 IPv4 规则检查；无法确定内嵌位置的 NAT64 本地前缀整段禁止
+ * 
+ * @constant {Array<[string, number, string]>}
+ */
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b:1::', 48, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockedAddresses = new BlockList();
+for (const [network, prefix, type] of BLOCKED_SUBNETS) {
+  blockedAddresses.addSubnet(network, prefix, type);
+}
+
+/**
+ * 将 IPv6 地址展开为 16 字节
+ * 
+ * @param {string} address - IPv6 地址（可包含点分十进制形式的末尾 32 位）
+ * @returns {number[]} 16 个字节
+ */
+function ipv6ToBytes(address) {
+  let text = address.replace(/%.*$/, '');
+
+  // 末尾为点分十进制的 IPv4 地址时转换为两组十六进制
+  const dotted = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted[2].split('.').map(Number);
+    text = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.includes('::') ? text.split('::') : [text, null];
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = tail === null
+    ? headGroups
+    : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+
+  return groups.flatMap(group => {
+    const value = parseInt(group, 16);
+    return [value >> 8, value & 0xff];
+  });
+}
+
+/**
+ * 取出 IPv6 地址中内嵌的 IPv4 地址
+ * 
+ * - IPv4 映射 ::ffff:0:0/96、IPv4 兼容 ::/96、NAT64 64:ff9b::/96：末尾 32 位
+ * - 6to4 2002::/16：第 16~48 位
+ * - Teredo 2001::/32：第 32~64 位为服务器地址，末尾 32 位按位取反为客户端地址
+ * 
+ * @param {string} address - IPv6 地址
+ * @returns {string[]} 内嵌的 IPv4 地址，没有时为空数组
+ */
+function embeddedIPv4Addresses(address) {
+  const bytes = ipv6ToBytes(address);
+  const ipv4 = (offset, mask = 0) => bytes.slice(offset, offset + 4).map(byte => byte ^ mask).join('.');
+  const isZero = (start, end) => bytes.slice(start, end).every(byte => byte === 0);
+
+  if (isZero(0, 10) && ((bytes[10] === 0xff && bytes[11] === 0xff) || (bytes[10] === 0 && bytes[11] === 0))) {
+    return [ipv4(12)];
+  }
+  if (bytes[0] === 0x00 && bytes[1] === 0x64 && bytes[2] === 0xff && bytes[3] === 0x9b && isZero(4, 12)) {
+    return [ipv4(12)];
+  }
+  if (bytes[0] === 0x20 && bytes[1] === 0x02) {
+    return [ipv4(2)];
+  }
+  if (bytes[0] === 0x20 && bytes[1] === 0x01 && bytes[2] === 0x00 && bytes[3] === 0x00) {
+    return [ipv4(4), ipv4(12, 0xff)];
+  }
+  return [];
+}
+
+/**
+ * 判断 IP 地址是否属于本机、私有网络或其他保留地址段
+ * 
+ * IPv6 地址内嵌 IPv4 地址时（例如 [64:ff9b::a9fe:a9fe]、[::127.0.0.1]），同时检查内嵌的 IPv4 地址
+ * 
+ * @param {string} address - IP 地址
+ * @returns {boolean} 是否禁止访问
+ * 
+ * @example
+ * isPrivateAddress('169.254.169.254'); // true
+ * isPrivateAddress('203.0.114.1'); // false
+ */
+export function isPrivateAddress(address) {
+  const family = isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  if (family === 4) {
+    return blockedAddresses.check(address, 'ipv4');
+  }
+  return blockedAddresses.check(address, 'ipv6')
+    || embeddedIPv4Addresses(address).some(ipv4 => blockedAddresses.check(ipv4, 'ipv4'));
+}
+
+/**
+ * 判断主机名是否匹配允许的主机
+ * 
+ * 以 `*.` 开头的模式匹配所有子域名（不含域名本身），其余模式需完全相同，不区分大小写
+ * 
+ * @param {string} hostname - 主机名
+ * @param {string} pattern - 允许的主机
+ * @returns {boolean} 是否匹配
+ */
+function matchHost(hostname, pattern) {
+  const host = hostname.toLowerCase();
+  const allowed = pattern.toLowerCase();
+
+  if (allowed.startsWith('*.')) {
+    return host.endsWith(allowed.slice(1));
+  }
+  return host === allowed;
+}
+
+/**
+ * 网络地址访问策略类
+ * 
+ * @example
+ * const policy = new UrlPolicy({ allowHosts: ['*.example.com'] });
+ * const { url, address, family } = await policy.resolve('https://cdn.example.com/a.png');
+ * await policy.resolve('http://169.254.169.254/latest/meta-data/'); // 抛出 WeComError
+ */
+export class UrlPolicy {
+  /**
+   * 创建网络地址访问策略
+   * 
+   * @param {Object} [options] - 策略选项
+   * @param {string[]} [options.protocols] - 允许的协议，默认为 http: 和 https:（可省略末尾的冒号）
+   * @param {string[]} [options.allowHosts=[]] - 允许的主机名，支持 `*.example.com`，为空时不限制主机
+   * @param {boolean} [options.allowPrivateNetwork=false] - 是否允许访问本机和私有网络地址
+   * @param {number} [options.maxRedirects=3] - 最多跟随的重定向次数，0 表示不跟随
+   */
+  constructor({
+    protocols = DEFAULT_ALLOWED_PROTOCOLS,
+    allowHosts = [],
+    allowPrivateNetwork = false,
+    maxRedirects = DEFAULT_MAX_REDIRECTS
+  } = {}) {
+    /**
+     * @type {string[]}
+     */
+    this.protocols = protocols.map(protocol => (protocol.endsWith(':') ? protocol : `${protocol}:`).toLowerCase());
+
+    /**
+     * @type {string[]}
+     */
+    this.allowHosts = [...allowHosts];
+
+    /**
+     * @type {boolean}
+     */
+    this.allowPrivateNetwork = allowPrivateNetwork;
+
+    /**
+     * @type {number}
+     */
+    this.maxRedirects = maxRedirects;
+  }
+
+  /**
+   * 检查 URL 并解析其主机地址
+   * 
+   * @param {string|URL} url - 待访问的 URL
+   * @returns {Promise<{url: URL, address: string, family: number}>} 解析后的 URL 和应连接的 IP 地址
+   * @throws {WeComError} 当 URL 无效、域名无法解析或被策略拒绝时，data 中包含 URL 和拒绝原因
+   */
+  async resolve(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new WeComError(-1, '无效的 URL 格式', { url: String(url) });
+    }
+
+    const reject = (policy, reason, detail) => {
+      throw new WeComError(
+        -1,
+        `拒绝访问 URL ${parsed.href}：${reason}`,
+        { url: parsed.href, policy, ...detail }
+      );
+    };
+
+    if (!this.protocols.includes(parsed.protocol)) {
+      reject(URL_POLICY.PROTOCOL, `不支持的协议 ${parsed.protocol}，仅允许 ${this.protocols.join(', ')}`);
+    }
+
+    // IPv6 地址的主机名带有方括号
+    const hostname = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+
+    if (this.allowHosts.length > 0 && !this.allowHosts.some(pattern => matchHost(hostname, pattern))) {
+      reject(URL_POLICY.HOST, `主机 ${hostname} 不在允许列表内（${this.allowHosts.join(', ')}）`, { allow_hosts: this.allowHosts });
+    }
+
+    let addresses;
+    try {
+      addresses = isIP(hostname) ? [{ address: hostname, family: isIP(hostname) }] : await lookup(hostname, { all: true });
+    } catch (error) {
+      throw new WeComError(-1, `无法解析域名 ${hostname}：${error.code || error.message}`, { url: parsed.href });
+    }
+
+    if (addresses.length === 0) {
+      throw new WeComError(-1, `无法解析域名 ${hostname}`, { url: parsed.href });
+    }
+
+    // 域名同时解析到公网和内网地址时同样拒绝，连接时无法保证使用哪个地址
+    if (!this.allowPrivateNetwork) {
+      const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+      if (blocked) {
+        reject(URL_POLICY.ADDRESS, `${hostname} 解析到本机或内网地址 ${blocked.address}`, { address: blocked.address });
+      }
+    }
+
+    return { url: parsed, address: addresses[0].address, family: addresses[0].family };
+  }
+
+  /**
+   * 检查是否还能跟随重定向
+   * 
+   * @param {number} count - 已跟随的重定向次数
+   * @param {string} location - 重定向目标
+   * @throws {WeComError} 当重定向次数超出限制时
+   */
+  checkRedirect(count, location) {
+    if (count >= this.maxRedirects) {
+      throw new WeComError(
+        -1,
+        `拒绝访问 URL ${location}：重定向次数超出限制（最多 ${this.maxRedirects} 次）`,
+        { url: location, policy: URL_POLICY.REDIRECT, max_redirects: this.maxRedirects }
+      );
+    }
+  }
+}
+
+export default UrlPolicy;
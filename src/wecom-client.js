@@ -10,14 +10,21 @@
 import axios from 'axios';
 import FormData from 'form-data';
 import { createReadStream } from 'fs';
-import { createHash } from 'crypto';
+import { createHash, randomUUID } from 'crypto';
 import { basename, extname } from 'path';
+import { parseAmr } from './amr.js';
+import { getRateLimiter } from './rate-limiter.js';
+import { withRetry } from './retry.js';
+import { fitImage, CONVERT_MAX_INPUT_BYTES } from './image-convert.js';
+import { inspectFileType } from './file-type.js';
+import { UrlPolicy } from './url-policy.js';
+import { findMarkdownSyntaxIssues, formatSyntaxIssues } from './markdown-validator.js';
 
 /**
- * 企业微信 API 基础 URL
+ * 企业微信 API 默认基础 URL
  * @constant {string}
  */
-const BASE_URL = 'https://qyapi.weixin.qq.com/cgi-bin/webhook';
+export const DEFAULT_BASE_URL = 'https://qyapi.weixin.qq.com/cgi-bin/webhook';
 
 /**
  * 文件类型枚举
@@ -28,27 +35,80 @@ const FILE_TYPE = {
   VOICE: 'voice'
 };
 
+/**
+ * media_id 无效（已过期或不存在）时企业微信返回的错误码
+ * @constant {number}
+ */
+const INVALID_MEDIA_ID_ERRCODE = 40007;
+
 /**
  * 支持的图片格式
  * @constant {string[]}
  */
-const SUPPORTED_IMAGE_FORMATS = ['jpg', 'jpeg', 'png'];
+export const SUPPORTED_IMAGE_FORMATS = ['jpg', 'jpeg', 'png'];
 
 /**
  * 文件大小限制（字节）
  * @constant {Object}
  */
-const FILE_SIZE_LIMITS = {
+export const FILE_SIZE_LIMITS = {
   FILE: 20 * 1024 * 1024,      // 20MB
   VOICE: 2 * 1024 * 1024,      // 2MB
   IMAGE: 2 * 1024 * 1024       // 2MB
 };
 
+/**
+ * 语音文件最大时长（秒）
+ * @constant {number}
+ */
+export const VOICE_MAX_DURATION = 60;
+
 /**
  * Markdown 消息内容最大字节数
  * @constant {number}
  */
-const MARKDOWN_MAX_BYTES = 4096;
+export const MARKDOWN_MAX_BYTES = 4096;
+
+/**
+ * 旧版 Markdown（markdown 消息类型）内容最大字节数
+ * @constant {number}
+ */
+export const MARKDOWN_V1_MAX_BYTES = 4096;
+
+/**
+ * Markdown 消息格式枚举
+ * 
+ * - markdown: 旧版 Markdown，支持字体颜色和 <@userid> 提醒，不支持表格、图片、代码块
+ * - markdown_v2: 新版 Markdown，支持表格、图片、代码块等，不支持字体颜色和提醒
+ * 
+ * @enum {string}
+ */
+export const MARKDOWN_FORMAT = {
+  V1: 'markdown',
+  V2: 'markdown_v2'
+};
+
+/**
+ * 旧版 Markdown 支持的字体颜色
+ * @constant {string[]}
+ */
+export const MARKDOWN_V1_FONT_COLORS = ['info', 'comment', 'warning'];
+
+/**
+ * 文本消息内容最大字节数
+ * @constant {number}
+ */
+export const TEXT_MAX_BYTES = 2048;
+
+/**
+ * 图文消息限制
+ * @constant {Object}
+ */
+export const NEWS_LIMITS = {
+  MAX_ARTICLES: 8,
+  TITLE_MAX_BYTES: 128,
+  DESCRIPTION_MAX_BYTES: 512
+};
 
 /**
  * 计算文件的 MD5 值
@@ -64,6 +124,16 @@ function calculateMD5(buffer) {
   return createHash('md5').update(buffer).digest('hex');
 }
 
+/**
+ * 对 webhook key 脱敏（仅显示首尾各 4 位）
+ * 
+ * @param {string} key - webhook key
+ * @returns {string} 脱敏后的 key
+ */
+export function maskWebhookKey(key) {
+  return key.length > 12 ? `${key.substring(0, 4)}...${key.substring(key.length - 4)}` : '***';
+}
+
 /**
  * @typedef {Object} WeComApiResponse
  * @property {number} errcode - 错误码（0 表示成功）
@@ -76,8 +146,87 @@ function calculateMD5(buffer) {
  * @property {boolean} success - 是否成功
  * @property {string} message - 结果消息
  * @property {WeComApiResponse} data - 原始响应数据
+ * @property {{waited_ms: number}} [rate_limit] - 因客户端限流而等待的时间（仅在发生等待时返回）
+ * @property {import('./retry.js').RetryAttempt[]} [attempts] - 成功前失败的尝试记录（仅在发生重试时返回）
+ * @property {boolean} [dry_run] - 是否为试运行（消息未发送，请求已写入发件箱）
+ * @property {Object} [payload] - 试运行时原本要发送的请求体（图片的 base64 内容以摘要代替，完整内容见发件箱）
+ * @property {import('./outbox.js').OutboxReceipt} [outbox] - 试运行时的发件箱记录
  */
 
+/**
+ * 发送图片的结果，开启自动转换时 image 中包含原图与最终图片的格式、尺寸和大小
+ * @typedef {SendMessageResult & {image?: Omit<import('./image-convert.js').FitImageResult, 'buffer'>, file_type: import('./file-type.js').FileTypeInfo}} SendImageResult
+ */
+
+/**
+ * @typedef {Object} WeComClientOptions
+ * @property {boolean} [waitForRateLimit=true] - 超出发送频率限制时是否排队等待；为 false 时立即抛出 45009 错误并给出预计等待时间
+ * @property {{capacity?: number, intervalMs?: number}} [rateLimit] - 限流配置（仅在该 webhook key 首次创建限流器时生效）
+ * @property {import('./retry.js').RetryPolicy|false} [retry] - 重试策略，false 表示不重试
+ * @property {function(SendRecord): void} [onSend] - 每条消息发送结束（成功或失败）后调用，用于审计记录
+ * @property {import('./media-cache.js').MediaCache|null} [mediaCache] - 媒体文件缓存，相同内容的文件在 media_id 有效期内不再重复上传
+ * @property {boolean} [strictMarkdown=false] - 严格模式：Markdown 内容存在显示异常的语法（warning 级问题）时也拒绝发送
+ * @property {string} [baseURL] - 接口基础 URL，默认为企业微信官方地址；可指向内部中转服务或本地模拟服务（/send、/upload_media 均相对于该地址）
+ * @property {import('./outbox.js').Outbox|null} [outbox] - 试运行发件箱：提供时不向企业微信发送任何请求，而是将请求写入发件箱并返回模拟的成功结果
+ * @property {import('./file-sandbox.js').FileSandbox|null} [fileSandbox] - 本地文件访问策略：提供时 uploadMedia、sendImage 等方法只能读取策略允许的文件，相对路径相对于策略的基础目录
+ * @property {UrlPolicy|null} [urlPolicy] - 网络地址访问策略：sendImageFromUrl 只下载策略允许的 URL，默认禁止访问本机和内网地址；为 null 时不限制
+ */
+
+/**
+ * @typedef {Object} SendFileInfo
+ * @property {string} [name] - 文件名
+ * @property {number} size - 文件大小（字节）
+ * @property {string} md5 - 文件 MD5
+ */
+
+/**
+ * @typedef {Object} SendRecord
+ * @property {string} msgtype - 消息类型
+ * @property {string} content_sha256 - 消息内容（请求体中该消息类型的对象）的 SHA-256
+ * @property {string} preview - 内容预览（最多 200 个字符）
+ * @property {SendFileInfo} [file] - 文件、语音、图片消息的文件信息
+ * @property {boolean} success - 是否发送成功
+ * @property {number} errcode - 错误码（0 表示成功）
+ * @property {string} [errmsg] - 错误消息
+ * @property {number} attempts - 请求次数（含重试）
+ */
+
+/**
+ * 审计记录中内容预览的最大字符数
+ * @constant {number}
+ */
+const PREVIEW_MAX_CHARS = 200;
+
+/**
+ * 生成消息内容预览
+ * 
+ * @param {string} msgType - 消息类型
+ * @param {Object} content - 消息内容对象
+ * @param {SendFileInfo} [file] - 文件信息
+ * @returns {string} 内容预览
+ */
+function buildMessagePreview(msgType, content, file) {
+  let text;
+  switch (msgType) {
+    case 'text':
+    case MARKDOWN_FORMAT.V1:
+    case MARKDOWN_FORMAT.V2:
+      text = content.content;
+      break;
+    case 'news':
+      text = (content.articles || []).map(article => article.title).join(' | ');
+      break;
+    case 'template_card':
+      text = content.main_title?.title || content.card_type;
+      break;
+    default:
+      text = file?.name || content.media_id || '';
+  }
+
+  text = String(text ?? '');
+  return text.length > PREVIEW_MAX_CHARS ? `${text.slice(0, PREVIEW_MAX_CHARS)}...` : text;
+}
+
 /**
  * @typedef {Object} UploadMediaResult
  * @property {boolean} success - 是否成功
@@ -85,6 +234,22 @@ function calculateMD5(buffer) {
  * @property {string} media_id - 媒体文件 ID
  * @property {string} type - 文件类型
  * @property {number} created_at - 创建时间戳
+ * @property {number} [duration] - 语音时长（秒，仅语音文件）
+ * @property {import('./file-type.js').FileTypeInfo} file_type - 按内容识别的文件类型，扩展名与内容不符时 mismatch 为 true
+ * @property {boolean} [cached] - 是否使用了缓存的 media_id（未重新上传）
+ * @property {string} [expires_at] - 缓存的 media_id 过期时间（ISO 8601，仅使用缓存时返回）
+ * @property {import('./retry.js').RetryAttempt[]} [attempts] - 成功前失败的尝试记录（仅在发生重试时返回）
+ * @property {boolean} [dry_run] - 是否为试运行（文件未上传，media_id 为模拟值）
+ * @property {Object} [payload] - 试运行时原本要发送的上传请求
+ * @property {import('./outbox.js').OutboxReceipt} [outbox] - 试运行时的发件箱记录
+ */
+
+/**
+ * @typedef {Object} NewsArticle
+ * @property {string} title - 标题（最大 128 字节）
+ * @property {string} [description] - 描述（最大 512 字节）
+ * @property {string} url - 点击后跳转的链接
+ * @property {string} [picurl] - 图文消息的图片链接，支持 JPG、PNG 格式
  */
 
 /**
@@ -131,6 +296,383 @@ export class WeComError extends Error {
   }
 }
 
+/**
+ * 模板卡片类型枚举
+ * @enum {string}
+ */
+export const TEMPLATE_CARD_TYPE = {
+  TEXT_NOTICE: 'text_notice',
+  NEWS_NOTICE: 'news_notice'
+};
+
+/**
+ * 模板卡片列表字段的数量限制
+ * @constant {Object}
+ */
+export const TEMPLATE_CARD_LIMITS = {
+  HORIZONTAL_CONTENT_MAX: 6,
+  VERTICAL_CONTENT_MAX: 4,
+  JUMP_LIST_MAX: 3
+};
+
+/**
+ * @typedef {Object} TemplateCardSource
+ * @property {string} [icon_url] - 来源图片的 URL
+ * @property {string} [desc] - 来源图片的描述
+ * @property {number} [desc_color] - 来源文字的颜色：0 灰色（默认），1 黑色，2 红色，3 绿色
+ */
+
+/**
+ * @typedef {Object} TemplateCardAction
+ * @property {number} type - 点击事件类型：1 跳转 url，2 打开小程序
+ * @property {string} [url] - 跳转链接（type 为 1 时必填）
+ * @property {string} [appid] - 小程序 appid（type 为 2 时必填）
+ * @property {string} [pagepath] - 小程序页面路径
+ */
+
+/**
+ * @typedef {Object} TemplateCard
+ * @property {string} card_type - 卡片类型：text_notice 或 news_notice
+ * @property {TemplateCardSource} [source] - 卡片来源样式信息
+ * @property {{title?: string, desc?: string}} [main_title] - 一级标题及辅助信息
+ * @property {{title?: string, desc?: string}} [emphasis_content] - 关键数据样式（仅 text_notice）
+ * @property {Object} [quote_area] - 引用文献样式
+ * @property {string} [sub_title_text] - 二级普通文本（仅 text_notice）
+ * @property {Object} [card_image] - 图片样式（仅 news_notice）
+ * @property {Object} [image_text_area] - 左图右文样式（仅 news_notice）
+ * @property {Array<Object>} [vertical_content_list] - 卡片二级垂直内容（仅 news_notice）
+ * @property {Array<Object>} [horizontal_content_list] - 二级标题 + 文本列表
+ * @property {Array<Object>} [jump_list] - 跳转指引样式列表
+ * @property {TemplateCardAction} card_action - 整体卡片的点击跳转事件
+ */
+
+/**
+ * 创建模板卡片字段校验错误
+ * 
+ * 错误数据中包含出错字段的完整路径，便于调用方定位问题
+ * 
+ * @param {string} field - 字段路径（例如：template_card.card_action.url）
+ * @param {string} message - 错误描述
+ * @returns {WeComError} 错误实例
+ */
+function cardFieldError(field, message) {
+  return new WeComError(-1, `${field} ${message}`, { field });
+}
+
+/**
+ * 读取卡片对象中的字符串字段
+ * 
+ * @param {Object} obj - 卡片对象
+ * @param {string} key - 字段名
+ * @param {string} path - 对象路径
+ * @param {boolean} [required=false] - 是否必填
+ * @returns {string|undefined} 字段值
+ * @throws {WeComError} 当必填字段缺失或类型错误时
+ */
+function readCardString(obj, key, path, required = false) {
+  const value = obj[key];
+
+  if (value === undefined || value === null || value === '') {
+    if (required) {
+      throw cardFieldError(`${path}.${key}`, '是必填字段');
+    }
+    return undefined;
+  }
+
+  if (typeof value !== 'string') {
+    throw cardFieldError(`${path}.${key}`, '必须是字符串');
+  }
+
+  return value;
+}
+
+/**
+ * 读取卡片对象中的枚举数字字段
+ * 
+ * @param {Object} obj - 卡片对象
+ * @param {string} key - 字段名
+ * @param {string} path - 对象路径
+ * @param {number[]} allowed - 允许的取值
+ * @param {boolean} [required=false] - 是否必填
+ * @returns {number|undefined} 字段值
+ * @throws {WeComError} 当必填字段缺失或取值不合法时
+ */
+function readCardEnum(obj, key, path, allowed, required = false) {
+  const value = obj[key];
+
+  if (value === undefined || value === null) {
+    if (required) {
+      throw cardFieldError(`${path}.${key}`, `是必填字段，可选值：${allowed.join(', ')}`);
+    }
+    return undefined;
+  }
+
+  if (!allowed.includes(value)) {
+    throw cardFieldError(`${path}.${key}`, `取值无效：${JSON.stringify(value)}，可选值：${allowed.join(', ')}`);
+  }
+
+  return value;
+}
+
+/**
+ * 校验卡片字段为对象
+ * 
+ * @param {*} value - 字段值
+ * @param {string} path - 字段路径
+ * @param {boolean} [required=false] - 是否必填
+ * @returns {Object|undefined} 字段值
+ * @throws {WeComError} 当必填字段缺失或不是对象时
+ */
+function readCardObject(value, path, required = false) {
+  if (value === undefined || value === null) {
+    if (required) {
+      throw cardFieldError(path, '是必填字段');
+    }
+    return undefined;
+  }
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw cardFieldError(path, '必须是对象');
+  }
+
+  return value;
+}
+
+/**
+ * 校验卡片字段为数组并逐项构建
+ * 
+ * @param {*} value - 字段值
+ * @param {string} path - 字段路径
+ * @param {number} maxItems - 最大数量
+ * @param {function(Object, string): Object} buildItem - 单项构建函数
+ * @returns {Array<Object>|undefined} 构建后的数组
+ * @throws {WeComError} 当不是数组、数量超限或单项不合法时
+ */
+function readCardList(value, path, maxItems, buildItem) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+
+  if (!Array.isArray(value)) {
+    throw cardFieldError(path, '必须是数组');
+  }
+
+  if (value.length > maxItems) {
+    throw cardFieldError(path, `数量超出限制：当前 ${value.length} 项，最多 ${maxItems} 项`);
+  }
+
+  return value.map((item, index) => {
+    const itemPath = `${path}[${index}]`;
+    return buildItem(readCardObject(item, itemPath, true), itemPath);
+  });
+}
+
+/**
+ * 移除对象中值为 undefined 的字段
+ * 
+ * @param {Object} obj - 原始对象
+ * @returns {Object} 清理后的对象
+ */
+function compact(obj) {
+  return Object.fromEntries(
+    Object.entries(obj).filter(([, value]) => value !== undefined)
+  );
+}
+
+/**
+ * 模板卡片各字段的构建器
+ * 
+ * 每个构建器只保留企业微信文档中定义的字段，并校验必填项和类型依赖
+ * （例如 type 为 1 时 url 必填，type 为 2 时 appid 必填）
+ * 
+ * @type {Object.<string, function(Object, string): Object>}
+ */
+const cardBuilders = {
+  source(source, path) {
+    return compact({
+      icon_url: readCardString(source, 'icon_url', path),
+      desc: readCardString(source, 'desc', path),
+      desc_color: readCardEnum(source, 'desc_color', path, [0, 1, 2, 3])
+    });
+  },
+
+  title(title, path, required = false) {
+    return compact({
+      title: readCardString(title, 'title', path, required),
+      desc: readCardString(title, 'desc', path)
+    });
+  },
+
+  quoteArea(quote, path) {
+    const type = readCardEnum(quote, 'type', path, [0, 1, 2]);
+    return compact({
+      type,
+      url: readCardString(quote, 'url', path, type === 1),
+      appid: readCardString(quote, 'appid', path, type === 2),
+      pagepath: readCardString(quote, 'pagepath', path),
+      title: readCardString(quote, 'title', path),
+      quote_text: readCardString(quote, 'quote_text', path)
+    });
+  },
+
+  horizontalContent(item, path) {
+    const type = readCardEnum(item, 'type', path, [0, 1, 2, 3]);
+    return compact({
+      keyname: readCardString(item, 'keyname', path, true),
+      value: readCardString(item, 'value', path),
+      type,
+      url: readCardString(item, 'url', path, type === 1),
+      media_id: readCardString(item, 'media_id', path, type === 2),
+      userid: readCardString(item, 'userid', path, type === 3)
+    });
+  },
+
+  verticalContent(item, path) {
+    return compact({
+      title: readCardString(item, 'title', path, true),
+      desc: readCardString(item, 'desc', path)
+    });
+  },
+
+  jump(item, path) {
+    const type = readCardEnum(item, 'type', path, [0, 1, 2]);
+    return compact({
+      type,
+      title: readCardString(item, 'title', path, true),
+      url: readCardString(item, 'url', path, type === 1),
+      appid: readCardString(item, 'appid', path, type === 2),
+      pagepath: readCardString(item, 'pagepath', path, type === 2)
+    });
+  },
+
+  cardAction(action, path) {
+    const type = readCardEnum(action, 'type', path, [1, 2], true);
+    return compact({
+      type,
+      url: readCardString(action, 'url', path, type === 1),
+      appid: readCardString(action, 'appid', path, type === 2),
+      pagepath: readCardString(action, 'pagepath', path)
+    });
+  },
+
+  cardImage(image, path) {
+    const aspectRatio = image.aspect_ratio;
+    if (aspectRatio !== undefined && (typeof aspectRatio !== 'number' || aspectRatio < 1.3 || aspectRatio > 2.25)) {
+      throw cardFieldError(`${path}.aspect_ratio`, '必须是 1.3 ~ 2.25 之间的数字');
+    }
+
+    return compact({
+      url: readCardString(image, 'url', path, true),
+      aspect_ratio: aspectRatio
+    });
+  },
+
+  imageTextArea(area, path) {
+    const type = readCardEnum(area, 'type', path, [0, 1, 2]);
+    return compact({
+      type,
+      url: readCardString(area, 'url', path, type === 1),
+      appid: readCardString(area, 'appid', path, type === 2),
+      pagepath: readCardString(area, 'pagepath', path),
+      title: readCardString(area, 'title', path),
+      desc: readCardString(area, 'desc', path),
+      image_url: readCardString(area, 'image_url', path, true)
+    });
+  }
+};
+
+/**
+ * 构建并校验模板卡片消息内容
+ * 
+ * 支持的卡片类型：
+ * - text_notice（文本通知）：main_title.title 与 sub_title_text 至少填写一项
+ * - news_notice（图文展示）：main_title.title 必填，card_image 与 image_text_area 至少填写一项
+ * 
+ * 两种卡片的 card_action 均为必填
+ * 
+ * @param {TemplateCard} card - 模板卡片内容
+ * @returns {TemplateCard} 仅包含合法字段的卡片内容
+ * @throws {WeComError} 当必填字段缺失或字段不合法时，error.data.field 为出错字段路径
+ * 
+ * @example
+ * const card = buildTemplateCard({
+ *   card_type: 'text_notice',
+ *   main_title: { title: '告警：订单服务 5xx 升高' },
+ *   emphasis_content: { title: '12.5%', desc: '错误率' },
+ *   card_action: { type: 1, url: 'https://example.com/alerts/1' }
+ * });
+ */
+export function buildTemplateCard(card) {
+  const path = 'template_card';
+  readCardObject(card, path, true);
+
+  const cardType = card.card_type;
+  if (!Object.values(TEMPLATE_CARD_TYPE).includes(cardType)) {
+    throw cardFieldError(
+      `${path}.card_type`,
+      `取值无效：${JSON.stringify(cardType)}，可选值：${Object.values(TEMPLATE_CARD_TYPE).join(', ')}`
+    );
+  }
+
+  const isNews = cardType === TEMPLATE_CARD_TYPE.NEWS_NOTICE;
+  const optional = (key, build) => {
+    const value = readCardObject(card[key], `${path}.${key}`);
+    return value === undefined ? undefined : build(value, `${path}.${key}`);
+  };
+
+  const result = {
+    card_type: cardType,
+    source: optional('source', cardBuilders.source),
+    main_title: isNews
+      ? cardBuilders.title(readCardObject(card.main_title, `${path}.main_title`, true), `${path}.main_title`, true)
+      : optional('main_title', cardBuilders.title),
+    quote_area: optional('quote_area', cardBuilders.quoteArea),
+    horizontal_content_list: readCardList(
+      card.horizontal_content_list,
+      `${path}.horizontal_content_list`,
+      TEMPLATE_CARD_LIMITS.HORIZONTAL_CONTENT_MAX,
+      cardBuilders.horizontalContent
+    ),
+    jump_list: readCardList(
+      card.jump_list,
+      `${path}.jump_list`,
+      TEMPLATE_CARD_LIMITS.JUMP_LIST_MAX,
+      cardBuilders.jump
+    ),
+    card_action: cardBuilders.cardAction(
+      readCardObject(card.card_action, `${path}.card_action`, true),
+      `${path}.card_action`
+    )
+  };
+
+  if (isNews) {
+    result.card_image = optional('card_image', cardBuilders.cardImage);
+    result.image_text_area = optional('image_text_area', cardBuilders.imageTextArea);
+    result.vertical_content_list = readCardList(
+      card.vertical_content_list,
+      `${path}.vertical_content_list`,
+      TEMPLATE_CARD_LIMITS.VERTICAL_CONTENT_MAX,
+      cardBuilders.verticalContent
+    );
+
+    if (!result.card_image && !result.image_text_area) {
+      throw cardFieldError(`${path}.card_image`, '与 image_text_area 至少需要填写一项');
+    }
+  } else {
+    result.emphasis_content = optional('emphasis_content', cardBuilders.title);
+    result.sub_title_text = readCardString(card, 'sub_title_text', path);
+
+    if (!result.main_title?.title && !result.sub_title_text) {
+      throw cardFieldError(`${path}.main_title.title`, '与 sub_title_text 至少需要填写一项');
+    }
+  }
+
+  return compact(result);
+}
+
+// Markdown 语法检查已移至 markdown-validator 模块，此处保留原有导出
+export { findMarkdownSyntaxIssues };
+
 /**
  * 企业微信机器人客户端类
  * 
@@ -152,12 +694,19 @@ export class WeComClient {
    * 创建客户端实例
    * 
    * @param {string} webhookKey - 机器人 webhook URL 中的 key 参数
-   * @throws {WeComError} 当 webhookKey 为空时抛出错误
+   * @param {WeComClientOptions} [options] - 客户端选项
+   * @throws {WeComError} 当 webhookKey 为空或 baseURL 无效时抛出错误
    * 
    * @example
    * const client = new WeComClient('your-webhook-key');
+   * 
+   * // 超出频率限制时立即失败，而不是排队等待
+   * const client = new WeComClient('your-webhook-key', { waitForRateLimit: false });
+   * 
+   * // 指向本地模拟服务
+   * const client = new WeComClient('test-key', { baseURL: 'http://127.0.0.1:8080/cgi-bin/webhook' });
    */
-  constructor(webhookKey) {
+  constructor(webhookKey, { waitForRateLimit = true, rateLimit, retry, onSend, mediaCache = null, strictMarkdown = false, outbox = null, baseURL = DEFAULT_BASE_URL, fileSandbox = null, urlPolicy = new UrlPolicy() } = {}) {
     if (!webhookKey || typeof webhookKey !== 'string') {
       throw new WeComError(-1, 'webhookKey 是必需的字符串参数');
     }
@@ -168,12 +717,84 @@ export class WeComClient {
      */
     this.webhookKey = webhookKey;
 
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.waitForRateLimit = waitForRateLimit;
+
+    /**
+     * 同一 webhook key 共享的限流器
+     * @private
+     * @type {import('./rate-limiter.js').RateLimiter}
+     */
+    this.rateLimiter = getRateLimiter(webhookKey, rateLimit);
+
+    /**
+     * @private
+     * @type {import('./retry.js').RetryPolicy|false|undefined}
+     */
+    this.retryPolicy = retry;
+
+    /**
+     * @private
+     * @type {function(SendRecord): void|undefined}
+     */
+    this.onSend = onSend;
+
+    /**
+     * 本客户端上传过的文件信息，发送文件、语音消息时写入审计记录
+     * @private
+     * @type {Map<string, SendFileInfo>}
+     */
+    this.uploadedMedia = new Map();
+
+    /**
+     * @private
+     * @type {import('./media-cache.js').MediaCache|null}
+     */
+    this.mediaCache = mediaCache;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.strictMarkdown = strictMarkdown;
+
+    /**
+     * 试运行发件箱，为 null 时正常发送
+     * @private
+     * @type {import('./outbox.js').Outbox|null}
+     */
+    this.outbox = outbox;
+
+    /**
+     * 本地文件访问策略，为 null 时不限制读取的路径
+     * @private
+     * @type {import('./file-sandbox.js').FileSandbox|null}
+     */
+    this.fileSandbox = fileSandbox;
+
+    /**
+     * 网络地址访问策略，为 null 时不限制下载的 URL
+     * @private
+     * @type {UrlPolicy|null}
+     */
+    this.urlPolicy = urlPolicy;
+
+    /**
+     * 接口基础 URL（不含末尾的斜杠）
+     * @private
+     * @type {string}
+     */
+    this.baseURL = this._validateHttpUrl(baseURL, 'baseURL').replace(/\/+$/, '');
+
     /**
      * @private
      * @type {import('axios').AxiosInstance}
      */
     this.client = axios.create({
-      baseURL: BASE_URL,
+      baseURL: this.baseURL,
       timeout: 30000, // 30 秒超时
       headers: {
         'Content-Type': 'application/json'
@@ -181,107 +802,528 @@ export class WeComClient {
     });
   }
 
+  /**
+   * 获取当前 webhook key 的限流状态
+   * 
+   * @returns {import('./rate-limiter.js').RateLimitStatus} 限流状态，包含排队数量和预计等待时间
+   * 
+   * @example
+   * const { queue_depth, estimated_wait_ms } = client.getRateLimitStatus();
+   */
+  getRateLimitStatus() {
+    return this.rateLimiter.getStatus();
+  }
+
+  /**
+   * 是否为试运行客户端
+   * 
+   * @returns {boolean} 为 true 时所有请求只写入发件箱，不会发送到企业微信
+   */
+  isDryRun() {
+    return this.outbox !== null;
+  }
+
+  /**
+   * 获取发送配额
+   * 
+   * 配额不足时按 waitForRateLimit 选项排队等待或立即失败
+   * 
+   * @returns {Promise<number>} 实际等待的毫秒数
+   * @throws {WeComError} 当配额不足且不等待时，错误码为 45009
+   * 
+   * @private
+   */
+  async _acquireSendQuota() {
+    if (this.waitForRateLimit) {
+      return this.rateLimiter.acquire();
+    }
+
+    if (this.rateLimiter.tryAcquire()) {
+      return 0;
+    }
+
+    const status = this.rateLimiter.getStatus();
+    throw new WeComError(
+      45009,
+      `发送频率超出客户端限制，预计需等待 ${Math.ceil(status.estimated_wait_ms / 1000)} 秒`,
+      status
+    );
+  }
+
   /**
    * 发送消息（通用方法）
    * 
+   * 发送前会经过客户端限流，避免触发企业微信的频率限制；
+   * 网络错误、HTTP 5xx 和频率限制等临时性错误会按重试策略自动重试。
+   * 试运行时将请求写入发件箱，不占用发送配额，也不触发 onSend 回调
+   * 
    * @param {string} msgType - 消息类型（markdown_v2, file, image 等）
    * @param {Object} content - 消息内容对象
+   * @param {Object} [options] - 发送选项
+   * @param {SendFileInfo} [options.file] - 文件信息（写入审计记录），默认按 media_id 查找本客户端上传的文件
    * @returns {Promise<SendMessageResult>} API 响应结果
-   * @throws {WeComError} 当 API 返回错误或网络请求失败时
+   * @throws {WeComError} 当 API 返回错误、网络请求失败或超出频率限制且不等待时
    * 
    * @private
    */
-  async sendMessage(msgType, content) {
+  async sendMessage(msgType, content, { file = this.uploadedMedia.get(content?.media_id) } = {}) {
+    if (this.outbox) {
+      return this._dryRunSend(msgType, content);
+    }
+
+    let waitedMs = 0;
+    let outcome;
+
     try {
-      const response = await this.client.post('/send', {
-        msgtype: msgType,
-        [msgType]: content
-      }, {
-        params: {
-          key: this.webhookKey
+      outcome = await this._postMessage(msgType, content, ms => { waitedMs += ms; });
+    } catch (error) {
+      this._recordSend(msgType, content, file, error.data?.attempts?.length || 1, error);
+      throw error;
+    }
+
+    const { result: data, attempts } = outcome;
+    this._recordSend(msgType, content, file, attempts.length + 1);
+
+    return {
+      success: true,
+      message: '消息发送成功',
+      data: data,
+      ...(waitedMs > 0 && { rate_limit: { waited_ms: waitedMs } }),
+      ...(attempts.length > 0 && { attempts })
+    };
+  }
+
+  /**
+   * 发送消息请求（含限流和重试）
+   * 
+   * 发送消息不是幂等请求，只在确定请求未被处理时重试
+   * 
+   * @param {string} msgType - 消息类型
+   * @param {Object} content - 消息内容对象
+   * @param {function(number): void} onWait - 每次获取配额后回调实际等待的毫秒数
+   * @returns {Promise<{result: WeComApiResponse, attempts: Array}>} 响应和重试记录
+   * @throws {WeComError} 当发送失败时
+   * 
+   * @private
+   */
+  async _postMessage(msgType, content, onWait) {
+    return withRetry(async () => {
+      // 每次尝试（含重试）都需要获取发送配额
+      onWait(await this._acquireSendQuota());
+
+      try {
+        const response = await this.client.post('/send', {
+          msgtype: msgType,
+          [msgType]: content
+        }, {
+          params: {
+            key: this.webhookKey
+          }
+        });
+
+        const data = response.data;
+
+        // 检查错误码
+        if (data.errcode !== 0) {
+          throw new WeComError(
+            data.errcode,
+            data.errmsg || '发送消息失败',
+            data
+          );
         }
+
+        return data;
+      } catch (error) {
+        throw this._toWeComError(error, '网络请求失败');
+      }
+    }, this.retryPolicy, { idempotent: false });
+  }
+
+  /**
+   * 试运行发送：将请求写入发件箱并返回模拟的成功结果
+   * 
+   * @param {string} msgType - 消息类型
+   * @param {Object} content - 消息内容对象
+   * @returns {SendMessageResult} 模拟的发送结果
+   * @throws {WeComError} 当发件箱无法写入时
+   * 
+   * @private
+   */
+  _dryRunSend(msgType, content) {
+    const body = {
+      msgtype: msgType,
+      [msgType]: content
+    };
+
+    const outbox = this._recordDryRun('send', {
+      method: 'POST',
+      url: `${this.baseURL}/send`,
+      params: { key: maskWebhookKey(this.webhookKey) },
+      body
+    });
+
+    // 图片的 base64 内容可能有数 MB，结果中只保留摘要
+    const payload = msgType === 'image' && content?.base64
+      ? { ...body, image: { ...content, base64: `<${Buffer.byteLength(content.base64)} 字节，完整内容见发件箱>` } }
+      : body;
+
+    return {
+      success: true,
+      dry_run: true,
+      message: '试运行：消息未发送，请求已写入发件箱',
+      data: { errcode: 0, errmsg: 'ok' },
+      payload,
+      outbox
+    };
+  }
+
+  /**
+   * 写入发件箱
+   * 
+   * @param {string} endpoint - 接口名称
+   * @param {import('./outbox.js').OutboxRequest} request - 请求内容
+   * @returns {import('./outbox.js').OutboxReceipt} 发件箱记录
+   * @throws {WeComError} 当发件箱无法写入时
+   * 
+   * @private
+   */
+  _recordDryRun(endpoint, request) {
+    try {
+      return this.outbox.record(endpoint, request);
+    } catch (error) {
+      throw new WeComError(-1, `试运行发件箱写入失败：${error.message}`, { dir: this.outbox.dir });
+    }
+  }
+
+  /**
+   * 通知发送结果（onSend 回调）
+   * 
+   * 回调异常不影响发送结果
+   * 
+   * @param {string} msgType - 消息类型
+   * @param {Object} content - 消息内容对象
+   * @param {SendFileInfo|undefined} file - 文件信息
+   * @param {number} attempts - 请求次数（含重试）
+   * @param {WeComError} [error] - 发送失败时的错误
+   * 
+   * @private
+   */
+  _recordSend(msgType, content, file, attempts, error) {
+    if (!this.onSend) {
+      return;
+    }
+
+    try {
+      this.onSend({
+        msgtype: msgType,
+        content_sha256: createHash('sha256').update(JSON.stringify(content)).digest('hex'),
+        preview: buildMessagePreview(msgType, content, file),
+        ...(file && { file }),
+        success: !error,
+        errcode: error ? error.code : 0,
+        ...(error && { errmsg: error.message }),
+        attempts
       });
+    } catch {
+      // 审计记录失败不影响消息发送
+    }
+  }
+
+  /**
+   * 将请求过程中的异常转换为 WeComError
+   * 
+   * HTTP 错误在 data.status 中记录状态码，网络错误在 data.networkCode 中记录错误码、
+   * 在 data.syscall 中记录出错的系统调用，供重试策略判断是否可重试
+   * 
+   * @param {Error} error - 原始错误
+   * @param {string} prefix - 网络错误消息前缀
+   * @returns {WeComError} 转换后的错误
+   * 
+   * @private
+   */
+  _toWeComError(error, prefix) {
+    // 处理已有的 WeComError
+    if (error instanceof WeComError) {
+      return error;
+    }
 
-      const data = response.data;
+    // 处理 axios 错误
+    if (error.response) {
+      return new WeComError(
+        error.response.status,
+        `API 响应错误：${error.response.status} ${error.response.statusText}`,
+        { status: error.response.status, data: error.response.data }
+      );
+    }
 
-      // 检查错误码
-      if (data.errcode !== 0) {
-        throw new WeComError(
-          data.errcode,
-          data.errmsg || '发送消息失败',
-          data
-        );
+    // 处理网络错误或其他异常（axios 将底层错误放在 cause 中）
+    const syscall = error.syscall ?? error.cause?.syscall;
+    return new WeComError(
+      -1,
+      `${prefix}：${error.message}`,
+      { originalError: error.message, networkCode: error.code, ...(syscall && { syscall }) }
+    );
+  }
+
+  /**
+   * 发送 Markdown V2 格式的消息
+   * 
+   * 支持的语法：
+   * - 标题：`# H1`, `## H2`, ... `###### H6`
+   * - 斜体：`*text*`
+   * - 加粗：`**text**`
+   * - 列表：`- 项` 或 `1. 项`
+   * - 引用：`> 引用`
+   * - 链接：`[text](url)`
+   * - 图片：`![alt](url)`
+   * - 代码：`` `code` `` 或 ` ```code block``` `
+   * - 表格：`| 列 1 | 列 2 |`
+   * 
+   * 不支持 `<font>` 字体颜色和 `<@userid>` 提醒，需要时请使用 sendMarkdown
+   * 
+   * 严格模式下，HTML 标签、嵌套列表、任务列表等显示异常的语法也会被拒绝，参见 markdown-validator 模块
+   * 
+   * @param {string} content - Markdown V2 格式的内容（最大 4096 字节）
+   * @param {Object} [options] - 发送选项
+   * @param {boolean} [options.strict] - 是否使用严格模式，默认取客户端的 strictMarkdown 选项
+   * @returns {Promise<SendMessageResult>} API 响应结果
+   * @throws {WeComError} 当内容为空、类型错误、超出长度限制或包含不支持的语法时
+   * 
+   * @example
+   * await client.sendMarkdownV2('# 标题\\n**加粗文本**\\n- 列表项');
+   * 
+   * // 内容中有 <br> 等标签时拒绝发送
+   * await client.sendMarkdownV2(content, { strict: true });
+   */
+  async sendMarkdownV2(content, { strict = this.strictMarkdown } = {}) {
+    return this._sendMarkdown(MARKDOWN_FORMAT.V2, content, strict);
+  }
+
+  /**
+   * 发送旧版 Markdown 格式的消息（markdown 消息类型）
+   * 
+   * 支持的语法：
+   * - 标题：`# H1`, `## H2`, ... `###### H6`
+   * - 加粗：`**text**`
+   * - 链接：`[text](url)`
+   * - 行内代码：`` `code` ``（不支持跨行）
+   * - 引用：`> 引用`
+   * - 字体颜色：`<font color="info">绿色</font>`、`comment`（灰色）、`warning`（橙红色）
+   * - 提醒群成员：`<@userid>`
+   * 
+   * @param {string} content - Markdown 格式的内容（最大 4096 字节）
+   * @param {Object} [options] - 发送选项
+   * @param {boolean} [options.strict] - 是否使用严格模式，默认取客户端的 strictMarkdown 选项
+   * @returns {Promise<SendMessageResult>} API 响应结果
+   * @throws {WeComError} 当内容为空、超出长度限制或包含不支持的语法时
+   * 
+   * @example
+   * await client.sendMarkdown('故障等级：<font color="warning">P1</font>\n处理人：<@zhangsan>');
+   */
+  async sendMarkdown(content, { strict = this.strictMarkdown } = {}) {
+    return this._sendMarkdown(MARKDOWN_FORMAT.V1, content, strict);
+  }
+
+  /**
+   * 校验并发送 Markdown 消息
+   * 
+   * @param {string} format - Markdown 格式，参见 MARKDOWN_FORMAT
+   * @param {string} content - Markdown 内容
+   * @param {boolean} [strict=false] - 是否同时拒绝 warning 级问题
+   * @returns {Promise<SendMessageResult>} API 响应结果
+   * @throws {WeComError} 当内容为空、超出长度限制或包含不支持的语法时
+   * 
+   * @private
+   */
+  async _sendMarkdown(format, content, strict = false) {
+    // 验证参数
+    if (!content || typeof content !== 'string') {
+      throw new WeComError(
+        -1,
+        'content 参数不能为空且必须是字符串'
+      );
+    }
+
+    // 检查内容长度（UTF-8 编码后不超过对应格式的限制）
+    const maxBytes = format === MARKDOWN_FORMAT.V1 ? MARKDOWN_V1_MAX_BYTES : MARKDOWN_MAX_BYTES;
+    const byteLength = Buffer.byteLength(content, 'utf8');
+    if (byteLength > maxBytes) {
+      throw new WeComError(
+        -1,
+        `内容长度超出限制：当前 ${byteLength} 字节，最大 ${maxBytes} 字节`
+      );
+    }
+
+    // 检查格式不支持的语法
+    const issues = findMarkdownSyntaxIssues(content, format, { strict });
+    if (issues.length > 0) {
+      throw new WeComError(
+        -1,
+        `${format} 语法校验失败${strict ? '（严格模式）' : ''}：${formatSyntaxIssues(issues)}`,
+        { format, strict, issues }
+      );
+    }
+
+    return this.sendMessage(format, { content });
+  }
+
+  /**
+   * 发送文本消息
+   * 
+   * 文本消息是唯一支持通过 mentioned_list / mentioned_mobile_list 提醒群成员的消息类型
+   * 
+   * @param {string} content - 文本内容（最大 2048 字节）
+   * @param {Object} [options] - 提醒选项
+   * @param {string[]} [options.mentionedList] - 需要提醒的成员 userid 列表，"@all" 表示提醒所有人
+   * @param {string[]} [options.mentionedMobileList] - 需要提醒的成员手机号列表，"@all" 表示提醒所有人
+   * @returns {Promise<SendMessageResult>} API 响应结果
+   * @throws {WeComError} 当内容为空、超出长度限制或提醒列表格式错误时
+   * 
+   * @example
+   * await client.sendText('服务已恢复', { mentionedList: ['zhangsan', '@all'] });
+   */
+  async sendText(content, { mentionedList = [], mentionedMobileList = [] } = {}) {
+    // 验证参数
+    if (!content || typeof content !== 'string') {
+      throw new WeComError(
+        -1,
+        'content 参数不能为空且必须是字符串'
+      );
+    }
+
+    // 检查内容长度（UTF-8 编码后不超过 2048 字节）
+    const byteLength = Buffer.byteLength(content, 'utf8');
+    if (byteLength > TEXT_MAX_BYTES) {
+      throw new WeComError(
+        -1,
+        `内容长度超出限制：当前 ${byteLength} 字节，最大 ${TEXT_MAX_BYTES} 字节`
+      );
+    }
+
+    this._validateStringList(mentionedList, 'mentioned_list');
+    this._validateStringList(mentionedMobileList, 'mentioned_mobile_list');
+
+    /** @type {Object} */
+    const text = { content };
+
+    if (mentionedList.length > 0) {
+      text.mentioned_list = mentionedList;
+    }
+
+    if (mentionedMobileList.length > 0) {
+      text.mentioned_mobile_list = mentionedMobileList;
+    }
+
+    return this.sendMessage('text', text);
+  }
+
+  /**
+   * 发送图文消息
+   * 
+   * 图文限制：
+   * - 文章数量：1 ~ 8 条
+   * - 标题：必填，≤ 128 字节
+   * - 描述：可选，≤ 512 字节
+   * - url / picurl：必须是 http 或 https 链接
+   * 
+   * @param {NewsArticle[]} articles - 图文文章列表
+   * @returns {Promise<SendMessageResult>} API 响应结果
+   * @throws {WeComError} 当文章数量、字段长度或链接格式不符合要求时
+   * 
+   * @example
+   * await client.sendNews([{
+   *   title: 'v2.0.0 发布',
+   *   description: '新增文本消息和图文消息支持',
+   *   url: 'https://example.com/releases/v2.0.0',
+   *   picurl: 'https://example.com/cover.png'
+   * }]);
+   */
+  async sendNews(articles) {
+    // 验证参数
+    if (!Array.isArray(articles) || articles.length === 0) {
+      throw new WeComError(-1, 'articles 参数必须是非空数组');
+    }
+
+    if (articles.length > NEWS_LIMITS.MAX_ARTICLES) {
+      throw new WeComError(
+        -1,
+        `图文数量超出限制：当前 ${articles.length} 条，最多 ${NEWS_LIMITS.MAX_ARTICLES} 条`
+      );
+    }
+
+    const normalized = articles.map((article, index) => {
+      const field = `articles[${index}]`;
+
+      if (!article || typeof article !== 'object') {
+        throw new WeComError(-1, `${field} 必须是对象`);
       }
 
-      return {
-        success: true,
-        message: '消息发送成功',
-        data: data
-      };
-    } catch (error) {
-      // 处理已有的 WeComError
-      if (error instanceof WeComError) {
-        throw error;
+      const { title, description, url, picurl } = article;
+
+      if (!title || typeof title !== 'string') {
+        throw new WeComError(-1, `${field}.title 不能为空且必须是字符串`);
       }
 
-      // 处理 axios 错误
-      if (error.response) {
+      const titleBytes = Buffer.byteLength(title, 'utf8');
+      if (titleBytes > NEWS_LIMITS.TITLE_MAX_BYTES) {
         throw new WeComError(
-          error.response.status,
-          `API 响应错误：${error.response.status} ${error.response.statusText}`,
-          { status: error.response.status, data: error.response.data }
+          -1,
+          `${field}.title 长度超出限制：当前 ${titleBytes} 字节，最大 ${NEWS_LIMITS.TITLE_MAX_BYTES} 字节`
         );
       }
 
-      // 处理网络错误或其他异常
-      throw new WeComError(
-        -1,
-        `网络请求失败：${error.message}`,
-        { originalError: error.message }
-      );
-    }
+      /** @type {NewsArticle} */
+      const result = {
+        title,
+        url: this._validateHttpUrl(url, `${field}.url`)
+      };
+
+      if (description !== undefined) {
+        if (typeof description !== 'string') {
+          throw new WeComError(-1, `${field}.description 必须是字符串`);
+        }
+
+        const descriptionBytes = Buffer.byteLength(description, 'utf8');
+        if (descriptionBytes > NEWS_LIMITS.DESCRIPTION_MAX_BYTES) {
+          throw new WeComError(
+            -1,
+            `${field}.description 长度超出限制：当前 ${descriptionBytes} 字节，最大 ${NEWS_LIMITS.DESCRIPTION_MAX_BYTES} 字节`
+          );
+        }
+
+        result.description = description;
+      }
+
+      if (picurl !== undefined) {
+        result.picurl = this._validateHttpUrl(picurl, `${field}.picurl`);
+      }
+
+      return result;
+    });
+
+    return this.sendMessage('news', { articles: normalized });
   }
 
   /**
-   * 发送 Markdown V2 格式的消息
+   * 发送模板卡片消息
    * 
-   * 支持的语法：
-   * - 标题：`# H1`, `## H2`, ... `###### H6`
-   * - 斜体：`*text*`
-   * - 加粗：`**text**`
-   * - 列表：`- 项` 或 `1. 项`
-   * - 引用：`> 引用`
-   * - 链接：`[text](url)`
-   * - 图片：`![alt](url)`
-   * - 代码：`` `code` `` 或 ` ```code block``` `
-   * - 表格：`| 列 1 | 列 2 |`
+   * 支持文本通知（text_notice）和图文展示（news_notice）两种卡片类型，
+   * 发送前会通过 buildTemplateCard 校验并清理卡片字段
    * 
-   * @param {string} content - Markdown V2 格式的内容（最大 4096 字节）
+   * @param {TemplateCard} card - 模板卡片内容
    * @returns {Promise<SendMessageResult>} API 响应结果
-   * @throws {WeComError} 当内容为空、类型错误或超出长度限制时
+   * @throws {WeComError} 当卡片字段缺失或不合法时，error.data.field 为出错字段路径
    * 
    * @example
-   * await client.sendMarkdownV2('# 标题\\n**加粗文本**\\n- 列表项');
+   * await client.sendTemplateCard({
+   *   card_type: 'text_notice',
+   *   source: { desc: '监控中心', desc_color: 2 },
+   *   main_title: { title: '订单服务告警', desc: 'P1' },
+   *   card_action: { type: 1, url: 'https://example.com/alerts/1' }
+   * });
    */
-  async sendMarkdownV2(content) {
-    // 验证参数
-    if (!content || typeof content !== 'string') {
-      throw new WeComError(
-        -1,
-        'content 参数不能为空且必须是字符串'
-      );
-    }
-
-    // 检查内容长度（UTF-8 编码后不超过 4096 字节）
-    const byteLength = Buffer.byteLength(content, 'utf8');
-    if (byteLength > MARKDOWN_MAX_BYTES) {
-      throw new WeComError(
-        -1,
-        `内容长度超出限制：当前 ${byteLength} 字节，最大 ${MARKDOWN_MAX_BYTES} 字节`
-      );
-    }
-
-    return this.sendMessage('markdown_v2', { content });
+  async sendTemplateCard(card) {
+    return this.sendMessage('template_card', buildTemplateCard(card));
   }
 
   /**
@@ -289,10 +1331,12 @@ export class WeComClient {
    * 
    * 文件限制：
    * - 普通文件 (file): ≤ 20MB, > 5 字节
-   * - 语音文件 (voice): ≤ 2MB, 仅支持 AMR 格式
+   * - 语音文件 (voice): ≤ 2MB, ≤ 60 秒, 仅支持 AMR 格式（按文件头魔数校验）
    * 
    * @param {string} filePath - 本地文件路径
    * @param {string} [type='file'] - 文件类型：'file' (普通文件) 或 'voice' (语音)
+   * @param {Object} [options] - 上传选项
+   * @param {boolean} [options.cache=true] - 是否使用缓存的 media_id，为 false 时总是重新上传（上传结果仍会写入缓存）
    * @returns {Promise<UploadMediaResult>} 上传结果，包含 media_id
    * @throws {WeComError} 当文件不存在、超出大小限制或上传失败时
    * 
@@ -300,7 +1344,7 @@ export class WeComClient {
    * const result = await client.uploadMedia('/path/to/file.pdf', 'file');
    * console.log(result.media_id); // 可用于发送文件消息
    */
-  async uploadMedia(filePath, type = FILE_TYPE.FILE) {
+  async uploadMedia(filePath, type = FILE_TYPE.FILE, options = {}) {
     // 验证参数
     if (!filePath || typeof filePath !== 'string') {
       throw new WeComError(-1, 'filePath 参数必须是有效的字符串');
@@ -310,10 +1354,63 @@ export class WeComClient {
       throw new WeComError(-1, `type 参数必须是 "${FILE_TYPE.FILE}" 或 "${FILE_TYPE.VOICE}"`);
     }
 
+    let fileBuffer;
     try {
       // 读取文件内容
-      const fileBuffer = await this._readFile(filePath);
+      fileBuffer = await this._readFile(filePath);
+    } catch (error) {
+      // 文件访问策略拒绝
+      if (error instanceof WeComError) {
+        throw error;
+      }
+
+      // 处理文件不存在错误
+      if (error.code === 'ENOENT') {
+        throw new WeComError(-1, `文件不存在：${filePath}`);
+      }
+
+      throw new WeComError(
+        -1,
+        `文件读取失败：${error.message}`,
+        { originalError: error.message }
+      );
+    }
+
+    return this.uploadMediaBuffer(fileBuffer, basename(filePath), type, options);
+  }
+
+  /**
+   * 上传内存中的文件内容到企业微信服务器
+   * 
+   * 文件限制与 uploadMedia 相同，适用于动态生成的文件（如长消息转附件）
+   * 
+   * @param {Buffer} fileBuffer - 文件内容
+   * @param {string} filename - 文件名（企业微信中显示的名称，同时用于推断 MIME 类型）
+   * @param {string} [type='file'] - 文件类型：'file' (普通文件) 或 'voice' (语音)
+   * @param {Object} [options] - 上传选项
+   * @param {boolean} [options.cache=true] - 是否使用缓存的 media_id，为 false 时总是重新上传（上传结果仍会写入缓存）
+   * @returns {Promise<UploadMediaResult>} 上传结果，包含 media_id
+   * @throws {WeComError} 当超出大小限制或上传失败时
+   * 
+   * @example
+   * const result = await client.uploadMediaBuffer(Buffer.from(report), 'report.md');
+   * await client.sendFile(result.media_id);
+   */
+  async uploadMediaBuffer(fileBuffer, filename, type = FILE_TYPE.FILE, { cache = true } = {}) {
+    // 验证参数
+    if (!Buffer.isBuffer(fileBuffer)) {
+      throw new WeComError(-1, 'fileBuffer 参数必须是 Buffer');
+    }
+
+    if (!filename || typeof filename !== 'string') {
+      throw new WeComError(-1, 'filename 参数必须是有效的字符串');
+    }
+
+    if (!Object.values(FILE_TYPE).includes(type)) {
+      throw new WeComError(-1, `type 参数必须是 "${FILE_TYPE.FILE}" 或 "${FILE_TYPE.VOICE}"`);
+    }
 
+    try {
       // 验证文件大小
       const fileSize = fileBuffer.length;
       
@@ -321,70 +1418,168 @@ export class WeComClient {
         throw new WeComError(-1, '文件大小必须大于 5 字节');
       }
 
-      const maxSize = FILE_SIZE_LIMITS[type];
+      const maxSize = FILE_SIZE_LIMITS[type.toUpperCase()];
       if (fileSize > maxSize) {
         const maxMB = maxSize / 1024 / 1024;
         throw new WeComError(-1, `文件大小超出限制：最大 ${maxMB}MB`);
       }
 
-      // 创建 FormData 实例
-      const formData = new FormData();
-      formData.append('media', fileBuffer, {
-        filename: basename(filePath),
-        contentType: this._getMimeType(filePath)
-      });
+      // 按内容识别类型，上传时使用识别出的 MIME 类型
+      const fileType = inspectFileType(fileBuffer, filename);
 
-      // 发送上传请求
-      const response = await axios.post(
-        `${BASE_URL}/upload_media`,
-        formData,
-        {
-          params: {
-            key: this.webhookKey,
-            type: type
-          },
-          headers: {
-            ...formData.getHeaders()
-          },
-          timeout: 60000 // 文件上传可能需要更长时间
-        }
-      );
+      // 语音文件需校验 AMR 格式和时长
+      const voiceInfo = type === FILE_TYPE.VOICE ? this._validateVoice(fileBuffer, fileType) : null;
 
-      const data = response.data;
+      const md5 = calculateMD5(fileBuffer);
 
-      if (data.errcode !== 0) {
-        throw new WeComError(
-          data.errcode,
-          data.errmsg || '文件上传失败',
-          data
-        );
+      // 试运行不读写缓存：每次都在发件箱中留下上传记录，模拟的 media_id 也不会进入缓存
+      if (this.outbox) {
+        return {
+          ...this._dryRunUpload(fileBuffer, filename, type, md5, fileType.mime),
+          ...(voiceInfo && { duration: voiceInfo.duration }),
+          file_type: fileType
+        };
       }
 
+      const cachedMedia = cache && this.mediaCache ? this.mediaCache.get(this.webhookKey, md5, type) : null;
+
+      if (cachedMedia) {
+        this.uploadedMedia.set(cachedMedia.media_id, { name: filename, size: fileSize, md5 });
+
+        return {
+          success: true,
+          message: '文件内容未变化，使用缓存的 media_id',
+          media_id: cachedMedia.media_id,
+          type,
+          created_at: Math.floor(cachedMedia.created_at / 1000),
+          ...(voiceInfo && { duration: voiceInfo.duration }),
+          file_type: fileType,
+          cached: true,
+          expires_at: new Date(cachedMedia.expires_at).toISOString()
+        };
+      }
+
+      const { result: data, attempts } = await withRetry(async () => {
+        // 每次尝试都需要重新创建 FormData，已发送的流无法复用
+        const formData = new FormData();
+        formData.append('media', fileBuffer, {
+          filename: filename,
+          contentType: fileType.mime
+        });
+
+        try {
+          // 发送上传请求
+          const response = await axios.post(
+            `${this.baseURL}/upload_media`,
+            formData,
+            {
+              params: {
+                key: this.webhookKey,
+                type: type
+              },
+              headers: {
+                ...formData.getHeaders()
+              },
+              timeout: 60000 // 文件上传可能需要更长时间
+            }
+          );
+
+          const data = response.data;
+
+          if (data.errcode !== 0) {
+            throw new WeComError(
+              data.errcode,
+              data.errmsg || '文件上传失败',
+              data
+            );
+          }
+
+          return data;
+        } catch (error) {
+          throw this._toWeComError(error, '文件上传失败');
+        }
+      }, this.retryPolicy);
+
+      this.uploadedMedia.set(data.media_id, {
+        name: filename,
+        size: fileSize,
+        md5
+      });
+
+      this.mediaCache?.set(this.webhookKey, {
+        media_id: data.media_id,
+        created_at: data.created_at,
+        type,
+        md5,
+        name: filename,
+        size: fileSize
+      });
+
       return {
         success: true,
         message: '文件上传成功',
         media_id: data.media_id,
         type: data.type,
-        created_at: data.created_at
+        created_at: data.created_at,
+        ...(voiceInfo && { duration: voiceInfo.duration }),
+        file_type: fileType,
+        ...(attempts.length > 0 && { attempts })
       };
     } catch (error) {
-      // 处理已有的 WeComError
-      if (error instanceof WeComError) {
-        throw error;
-      }
+      throw this._toWeComError(error, '文件上传失败');
+    }
+  }
 
-      // 处理文件不存在错误
-      if (error.code === 'ENOENT') {
-        throw new WeComError(-1, `文件不存在：${filePath}`);
+  /**
+   * 试运行上传：保存文件内容并将上传请求写入发件箱，返回模拟的 media_id
+   * 
+   * @param {Buffer} fileBuffer - 文件内容
+   * @param {string} filename - 文件名
+   * @param {string} type - 文件类型
+   * @param {string} md5 - 文件内容 MD5
+   * @param {string} contentType - 文件的 MIME 类型
+   * @returns {UploadMediaResult} 模拟的上传结果
+   * @throws {WeComError} 当发件箱无法写入时
+   * 
+   * @private
+   */
+  _dryRunUpload(fileBuffer, filename, type, md5, contentType) {
+    let savedAs;
+    try {
+      savedAs = this.outbox.saveMedia(fileBuffer, filename, md5);
+    } catch (error) {
+      throw new WeComError(-1, `试运行发件箱写入失败：${error.message}`, { dir: this.outbox.dir });
+    }
+
+    const payload = {
+      method: 'POST',
+      url: `${this.baseURL}/upload_media`,
+      params: { key: maskWebhookKey(this.webhookKey), type },
+      multipart: {
+        media: {
+          filename,
+          content_type: contentType,
+          size: fileBuffer.length,
+          md5,
+          saved_as: savedAs
+        }
       }
+    };
+    const outbox = this._recordDryRun('upload_media', payload);
 
-      // 处理其他错误
-      throw new WeComError(
-        -1,
-        `文件上传失败：${error.message}`,
-        { originalError: error.message }
-      );
-    }
+    const mediaId = `dryrun-${randomUUID()}`;
+    this.uploadedMedia.set(mediaId, { name: filename, size: fileBuffer.length, md5 });
+
+    return {
+      success: true,
+      dry_run: true,
+      message: '试运行：文件未上传，请求已写入发件箱',
+      media_id: mediaId,
+      type,
+      created_at: Math.floor(Date.now() / 1000),
+      payload,
+      outbox
+    };
   }
 
   /**
@@ -410,6 +1605,68 @@ export class WeComClient {
     });
   }
 
+  /**
+   * 发送语音消息
+   * 
+   * 注意：media_id 需通过 uploadMedia(filePath, 'voice') 上传 AMR 语音文件获取，仅在 3 天内有效
+   * 
+   * @param {string} mediaId - 通过 uploadMedia 获取的语音 media_id
+   * @returns {Promise<SendMessageResult>} API 响应结果
+   * @throws {WeComError} 当 mediaId 为空时
+   * 
+   * @example
+   * const uploadResult = await client.uploadMedia('/path/to/voice.amr', 'voice');
+   * await client.sendVoice(uploadResult.media_id);
+   */
+  async sendVoice(mediaId) {
+    if (!mediaId || typeof mediaId !== 'string') {
+      throw new WeComError(-1, 'mediaId 参数必须是有效的字符串');
+    }
+
+    return this.sendMessage('voice', {
+      media_id: mediaId
+    });
+  }
+
+  /**
+   * 上传本地文件并发送文件或语音消息
+   * 
+   * 使用缓存的 media_id 发送时，若企业微信提示 media_id 无效（例如已被提前回收），
+   * 会删除该缓存并重新上传后再发送一次
+   * 
+   * @param {string} filePath - 本地文件路径
+   * @param {string} [type='file'] - 文件类型：'file' (普通文件) 或 'voice' (语音)
+   * @param {Object} [options] - 上传选项
+   * @param {boolean} [options.cache=true] - 是否使用缓存的 media_id
+   * @returns {Promise<{upload: UploadMediaResult, send: SendMessageResult}>} 上传和发送结果
+   * @throws {WeComError} 当文件无效、上传或发送失败时
+   * 
+   * @example
+   * const { upload, send } = await client.sendMediaFile('/path/to/report.pdf');
+   * console.log(upload.cached); // 同一文件 3 天内再次发送时为 true
+   */
+  async sendMediaFile(filePath, type = FILE_TYPE.FILE, { cache = true } = {}) {
+    const send = mediaId => (type === FILE_TYPE.VOICE ? this.sendVoice(mediaId) : this.sendFile(mediaId));
+
+    const upload = await this.uploadMedia(filePath, type, { cache });
+
+    try {
+      return { upload, send: await send(upload.media_id) };
+    } catch (error) {
+      if (!upload.cached || error.code !== INVALID_MEDIA_ID_ERRCODE) {
+        throw error;
+      }
+
+      this.mediaCache.invalidate(this.webhookKey, upload.media_id);
+      const reupload = await this.uploadMedia(filePath, type, { cache: false });
+
+      return {
+        upload: { ...reupload, reuploaded: true, stale_media_id: upload.media_id },
+        send: await send(reupload.media_id)
+      };
+    }
+  }
+
   /**
    * 发送本地图片文件
    * 
@@ -417,14 +1674,22 @@ export class WeComClient {
    * - 格式：JPG, PNG
    * - 大小：≤ 2MB
    * 
+   * 图片格式按文件内容识别，与扩展名无关；扩展名与内容不符时结果的 file_type.mismatch 为 true。
+   * 开启 convert 时 GIF、BMP 或超出大小的图片会转换为 PNG / JPEG 并压缩到限制以内
+   * 
    * @param {string} imagePath - 本地图片文件路径
-   * @returns {Promise<SendMessageResult>} API 响应结果
-   * @throws {WeComError} 当图片不存在、格式不支持或超出大小限制时
+   * @param {Object} [options] - 发送选项
+   * @param {boolean} [options.convert=false] - 是否自动转换格式和压缩
+   * @returns {Promise<SendImageResult>} API 响应结果，开启 convert 时包含图片转换信息
+   * @throws {WeComError} 当图片不存在、格式不支持、超出大小限制或无法压缩到限制以内时
    * 
    * @example
    * await client.sendImage('/path/to/image.png');
+   * 
+   * // 超过 2MB 的截图自动压缩
+   * const { image } = await client.sendImage('/path/to/screenshot.png', { convert: true });
    */
-  async sendImage(imagePath) {
+  async sendImage(imagePath, { convert = false } = {}) {
     // 验证参数
     if (!imagePath || typeof imagePath !== 'string') {
       throw new WeComError(-1, 'imagePath 参数必须是有效的字符串');
@@ -434,31 +1699,7 @@ export class WeComClient {
       // 读取图片文件
       const imageBuffer = await this._readFile(imagePath);
 
-      // 验证图片格式
-      const fileExt = extname(imagePath).slice(1).toLowerCase();
-      if (!SUPPORTED_IMAGE_FORMATS.includes(fileExt)) {
-        throw new WeComError(
-          -1,
-          `不支持的图片格式：${fileExt}，仅支持 ${SUPPORTED_IMAGE_FORMATS.join(', ')}`
-        );
-      }
-
-      // 验证图片大小
-      const fileSize = imageBuffer.length;
-      if (fileSize > FILE_SIZE_LIMITS.IMAGE) {
-        throw new WeComError(-1, `图片大小超出限制：最大 ${FILE_SIZE_LIMITS.IMAGE / 1024 / 1024}MB`);
-      }
-
-      // 计算 MD5
-      const md5 = calculateMD5(imageBuffer);
-
-      // 转换为 Base64
-      const base64 = imageBuffer.toString('base64');
-
-      return this.sendMessage('image', {
-        base64: base64,
-        md5: md5
-      });
+      return await this._sendImageBuffer(imageBuffer, basename(imagePath), convert);
     } catch (error) {
       // 处理已有的 WeComError
       if (error instanceof WeComError) {
@@ -482,16 +1723,20 @@ export class WeComClient {
   /**
    * 发送网络图片
    * 
-   * 从 URL 下载图片并发送
+   * 从 URL 下载图片并发送。下载前按网络地址访问策略检查 URL（默认禁止本机和内网地址），
+   * 每次重定向都重新检查；下载的内容按文件头识别格式，不是 JPG / PNG 时拒绝发送
+   * （开启 convert 时允许可转换的 GIF、BMP）
    * 
    * @param {string} imageUrl - 图片的 URL 地址
-   * @returns {Promise<SendMessageResult>} API 响应结果
-   * @throws {WeComError} 当 URL 无效、下载失败或图片超出限制时
+   * @param {Object} [options] - 发送选项
+   * @param {boolean} [options.convert=false] - 是否自动转换格式和压缩（允许下载最大 20MB 的图片）
+   * @returns {Promise<SendImageResult>} API 响应结果，开启 convert 时包含图片转换信息
+   * @throws {WeComError} 当 URL 无效或被策略拒绝、下载失败、内容不是图片或图片超出限制时
    * 
    * @example
    * await client.sendImageFromUrl('https://example.com/image.png');
    */
-  async sendImageFromUrl(imageUrl) {
+  async sendImageFromUrl(imageUrl, { convert = false } = {}) {
     // 验证参数
     if (!imageUrl || typeof imageUrl !== 'string') {
       throw new WeComError(-1, 'imageUrl 参数必须是有效的字符串');
@@ -505,36 +1750,10 @@ export class WeComClient {
     }
 
     try {
-      // 下载图片
-      const response = await axios.get(imageUrl, {
-        responseType: 'arraybuffer',
-        timeout: 30000,
-        maxContentLength: FILE_SIZE_LIMITS.IMAGE,
-        validateStatus: (status) => status === 200
-      });
-
-      if (response.status !== 200) {
-        throw new WeComError(-1, `下载图片失败：HTTP ${response.status}`);
-      }
-
-      const imageBuffer = Buffer.from(response.data);
-
-      // 验证图片大小
-      const fileSize = imageBuffer.length;
-      if (fileSize > FILE_SIZE_LIMITS.IMAGE) {
-        throw new WeComError(-1, `图片大小超出限制：最大 ${FILE_SIZE_LIMITS.IMAGE / 1024 / 1024}MB`);
-      }
+      // 下载图片（内容由 _sendImageBuffer 按文件头校验，错误页面等非图片内容不会被发送）
+      const imageBuffer = await this._downloadImage(imageUrl, convert ? CONVERT_MAX_INPUT_BYTES : FILE_SIZE_LIMITS.IMAGE);
 
-      // 计算 MD5
-      const md5 = calculateMD5(imageBuffer);
-
-      // 转换为 Base64
-      const base64 = imageBuffer.toString('base64');
-
-      return this.sendMessage('image', {
-        base64: base64,
-        md5: md5
-      });
+      return await this._sendImageBuffer(imageBuffer, basename(new URL(imageUrl).pathname) || imageUrl, convert);
     } catch (error) {
       // 处理已有的 WeComError
       if (error instanceof WeComError) {
@@ -550,19 +1769,130 @@ export class WeComClient {
     }
   }
 
+  /**
+   * 下载网络图片
+   * 
+   * 配置了网络地址访问策略时，每一跳都先检查 URL 并解析地址，再直接连接检查过的 IP 地址，
+   * 重定向由本方法逐跳跟随；此时不使用 HTTP_PROXY 等代理设置，否则实际访问的地址无法检查
+   * 
+   * @param {string} imageUrl - 图片的 URL 地址
+   * @param {number} maxBytes - 允许下载的最大字节数
+   * @returns {Promise<Buffer>} 图片内容
+   * @throws {WeComError} 当 URL 被策略拒绝、重定向次数超出限制或下载失败时
+   * 
+   * @private
+   */
+  async _downloadImage(imageUrl, maxBytes) {
+    const options = {
+      responseType: 'arraybuffer',
+      timeout: 30000,
+      maxContentLength: maxBytes
+    };
+
+    if (!this.urlPolicy) {
+      const response = await axios.get(imageUrl, { ...options, validateStatus: (status) => status === 200 });
+      return Buffer.from(response.data);
+    }
+
+    let url = imageUrl;
+    for (let redirects = 0; ; redirects++) {
+      const { url: target, address, family } = await this.urlPolicy.resolve(url);
+
+      const response = await axios.get(target.href, {
+        ...options,
+        maxRedirects: 0,
+        proxy: false,
+        lookup: (hostname, lookupOptions, callback) => callback(null, address, family),
+        validateStatus: (status) => status === 200 || (status >= 300 && status < 400)
+      });
+
+      if (response.status === 200) {
+        return Buffer.from(response.data);
+      }
+
+      if (!response.headers.location) {
+        throw new WeComError(-1, `下载图片失败：HTTP ${response.status} 未提供重定向地址`, { url: target.href });
+      }
+
+      url = new URL(response.headers.location, target).href;
+      this.urlPolicy.checkRedirect(redirects, url);
+    }
+  }
+
+  /**
+   * 发送图片内容（按文件头校验格式和大小，或按需转换格式和压缩）
+   * 
+   * @param {Buffer} imageBuffer - 图片内容
+   * @param {string} name - 图片名称（写入审计记录，并与内容识别出的类型比较）
+   * @param {boolean} convert - 是否自动转换格式和压缩
+   * @returns {Promise<SendImageResult>} API 响应结果
+   * @throws {WeComError} 当内容不是 JPG / PNG 图片（未开启转换时）、图片超出大小限制或无法转换时
+   * 
+   * @private
+   */
+  async _sendImageBuffer(imageBuffer, name, convert) {
+    const fileType = inspectFileType(imageBuffer, name);
+    let image = null;
+
+    if (!convert && fileType.mime !== 'image/jpeg' && fileType.mime !== 'image/png') {
+      throw new WeComError(
+        -1,
+        `不支持的图片格式：${name} 的内容为 ${fileType.detected || '无法识别的格式'}，仅支持 ${SUPPORTED_IMAGE_FORMATS.join(', ')}`,
+        { file_type: fileType }
+      );
+    }
+
+    if (convert) {
+      image = await fitImage(imageBuffer, { maxBytes: FILE_SIZE_LIMITS.IMAGE });
+      imageBuffer = image.buffer;
+
+      // 转换后的格式与原文件扩展名不同时，审计记录中的名称随之更新
+      if (image.converted) {
+        name = `${basename(name, extname(name))}.${image.final.format === 'jpeg' ? 'jpg' : image.final.format}`;
+      }
+    } else if (imageBuffer.length > FILE_SIZE_LIMITS.IMAGE) {
+      throw new WeComError(-1, `图片大小超出限制：最大 ${FILE_SIZE_LIMITS.IMAGE / 1024 / 1024}MB`);
+    }
+
+    // 计算 MD5
+    const md5 = calculateMD5(imageBuffer);
+
+    // 转换为 Base64
+    const base64 = imageBuffer.toString('base64');
+
+    const result = await this.sendMessage('image', {
+      base64: base64,
+      md5: md5
+    }, {
+      file: { name, size: imageBuffer.length, md5 }
+    });
+
+    if (!image) {
+      return { ...result, file_type: fileType };
+    }
+
+    const { buffer, ...conversion } = image;
+    return { ...result, image: conversion, file_type: fileType };
+  }
+
   /**
    * 读取文件内容为 Buffer
    * 
+   * 配置了文件访问策略时先检查路径，并读取解析符号链接后的真实路径
+   * 
    * @param {string} filePath - 文件路径
    * @returns {Promise<Buffer>} 文件内容的 Buffer
+   * @throws {WeComError} 当路径被文件访问策略拒绝时
    * @throws {Error} 当文件读取失败时
    * 
    * @private
    */
   async _readFile(filePath) {
+    const path = this.fileSandbox ? await this.fileSandbox.resolve(filePath) : filePath;
+
     return new Promise((resolve, reject) => {
       const chunks = [];
-      const stream = createReadStream(filePath);
+      const stream = createReadStream(path);
 
       stream.on('data', chunk => chunks.push(chunk));
       stream.on('end', () => resolve(Buffer.concat(chunks)));
@@ -573,51 +1903,85 @@ export class WeComClient {
   }
 
   /**
-   * 根据文件扩展名获取 MIME 类型
+   * 校验语音文件格式和时长
    * 
-   * @param {string} filePath - 文件路径
-   * @returns {string} MIME 类型
+   * @param {Buffer} fileBuffer - 语音文件内容
+   * @param {import('./file-type.js').FileTypeInfo} fileType - 按内容识别的文件类型
+   * @returns {import('./amr.js').AmrInfo} AMR 解析结果
+   * @throws {WeComError} 当文件不是 AMR 格式或时长超出限制时
    * 
    * @private
    */
-  _getMimeType(filePath) {
-    const ext = extname(filePath).slice(1).toLowerCase();
-    
-    /** @type {Object.<string, string>} */
-    const mimeTypes = {
-      // 文档
-      'pdf': 'application/pdf',
-      'doc': 'application/msword',
-      'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'xls': 'application/vnd.ms-excel',
-      'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      'ppt': 'application/vnd.ms-powerpoint',
-      'pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-      // 文本
-      'txt': 'text/plain',
-      'csv': 'text/csv',
-      'md': 'text/markdown',
-      // 压缩文件
-      'zip': 'application/zip',
-      'rar': 'application/x-rar-compressed',
-      '7z': 'application/x-7z-compressed',
-      // 图片
-      'jpg': 'image/jpeg',
-      'jpeg': 'image/jpeg',
-      'png': 'image/png',
-      'gif': 'image/gif',
-      'webp': 'image/webp',
-      // 音频
-      'mp3': 'audio/mpeg',
-      'wav': 'audio/wav',
-      'amr': 'audio/amr',
-      // 视频
-      'mp4': 'video/mp4',
-      'avi': 'video/x-msvideo',
-      'mov': 'video/quicktime'
-    };
+  _validateVoice(fileBuffer, fileType) {
+    let voiceInfo;
+    try {
+      voiceInfo = parseAmr(fileBuffer);
+    } catch (error) {
+      // 内容是其他已知格式（例如扩展名改为 .amr 的 MP3）时直接指出，否则给出 AMR 解析错误
+      const reason = fileType.detected && fileType.detected !== 'amr' && fileType.detected !== 'awb'
+        ? `文件内容为 ${fileType.detected} 格式`
+        : error.message;
+      throw new WeComError(-1, `语音文件仅支持 AMR 格式：${reason}`, { file_type: fileType });
+    }
+
+    if (voiceInfo.duration > VOICE_MAX_DURATION) {
+      throw new WeComError(
+        -1,
+        `语音时长超出限制：当前 ${voiceInfo.duration} 秒，最长 ${VOICE_MAX_DURATION} 秒`,
+        voiceInfo
+      );
+    }
+
+    return voiceInfo;
+  }
+
+  /**
+   * 验证参数是否为字符串数组
+   * 
+   * @param {*} list - 待验证的参数
+   * @param {string} name - 参数名称（用于错误消息）
+   * @throws {WeComError} 当参数不是非空字符串组成的数组时
+   * 
+   * @private
+   */
+  _validateStringList(list, name) {
+    if (!Array.isArray(list)) {
+      throw new WeComError(-1, `${name} 参数必须是字符串数组`);
+    }
+
+    const invalidIndex = list.findIndex(item => !item || typeof item !== 'string');
+    if (invalidIndex !== -1) {
+      throw new WeComError(-1, `${name}[${invalidIndex}] 必须是非空字符串`);
+    }
+  }
+
+  /**
+   * 验证参数是否为 http/https 链接
+   * 
+   * @param {*} value - 待验证的参数
+   * @param {string} name - 参数名称（用于错误消息）
+   * @returns {string} 原始链接
+   * @throws {WeComError} 当参数不是有效的 http/https 链接时
+   * 
+   * @private
+   */
+  _validateHttpUrl(value, name) {
+    if (!value || typeof value !== 'string') {
+      throw new WeComError(-1, `${name} 不能为空且必须是字符串`);
+    }
+
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      throw new WeComError(-1, `${name} 不是有效的 URL：${value}`);
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new WeComError(-1, `${name} 仅支持 http 或 https 链接：${value}`);
+    }
 
-    return mimeTypes[ext] || 'application/octet-stream';
+    return value;
   }
 }
 
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview 广播工具的测试：多目标发送、部分失败和参数传递
+ */
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MockWeComServer, ServerContext, ToolHandler } from '../src/index.js';
+
+/**
+ * 解析工具结果中的 JSON 文本
+ * 
+ * @param {{content: Array<{text: string}>, isError?: boolean}} result - 工具结果
+ * @returns {Object} 解析后的结果
+ */
+const parseResult = result => JSON.parse(result.content[0].text);
+
+describe('broadcast', () => {
+  let dir;
+  let mock;
+  let context;
+
+  before(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'wecom-broadcast-'));
+    mock = new MockWeComServer({ keys: ['ops-key', 'dev-key'], rateLimit: false });
+    const { baseURL } = await mock.start();
+
+    context = new ServerContext({
+      bots: { bots: { ops: { key: 'ops-key' }, dev: { key: 'dev-key' } } },
+      baseURL,
+      retry: false,
+      auditLog: false,
+      mediaCache: false,
+      schedule: { file: join(dir, 'schedules.json') }
+    });
+  });
+
+  beforeEach(() => {
+    mock.reset();
+  });
+
+  after(async () => {
+    await mock.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('向每个机器人发送同一条消息', async () => {
+    const handler = new ToolHandler({ context });
+
+    const result = await handler.handle('broadcast', { bots: ['ops', 'dev', 'ops'], tool: 'send_text', arguments: { content: '发布完成' } });
+
+    assert.equal(result.isError, undefined);
+    assert.deepEqual(mock.messages.map(message => message.key).sort(), ['dev-key', 'ops-key']);
+    assert.ok(mock.messages.every(message => message.body.text.content === '发布完成'));
+    assert.equal(parseResult(result).succeeded, 2);
+  });
+
+  test('单个目标失败不影响其他目标', async () => {
+    const handler = new ToolHandler({ context });
+
+    const result = parseResult(await handler.handle('broadcast', {
+      bots: ['ops'],
+      webhook_keys: ['unknown-key'],
+      tool: 'send_text',
+      arguments: { content: '发布完成' }
+    }));
+
+    assert.equal(result.success, false);
+    assert.equal(result.succeeded, 1);
+    assert.equal(result.failed, 1);
+    assert.equal(mock.messages.length, 1);
+    assert.equal(result.results.find(item => !item.success).target.startsWith('key:'), true);
+  });
+
+  test('发送前校验全部目标，未配置的机器人不会导致部分发送', async () => {
+    const handler = new ToolHandler({ context });
+
+    const result = await handler.handle('broadcast', { bots: ['ops', 'missing'], tool: 'send_text', arguments: { content: '你好' } });
+
+    assert.equal(result.isError, true);
+    assert.equal(mock.messages.length, 0);
+  });
+
+  test('arguments 中的 rate_limit 和 dry_run 在顶层未指定时保留，顶层指定时覆盖', async () => {
+    const handler = new ToolHandler({ context });
+    const options = [];
+    const createClient = handler._createClient.bind(handler);
+    handler._createClient = args => {
+      options.push({ rate_limit: args.rate_limit, dry_run: args.dry_run });
+      return createClient(args);
+    };
+
+    await handler.handle('broadcast', { bots: ['ops'], tool: 'send_text', arguments: { content: '你好', rate_limit: 'fail_fast' } });
+    await handler.handle('broadcast', { bots: ['ops'], tool: 'send_text', rate_limit: 'wait', arguments: { content: '你好', rate_limit: 'fail_fast' } });
+
+    assert.deepEqual(options, [
+      { rate_limit: 'fail_fast', dry_run: undefined },
+      { rate_limit: 'wait', dry_run: undefined }
+    ]);
+  });
+});
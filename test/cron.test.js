@@ -0,0 +1,97 @@
+/**
+ * @fileoverview cron 表达式下一次触发时间的测试
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { nextCronTime, parseCron } from '../src/cron.js';
+
+/**
+ * 计算下一次触发时间并转换为 ISO 8601 字符串
+ * 
+ * @param {string} expression - cron 表达式
+ * @param {string} after - 起始时间（ISO 8601）
+ * @param {string} timeZone - 时区名称
+ * @returns {string} 下一次触发时间（ISO 8601）
+ */
+function next(expression, after, timeZone) {
+  return new Date(nextCronTime(expression, Date.parse(after), timeZone)).toISOString();
+}
+
+describe('nextCronTime', () => {
+  test('按指定时区计算本地时间', () => {
+    assert.equal(next('0 9 * * *', '2024-06-01T00:00:00Z', 'Asia/Shanghai'), '2024-06-01T01:00:00.000Z');
+    assert.equal(next('0 9 * * *', '2024-06-01T01:00:00Z', 'Asia/Shanghai'), '2024-06-02T01:00:00.000Z');
+  });
+
+  test('结果严格晚于起始时间', () => {
+    assert.equal(next('30 9 * * *', '2024-06-01T09:30:00Z', 'UTC'), '2024-06-02T09:30:00.000Z');
+    assert.equal(next('30 9 * * *', '2024-06-01T09:29:59Z', 'UTC'), '2024-06-01T09:30:00.000Z');
+  });
+
+  test('日和周同时受限时满足任一即触发', () => {
+    // 2024-09-06 是周五，2024-09-13 是周五且为 13 日
+    assert.equal(next('0 9 13 * 5', '2024-09-01T00:00:00Z', 'UTC'), '2024-09-06T09:00:00.000Z');
+    assert.equal(next('0 9 13 * 5', '2024-09-06T10:00:00Z', 'UTC'), '2024-09-13T09:00:00.000Z');
+    // 2024-10-13 是周日，只因日字段匹配
+    assert.equal(next('0 9 13 * 5', '2024-10-11T10:00:00Z', 'UTC'), '2024-10-13T09:00:00.000Z');
+  });
+
+  test('只有日或周受限时按受限字段匹配', () => {
+    assert.equal(next('0 9 * * FRI', '2024-09-07T00:00:00Z', 'UTC'), '2024-09-13T09:00:00.000Z');
+    assert.equal(next('0 9 1 * *', '2024-09-02T00:00:00Z', 'UTC'), '2024-10-01T09:00:00.000Z');
+    assert.equal(next('0 0 * * 7', '2024-09-02T00:00:00Z', 'UTC'), '2024-09-08T00:00:00.000Z');
+  });
+
+  test('2 月 29 日在闰年触发', () => {
+    assert.equal(next('0 0 29 2 *', '2025-01-01T00:00:00Z', 'UTC'), '2028-02-29T00:00:00.000Z');
+  });
+
+  test('永远不会触发的表达式抛出错误', () => {
+    assert.throws(() => next('0 0 30 2 *', '2024-01-01T00:00:00Z', 'UTC'), /不会触发/);
+  });
+
+  describe('夏令时', () => {
+    const timeZone = 'America/New_York';
+
+    test('夏令时开始前后按本地时间计算', () => {
+      // 2024-03-10 02:00 EST 调整为 03:00 EDT
+      assert.equal(next('0 9 * * *', '2024-03-09T15:00:00Z', timeZone), '2024-03-10T13:00:00.000Z');
+      assert.equal(next('0 9 * * *', '2024-03-08T15:00:00Z', timeZone), '2024-03-09T14:00:00.000Z');
+    });
+
+    test('夏令时开始时跳过不存在的本地时间', () => {
+      assert.equal(next('30 2 * * *', '2024-03-09T12:00:00Z', timeZone), '2024-03-11T06:30:00.000Z');
+    });
+
+    test('夏令时结束时重复的本地时间只触发一次', () => {
+      // 2024-11-03 02:00 EDT 调整为 01:00 EST，01:30 出现两次
+      const first = next('30 1 * * *', '2024-11-03T03:00:00Z', timeZone);
+      assert.equal(first, '2024-11-03T05:30:00.000Z');
+      assert.equal(next('30 1 * * *', first, timeZone), '2024-11-04T06:30:00.000Z');
+    });
+
+    test('时字段为 * 的任务在回拨时段照常触发', () => {
+      const fired = [];
+      let after = '2024-11-03T05:50:00Z';
+      for (let i = 0; i < 3; i++) {
+        after = next('*/15 * * * *', after, timeZone);
+        fired.push(after);
+      }
+      assert.deepEqual(fired, ['2024-11-03T06:00:00.000Z', '2024-11-03T06:15:00.000Z', '2024-11-03T06:30:00.000Z']);
+    });
+  });
+});
+
+describe('parseCron', () => {
+  test('支持简写、名称和步长', () => {
+    const schedule = parseCron('@weekly');
+    assert.deepEqual([...schedule.weekday], [0]);
+    assert.deepEqual([...parseCron('*/20 9-17/4 * JAN,JUL MON-FRI').hour], [9, 13, 17]);
+  });
+
+  test('格式错误时抛出错误', () => {
+    assert.throws(() => parseCron('0 9 * *'), /5 段/);
+    assert.throws(() => parseCron('60 9 * * *'));
+  });
+});
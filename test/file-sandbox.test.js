@@ -0,0 +1,110 @@
+/**
+ * @fileoverview 本地文件访问策略的测试
+ */
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, symlinkSync, rmSync, realpathSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { FileSandbox, FILE_POLICY } from '../src/file-sandbox.js';
+
+/**
+ * 断言路径被策略拒绝
+ * 
+ * @param {Promise<string>} promise - FileSandbox.resolve 的结果
+ * @param {string} policy - 期望的拒绝原因
+ * @returns {Promise<void>}
+ */
+const rejectsWith = (promise, policy) => assert.rejects(promise, error => {
+  assert.equal(error.name, 'WeComError');
+  assert.equal(error.data.policy, policy);
+  return true;
+});
+
+describe('FileSandbox.resolve', () => {
+  let dir;
+  let root;
+
+  before(() => {
+    dir = realpathSync(mkdtempSync(join(tmpdir(), 'wecom-sandbox-')));
+    root = join(dir, 'reports');
+    mkdirSync(join(root, 'nested'), { recursive: true });
+    mkdirSync(join(dir, 'data', 'outbox'), { recursive: true });
+
+    writeFileSync(join(root, 'weekly.md'), '# 周报');
+    writeFileSync(join(root, 'nested', 'daily.md'), '# 日报');
+    writeFileSync(join(root, '.env'), 'WECOM_WEBHOOK_KEY=secret');
+    writeFileSync(join(root, 'server.pem'), 'key');
+    writeFileSync(join(dir, 'outside.md'), '# 外部');
+    writeFileSync(join(dir, 'data', 'bots.json'), '{}');
+    writeFileSync(join(dir, 'data', 'audit.jsonl.1'), '{}');
+    writeFileSync(join(dir, 'data', 'outbox', 'outbox.jsonl'), '{}');
+
+    symlinkSync(join(root, '.env'), join(root, 'innocent.txt'));
+    symlinkSync(join(dir, 'outside.md'), join(root, 'escape.md'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('允许读取根目录内的文件并返回真实路径', async () => {
+    const sandbox = new FileSandbox({ roots: [root], baseDir: root });
+
+    assert.equal(await sandbox.resolve('weekly.md'), join(root, 'weekly.md'));
+    assert.equal(await sandbox.resolve(join(root, 'nested', 'daily.md')), join(root, 'nested', 'daily.md'));
+  });
+
+  test('拒绝根目录外的文件，包括 .. 和符号链接', async () => {
+    const sandbox = new FileSandbox({ roots: [root], baseDir: root });
+
+    await rejectsWith(sandbox.resolve('../outside.md'), FILE_POLICY.ROOTS);
+    await rejectsWith(sandbox.resolve('escape.md'), FILE_POLICY.ROOTS);
+  });
+
+  test('未配置根目录时不限制目录', async () => {
+    const sandbox = new FileSandbox({ baseDir: root });
+
+    assert.equal(await sandbox.resolve('../outside.md'), join(dir, 'outside.md'));
+  });
+
+  test('拒绝匹配默认禁止模式的文件，包括指向它们的符号链接', async () => {
+    const sandbox = new FileSandbox({ baseDir: root });
+
+    await rejectsWith(sandbox.resolve('.env'), FILE_POLICY.DENY);
+    await rejectsWith(sandbox.resolve('server.pem'), FILE_POLICY.DENY);
+    await rejectsWith(sandbox.resolve('innocent.txt'), FILE_POLICY.DENY);
+  });
+
+  test('自定义禁止模式替换默认列表', async () => {
+    const sandbox = new FileSandbox({ baseDir: root, deny: ['**/weekly.md'] });
+
+    await rejectsWith(sandbox.resolve('weekly.md'), FILE_POLICY.DENY);
+    assert.equal(await sandbox.resolve('server.pem'), join(root, 'server.pem'));
+  });
+
+  test('拒绝服务的配置文件、轮转文件和数据目录', async () => {
+    const sandbox = new FileSandbox({ baseDir: dir });
+    sandbox.protect({
+      files: [join(dir, 'data', 'bots.json'), join(dir, 'data', 'audit.jsonl')],
+      dirs: [join(dir, 'data', 'outbox')]
+    });
+
+    await rejectsWith(sandbox.resolve('data/bots.json'), FILE_POLICY.PROTECTED);
+    await rejectsWith(sandbox.resolve('data/audit.jsonl.1'), FILE_POLICY.PROTECTED);
+    await rejectsWith(sandbox.resolve('data/outbox/outbox.jsonl'), FILE_POLICY.PROTECTED);
+  });
+
+  test('拒绝 /proc 下的文件', { skip: process.platform !== 'linux' }, async () => {
+    const sandbox = new FileSandbox();
+
+    await rejectsWith(sandbox.resolve('/proc/self/environ'), FILE_POLICY.DENY);
+  });
+
+  test('文件不存在时抛出 ENOENT', async () => {
+    const sandbox = new FileSandbox({ roots: [root], baseDir: root });
+
+    await assert.rejects(sandbox.resolve('missing.md'), { code: 'ENOENT' });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview 按文件内容识别文件类型（detectFileType、inspectFileType）的测试
+ */
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { mkdtempSync, writeFileSync, rmSync, realpathSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MockWeComServer, ServerContext, ToolHandler } from '../src/index.js';
+import { detectFileType, inspectFileType, getMimeTypeByExtension } from '../src/file-type.js';
+
+/**
+ * 解析工具结果中的 JSON 文本
+ * 
+ * @param {{content: Array<{text: string}>, isError?: boolean}} result - 工具结果
+ * @returns {Object} 解析后的结果
+ */
+const parseResult = result => JSON.parse(result.content[0].text);
+
+/**
+ * 拼接文件内容
+ * 
+ * @param {...(string|number[]|Buffer)} parts - 字符串按 latin1 编码，数组按字节
+ * @returns {Buffer} 文件内容
+ */
+const bytes = (...parts) => Buffer.concat(parts.map(part => (typeof part === 'string' ? Buffer.from(part, 'latin1') : Buffer.from(part))));
+
+/**
+ * 各格式的最小样本
+ * @type {Object.<string, Buffer>}
+ */
+const SAMPLES = {
+  png: bytes([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], Buffer.alloc(24)),
+  jpeg: bytes([0xff, 0xd8, 0xff, 0xe0], Buffer.alloc(16)),
+  pdf: bytes('%PDF-1.7\n', Buffer.alloc(16)),
+  docx: bytes([0x50, 0x4b, 0x03, 0x04], Buffer.alloc(26), '[Content_Types].xml', Buffer.alloc(8), 'word/document.xml'),
+  zip: bytes([0x50, 0x4b, 0x03, 0x04], Buffer.alloc(26), 'notes.txt'),
+  xls: bytes([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1], Buffer.alloc(64), Buffer.from('Workbook', 'utf16le')),
+  gz: bytes([0x1f, 0x8b, 0x08], Buffer.alloc(16)),
+  tar: bytes(Buffer.alloc(257), 'ustar', Buffer.alloc(250)),
+  amr: bytes('#!AMR\n', Buffer.alloc(32)),
+  wav: bytes('RIFF', Buffer.alloc(4), 'WAVE', Buffer.alloc(16)),
+  mp4: bytes(Buffer.from([0, 0, 0, 0x18]), 'ftypisom', Buffer.alloc(16)),
+  m4a: bytes(Buffer.from([0, 0, 0, 0x18]), 'ftypM4A ', Buffer.alloc(16)),
+  mp3: bytes('ID3', [0x03, 0x00], Buffer.alloc(16)),
+  aac: bytes([0xff, 0xf1, 0x50, 0x80], Buffer.alloc(16))
+};
+
+describe('detectFileType', () => {
+  test('按文件头魔数识别常见格式', () => {
+    for (const [ext, buffer] of Object.entries(SAMPLES)) {
+      assert.equal(detectFileType(buffer)?.ext, ext, ext);
+    }
+  });
+
+  test('UTF-8 和带 BOM 的 UTF-16 识别为文本，截断的多字节字符不影响判断', () => {
+    const utf8 = Buffer.from('部署完成，版本 v2.0');
+
+    assert.equal(detectFileType(utf8).category, 'text');
+    assert.equal(detectFileType(utf8.subarray(0, utf8.length - 1)).category, 'text');
+    assert.equal(detectFileType(bytes([0xff, 0xfe], Buffer.from('hi', 'utf16le'))).category, 'text');
+  });
+
+  test('无法识别的二进制内容返回 null', () => {
+    assert.equal(detectFileType(bytes([0x00, 0x01, 0x02, 0xfe, 0x80])), null);
+    assert.equal(detectFileType(Buffer.alloc(0))?.category, 'text');
+  });
+});
+
+describe('inspectFileType', () => {
+  test('扩展名与内容相符时使用内容识别出的 MIME 类型', () => {
+    assert.deepEqual(inspectFileType(SAMPLES.pdf, 'report.PDF'), {
+      extension: 'pdf',
+      detected: 'pdf',
+      category: 'document',
+      mime: 'application/pdf',
+      mismatch: false
+    });
+  });
+
+  test('扩展名与内容不符时给出警告，MIME 类型以内容为准', () => {
+    const info = inspectFileType(SAMPLES.jpeg, 'photo.png');
+
+    assert.equal(info.mismatch, true);
+    assert.equal(info.mime, 'image/jpeg');
+    assert.match(info.warning, /扩展名 \.png 与文件内容（jpeg 格式）不符/);
+  });
+
+  test('文本内容使用扩展名对应的类型，未知扩展名和无法识别的内容不做判断', () => {
+    assert.equal(inspectFileType(Buffer.from('a,b\n1,2'), 'data.csv').mime, 'text/csv');
+    assert.equal(inspectFileType(Buffer.from('# 标题'), 'README.md').mime, 'text/markdown');
+    assert.equal(inspectFileType(SAMPLES.pdf, 'export.dat').mismatch, false);
+    assert.equal(inspectFileType(bytes([0x00, 0x01, 0x02]), 'report.pdf').mismatch, false);
+  });
+
+  test('没有扩展名时，二进制内容视为不符，文本内容不视为不符', () => {
+    assert.equal(inspectFileType(SAMPLES.zip, 'archive').mismatch, true);
+    assert.match(inspectFileType(SAMPLES.zip, 'archive').warning, /没有扩展名/);
+    assert.equal(inspectFileType(Buffer.from('hello'), 'NOTES').mismatch, false);
+  });
+
+  test('一种内容对应多个扩展名', () => {
+    assert.equal(inspectFileType(SAMPLES.gz, 'backup.tgz').mismatch, false);
+    assert.equal(inspectFileType(SAMPLES.xls, 'budget.et').mismatch, false);
+    assert.equal(inspectFileType(SAMPLES.docx, 'contract.zip').mismatch, true);
+  });
+
+  test('getMimeTypeByExtension 按扩展名查找', () => {
+    assert.equal(getMimeTypeByExtension('/tmp/a.XLSX'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    assert.equal(getMimeTypeByExtension('a.unknown'), null);
+  });
+});
+
+describe('发送时按内容识别类型', () => {
+  let dir;
+  let mock;
+  let handler;
+
+  before(async () => {
+    dir = realpathSync(mkdtempSync(join(tmpdir(), 'wecom-file-type-')));
+    mock = new MockWeComServer({ keys: ['type-key'], rateLimit: false });
+    const { baseURL } = await mock.start();
+    handler = new ToolHandler({
+      context: new ServerContext({
+        webhookKey: 'type-key',
+        baseURL,
+        retry: false,
+        auditLog: false,
+        mediaCache: false,
+        fileAccess: { roots: [dir], baseDir: dir }
+      })
+    });
+
+    writeFileSync(join(dir, 'report.txt'), SAMPLES.pdf);
+    writeFileSync(join(dir, 'photo.jpg'), SAMPLES.pdf);
+  });
+
+  beforeEach(() => {
+    mock.reset();
+  });
+
+  after(async () => {
+    await mock.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('send_file 按内容设置 Content-Type，结果中标记扩展名不符', async () => {
+    const result = parseResult(await handler.handle('send_file', { file_path: 'report.txt' }));
+
+    assert.equal(mock.uploads[0].content_type, 'application/pdf');
+    assert.equal(result.upload.file_type.mismatch, true);
+    assert.equal(result.upload.file_type.detected, 'pdf');
+  });
+
+  test('send_image 拒绝扩展名为图片但内容不是图片的文件', async () => {
+    const result = await handler.handle('send_image', { image_path: 'photo.jpg', convert: false });
+
+    assert.equal(result.isError, true);
+    assert.match(parseResult(result).message, /photo\.jpg 的内容为 pdf/);
+    assert.equal(mock.messages.length, 0);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview 审计日志查询和发送历史（query_history）的测试
+ */
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MockWeComServer, ServerContext, ToolHandler } from '../src/index.js';
+import { AuditLog } from '../src/audit-log.js';
+
+/**
+ * 解析工具结果中的 JSON 文本
+ * 
+ * @param {{content: Array<{text: string}>, isError?: boolean}} result - 工具结果
+ * @returns {Object} 解析后的结果
+ */
+const parseResult = result => JSON.parse(result.content[0].text);
+
+describe('AuditLog.query', () => {
+  let dir;
+  let audit;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'wecom-audit-'));
+    audit = new AuditLog({ file: join(dir, 'audit.jsonl'), maxBytes: 400, maxFiles: 5 });
+
+    const start = Date.parse('2026-01-01T00:00:00Z');
+    for (let i = 0; i < 10; i++) {
+      audit.append({
+        timestamp: new Date(start + i * 60000).toISOString(),
+        bot: i % 2 === 0 ? 'ops' : 'dev',
+        msgtype: 'text',
+        success: i !== 4,
+        client: i < 5 ? { principal: 'alice' } : {}
+      });
+    }
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('跨轮转文件按时间从新到旧返回', async () => {
+    const { entries, truncated } = await audit.query({ limit: 3 });
+
+    assert.deepEqual(entries.map(entry => entry.timestamp.slice(11, 16)), ['00:09', '00:08', '00:07']);
+    assert.equal(truncated, true);
+    assert.equal((await audit.query({ limit: 100 })).entries.length, 10);
+  });
+
+  test('按机器人、状态和时间范围过滤', async () => {
+    const { entries } = await audit.query({
+      bot: 'ops',
+      status: 'success',
+      since: Date.parse('2026-01-01T00:02:00Z'),
+      until: Date.parse('2026-01-01T00:08:00Z')
+    });
+
+    assert.deepEqual(entries.map(entry => entry.timestamp.slice(11, 16)), ['00:08', '00:06', '00:02']);
+  });
+
+  test('按调用方过滤，null 只匹配未记录调用方的记录', async () => {
+    const alice = await audit.query({ principal: 'alice' });
+    const anonymous = await audit.query({ principal: null });
+
+    assert.equal(alice.entries.length, 5);
+    assert.ok(alice.entries.every(entry => entry.client.principal === 'alice'));
+    assert.equal(anonymous.entries.length, 5);
+    assert.ok(anonymous.entries.every(entry => entry.client.principal === undefined));
+  });
+});
+
+describe('query_history', () => {
+  let dir;
+  let mock;
+  let context;
+
+  before(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'wecom-history-'));
+    mock = new MockWeComServer({ keys: ['history-key'], rateLimit: false });
+    const { baseURL } = await mock.start();
+    context = new ServerContext({
+      webhookKey: 'history-key',
+      baseURL,
+      retry: false,
+      mediaCache: false,
+      auditLog: { file: join(dir, 'audit.jsonl') }
+    });
+  });
+
+  after(async () => {
+    await mock.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('只返回当前调用方发送的记录', async () => {
+    const alice = new ToolHandler({ context, principal: 'alice' });
+    const bob = new ToolHandler({ context, principal: 'bob' });
+    const local = new ToolHandler({ context });
+
+    await alice.handle('send_text', { content: 'from alice' });
+    await bob.handle('send_text', { content: 'from bob 1' });
+    await bob.handle('send_text', { content: 'from bob 2' });
+    await local.handle('send_text', { content: 'from stdio' });
+
+    const aliceHistory = parseResult(await alice.handle('query_history', {}));
+    const bobHistory = parseResult(await bob.handle('query_history', {}));
+    const localHistory = parseResult(await local.handle('query_history', {}));
+
+    assert.equal(aliceHistory.total, 1);
+    assert.equal(aliceHistory.entries[0].client.principal, 'alice');
+    assert.equal(bobHistory.total, 2);
+    assert.ok(bobHistory.entries.every(entry => entry.client.principal === 'bob'));
+    assert.equal(localHistory.total, 1);
+    assert.equal(localHistory.entries[0].client.principal, undefined);
+  });
+
+  test('校验 status、limit 和时间参数', async () => {
+    const handler = new ToolHandler({ context });
+
+    assert.match(parseResult(await handler.handle('query_history', { status: 'ok' })).message, /status/);
+    assert.match(parseResult(await handler.handle('query_history', { limit: 0 })).message, /limit/);
+    assert.match(parseResult(await handler.handle('query_history', { since: 'yesterday' })).message, /since/);
+  });
+
+  test('审计日志关闭时返回错误', async () => {
+    const handler = new ToolHandler({ context: new ServerContext({ webhookKey: 'history-key', auditLog: false, mediaCache: false }) });
+    const result = await handler.handle('query_history', {});
+
+    assert.equal(result.isError, true);
+    assert.match(parseResult(result).message, /审计日志未启用/);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview HTTP 传输层的测试：Token 认证、会话归属、Host / Origin 校验和请求 ID 冲突
+ */
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { request as httpRequest } from 'http';
+import { HttpTransport, parseClientTokens } from '../src/http-transport.js';
+
+/**
+ * 发送 HTTP 请求
+ * 
+ * @param {number} port - 服务端口
+ * @param {Object} options - 请求选项
+ * @param {string} [options.method='POST'] - 请求方法
+ * @param {string} [options.path='/mcp'] - 请求路径
+ * @param {Object.<string, string>} [options.headers] - 请求头
+ * @param {*} [options.body] - 请求体，序列化为 JSON
+ * @returns {Promise<{status: number, headers: Object, body: *}>} 响应
+ */
+function send(port, { method = 'POST', path = '/mcp', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = httpRequest({
+      host: '127.0.0.1',
+      port,
+      method,
+      path,
+      headers: { host: `127.0.0.1:${port}`, 'content-type': 'application/json', ...headers }
+    }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        resolve({ status: res.statusCode, headers: res.headers, body: text ? JSON.parse(text) : null });
+      });
+    });
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : JSON.stringify(body));
+  });
+}
+
+/**
+ * 创建测试用的会话处理器：原样返回请求方法，method 为 slow 时等待 release 后再响应
+ * 
+ * @param {{output: function(string): void}} options - 会话选项
+ * @returns {Object} 会话处理器
+ */
+function echoSession({ output }) {
+  return {
+    async handleMessage(message) {
+      if (message.method === 'slow') {
+        await new Promise(resolve => {
+          echoSession.release = resolve;
+        });
+      }
+      if (message.id !== undefined) {
+        output(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: { method: message.method } }));
+      }
+    }
+  };
+}
+
+const INITIALIZE = { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} };
+
+describe('HttpTransport', () => {
+  let transport;
+  let port;
+
+  const alice = { authorization: 'Bearer token-a' };
+  const bob = { authorization: 'Bearer token-b' };
+
+  /**
+   * 以指定客户端初始化会话
+   * 
+   * @param {Object} auth - 认证请求头
+   * @returns {Promise<string>} 会话 ID
+   */
+  const initialize = async auth => (await send(port, { headers: auth, body: INITIALIZE })).headers['mcp-session-id'];
+
+  before(async () => {
+    transport = new HttpTransport({
+      port: 0,
+      clients: parseClientTokens('{"token-a": "alice", "token-b": {"name": "bob"}}'),
+      allowedOrigins: ['https://console.example.com'],
+      allowedHosts: ['mcp.example.com'],
+      createSession: echoSession
+    });
+    ({ port } = await transport.start());
+  });
+
+  after(async () => {
+    await transport.close();
+  });
+
+  test('健康检查无需认证', async () => {
+    const { status, body } = await send(port, { method: 'GET', path: '/health' });
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'ok');
+  });
+
+  test('缺少或无效的 Token 返回 401', async () => {
+    const missing = await send(port, { body: INITIALIZE });
+    const invalid = await send(port, { headers: { authorization: 'Bearer nope' }, body: INITIALIZE });
+
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers['www-authenticate'], 'Bearer');
+    assert.equal(invalid.status, 401);
+  });
+
+  test('initialize 创建会话，后续请求通过会话 ID 路由', async () => {
+    const sessionId = await initialize(alice);
+    const { status, body } = await send(port, {
+      headers: { ...alice, 'mcp-session-id': sessionId },
+      body: { jsonrpc: '2.0', id: 2, method: 'tools/list' }
+    });
+
+    assert.ok(sessionId);
+    assert.equal(status, 200);
+    assert.deepEqual(body, { jsonrpc: '2.0', id: 2, result: { method: 'tools/list' } });
+  });
+
+  test('会话只能由创建它的客户端使用', async () => {
+    const sessionId = await initialize(alice);
+    const { status } = await send(port, {
+      headers: { ...bob, 'mcp-session-id': sessionId },
+      body: { jsonrpc: '2.0', id: 2, method: 'tools/list' }
+    });
+
+    assert.equal(status, 404);
+  });
+
+  test('拒绝不是监听地址或允许主机名的 Host', async () => {
+    const rebound = await send(port, { headers: { ...alice, host: `evil.example.com:${port}` }, body: INITIALIZE });
+    const localhost = await send(port, { headers: { ...alice, host: `localhost:${port}` }, body: INITIALIZE });
+    const proxied = await send(port, { headers: { ...alice, host: 'MCP.example.com' }, body: INITIALIZE });
+
+    assert.equal(rebound.status, 403);
+    assert.equal(localhost.status, 200);
+    assert.equal(proxied.status, 200);
+  });
+
+  test('拒绝不在允许列表中的 Origin', async () => {
+    const denied = await send(port, { headers: { ...alice, origin: 'https://evil.example.com' }, body: INITIALIZE });
+    const allowed = await send(port, { headers: { ...alice, origin: 'https://console.example.com' }, body: INITIALIZE });
+
+    assert.equal(denied.status, 403);
+    assert.equal(allowed.status, 200);
+  });
+
+  test('同一批次中重复的请求 ID 返回 409', async () => {
+    const sessionId = await initialize(alice);
+    const { status } = await send(port, {
+      headers: { ...alice, 'mcp-session-id': sessionId },
+      body: [
+        { jsonrpc: '2.0', id: 7, method: 'tools/list' },
+        { jsonrpc: '2.0', id: 7, method: 'prompts/list' }
+      ]
+    });
+
+    assert.equal(status, 409);
+  });
+
+  test('与进行中的请求 ID 重复时返回 409，不影响进行中的请求', async () => {
+    const sessionId = await initialize(alice);
+    const headers = { ...alice, 'mcp-session-id': sessionId };
+
+    const slow = send(port, { headers, body: { jsonrpc: '2.0', id: 'x', method: 'slow' } });
+    while (!echoSession.release) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    const duplicate = await send(port, { headers, body: { jsonrpc: '2.0', id: 'x', method: 'tools/list' } });
+    echoSession.release();
+    const first = await slow;
+
+    assert.equal(duplicate.status, 409);
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.result, { method: 'slow' });
+  });
+});
+
+describe('HttpTransport 监听通配地址', () => {
+  test('未配置允许的主机名时不校验 Host', async () => {
+    const transport = new HttpTransport({ port: 0, host: '0.0.0.0', createSession: echoSession });
+    const { port } = await transport.start();
+
+    try {
+      const { status } = await send(port, { headers: { host: 'any.example.com' }, body: INITIALIZE });
+      assert.equal(status, 200);
+    } finally {
+      await transport.close();
+    }
+  });
+});
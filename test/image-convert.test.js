@@ -0,0 +1,217 @@
+/**
+ * @fileoverview 图片格式识别、转换和压缩的测试
+ * @description 转换相关的测试依赖可选依赖 jpeg-js、pngjs、omggif，未安装时跳过
+ */
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { mkdtempSync, writeFileSync, rmSync, realpathSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MockWeComServer, ServerContext, ToolHandler } from '../src/index.js';
+import { detectImageFormat, readImageSize, fitImage } from '../src/image-convert.js';
+
+/**
+ * 可选的编解码依赖，未安装时为 null
+ * @type {{jpeg: Object, PNG: Function, GifWriter: Function}|null}
+ */
+const codecs = await Promise.all([import('jpeg-js'), import('pngjs'), import('omggif')])
+  .then(([jpeg, png, gif]) => ({ jpeg: jpeg.default, PNG: png.default.PNG, GifWriter: gif.default.GifWriter }))
+  .catch(() => null);
+
+/**
+ * 未安装编解码依赖时的跳过原因
+ * @type {string|false}
+ */
+const skipWithoutCodecs = !codecs && '未安装可选依赖 jpeg-js、pngjs、omggif';
+
+/**
+ * 解析工具结果中的 JSON 文本
+ * 
+ * @param {{content: Array<{text: string}>, isError?: boolean}} result - 工具结果
+ * @returns {Object} 解析后的结果
+ */
+const parseResult = result => JSON.parse(result.content[0].text);
+
+/**
+ * 生成固定种子的伪随机 RGBA 像素（噪点图片难以压缩，用于测试缩小尺寸）
+ * 
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @returns {Buffer} 像素数据
+ */
+function noise(width, height) {
+  const data = Buffer.alloc(width * height * 4);
+  let seed = 42;
+  for (let i = 0; i < data.length; i += 4) {
+    for (let c = 0; c < 3; c++) {
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      data[i + c] = seed >> 16;
+    }
+    data[i + 3] = 255;
+  }
+  return data;
+}
+
+/**
+ * 编码 PNG 图片
+ * 
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @param {Buffer} data - RGBA 像素数据
+ * @returns {Buffer} PNG 文件内容
+ */
+function png(width, height, data) {
+  const image = new codecs.PNG({ width, height });
+  data.copy(image.data);
+  return codecs.PNG.sync.write(image);
+}
+
+/**
+ * 生成未压缩的 24 位 BMP（从下到上存储）
+ * 
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @returns {Buffer} BMP 文件内容
+ */
+function bmp(width, height) {
+  const rowSize = Math.ceil((width * 3) / 4) * 4;
+  const buffer = Buffer.alloc(54 + rowSize * height);
+  buffer.write('BM', 0, 'latin1');
+  buffer.writeUInt32LE(buffer.length, 2);
+  buffer.writeUInt32LE(54, 10);
+  buffer.writeUInt32LE(40, 14);
+  buffer.writeInt32LE(width, 18);
+  buffer.writeInt32LE(height, 22);
+  buffer.writeUInt16LE(1, 26);
+  buffer.writeUInt16LE(24, 28);
+  buffer.fill(0x80, 54);
+  return buffer;
+}
+
+/**
+ * 生成双色 GIF
+ * 
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @param {number} frames - 帧数
+ * @returns {Buffer} GIF 文件内容
+ */
+function gif(width, height, frames) {
+  const buffer = Buffer.alloc(1024 + width * height * frames * 2);
+  const writer = new codecs.GifWriter(buffer, width, height, { palette: [0xff0000, 0x00ff00] });
+  for (let i = 0; i < frames; i++) {
+    writer.addFrame(0, 0, width, height, Array.from({ length: width * height }, (_, p) => (p + i) % 2));
+  }
+  return buffer.subarray(0, writer.end());
+}
+
+describe('detectImageFormat / readImageSize', () => {
+  test('按文件头魔数识别格式，与扩展名无关', () => {
+    const pngHeader = Buffer.from('89504e470d0a1a0a', 'hex');
+
+    assert.equal(detectImageFormat(pngHeader), 'png');
+    assert.equal(detectImageFormat(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), 'jpeg');
+    assert.equal(detectImageFormat(Buffer.from('GIF89a')), 'gif');
+    assert.equal(detectImageFormat(Buffer.from('RIFF\0\0\0\0WEBPVP8 ')), 'webp');
+    assert.equal(detectImageFormat(bmp(1, 1)), 'bmp');
+    assert.equal(detectImageFormat(Buffer.from('not an image')), null);
+  });
+
+  test('从文件头读取尺寸', { skip: skipWithoutCodecs }, () => {
+    const jpeg = codecs.jpeg.encode({ width: 7, height: 5, data: noise(7, 5) }, 80).data;
+
+    assert.deepEqual(readImageSize(png(3, 2, noise(3, 2)), 'png'), { width: 3, height: 2 });
+    assert.deepEqual(readImageSize(jpeg, 'jpeg'), { width: 7, height: 5 });
+    assert.deepEqual(readImageSize(gif(4, 3, 1), 'gif'), { width: 4, height: 3 });
+    assert.deepEqual(readImageSize(bmp(6, 4), 'bmp'), { width: 6, height: 4 });
+  });
+});
+
+describe('fitImage', () => {
+  test('拒绝 WebP、无法识别的格式和像素过多的图片', async () => {
+    const huge = Buffer.alloc(64);
+    Buffer.from('89504e470d0a1a0a', 'hex').copy(huge);
+    huge.writeUInt32BE(10000, 16);
+    huge.writeUInt32BE(10000, 20);
+
+    await assert.rejects(fitImage(Buffer.from('RIFF\0\0\0\0WEBPVP8 '), { maxBytes: 1024 }), /WebP/);
+    await assert.rejects(fitImage(Buffer.from('not an image'), { maxBytes: 1024 }), /无法识别的图片格式/);
+    await assert.rejects(fitImage(huge, { maxBytes: 16 }), /图片尺寸过大：10000x10000/);
+  });
+
+  test('未超出限制的 PNG 原样返回', { skip: skipWithoutCodecs }, async () => {
+    const original = png(8, 8, noise(8, 8));
+    const result = await fitImage(original, { maxBytes: 1024 * 1024 });
+
+    assert.equal(result.converted, false);
+    assert.equal(result.buffer, original);
+  });
+
+  test('BMP 转换为 PNG', { skip: skipWithoutCodecs }, async () => {
+    const result = await fitImage(bmp(20, 10), { maxBytes: 1024 * 1024 });
+
+    assert.equal(result.converted, true);
+    assert.equal(detectImageFormat(result.buffer), 'png');
+    assert.deepEqual(result.final, { format: 'png', width: 20, height: 10, size: result.buffer.length });
+  });
+
+  test('多帧 GIF 只保留第一帧', { skip: skipWithoutCodecs }, async () => {
+    const result = await fitImage(gif(10, 10, 3), { maxBytes: 1024 * 1024 });
+
+    assert.equal(result.original.format, 'gif');
+    assert.equal(result.first_frame_only, true);
+    assert.ok(['png', 'jpeg'].includes(detectImageFormat(result.buffer)));
+  });
+
+  test('超出限制时降低质量并缩小尺寸直至满足限制', { skip: skipWithoutCodecs }, async () => {
+    const original = png(300, 300, noise(300, 300));
+    const maxBytes = 30 * 1024;
+    const result = await fitImage(original, { maxBytes });
+
+    assert.ok(original.length > maxBytes);
+    assert.equal(result.converted, true);
+    assert.equal(result.final.format, 'jpeg');
+    assert.ok(result.buffer.length <= maxBytes, `${result.buffer.length} 字节`);
+    assert.ok(result.final.width < 300);
+    assert.equal(result.final.width, result.final.height);
+  });
+});
+
+describe('send_image 转换', { skip: skipWithoutCodecs }, () => {
+  let dir;
+  let mock;
+  let handler;
+
+  before(async () => {
+    dir = realpathSync(mkdtempSync(join(tmpdir(), 'wecom-image-')));
+    mock = new MockWeComServer({ keys: ['image-key'], rateLimit: false });
+    const { baseURL } = await mock.start();
+    handler = new ToolHandler({
+      context: new ServerContext({
+        webhookKey: 'image-key',
+        baseURL,
+        retry: false,
+        auditLog: false,
+        mediaCache: false,
+        fileAccess: { roots: [dir], baseDir: dir }
+      })
+    });
+
+    writeFileSync(join(dir, 'diagram.bmp'), bmp(16, 16));
+  });
+
+  after(async () => {
+    await mock.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('BMP 图片转换后发送，结果包含原图和最终图片信息', async () => {
+    const result = parseResult(await handler.handle('send_image', { image_path: 'diagram.bmp', convert: true }));
+    const sent = Buffer.from(mock.messages[0].body.image.base64, 'base64');
+
+    assert.equal(detectImageFormat(sent), 'png');
+    assert.equal(result.image.original.format, 'bmp');
+    assert.equal(result.image.final.format, 'png');
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Markdown 拆分与截断的测试
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { splitMarkdown, splitMarkdownIntoParts, truncateMarkdown } from '../src/markdown-splitter.js';
+
+/**
+ * 计算字符串的 UTF-8 字节数
+ * 
+ * @param {string} text - 字符串
+ * @returns {number} 字节数
+ */
+const bytes = text => Buffer.byteLength(text, 'utf8');
+
+/**
+ * 生成指定数量的段落
+ * 
+ * @param {number} count - 段落数量
+ * @param {string} [text='内容'] - 每个段落重复的文本
+ * @returns {string} Markdown 内容
+ */
+const paragraphs = (count, text = '内容') => Array.from({ length: count }, (_, i) => `段落 ${i} ${text.repeat(20)}`).join('\n\n');
+
+describe('splitMarkdownIntoParts', () => {
+  test('未超出限制时返回原内容', () => {
+    assert.deepEqual(splitMarkdownIntoParts('# 标题\n\n正文', 4096), ['# 标题\n\n正文']);
+  });
+
+  test('每条消息带编号且不超过字节限制', () => {
+    const content = paragraphs(40);
+    const parts = splitMarkdownIntoParts(content, 1000);
+
+    assert.ok(parts.length > 1);
+    parts.forEach((part, index) => {
+      assert.ok(part.startsWith(`**[${index + 1}/${parts.length}]**\n\n`), part.slice(0, 20));
+      assert.ok(bytes(part) <= 1000, `第 ${index + 1} 条 ${bytes(part)} 字节`);
+    });
+  });
+
+  test('编号位数随条数增加时仍不超过字节限制', () => {
+    const content = paragraphs(1200, 'xxxxxxx');
+    const parts = splitMarkdownIntoParts(content, 200);
+
+    assert.ok(parts.length >= 1000);
+    assert.ok(parts.at(-1).startsWith(`**[${parts.length}/${parts.length}]**`));
+    assert.ok(parts.every(part => bytes(part) <= 200));
+  });
+
+  test('拆分后保留全部段落且顺序不变', () => {
+    const content = paragraphs(30);
+    const joined = splitMarkdownIntoParts(content, 800)
+      .map(part => part.replace(/^\*\*\[\d+\/\d+\]\*\*\n\n/, ''))
+      .join('\n\n');
+
+    assert.equal(joined, content);
+  });
+
+  test('代码块跨片段时每段重新打开并闭合', () => {
+    const code = Array.from({ length: 60 }, (_, i) => `console.log(${i});`).join('\n');
+    const content = `# 示例\n\n\`\`\`js\n${code}\n\`\`\``;
+    const parts = splitMarkdownIntoParts(content, 400);
+    const codeParts = parts.filter(part => part.includes('console.log'));
+
+    assert.ok(codeParts.length > 1);
+    for (const part of codeParts) {
+      assert.match(part, /```js\n/);
+      assert.ok(part.trimEnd().endsWith('```'), part.slice(-30));
+      assert.ok(bytes(part) <= 400);
+    }
+  });
+
+  test('表格跨片段时每段重复表头', () => {
+    const rows = Array.from({ length: 50 }, (_, i) => `| 服务 ${i} | 正常 |`).join('\n');
+    const content = `| 名称 | 状态 |\n| --- | --- |\n${rows}`;
+    const parts = splitMarkdownIntoParts(content, 300);
+
+    assert.ok(parts.length > 1);
+    for (const part of parts) {
+      assert.match(part, /\| 名称 \| 状态 \|\n\| --- \| --- \|\n\| 服务 \d+ \|/);
+      assert.ok(bytes(part) <= 300);
+    }
+  });
+
+  test('超长单行按字节拆分且不截断多字节字符', () => {
+    const content = '中'.repeat(1000);
+    const parts = splitMarkdownIntoParts(content, 500);
+
+    assert.ok(parts.every(part => bytes(part) <= 500));
+    assert.equal(parts.map(part => part.replace(/^\*\*\[\d+\/\d+\]\*\*\n\n/, '')).join(''), content);
+  });
+});
+
+describe('splitMarkdown', () => {
+  test('在标题处分段', () => {
+    const content = `# 第一部分\n${'甲'.repeat(100)}\n# 第二部分\n${'乙'.repeat(100)}`;
+    const chunks = splitMarkdown(content, 400);
+
+    assert.equal(chunks.length, 2);
+    assert.ok(chunks[0].startsWith('# 第一部分'));
+    assert.ok(chunks[1].startsWith('# 第二部分'));
+  });
+});
+
+describe('truncateMarkdown', () => {
+  test('截断后追加提示语且不超过字节限制', () => {
+    const truncated = truncateMarkdown(paragraphs(40), 500, '（已截断）');
+
+    assert.ok(bytes(truncated) <= 500);
+    assert.ok(truncated.endsWith('\n\n（已截断）'));
+    assert.ok(truncated.startsWith('段落 0'));
+  });
+
+  test('截断在代码块内时闭合代码块', () => {
+    const code = Array.from({ length: 60 }, (_, i) => `line ${i}`).join('\n');
+    const truncated = truncateMarkdown(`\`\`\`\n${code}\n\`\`\``, 200);
+
+    assert.match(truncated, /^```\nline 0\n[\s\S]*\n```\n\n……（内容过长，已截断）$/);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Markdown 校验（validateMarkdown、validate_message 和发送前的语法检查）的测试
+ */
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { MockWeComServer, ServerContext, ToolHandler } from '../src/index.js';
+import { validateMarkdown, findMarkdownSyntaxIssues, formatSyntaxIssues } from '../src/markdown-validator.js';
+import { MARKDOWN_MAX_BYTES } from '../src/wecom-client.js';
+
+/**
+ * 解析工具结果中的 JSON 文本
+ * 
+ * @param {{content: Array<{text: string}>, isError?: boolean}} result - 工具结果
+ * @returns {Object} 解析后的结果
+ */
+const parseResult = result => JSON.parse(result.content[0].text);
+
+/**
+ * 提取问题的规则名称和位置
+ * 
+ * @param {Array<{rule: string, line: number, column: number}>} issues - 问题列表
+ * @returns {string[]} 形如 rule@line:column 的列表
+ */
+const positions = issues => issues.map(({ rule, line, column }) => `${rule}@${line}:${column}`);
+
+describe('validateMarkdown', () => {
+  test('markdown_v2 中的字体颜色和提醒为 error，并给出行列位置', () => {
+    const report = validateMarkdown('# 告警\n服务 <font color="warning">异常</font>\n请 <@zhangsan> 处理');
+
+    assert.equal(report.valid, false);
+    assert.deepEqual(positions(report.issues), ['font_tag@2:4', 'mention@3:3']);
+    assert.deepEqual(report.summary, { errors: 2, warnings: 0 });
+  });
+
+  test('代码块和行内代码中的内容不做检查', () => {
+    const report = validateMarkdown('```html\n<font color="red">x</font>\n<br>\n```\n使用 `<br>` 换行');
+
+    assert.equal(report.valid, true);
+    assert.deepEqual(report.issues, []);
+  });
+
+  test('显示异常的语法为 warning，不影响 valid', () => {
+    const report = validateMarkdown('#标题\n- 一级\n  - 二级\n- [ ] 待办\n第一行<br>第二行\n```\n未闭合');
+
+    assert.equal(report.valid, true);
+    assert.deepEqual(positions(report.issues), [
+      'heading_space@1:1',
+      'nested_list@3:3',
+      'task_list@4:3',
+      'html_tag@5:4',
+      'unclosed_code_block@6:1'
+    ]);
+    assert.equal(report.issues.find(issue => issue.rule === 'html_tag').suggestion, '直接换行，段落之间空一行');
+  });
+
+  test('旧版 markdown 检查字体颜色、未闭合标签、表格和代码块', () => {
+    const report = validateMarkdown('<font color="red">告警</font>\n<font color="info">正常\n| a | b |\n```', { format: 'markdown' });
+
+    assert.deepEqual(positions(report.issues), ['font_color@1:1', 'table@3:1', 'code_block@4:1', 'font_unbalanced@4:4']);
+    assert.equal(report.valid, false);
+  });
+
+  test('按 UTF-8 统计字节数，超出限制时给出拆分条数', () => {
+    const short = validateMarkdown('你好');
+    const long = validateMarkdown(`${'段落内容'.repeat(200)}\n\n`.repeat(3));
+
+    assert.deepEqual(short.bytes, { length: 6, max: MARKDOWN_MAX_BYTES, remaining: MARKDOWN_MAX_BYTES - 6 });
+    assert.equal(long.valid, false);
+    assert.ok(long.bytes.remaining < 0);
+    assert.ok(long.split_parts >= 2);
+  });
+});
+
+describe('findMarkdownSyntaxIssues / formatSyntaxIssues', () => {
+  test('默认只返回 error，严格模式同时返回 warning', () => {
+    const content = '<br>\n<@lisi>';
+
+    assert.deepEqual(positions(findMarkdownSyntaxIssues(content, 'markdown_v2')), ['mention@2:1']);
+    assert.deepEqual(positions(findMarkdownSyntaxIssues(content, 'markdown_v2', { strict: true })), ['html_tag@1:1', 'mention@2:1']);
+  });
+
+  test('错误消息最多列出 5 处问题', () => {
+    const issues = findMarkdownSyntaxIssues(Array.from({ length: 7 }, () => '<@a>').join('\n'), 'markdown_v2');
+    const message = formatSyntaxIssues(issues);
+
+    assert.match(message, /^第 1 行第 1 列 markdown_v2 不支持 <@userid> 提醒/);
+    assert.match(message, /另有 2 处问题$/);
+  });
+});
+
+describe('validate_message / send_message', () => {
+  let mock;
+  let handler;
+
+  before(async () => {
+    mock = new MockWeComServer({ keys: ['markdown-key'], rateLimit: false });
+    const { baseURL } = await mock.start();
+    handler = new ToolHandler({
+      context: new ServerContext({ webhookKey: 'markdown-key', baseURL, retry: false, auditLog: false, mediaCache: false })
+    });
+  });
+
+  beforeEach(() => {
+    mock.reset();
+  });
+
+  after(async () => {
+    await mock.close();
+  });
+
+  test('validate_message 返回校验报告且不发送', async () => {
+    const report = parseResult(await handler.handle('validate_message', { content: '- [x] 完成' }));
+    const invalid = await handler.handle('validate_message', { content: 'x', format: 'html' });
+
+    assert.deepEqual(positions(report.issues), ['task_list@1:3']);
+    assert.equal(invalid.isError, true);
+    assert.match(parseResult(invalid).message, /format 参数/);
+    assert.equal(mock.messages.length, 0);
+  });
+
+  test('send_message 拒绝 error 级问题，严格模式下也拒绝 warning 级问题', async () => {
+    const rejected = await handler.handle('send_message', { content: '请 <@zhangsan> 处理' });
+    const strict = await handler.handle('send_message', { content: '第一行<br>第二行', strict: true });
+    await handler.handle('send_message', { content: '第一行<br>第二行' });
+
+    assert.equal(rejected.isError, true);
+    assert.equal(parseResult(rejected).data.issues[0].rule, 'mention');
+    assert.match(parseResult(strict).message, /严格模式/);
+    assert.equal(mock.messages.length, 1);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * @fileoverview 媒体文件缓存的测试：命中、过期、持久化和 media_id 失效后的重新上传
+ */
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync, realpathSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MockWeComServer, ServerContext, ToolHandler } from '../src/index.js';
+import { MediaCache, MEDIA_ID_TTL_MS } from '../src/media-cache.js';
+
+/**
+ * 解析工具结果中的 JSON 文本
+ * 
+ * @param {{content: Array<{text: string}>, isError?: boolean}} result - 工具结果
+ * @returns {Object} 解析后的结果
+ */
+const parseResult = result => JSON.parse(result.content[0].text);
+
+/**
+ * 测试用的上传结果
+ * 
+ * @param {Object} [overrides] - 覆盖的字段
+ * @returns {Object} 上传结果
+ */
+const media = (overrides = {}) => ({
+  media_id: 'media-1',
+  created_at: Math.floor(Date.now() / 1000),
+  type: 'file',
+  md5: 'd41d8cd98f00b204e9800998ecf8427e',
+  name: 'report.pdf',
+  size: 1024,
+  ...overrides
+});
+
+describe('MediaCache', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'wecom-media-cache-'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('按 webhook key、文件类型和 MD5 命中缓存', () => {
+    const cache = new MediaCache({ file: join(dir, 'hit.json') });
+    cache.set('key-a', media());
+
+    assert.equal(cache.get('key-a', media().md5, 'file').media_id, 'media-1');
+    assert.equal(cache.get('key-b', media().md5, 'file'), null);
+    assert.equal(cache.get('key-a', media().md5, 'voice'), null);
+    assert.equal(cache.get('key-a', 'other-md5', 'file'), null);
+  });
+
+  test('距过期不足 1 小时的缓存视为已过期', t => {
+    const cache = new MediaCache({ file: join(dir, 'expiry.json') });
+    const createdAt = Date.now();
+    cache.set('key-a', media({ created_at: Math.floor(createdAt / 1000) }));
+
+    let now = createdAt + MEDIA_ID_TTL_MS - 2 * 60 * 60 * 1000;
+    t.mock.method(Date, 'now', () => now);
+    assert.ok(cache.get('key-a', media().md5, 'file'));
+
+    now = createdAt + MEDIA_ID_TTL_MS - 30 * 60 * 1000;
+    assert.equal(cache.get('key-a', media().md5, 'file'), null);
+  });
+
+  test('持久化到文件时只保存 key 摘要，重新加载时丢弃过期条目', () => {
+    const file = join(dir, 'persist.json');
+    const cache = new MediaCache({ file });
+    cache.set('secret-key', media());
+    cache.set('secret-key', media({ media_id: 'media-old', md5: 'old-md5', created_at: Math.floor((Date.now() - MEDIA_ID_TTL_MS - 1000) / 1000) }));
+
+    const saved = readFileSync(file, 'utf8');
+    assert.doesNotMatch(saved, /secret-key/);
+
+    const reloaded = new MediaCache({ file });
+    assert.equal(reloaded.get('secret-key', media().md5, 'file').media_id, 'media-1');
+    assert.equal(reloaded.get('secret-key', 'old-md5', 'file'), null);
+    assert.equal(JSON.parse(saved).entries.length, 1);
+  });
+
+  test('缓存文件损坏时从空缓存开始', () => {
+    const file = join(dir, 'corrupt.json');
+    writeFileSync(file, '{not json');
+    const logs = [];
+
+    const cache = new MediaCache({ file, log: message => logs.push(message) });
+
+    assert.equal(cache.get('key-a', media().md5, 'file'), null);
+    assert.match(logs[0], /无法读取，已忽略/);
+  });
+
+  test('invalidate 和 clear 按 webhook key 删除缓存', () => {
+    const cache = new MediaCache({ file: join(dir, 'clear.json') });
+    cache.set('key-a', media());
+    cache.set('key-a', media({ media_id: 'media-2', md5: 'md5-2' }));
+    cache.set('key-b', media({ media_id: 'media-3' }));
+
+    assert.equal(cache.invalidate('key-b', 'media-1'), false);
+    assert.equal(cache.invalidate('key-a', 'media-1'), true);
+    assert.equal(cache.clear('key-a'), 1);
+    assert.equal(cache.clear(), 1);
+  });
+});
+
+describe('send_file 媒体缓存', () => {
+  let dir;
+  let mock;
+  let handler;
+
+  before(async () => {
+    dir = realpathSync(mkdtempSync(join(tmpdir(), 'wecom-media-send-')));
+    mock = new MockWeComServer({ keys: ['media-key'], rateLimit: false });
+    const { baseURL } = await mock.start();
+    handler = new ToolHandler({
+      context: new ServerContext({
+        webhookKey: 'media-key',
+        baseURL,
+        retry: false,
+        auditLog: false,
+        mediaCache: { file: join(dir, 'media-cache.json') },
+        fileAccess: { roots: [dir], baseDir: dir }
+      })
+    });
+
+    writeFileSync(join(dir, 'report.txt'), 'weekly report');
+  });
+
+  beforeEach(async () => {
+    mock.reset();
+    await handler.handle('clear_media_cache', {});
+  });
+
+  after(async () => {
+    await mock.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('同一文件再次发送时使用缓存的 media_id', async () => {
+    const first = parseResult(await handler.handle('send_file', { file_path: 'report.txt' }));
+    const second = parseResult(await handler.handle('send_file', { file_path: 'report.txt' }));
+
+    assert.equal(mock.uploads.length, 1);
+    assert.equal(mock.messages.length, 2);
+    assert.equal(first.upload.cached, undefined);
+    assert.equal(second.upload.cached, true);
+    assert.equal(second.upload.media_id, first.upload.media_id);
+  });
+
+  test('缓存的 media_id 失效时删除缓存并重新上传', async () => {
+    const first = parseResult(await handler.handle('send_file', { file_path: 'report.txt' }));
+    // 清空模拟服务器中的媒体文件，使缓存的 media_id 失效
+    mock.reset();
+
+    const second = parseResult(await handler.handle('send_file', { file_path: 'report.txt' }));
+
+    assert.equal(second.upload.reuploaded, true);
+    assert.equal(second.upload.stale_media_id, first.upload.media_id);
+    assert.notEqual(second.upload.media_id, first.upload.media_id);
+    assert.equal(mock.messages.length, 1);
+  });
+
+  test('clear_media_cache 清除后重新上传', async () => {
+    await handler.handle('send_file', { file_path: 'report.txt' });
+    const { removed } = parseResult(await handler.handle('clear_media_cache', {}));
+    await handler.handle('send_file', { file_path: 'report.txt' });
+
+    assert.equal(removed, 1);
+    assert.equal(mock.uploads.length, 2);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview 图文消息（send_news）的测试
+ */
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { MockWeComServer, ServerContext, ToolHandler } from '../src/index.js';
+
+/**
+ * 解析工具结果中的 JSON 文本
+ * 
+ * @param {{content: Array<{text: string}>, isError?: boolean}} result - 工具结果
+ * @returns {Object} 解析后的结果
+ */
+const parseResult = result => JSON.parse(result.content[0].text);
+
+/**
+ * 生成图文文章
+ * 
+ * @param {Object} [overrides] - 覆盖的字段
+ * @returns {Object} 文章
+ */
+const article = (overrides = {}) => ({ title: 'v2.0.0 发布', url: 'https://example.com/releases', ...overrides });
+
+describe('send_news', () => {
+  let mock;
+  let handler;
+
+  before(async () => {
+    mock = new MockWeComServer({ keys: ['news-key'], rateLimit: false });
+    const { baseURL } = await mock.start();
+    handler = new ToolHandler({
+      context: new ServerContext({ webhookKey: 'news-key', baseURL, retry: false, auditLog: false, mediaCache: false })
+    });
+  });
+
+  beforeEach(() => {
+    mock.reset();
+  });
+
+  after(async () => {
+    await mock.close();
+  });
+
+  test('发送图文消息，只包含企业微信支持的字段', async () => {
+    const result = await handler.handle('send_news', {
+      articles: [
+        article({ description: '新增图文消息', picurl: 'https://example.com/cover.png', extra: 'ignored' }),
+        article({ title: '升级指南' })
+      ]
+    });
+
+    assert.equal(result.isError, undefined);
+    assert.deepEqual(mock.messages[0].body, {
+      msgtype: 'news',
+      news: {
+        articles: [
+          { title: 'v2.0.0 发布', url: 'https://example.com/releases', description: '新增图文消息', picurl: 'https://example.com/cover.png' },
+          { title: '升级指南', url: 'https://example.com/releases' }
+        ]
+      }
+    });
+  });
+
+  test('拒绝空列表和超过 8 条的图文', async () => {
+    const empty = await handler.handle('send_news', { articles: [] });
+    const tooMany = await handler.handle('send_news', { articles: Array.from({ length: 9 }, () => article()) });
+
+    assert.match(parseResult(empty).message, /非空数组/);
+    assert.match(parseResult(tooMany).message, /最多 8 条/);
+    assert.equal(mock.messages.length, 0);
+  });
+
+  test('校验标题长度和链接协议，错误信息指出出错的文章', async () => {
+    const longTitle = await handler.handle('send_news', { articles: [article(), article({ title: '标'.repeat(50) })] });
+    const badUrl = await handler.handle('send_news', { articles: [article({ url: 'javascript:alert(1)' })] });
+    const badPicurl = await handler.handle('send_news', { articles: [article({ picurl: 'not a url' })] });
+
+    assert.match(parseResult(longTitle).message, /articles\[1\]\.title 长度超出限制/);
+    assert.match(parseResult(badUrl).message, /articles\[0\]\.url/);
+    assert.match(parseResult(badPicurl).message, /articles\[0\]\.picurl/);
+    assert.equal(mock.messages.length, 0);
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview 试运行发件箱的测试
+ */
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, existsSync, rmSync, realpathSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MockWeComServer, ServerContext, ToolHandler } from '../src/index.js';
+import { Outbox } from '../src/outbox.js';
+
+/**
+ * 解析工具结果中的 JSON 文本
+ * 
+ * @param {{content: Array<{text: string}>, isError?: boolean}} result - 工具结果
+ * @returns {Object} 解析后的结果
+ */
+const parseResult = result => JSON.parse(result.content[0].text);
+
+/**
+ * 读取发件箱中的全部记录
+ * 
+ * @param {string} dir - 发件箱目录
+ * @returns {Object[]} 发件箱记录
+ */
+const readOutbox = dir => (existsSync(join(dir, 'outbox.jsonl'))
+  ? readFileSync(join(dir, 'outbox.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line))
+  : []);
+
+/**
+ * 测试用的 webhook key
+ * @type {string}
+ */
+const KEY = 'outbox-webhook-key-0123456789';
+
+describe('Outbox', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'wecom-outbox-'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('每个请求追加一行记录，文件内容保存到 media 目录', () => {
+    const outbox = new Outbox({ dir: join(dir, 'nested') });
+    const first = outbox.record('send', { method: 'POST', url: 'https://example.com/send', params: {}, body: { msgtype: 'text' } });
+    const second = outbox.record('send', { method: 'POST', url: 'https://example.com/send', params: {}, body: { msgtype: 'news' } });
+    const saved = outbox.saveMedia(Buffer.from('hello'), '../report.txt', 'abc123');
+
+    assert.equal(first.file, join(dir, 'nested', 'outbox.jsonl'));
+    assert.notEqual(first.id, second.id);
+    assert.deepEqual(readOutbox(join(dir, 'nested')).map(entry => entry.request.body.msgtype), ['text', 'news']);
+    assert.equal(saved, join(dir, 'nested', 'media', 'abc123-report.txt'));
+    assert.equal(readFileSync(saved, 'utf8'), 'hello');
+  });
+
+  test('发件箱无法写入时抛出错误', () => {
+    const file = join(dir, 'not-a-dir');
+    writeFileSync(file, '');
+
+    assert.throws(() => new Outbox({ dir: file }).record('send', {}));
+  });
+});
+
+describe('dry_run', () => {
+  let dir;
+  let mock;
+  let baseURL;
+
+  /**
+   * 创建工具处理器
+   * 
+   * @param {Object} [options] - 额外的 ServerContext 选项
+   * @returns {ToolHandler} 工具处理器
+   */
+  const createHandler = (options = {}) => new ToolHandler({
+    context: new ServerContext({
+      webhookKey: KEY,
+      baseURL,
+      retry: false,
+      auditLog: false,
+      mediaCache: false,
+      fileAccess: { roots: [dir], baseDir: dir },
+      outboxDir: join(dir, 'outbox'),
+      ...options
+    })
+  });
+
+  before(async () => {
+    dir = realpathSync(mkdtempSync(join(tmpdir(), 'wecom-dry-run-')));
+    mock = new MockWeComServer({ keys: [KEY], rateLimit: false });
+    ({ baseURL } = await mock.start());
+
+    writeFileSync(join(dir, 'report.txt'), 'weekly report');
+  });
+
+  beforeEach(() => {
+    mock.reset();
+    rmSync(join(dir, 'outbox'), { recursive: true, force: true });
+  });
+
+  after(async () => {
+    await mock.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('dry_run 参数只将请求写入发件箱，不发送到企业微信', async () => {
+    const result = parseResult(await createHandler().handle('send_text', { content: '部署完成', dry_run: true }));
+    const [entry] = readOutbox(join(dir, 'outbox'));
+
+    assert.equal(mock.messages.length, 0);
+    assert.equal(result.dry_run, true);
+    assert.equal(result.outbox.id, entry.id);
+    assert.equal(entry.endpoint, 'send');
+    assert.deepEqual(entry.request.body, { msgtype: 'text', text: { content: '部署完成' } });
+    assert.ok(!JSON.stringify(entry).includes(KEY), 'webhook key 应已脱敏');
+  });
+
+  test('未开启试运行时正常发送', async () => {
+    await createHandler().handle('send_text', { content: '部署完成' });
+
+    assert.equal(mock.messages.length, 1);
+    assert.deepEqual(readOutbox(join(dir, 'outbox')), []);
+  });
+
+  test('配置强制试运行时忽略 dry_run: false', async () => {
+    const result = parseResult(await createHandler({ dryRun: true }).handle('send_text', { content: '部署完成', dry_run: false }));
+
+    assert.equal(result.dry_run, true);
+    assert.equal(mock.messages.length, 0);
+    assert.equal(readOutbox(join(dir, 'outbox')).length, 1);
+  });
+
+  test('文件消息记录上传和发送两个请求，文件内容保存到发件箱', async () => {
+    const result = parseResult(await createHandler().handle('send_file', { file_path: 'report.txt', dry_run: true }));
+    const [upload, send] = readOutbox(join(dir, 'outbox'));
+
+    assert.equal(mock.uploads.length, 0);
+    assert.equal(upload.endpoint, 'upload_media');
+    assert.equal(readFileSync(upload.request.multipart.media.saved_as, 'utf8'), 'weekly report');
+    assert.equal(send.request.body.file.media_id, result.upload.media_id);
+    assert.match(result.upload.media_id, /^dryrun-/);
+  });
+
+  test('发件箱无法写入时返回错误，不报告成功', async () => {
+    const file = join(dir, 'blocked');
+    writeFileSync(file, '');
+    const result = await createHandler({ outboxDir: file }).handle('send_text', { content: '部署完成', dry_run: true });
+
+    assert.equal(result.isError, true);
+    assert.match(parseResult(result).message, /试运行发件箱写入失败/);
+    assert.equal(mock.messages.length, 0);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview 提示模板目录和 prompts/list、prompts/get 的测试
+ */
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MCPServer, ServerContext } from '../src/index.js';
+import { PromptCatalog, renderTemplate } from '../src/prompts.js';
+
+describe('renderTemplate', () => {
+  test('替换参数，条件块仅在提供参数时保留', () => {
+    const template = '版本 {{version}}{{#bot}}，发送到 {{bot}}{{/bot}}';
+
+    assert.equal(renderTemplate(template, { version: '1.2.0', bot: 'ops' }), '版本 1.2.0，发送到 ops');
+    assert.equal(renderTemplate(template, { version: '1.2.0', bot: '  ' }), '版本 1.2.0');
+    assert.equal(renderTemplate(template, {}), '版本 ');
+  });
+});
+
+describe('PromptCatalog', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'wecom-prompts-'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('内置模板带有参数定义', () => {
+    const names = new PromptCatalog().list().map(prompt => prompt.name);
+
+    assert.deepEqual(names, ['deployment_notice', 'incident_report', 'daily_standup', 'weekly_report']);
+  });
+
+  test('渲染模板时校验必填参数', () => {
+    const catalog = new PromptCatalog();
+
+    assert.throws(() => catalog.get('deployment_notice', { service: 'order' }), error => {
+      assert.deepEqual(error.data.missing, ['version', 'changes']);
+      return true;
+    });
+    assert.throws(() => catalog.get('nope'), /未知提示模板：nope/);
+
+    const { messages } = catalog.get('deployment_notice', { service: 'order', version: '1.2.0', changes: '- 修复下单超时', bot: 'ops' });
+    assert.equal(messages[0].role, 'user');
+    assert.match(messages[0].content.text, /服务：order/);
+    assert.match(messages[0].content.text, /bot 参数为 "ops"/);
+    assert.doesNotMatch(messages[0].content.text, /\{\{/);
+  });
+
+  test('从目录加载自定义模板，同名时覆盖内置模板', () => {
+    writeFileSync(join(dir, 'custom.json'), JSON.stringify([
+      {
+        name: 'release_note',
+        arguments: [{ name: 'version', required: true }],
+        template: ['请为版本 {{version}} 撰写发布说明。', '{{#bot}}发送到 {{bot}}。{{/bot}}']
+      },
+      { name: 'daily_standup', description: '自定义站会', template: '整理站会记录' }
+    ]));
+    writeFileSync(join(dir, 'README.md'), '非模板文件会被忽略');
+
+    const catalog = PromptCatalog.fromDirectory(dir);
+    const standup = catalog.list().find(prompt => prompt.name === 'daily_standup');
+
+    assert.equal(catalog.size, 5);
+    assert.equal(standup.description, '自定义站会');
+    assert.equal(catalog.get('release_note', { version: '2.0' }).messages[0].content.text, '请为版本 2.0 撰写发布说明。');
+  });
+
+  test('模板文件无效时错误信息包含文件路径', () => {
+    const bad = mkdtempSync(join(dir, 'bad-'));
+    writeFileSync(join(bad, 'broken.json'), JSON.stringify({ name: 'has space', template: 'x' }));
+
+    assert.throws(() => PromptCatalog.fromDirectory(bad), /broken\.json 无效：提示模板名称 "has space" 无效/);
+  });
+});
+
+describe('prompts/list / prompts/get', () => {
+  test('通过 MCP 协议列出和渲染模板，缺少参数时返回 Invalid params', async () => {
+    const responses = [];
+    const context = new ServerContext({ webhookKey: 'prompt-key', auditLog: false, mediaCache: false });
+    const server = new MCPServer({ context, output: json => responses.push(JSON.parse(json)) });
+
+    await server.handleMessage({ jsonrpc: '2.0', id: 1, method: 'prompts/list' });
+    await server.handleMessage({
+      jsonrpc: '2.0',
+      id: 2,
+      method: 'prompts/get',
+      params: { name: 'daily_standup', arguments: { notes: '张三：完成登录页' } }
+    });
+    await server.handleMessage({ jsonrpc: '2.0', id: 3, method: 'prompts/get', params: { name: 'daily_standup' } });
+
+    assert.equal(responses[0].result.prompts.length, 4);
+    assert.match(responses[1].result.messages[0].content.text, /张三：完成登录页/);
+    assert.equal(responses[2].error.code, -32602);
+    assert.match(responses[2].error.data, /缺少必填参数：notes/);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview 令牌桶限流器的测试：令牌消耗、补充、排队顺序和共享限流器的清理
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { RateLimiter, getRateLimiter } from '../src/rate-limiter.js';
+
+/**
+ * 等待指定时间
+ * 
+ * @param {number} ms - 等待毫秒数
+ * @returns {Promise<void>}
+ */
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('RateLimiter', () => {
+  test('令牌用完后 tryAcquire 失败并给出预计等待时间', () => {
+    const limiter = new RateLimiter({ capacity: 3, intervalMs: 3000 });
+
+    assert.equal(limiter.tryAcquire(), true);
+    assert.equal(limiter.tryAcquire(), true);
+    assert.equal(limiter.tryAcquire(), true);
+    assert.equal(limiter.tryAcquire(), false);
+
+    const status = limiter.getStatus();
+    assert.equal(status.available_tokens, 0);
+    assert.equal(status.queue_depth, 0);
+    // 每 1000ms 补充一个令牌
+    assert.ok(status.estimated_wait_ms > 900 && status.estimated_wait_ms <= 1000, `${status.estimated_wait_ms}ms`);
+  });
+
+  test('令牌按经过的时间匀速补充', async () => {
+    const limiter = new RateLimiter({ capacity: 2, intervalMs: 200 });
+    limiter.tryAcquire();
+    limiter.tryAcquire();
+
+    await sleep(120);
+
+    assert.equal(limiter.tryAcquire(), true);
+    assert.equal(limiter.tryAcquire(), false);
+  });
+
+  test('令牌不足时 acquire 排队等待下一个令牌', async () => {
+    const limiter = new RateLimiter({ capacity: 1, intervalMs: 100 });
+    await limiter.acquire();
+
+    const started = Date.now();
+    const waited = await limiter.acquire();
+
+    assert.ok(waited >= 90, `等待 ${waited}ms`);
+    assert.ok(Date.now() - started < 500);
+  });
+
+  test('排队的请求按先进先出顺序获得令牌', async () => {
+    const limiter = new RateLimiter({ capacity: 1, intervalMs: 30 });
+    const order = [];
+
+    await Promise.all([1, 2, 3].map(id => limiter.acquire().then(() => order.push(id))));
+
+    assert.deepEqual(order, [1, 2, 3]);
+  });
+
+  test('有请求排队时 tryAcquire 不插队', async () => {
+    const limiter = new RateLimiter({ capacity: 1, intervalMs: 50 });
+    limiter.tryAcquire();
+    const pending = limiter.acquire();
+
+    await sleep(60);
+    assert.equal(limiter.queueDepth, 0);
+    await pending;
+
+    const queued = limiter.acquire();
+    assert.equal(limiter.queueDepth, 1);
+    assert.equal(limiter.tryAcquire(), false);
+    await queued;
+  });
+
+  test('令牌桶已满且没有排队请求时为空闲', async () => {
+    const limiter = new RateLimiter({ capacity: 2, intervalMs: 40 });
+    assert.equal(limiter.isIdle(), true);
+
+    limiter.tryAcquire();
+    assert.equal(limiter.isIdle(), false);
+
+    await sleep(30);
+    assert.equal(limiter.isIdle(), true);
+  });
+});
+
+describe('getRateLimiter', () => {
+  test('同一个 webhook key 共享同一个限流器', () => {
+    assert.equal(getRateLimiter('shared-key'), getRateLimiter('shared-key'));
+  });
+
+  test('清理长时间未使用的空闲限流器，保留仍在限流中或刚被获取的限流器', t => {
+    let now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+
+    const busy = getRateLimiter('busy-key', { capacity: 1, intervalMs: 10 * 60 * 1000 });
+    const idle = getRateLimiter('idle-key', { capacity: 1, intervalMs: 1000 });
+    const fresh = getRateLimiter('fresh-key');
+    busy.tryAcquire();
+    idle.tryAcquire();
+
+    // 空闲但刚被获取的限流器不会被清理
+    assert.equal(getRateLimiter('other-key'), getRateLimiter('other-key'));
+    assert.equal(getRateLimiter('fresh-key'), fresh);
+
+    now += 2 * 60 * 1000;
+    getRateLimiter('other-key');
+
+    assert.equal(getRateLimiter('busy-key'), busy);
+    assert.notEqual(getRateLimiter('idle-key'), idle);
+    assert.notEqual(getRateLimiter('fresh-key'), fresh);
+  });
+});
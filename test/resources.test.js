@@ -0,0 +1,102 @@
+/**
+ * @fileoverview MCP 资源目录和 resources/* 方法的测试
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { BotRegistry, MCPServer, ServerContext } from '../src/index.js';
+import { ResourceCatalog } from '../src/resources.js';
+import { MARKDOWN_MAX_BYTES } from '../src/wecom-client.js';
+
+/**
+ * 测试用的机器人配置
+ * @type {Object}
+ */
+const BOTS = {
+  default: 'ops',
+  bots: {
+    ops: { key: 'ops-secret-key', description: '运维值班群' },
+    dev: 'dev-secret-key'
+  }
+};
+
+/**
+ * 解析 JSON 资源的内容
+ * 
+ * @param {{contents: Array<{text: string}>}} resource - 资源内容
+ * @returns {Object} 解析后的内容
+ */
+const parseContent = resource => JSON.parse(resource.contents[0].text);
+
+describe('ResourceCatalog', () => {
+  const catalog = new ResourceCatalog({ registry: BotRegistry.fromConfig(BOTS) });
+
+  test('列出语法参考、限制和机器人资源', () => {
+    assert.deepEqual(catalog.list().map(resource => resource.uri), [
+      'wecom://syntax/markdown_v2',
+      'wecom://syntax/markdown',
+      'wecom://limits',
+      'wecom://bots'
+    ]);
+    assert.deepEqual(catalog.listTemplates().map(template => template.uriTemplate), [
+      'wecom://syntax/{format}',
+      'wecom://bots/{name}'
+    ]);
+  });
+
+  test('读取语法参考和消息限制', () => {
+    const syntax = catalog.read('wecom://syntax/markdown_v2').contents[0];
+
+    assert.equal(syntax.mimeType, 'text/markdown');
+    assert.ok(syntax.text.length > 0);
+    assert.equal(parseContent(catalog.read('wecom://limits')).markdown_v2.max_bytes, MARKDOWN_MAX_BYTES);
+  });
+
+  test('机器人资源不包含 webhook key', () => {
+    const bots = catalog.read('wecom://bots');
+
+    assert.deepEqual(parseContent(bots), {
+      bots: [
+        { name: 'ops', description: '运维值班群', default: true },
+        { name: 'dev', description: '', default: false }
+      ],
+      default_bot: 'ops'
+    });
+    assert.doesNotMatch(bots.contents[0].text, /secret/);
+    assert.deepEqual(parseContent(catalog.read('wecom://bots/dev')), { name: 'dev', description: '', default: false });
+  });
+
+  test('未知资源抛出错误', () => {
+    for (const uri of ['wecom://bots/nope', 'wecom://syntax/html', 'wecom://limits/extra', 'https://example.com', undefined]) {
+      assert.throws(() => catalog.read(uri), /资源不存在/, String(uri));
+    }
+  });
+});
+
+describe('resources/read', () => {
+  test('资源不存在时返回 -32002 错误', async () => {
+    const responses = [];
+    const context = new ServerContext({ bots: BOTS, auditLog: false, mediaCache: false });
+    const server = new MCPServer({ context, output: json => responses.push(JSON.parse(json)) });
+
+    await server.handleMessage({ jsonrpc: '2.0', id: 1, method: 'resources/read', params: { uri: 'wecom://limits' } });
+    await server.handleMessage({ jsonrpc: '2.0', id: 2, method: 'resources/read', params: { uri: 'wecom://nope' } });
+
+    assert.equal(responses[0].result.contents[0].uri, 'wecom://limits');
+    assert.equal(responses[1].error.code, -32002);
+  });
+
+  test('替换机器人配置后通知已初始化的会话', async () => {
+    const responses = [];
+    const context = new ServerContext({ bots: BOTS, auditLog: false, mediaCache: false });
+    const server = new MCPServer({ context, output: json => responses.push(JSON.parse(json)) });
+
+    await server.handleMessage({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+    await server.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' });
+    context.replaceBots(BotRegistry.fromConfig({ bots: { qa: 'qa-secret-key' } }));
+
+    const methods = responses.filter(response => response.method).map(response => response.method);
+    assert.ok(methods.includes('notifications/resources/list_changed'), methods.join(', '));
+    assert.deepEqual(parseContent(context.resources.read('wecom://bots')).bots.map(bot => bot.name), ['qa']);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview 重试策略的测试：错误分类、退避时间和重试过程
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { classifyError, computeBackoff, withRetry, DEFAULT_RETRY_POLICY } from '../src/retry.js';
+import { WeComError } from '../src/wecom-client.js';
+
+/**
+ * 创建带分类信息的错误
+ * 
+ * @param {Object} data - 错误数据
+ * @returns {WeComError} 错误对象
+ */
+const errorWith = data => new WeComError(data.errcode ?? -1, '请求失败', data);
+
+/**
+ * 快速重试的策略，避免测试等待
+ * @type {import('../src/retry.js').RetryPolicy}
+ */
+const FAST_POLICY = { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 2, deadlineMs: 1000 };
+
+describe('classifyError', () => {
+  test('系统繁忙和调用太频繁可重试，无效 key 等永久性错误不重试', () => {
+    assert.equal(classifyError(errorWith({ errcode: -1 })).retryable, true);
+    assert.equal(classifyError(errorWith({ errcode: 45011 })).retryable, true);
+    assert.equal(classifyError(errorWith({ errcode: 93000 })).retryable, false);
+    assert.equal(classifyError(errorWith({ errcode: 12345 })).retryable, false);
+  });
+
+  test('每分钟限额用尽（45009）不重试', () => {
+    const { retryable, reason } = classifyError(errorWith({ errcode: 45009 }));
+
+    assert.equal(retryable, false);
+    assert.match(reason, /限额窗口/);
+  });
+
+  test('幂等请求的 HTTP 5xx 和 429 可重试，4xx 不重试', () => {
+    assert.equal(classifyError(errorWith({ status: 502 })).retryable, true);
+    assert.equal(classifyError(errorWith({ status: 429 })).retryable, true);
+    assert.equal(classifyError(errorWith({ status: 404 })).retryable, false);
+  });
+
+  test('非幂等请求的 HTTP 5xx 不重试并标记可能已送达，429 仍可重试', () => {
+    const result = classifyError(errorWith({ status: 504 }), { idempotent: false });
+    assert.equal(result.retryable, false);
+    assert.equal(result.deliveryUnknown, true);
+
+    assert.equal(classifyError(errorWith({ status: 429 }), { idempotent: false }).retryable, true);
+  });
+
+  test('建立连接阶段的网络错误总是可重试', () => {
+    const options = { idempotent: false };
+
+    assert.equal(classifyError(errorWith({ networkCode: 'ECONNREFUSED' }), options).retryable, true);
+    assert.equal(classifyError(errorWith({ networkCode: 'ETIMEDOUT', syscall: 'connect' }), options).retryable, true);
+    assert.equal(classifyError(errorWith({ networkCode: 'ECONNRESET', syscall: 'getaddrinfo' }), options).retryable, true);
+  });
+
+  test('请求可能已发出的网络错误只对幂等请求重试', () => {
+    assert.equal(classifyError(errorWith({ networkCode: 'ECONNRESET', syscall: 'read' })).retryable, true);
+
+    const result = classifyError(errorWith({ networkCode: 'ECONNRESET', syscall: 'read' }), { idempotent: false });
+    assert.equal(result.retryable, false);
+    assert.equal(result.deliveryUnknown, true);
+  });
+
+  test('本地错误不重试', () => {
+    assert.equal(classifyError(new WeComError(-1, '参数错误')).retryable, false);
+    assert.equal(classifyError(new Error('unexpected')).retryable, false);
+  });
+});
+
+describe('computeBackoff', () => {
+  test('等待时间按指数增长并带抖动，落在 [cap/2, cap] 之间', () => {
+    const policy = { ...DEFAULT_RETRY_POLICY, baseDelayMs: 100, maxDelayMs: 1000 };
+
+    for (let i = 0; i < 50; i++) {
+      const first = computeBackoff(1, policy);
+      const third = computeBackoff(3, policy);
+      assert.ok(first >= 50 && first <= 100, `第 1 次重试等待 ${first}ms`);
+      assert.ok(third >= 200 && third <= 400, `第 3 次重试等待 ${third}ms`);
+    }
+  });
+
+  test('等待时间不超过 maxDelayMs', () => {
+    const policy = { ...DEFAULT_RETRY_POLICY, baseDelayMs: 100, maxDelayMs: 1000 };
+
+    for (let i = 0; i < 50; i++) {
+      const delay = computeBackoff(10, policy);
+      assert.ok(delay >= 500 && delay <= 1000, `第 10 次重试等待 ${delay}ms`);
+    }
+  });
+});
+
+describe('withRetry', () => {
+  test('临时性错误重试后成功，返回失败尝试的记录', async () => {
+    let calls = 0;
+    const { result, attempts } = await withRetry(async () => {
+      calls++;
+      if (calls < 3) {
+        throw errorWith({ errcode: -1 });
+      }
+      return 'ok';
+    }, FAST_POLICY);
+
+    assert.equal(result, 'ok');
+    assert.equal(attempts.length, 2);
+    assert.ok(attempts.every(attempt => attempt.retryable && attempt.delay_ms >= 0));
+  });
+
+  test('达到最大尝试次数后抛出最后一次的错误并附带尝试历史', async () => {
+    let calls = 0;
+
+    await assert.rejects(withRetry(async () => {
+      calls++;
+      throw errorWith({ status: 503 });
+    }, FAST_POLICY), error => {
+      assert.equal(error.data.attempts.length, 3);
+      return true;
+    });
+    assert.equal(calls, 3);
+  });
+
+  test('非幂等请求收到 HTTP 5xx 时不重试并设置 delivery_unknown', async () => {
+    let calls = 0;
+
+    await assert.rejects(withRetry(async () => {
+      calls++;
+      throw errorWith({ status: 502 });
+    }, FAST_POLICY, { idempotent: false }), error => {
+      assert.equal(error.data.delivery_unknown, true);
+      assert.match(error.message, /可能已送达/);
+      return true;
+    });
+    assert.equal(calls, 1);
+  });
+
+  test('policy 为 false 时只尝试一次', async () => {
+    let calls = 0;
+
+    await assert.rejects(withRetry(async () => {
+      calls++;
+      throw errorWith({ errcode: -1 });
+    }, false));
+    assert.equal(calls, 1);
+  });
+});
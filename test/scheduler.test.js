@@ -0,0 +1,175 @@
+/**
+ * @fileoverview 定时消息调度器的测试：任务持久化、多进程共用任务文件和任务文件校验
+ */
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync, existsSync, utimesSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Scheduler, JOB_STATUS, MISSED_RUN_POLICY } from '../src/scheduler.js';
+
+/**
+ * 生成一个已到期的一次性任务
+ * 
+ * @param {Object} [overrides] - 覆盖的字段
+ * @returns {Object} 任务
+ */
+function dueJob(overrides = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: 'job-1',
+    tool: 'send_text',
+    arguments: { bot: 'ops', content: '提醒' },
+    principal: null,
+    at: now,
+    timezone: 'UTC',
+    missed_run_policy: MISSED_RUN_POLICY.CATCH_UP,
+    status: JOB_STATUS.ACTIVE,
+    next_run_at: now,
+    created_at: now,
+    run_count: 0,
+    last_run: null,
+    ...overrides
+  };
+}
+
+/**
+ * 等待条件成立
+ * 
+ * @param {function(): boolean} condition - 条件
+ * @param {number} [timeout=2000] - 超时时间（毫秒）
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('等待超时');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('Scheduler', () => {
+  let dir;
+  let count = 0;
+  let file;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'wecom-scheduler-'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * 为每个测试使用单独的任务文件
+   * 
+   * @returns {string} 任务文件路径
+   */
+  const nextFile = () => {
+    file = join(dir, `schedules-${++count}.json`);
+    return file;
+  };
+
+  const readJobs = () => JSON.parse(readFileSync(file, 'utf8')).jobs;
+
+  test('添加的任务写入文件，重新创建调度器后仍可列出', () => {
+    const first = new Scheduler({ file: nextFile(), execute: async () => ({ content: [] }) });
+    const job = first.add({ tool: 'send_text', arguments: { content: '周报' }, cron: '0 17 * * 5', timezone: 'Asia/Shanghai', principal: 'alice' });
+    first.stop();
+
+    const second = new Scheduler({ file, execute: async () => ({ content: [] }) });
+    assert.deepEqual(second.list().map(item => item.id), [job.id]);
+    assert.deepEqual(second.list({ principal: 'bob' }), []);
+    assert.equal(existsSync(`${file}.lock`), false);
+    second.stop();
+  });
+
+  test('两个调度器共用任务文件时互不覆盖对方添加的任务', () => {
+    const spec = { tool: 'send_text', arguments: { content: '提醒' }, cron: '0 9 * * *', timezone: 'UTC' };
+    const a = new Scheduler({ file: nextFile(), execute: async () => ({ content: [] }) });
+    const b = new Scheduler({ file, execute: async () => ({ content: [] }) });
+
+    const jobA = a.add(spec);
+    const jobB = b.add(spec);
+    a.cancel(jobA.id);
+
+    assert.deepEqual(readJobs().map(job => job.id), [jobB.id]);
+    assert.deepEqual(a.list().map(job => job.id), [jobB.id]);
+    a.stop();
+    b.stop();
+  });
+
+  test('两个调度器共用任务文件时到期任务只执行一次', async () => {
+    writeFileSync(nextFile(), JSON.stringify({ jobs: [dueJob()] }));
+    const runs = [];
+    const execute = async (tool, args) => {
+      runs.push({ tool, args });
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return { content: [{ type: 'text', text: '{}' }] };
+    };
+
+    const a = new Scheduler({ file, execute });
+    const b = new Scheduler({ file, execute });
+    a.start();
+    b.start();
+
+    await waitFor(() => readJobs()[0].status === JOB_STATUS.COMPLETED);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    a.stop();
+    b.stop();
+
+    assert.equal(runs.length, 1);
+    assert.deepEqual(runs[0], { tool: 'send_text', args: { bot: 'ops', content: '提醒' } });
+    assert.equal(readJobs()[0].run_count, 1);
+  });
+
+  test('锁文件超过失效时间未释放时接管', () => {
+    const scheduler = new Scheduler({ file: nextFile(), execute: async () => ({ content: [] }) });
+    const past = new Date(Date.now() - 60 * 1000);
+    writeFileSync(`${file}.lock`, '');
+    utimesSync(`${file}.lock`, past, past);
+
+    scheduler.add({ tool: 'send_text', arguments: {}, cron: '0 9 * * *', timezone: 'UTC' });
+
+    assert.equal(readJobs().length, 1);
+    assert.equal(existsSync(`${file}.lock`), false);
+    scheduler.stop();
+  });
+
+  test('忽略任务文件中格式无效的任务并记录日志', () => {
+    writeFileSync(nextFile(), JSON.stringify({
+      jobs: [
+        dueJob({ id: 'ok', next_run_at: '2999-01-01T00:00:00.000Z' }),
+        dueJob({ id: 'bad-args', arguments: 'send' }),
+        dueJob({ id: 'bad-cron', at: undefined, cron: '61 * * * *' }),
+        dueJob({ id: 'bad-time', next_run_at: 'tomorrow' }),
+        dueJob({ id: 'bad-status', status: 'paused' }),
+        'not-a-job'
+      ]
+    }));
+    const logs = [];
+    const scheduler = new Scheduler({ file, execute: async () => ({ content: [] }), log: message => logs.push(message) });
+
+    assert.deepEqual(scheduler.list().map(job => job.id), ['ok']);
+    scheduler.list();
+    assert.equal(logs.filter(message => message.includes('无效')).length, 5);
+  });
+
+  test('写入任务文件失败时记录日志而不是产生未处理的 Promise 拒绝', async () => {
+    writeFileSync(nextFile(), JSON.stringify({ jobs: [dueJob()] }));
+    const logs = [];
+    const scheduler = new Scheduler({ file, execute: async () => ({ content: [] }), log: message => logs.push(message) });
+    scheduler._save = () => {
+      throw new Error('ENOSPC: no space left on device');
+    };
+
+    scheduler.start();
+    await waitFor(() => logs.some(message => message.includes('ENOSPC')));
+    scheduler.stop();
+  });
+});
+
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview 命令行 send 子命令的测试
+ */
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { Readable } from 'stream';
+import { mkdtempSync, writeFileSync, rmSync, realpathSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MockWeComServer, ServerContext } from '../src/index.js';
+import { runSendCommand, EXIT_CODE } from '../src/send-command.js';
+
+/**
+ * 创建收集输出的可写流
+ * 
+ * @returns {{text: string, write: function(string): void}} 输出流
+ */
+const createOutput = () => ({
+  text: '',
+  write(chunk) {
+    this.text += chunk;
+  }
+});
+
+/**
+ * 创建标准输入
+ * 
+ * @param {string|null} content - 输入内容，为 null 时模拟终端（不读取标准输入）
+ * @returns {NodeJS.ReadStream} 标准输入
+ */
+const createStdin = content => Object.assign(Readable.from(content === null ? [] : [Buffer.from(content)]), {
+  isTTY: content === null
+});
+
+describe('send 子命令', () => {
+  let dir;
+  let mock;
+  let baseURL;
+  let contexts;
+
+  /**
+   * 执行 send 子命令
+   * 
+   * @param {string[]} argv - 命令行参数
+   * @param {Object} [options] - 执行选项
+   * @param {string|null} [options.stdin=null] - 标准输入内容
+   * @returns {Promise<{code: number, stdout: string, stderr: string}>} 退出码和输出
+   */
+  const run = async (argv, { stdin = null } = {}) => {
+    const stdout = createOutput();
+    const stderr = createOutput();
+    const code = await runSendCommand(argv, {
+      createContext: () => {
+        const context = new ServerContext({
+          webhookKey: 'cli-key',
+          baseURL,
+          retry: false,
+          auditLog: false,
+          mediaCache: false,
+          fileAccess: { roots: [dir], baseDir: dir },
+          outboxDir: join(dir, 'outbox')
+        });
+        contexts.push(context);
+        return context;
+      },
+      stdin: createStdin(stdin),
+      stdout,
+      stderr
+    });
+    return { code, stdout: stdout.text, stderr: stderr.text };
+  };
+
+  before(async () => {
+    dir = realpathSync(mkdtempSync(join(tmpdir(), 'wecom-cli-')));
+    mock = new MockWeComServer({ keys: ['cli-key'], rateLimit: false });
+    ({ baseURL } = await mock.start());
+
+    writeFileSync(join(dir, 'articles.json'), JSON.stringify({ articles: [{ title: '周报', url: 'https://example.com/weekly' }] }));
+    writeFileSync(join(dir, 'report.txt'), 'weekly report');
+  });
+
+  beforeEach(() => {
+    mock.reset();
+    contexts = [];
+  });
+
+  after(async () => {
+    await mock.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('send text 发送文本并提醒成员', async () => {
+    const { code, stdout } = await run(['text', '构建完成', '--mention', 'zhangsan', '--mention', '@all']);
+
+    assert.equal(code, EXIT_CODE.SUCCESS);
+    assert.ok(stdout.length > 0);
+    assert.deepEqual(mock.messages[0].body, {
+      msgtype: 'text',
+      text: { content: '构建完成', mentioned_list: ['zhangsan', '@all'] }
+    });
+  });
+
+  test('从标准输入读取内容并去掉末尾换行', async () => {
+    const { code } = await run(['markdown'], { stdin: '# 构建完成\n' });
+
+    assert.equal(code, EXIT_CODE.SUCCESS);
+    assert.deepEqual(mock.messages[0].body, { msgtype: 'markdown_v2', markdown_v2: { content: '# 构建完成' } });
+  });
+
+  test('send news 支持 --title/--url 和 --input 文章 JSON', async () => {
+    await run(['news', '--title', 'v2.0 发布', '--url', 'https://example.com/releases']);
+    await run(['news', '--input', join(dir, 'articles.json')]);
+
+    assert.deepEqual(mock.messages.map(message => message.body.news.articles[0].title), ['v2.0 发布', '周报']);
+  });
+
+  test('--json 输出完整结果，--dry-run 只写入发件箱', async () => {
+    const { code, stdout } = await run(['file', 'report.txt', '--dry-run', '--json']);
+    const data = JSON.parse(stdout);
+
+    assert.equal(code, EXIT_CODE.SUCCESS);
+    assert.equal(data.upload.dry_run, true);
+    assert.equal(mock.uploads.length, 0);
+    assert.equal(mock.messages.length, 0);
+  });
+
+  test('发送失败时退出码为 1，错误输出到标准错误', async () => {
+    const { code, stdout, stderr } = await run(['text', '构建完成', '--key', 'unknown-key']);
+
+    assert.equal(code, EXIT_CODE.FAILURE);
+    assert.equal(stdout, '');
+    assert.match(stderr, /^发送失败 \[\d+\]：/);
+  });
+
+  test('用法错误时退出码为 2，且不读取配置', async () => {
+    const cases = [
+      [],
+      ['sms', 'hello'],
+      ['text', 'a', 'b'],
+      ['text', '--unknown'],
+      ['text'],
+      ['text', 'hello', '--input', 'notes.txt'],
+      ['file'],
+      ['news', '--title', 't', '--url', 'https://example.com', '[]']
+    ];
+
+    for (const argv of cases) {
+      const { code, stderr } = await run(argv);
+      assert.equal(code, EXIT_CODE.USAGE, argv.join(' '));
+      assert.match(stderr, /用法：/, argv.join(' '));
+    }
+    assert.equal(contexts.length, 0);
+    assert.equal(mock.messages.length, 0);
+  });
+
+  test('--help 输出对应消息类型的用法', async () => {
+    const { code, stdout } = await run(['image', '--help']);
+
+    assert.equal(code, EXIT_CODE.SUCCESS);
+    assert.match(stdout, /send image <图片路径\|图片 URL>/);
+    assert.doesNotMatch(stdout, /send text/);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * @fileoverview 发送流程的端到端测试：MCP 请求经工具处理器和客户端发送到本地模拟企业微信服务
+ */
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { mkdtempSync, writeFileSync, rmSync, realpathSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MCPServer, MockWeComServer, ServerContext, ToolHandler } from '../src/index.js';
+import { MOCK_ERRCODE } from '../src/mock-server.js';
+
+/**
+ * 解析工具结果中的 JSON 文本
+ * 
+ * @param {{content: Array<{text: string}>, isError?: boolean}} result - 工具结果
+ * @returns {Object} 解析后的结果
+ */
+const parseResult = result => JSON.parse(result.content[0].text);
+
+describe('发送流程', () => {
+  let dir;
+  let mock;
+  let context;
+
+  before(async () => {
+    dir = realpathSync(mkdtempSync(join(tmpdir(), 'wecom-send-')));
+    mock = new MockWeComServer({ keys: ['ops-key', 'dev-key'], rateLimit: false });
+    const { baseURL } = await mock.start();
+
+    context = new ServerContext({
+      bots: { default: 'ops', bots: { ops: { key: 'ops-key' }, dev: { key: 'dev-key' } } },
+      baseURL,
+      retry: false,
+      auditLog: { file: join(dir, 'audit.jsonl') },
+      mediaCache: { file: join(dir, 'media-cache.json') },
+      schedule: { file: join(dir, 'schedules.json') },
+      fileAccess: { roots: [dir], baseDir: dir }
+    });
+  });
+
+  beforeEach(() => {
+    mock.reset();
+  });
+
+  after(async () => {
+    context.scheduler?.stop();
+    await mock.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('通过 MCP tools/call 发送 Markdown 消息到默认机器人', async () => {
+    const responses = [];
+    const server = new MCPServer({ context, output: json => responses.push(JSON.parse(json)) });
+
+    await server.handleMessage({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { clientInfo: { name: 'test' } } });
+    await server.handleMessage({
+      jsonrpc: '2.0',
+      id: 2,
+      method: 'tools/call',
+      params: { name: 'send_message', arguments: { content: '# 部署完成' } }
+    });
+
+    const response = responses.find(message => message.id === 2);
+    assert.equal(response.result.isError, undefined);
+    assert.equal(mock.messages.length, 1);
+    assert.equal(mock.messages[0].key, 'ops-key');
+    assert.deepEqual(mock.messages[0].body, { msgtype: 'markdown_v2', markdown_v2: { content: '# 部署完成' } });
+  });
+
+  test('tools/call 省略 arguments 时返回参数校验错误', async () => {
+    const responses = [];
+    const server = new MCPServer({ context, output: json => responses.push(JSON.parse(json)) });
+
+    await server.handleMessage({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'send_text' } });
+
+    assert.equal(responses[0].error, undefined);
+    assert.equal(responses[0].result.isError, true);
+    assert.match(parseResult(responses[0].result).message, /content/);
+    assert.equal(mock.messages.length, 0);
+  });
+
+  test('按别名发送到指定机器人并记录审计日志', async () => {
+    const handler = new ToolHandler({ context, principal: 'alice' });
+
+    const result = await handler.handle('send_text', { bot: 'dev', content: '构建失败', mentioned_list: ['@all'] });
+
+    assert.equal(result.isError, undefined);
+    assert.equal(mock.messages[0].key, 'dev-key');
+    assert.deepEqual(mock.messages[0].body.text, { content: '构建失败', mentioned_list: ['@all'] });
+
+    const { entries } = parseResult(await handler.handle('query_history', { bot: 'dev' }));
+    assert.equal(entries[0].msgtype, 'text');
+    assert.equal(entries[0].success, true);
+    assert.equal(entries[0].client.principal, 'alice');
+  });
+
+  test('超长内容按 split 策略拆分为多条消息按顺序发送', async () => {
+    const handler = new ToolHandler({ context });
+    const content = Array.from({ length: 20 }, (_, i) => `## 第 ${i} 节\n\n${'内容'.repeat(100)}`).join('\n\n');
+
+    const result = parseResult(await handler.handle('send_message', { content, overflow: 'split' }));
+
+    assert.equal(result.parts.length, mock.messages.length);
+    assert.ok(mock.messages.length > 1);
+    mock.messages.forEach((message, index) => {
+      assert.ok(message.body.markdown_v2.content.startsWith(`**[${index + 1}/${mock.messages.length}]**`));
+    });
+  });
+
+  test('上传文件后发送文件消息，再次发送时复用缓存的 media_id', async () => {
+    const handler = new ToolHandler({ context });
+    writeFileSync(join(dir, 'report.pdf'), Buffer.concat([Buffer.from('%PDF-1.4\n'), Buffer.alloc(1024)]));
+
+    const first = parseResult(await handler.handle('send_file', { file_path: 'report.pdf' }));
+    const second = parseResult(await handler.handle('send_file', { file_path: 'report.pdf' }));
+
+    assert.equal(mock.uploads.length, 1);
+    assert.equal(mock.uploads[0].filename, 'report.pdf');
+    assert.equal(mock.messages.length, 2);
+    assert.equal(mock.messages[0].body.file.media_id, mock.uploads[0].media_id);
+    assert.equal(first.upload.cached, undefined);
+    assert.equal(second.upload.cached, true);
+  });
+
+  test('文件访问策略拒绝的文件不会上传', async () => {
+    const handler = new ToolHandler({ context });
+    writeFileSync(join(dir, '.env'), 'WECOM_WEBHOOK_KEY=secret');
+
+    const result = await handler.handle('send_file', { file_path: '.env' });
+
+    assert.equal(result.isError, true);
+    assert.match(parseResult(result).message, /拒绝读取文件/);
+    assert.equal(mock.uploads.length, 0);
+  });
+
+  test('企业微信返回错误时工具结果为错误并包含错误码', async () => {
+    const handler = new ToolHandler({ context });
+
+    const result = await handler.handle('send_text', { webhook_key: 'unknown-key', content: '你好' });
+
+    assert.equal(result.isError, true);
+    assert.equal(parseResult(result).code, MOCK_ERRCODE.INVALID_KEY);
+    assert.equal(mock.messages.length, 0);
+  });
+});
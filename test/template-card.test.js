@@ -0,0 +1,133 @@
+/**
+ * @fileoverview 模板卡片（文本通知和图文展示）的测试
+ */
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { MockWeComServer, ServerContext, ToolHandler } from '../src/index.js';
+import { buildTemplateCard } from '../src/wecom-client.js';
+
+/**
+ * 解析工具结果中的 JSON 文本
+ * 
+ * @param {{content: Array<{text: string}>, isError?: boolean}} result - 工具结果
+ * @returns {Object} 解析后的结果
+ */
+const parseResult = result => JSON.parse(result.content[0].text);
+
+/**
+ * 断言卡片构建失败，并检查出错字段
+ * 
+ * @param {Object} card - 卡片内容
+ * @param {string} field - 期望的出错字段路径
+ */
+const assertCardError = (card, field) => assert.throws(() => buildTemplateCard(card), error => {
+  assert.equal(error.data.field, field);
+  return true;
+});
+
+/**
+ * 跳转链接类型的卡片点击动作
+ * @type {Object}
+ */
+const ACTION = { type: 1, url: 'https://example.com/alerts/1' };
+
+describe('buildTemplateCard', () => {
+  test('文本通知卡片只保留文档定义的字段', () => {
+    const card = buildTemplateCard({
+      card_type: 'text_notice',
+      source: { desc: '监控中心', desc_color: 2, unknown: true },
+      main_title: { title: '订单服务告警', desc: 'P1' },
+      emphasis_content: { title: '12.5%', desc: '错误率' },
+      horizontal_content_list: [{ keyname: '服务', value: 'order' }],
+      card_action: ACTION,
+      image_text_area: { type: 0, image_url: 'https://example.com/a.png' }
+    });
+
+    assert.deepEqual(card, {
+      card_type: 'text_notice',
+      source: { desc: '监控中心', desc_color: 2 },
+      main_title: { title: '订单服务告警', desc: 'P1' },
+      horizontal_content_list: [{ keyname: '服务', value: 'order' }],
+      card_action: ACTION,
+      emphasis_content: { title: '12.5%', desc: '错误率' }
+    });
+  });
+
+  test('文本通知卡片的标题和二级文本至少填写一项', () => {
+    assertCardError({ card_type: 'text_notice', card_action: ACTION }, 'template_card.main_title.title');
+    assert.equal(buildTemplateCard({ card_type: 'text_notice', sub_title_text: '详情', card_action: ACTION }).sub_title_text, '详情');
+  });
+
+  test('图文展示卡片要求标题，以及图片或图文区域之一', () => {
+    assertCardError({ card_type: 'news_notice', card_action: ACTION, card_image: { url: 'https://example.com/a.png' } }, 'template_card.main_title');
+    assertCardError({ card_type: 'news_notice', main_title: { title: '周报' }, card_action: ACTION }, 'template_card.card_image');
+    assertCardError(
+      { card_type: 'news_notice', main_title: { title: '周报' }, card_action: ACTION, card_image: { url: 'https://example.com/a.png', aspect_ratio: 3 } },
+      'template_card.card_image.aspect_ratio'
+    );
+  });
+
+  test('按 type 校验依赖字段', () => {
+    assertCardError({ card_type: 'text_notice', sub_title_text: '详情' }, 'template_card.card_action');
+    assertCardError({ card_type: 'text_notice', sub_title_text: '详情', card_action: { type: 1 } }, 'template_card.card_action.url');
+    assertCardError({ card_type: 'text_notice', sub_title_text: '详情', card_action: { type: 2, url: 'x' } }, 'template_card.card_action.appid');
+    assertCardError({
+      card_type: 'text_notice',
+      sub_title_text: '详情',
+      card_action: ACTION,
+      jump_list: [{ type: 1, title: '查看' }]
+    }, 'template_card.jump_list[0].url');
+  });
+
+  test('拒绝未知的卡片类型和超出数量限制的列表', () => {
+    assertCardError({ card_type: 'vote_interaction', card_action: ACTION }, 'template_card.card_type');
+    assertCardError({
+      card_type: 'text_notice',
+      sub_title_text: '详情',
+      card_action: ACTION,
+      jump_list: Array.from({ length: 4 }, () => ({ title: '查看' }))
+    }, 'template_card.jump_list');
+  });
+});
+
+describe('send_text_card / send_news_card', () => {
+  let mock;
+  let handler;
+
+  before(async () => {
+    mock = new MockWeComServer({ keys: ['card-key'], rateLimit: false });
+    const { baseURL } = await mock.start();
+    handler = new ToolHandler({
+      context: new ServerContext({ webhookKey: 'card-key', baseURL, retry: false, auditLog: false, mediaCache: false })
+    });
+  });
+
+  beforeEach(() => {
+    mock.reset();
+  });
+
+  after(async () => {
+    await mock.close();
+  });
+
+  test('卡片类型由工具决定，参数中的 card_type 被忽略', async () => {
+    await handler.handle('send_text_card', { card_type: 'news_notice', main_title: { title: '部署完成' }, card_action: ACTION });
+    await handler.handle('send_news_card', {
+      main_title: { title: '周报' },
+      card_image: { url: 'https://example.com/cover.png', aspect_ratio: 2 },
+      card_action: ACTION
+    });
+
+    assert.deepEqual(mock.messages.map(message => message.body.template_card.card_type), ['text_notice', 'news_notice']);
+    assert.deepEqual(mock.messages[1].body.template_card.card_image, { url: 'https://example.com/cover.png', aspect_ratio: 2 });
+  });
+
+  test('字段不合法时返回出错字段且不发送', async () => {
+    const result = await handler.handle('send_news_card', { main_title: { title: '周报' }, card_action: ACTION });
+
+    assert.equal(result.isError, true);
+    assert.equal(parseResult(result).data.field, 'template_card.card_image');
+    assert.equal(mock.messages.length, 0);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview 网络地址访问策略的测试
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { isPrivateAddress, UrlPolicy, URL_POLICY } from '../src/url-policy.js';
+
+describe('isPrivateAddress', () => {
+  test('拒绝本机、私有网络和保留的 IPv4 地址', () => {
+    for (const address of [
+      '0.0.0.0',
+      '10.1.2.3',
+      '100.64.0.1',
+      '127.0.0.1',
+      '169.254.169.254',
+      '172.16.0.1',
+      '172.31.255.255',
+      '192.168.1.1',
+      '198.18.0.1',
+      '224.0.0.1',
+      '255.255.255.255'
+    ]) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+  });
+
+  test('允许公网 IPv4 地址', () => {
+    for (const address of ['1.1.1.1', '8.8.8.8', '172.32.0.1', '203.0.114.1', '100.128.0.1']) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+
+  test('拒绝本机、唯一本地和链路本地 IPv6 地址', () => {
+    for (const address of ['::', '::1', 'fc00::1', 'fd12:3456::1', 'fe80::1', 'ff02::1', '2001:db8::1']) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+  });
+
+  test('允许公网 IPv6 地址', () => {
+    for (const address of ['2606:4700:4700::1111', '2001:4860:4860::8888']) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+
+  test('按内嵌的 IPv4 地址检查 IPv6 地址', () => {
+    for (const address of [
+      '::ffff:127.0.0.1',
+      '::ffff:a9fe:a9fe',
+      '::127.0.0.1',
+      '64:ff9b::a9fe:a9fe',
+      '64:ff9b::10.0.0.1',
+      '64:ff9b:1::1',
+      '2002:a9fe:a9fe::1',
+      '2002:7f00:1::'
+    ]) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+
+    for (const address of ['::ffff:8.8.8.8', '64:ff9b::808:808', '2002:808:808::1']) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+
+  test('拒绝 Teredo 地址中内嵌的内网服务器或客户端地址', () => {
+    // 客户端地址按位取反存放：~127.0.0.1 = 80ff:fffe
+    assert.equal(isPrivateAddress('2001:0:4136:e378:8000:63bf:80ff:fffe'), true);
+    assert.equal(isPrivateAddress('2001:0:a9fe:a9fe::1'), true);
+    assert.equal(isPrivateAddress('2001:0:4136:e378:8000:63bf:f7f7:f7f7'), false);
+  });
+
+  test('无效地址按禁止处理', () => {
+    assert.equal(isPrivateAddress('not-an-ip'), true);
+  });
+});
+
+describe('UrlPolicy.resolve', () => {
+  test('拒绝非 http(s) 协议', async () => {
+    await assert.rejects(new UrlPolicy().resolve('file:///etc/passwd'), error => error.data.policy === URL_POLICY.PROTOCOL);
+  });
+
+  test('拒绝指向内网的 IP 地址', async () => {
+    await assert.rejects(new UrlPolicy().resolve('http://169.254.169.254/latest/meta-data/'), error => error.data.policy === URL_POLICY.ADDRESS);
+    await assert.rejects(new UrlPolicy().resolve('http://[::ffff:127.0.0.1]:8080/'), error => error.data.policy === URL_POLICY.ADDRESS);
+  });
+
+  test('配置允许的主机时拒绝其他主机', async () => {
+    const policy = new UrlPolicy({ allowHosts: ['*.example.com'] });
+
+    await assert.rejects(policy.resolve('https://example.org/a.png'), error => error.data.policy === URL_POLICY.HOST);
+  });
+
+  test('允许访问私有网络时返回连接地址', async () => {
+    const { address, family } = await new UrlPolicy({ allowPrivateNetwork: true }).resolve('http://127.0.0.1:8080/a.png');
+
+    assert.equal(address, '127.0.0.1');
+    assert.equal(family, 4);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview 语音消息（send_voice）和 AMR 解析的测试
+ */
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { mkdtempSync, writeFileSync, rmSync, realpathSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MockWeComServer, ServerContext, ToolHandler } from '../src/index.js';
+import { isAmr, parseAmr } from '../src/amr.js';
+
+/**
+ * 解析工具结果中的 JSON 文本
+ * 
+ * @param {{content: Array<{text: string}>, isError?: boolean}} result - 工具结果
+ * @returns {Object} 解析后的结果
+ */
+const parseResult = result => JSON.parse(result.content[0].text);
+
+/**
+ * 生成指定时长的 AMR-NB 文件内容（12.2 kbps 帧，每帧 32 字节、20 毫秒）
+ * 
+ * @param {number} seconds - 时长（秒）
+ * @returns {Buffer} 文件内容
+ */
+function amrNb(seconds) {
+  const frame = Buffer.alloc(32);
+  frame[0] = (7 << 3) | 0x04;
+  return Buffer.concat([Buffer.from('#!AMR\n'), ...Array.from({ length: seconds * 50 }, () => frame)]);
+}
+
+describe('parseAmr', () => {
+  test('按帧数计算 AMR-NB 时长', () => {
+    assert.deepEqual(parseAmr(amrNb(3)), { format: 'AMR-NB', frames: 150, duration: 3 });
+  });
+
+  test('识别 AMR-WB 文件头并按 AMR-WB 帧长解析', () => {
+    const frame = Buffer.alloc(24);
+    frame[0] = (1 << 3) | 0x04;
+    const info = parseAmr(Buffer.concat([Buffer.from('#!AMR-WB\n'), frame, frame]));
+
+    assert.deepEqual(info, { format: 'AMR-WB', frames: 2, duration: 0.04 });
+  });
+
+  test('拒绝非 AMR 文件和不完整的帧', () => {
+    assert.equal(isAmr(Buffer.from('ID3\x03\x00')), false);
+    assert.throws(() => parseAmr(Buffer.from('ID3\x03\x00')), /魔数/);
+    assert.throws(() => parseAmr(amrNb(1).subarray(0, -5)), /第 50 帧数据不完整/);
+  });
+});
+
+describe('send_voice', () => {
+  let dir;
+  let mock;
+  let handler;
+
+  before(async () => {
+    dir = realpathSync(mkdtempSync(join(tmpdir(), 'wecom-voice-')));
+    mock = new MockWeComServer({ keys: ['voice-key'], rateLimit: false });
+    const { baseURL } = await mock.start();
+    handler = new ToolHandler({
+      context: new ServerContext({
+        webhookKey: 'voice-key',
+        baseURL,
+        retry: false,
+        auditLog: false,
+        mediaCache: false,
+        fileAccess: { roots: [dir], baseDir: dir }
+      })
+    });
+
+    writeFileSync(join(dir, 'hello.amr'), amrNb(2));
+    writeFileSync(join(dir, 'long.amr'), amrNb(61));
+    writeFileSync(join(dir, 'song.amr'), Buffer.concat([Buffer.from('ID3\x03\x00\x00\x00\x00\x00\x00'), Buffer.alloc(64)]));
+  });
+
+  beforeEach(() => {
+    mock.reset();
+  });
+
+  after(async () => {
+    await mock.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('以 voice 类型上传后发送语音消息，结果包含时长', async () => {
+    const result = parseResult(await handler.handle('send_voice', { file_path: 'hello.amr' }));
+
+    assert.equal(mock.uploads.length, 1);
+    assert.equal(mock.uploads[0].type, 'voice');
+    assert.deepEqual(mock.messages[0].body, { msgtype: 'voice', voice: { media_id: mock.uploads[0].media_id } });
+    assert.equal(result.upload.duration, 2);
+  });
+
+  test('超过 60 秒的语音在上传前被拒绝', async () => {
+    const result = await handler.handle('send_voice', { file_path: 'long.amr' });
+
+    assert.equal(result.isError, true);
+    assert.match(parseResult(result).message, /语音时长超出限制：当前 61 秒/);
+    assert.equal(mock.uploads.length, 0);
+  });
+
+  test('扩展名为 .amr 但内容为其他格式的文件被拒绝', async () => {
+    const result = await handler.handle('send_voice', { file_path: 'song.amr' });
+
+    assert.equal(result.isError, true);
+    assert.match(parseResult(result).message, /仅支持 AMR 格式/);
+    assert.equal(mock.uploads.length, 0);
+  });
+
+  test('缺少 file_path 时返回参数错误', async () => {
+    const result = await handler.handle('send_voice', {});
+
+    assert.match(parseResult(result).message, /file_path/);
+  });
+});